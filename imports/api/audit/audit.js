@@ -0,0 +1,41 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+
+/**
+ * Audit trail of share creation, joins, content reads, exports, removals,
+ * re-identifications and uploads to remote peers, for accounting of disclosures. Server-only: read
+ * through the audit.* methods, which are for operators.
+ */
+export const AuditEventsCollection = new Mongo.Collection('auditEvents');
+
+/**
+ * Audit event document structure:
+ * {
+ *   _id: String,               // Also the AuditEvent id
+ *   action: String,            // 'create', 'join', 'read', 'export', 'remove', 'upload', 'reidentify' or 'link'
+ *   recorded: Date,
+ *   outcome: String,           // 'success' or 'failure'
+ *   outcomeDesc: String,       // Why it failed
+ *   infoHash: String,          // Share concerned
+ *   name: String,              // Share name at the time
+ *   userId: String,            // Calling user
+ *   username: String,
+ *   clientAddress: String,     // Calling client's address
+ *   peer: {                    // Remote peer, for 'upload'
+ *     address: String,
+ *     port: Number,
+ *     peerId: String
+ *   },
+ *   bytes: Number,             // Bytes sent to the peer, for 'upload'
+ *   period: { start: Date, end: Date }, // Upload period, for 'upload'
+ *   resource: Object           // The FHIR R4 AuditEvent
+ * }
+ */
+
+if (Meteor.isServer) {
+  Meteor.startup(async function() {
+    await AuditEventsCollection.createIndexAsync({ recorded: -1 });
+    await AuditEventsCollection.createIndexAsync({ infoHash: 1, recorded: -1 });
+    await AuditEventsCollection.createIndexAsync({ action: 1, recorded: -1 });
+  });
+}
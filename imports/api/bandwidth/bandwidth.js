@@ -0,0 +1,45 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { Roles } from '../users/users';
+
+/**
+ * Node-wide bandwidth limits and their time-of-day schedule, changed at
+ * runtime through bandwidth.configure. Per-share limits live on the torrent
+ * document (`limits`).
+ */
+export const BandwidthCollection = new Mongo.Collection('bandwidth');
+
+/**
+ * Bandwidth document structure (a single document with _id 'global'):
+ * {
+ *   _id: String,
+ *   downloadLimit: Number,     // Bytes/s outside any schedule rule, -1 for unlimited
+ *   uploadLimit: Number,       // Bytes/s, -1 for unlimited
+ *   schedule: [{               // First matching rule wins
+ *     label: String,           // e.g. 'Clinic hours'
+ *     days: [Number],          // 0 (Sunday) to 6; empty for every day
+ *     start: String,           // 'HH:mm', local server time
+ *     end: String,             // 'HH:mm'; before start for windows past midnight
+ *     downloadLimit: Number,
+ *     uploadLimit: Number
+ *   }],
+ *   active: {                  // Limits in force, written by the server
+ *     downloadLimit: Number,
+ *     uploadLimit: Number,
+ *     rule: String,            // Label of the schedule rule, or null
+ *     since: Date
+ *   },
+ *   updatedAt: Date,
+ *   updatedBy: String          // Operator who last changed it (Meteor.users _id)
+ * }
+ */
+
+// Setup publications if on server
+if (Meteor.isServer) {
+  Meteor.publish('bandwidth.settings', async function() {
+    if (!Roles.hasRole(await Roles.findUser(this.userId), 'viewer')) {
+      return this.ready();
+    }
+    return await BandwidthCollection.find({ _id: 'global' });
+  });
+}
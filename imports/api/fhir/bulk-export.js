@@ -0,0 +1,171 @@
+import { get, cloneDeep } from 'lodash';
+import path from 'path';
+
+// Name the manifest is stored under inside a bulk-export share, so peers can find it
+export const BULK_MANIFEST_FILENAME = 'manifest.json';
+
+// Name of the copy of the manifest rewritten to point at local files after download
+export const LOCAL_MANIFEST_FILENAME = 'manifest.local.json';
+
+// Manifest arrays that list NDJSON files
+const FILE_LISTS = ['output', 'error', 'deleted'];
+
+/**
+ * Reduce a name taken from a manifest to a plain file name: its last path
+ * segment, in characters safe on any file system and without leading dots
+ * @param {String} name - Name from a url or entry type
+ * @return {String} File name, or '' when nothing is left
+ */
+function toSafeFileName(name) {
+  return path.posix.basename(String(name).replace(/\\/g, '/'))
+    .replace(/[^A-Za-z0-9._-]/g, '_')
+    .replace(/^\.+/, '');
+}
+
+/**
+ * Helpers for FHIR Bulk Data $export completion manifests
+ * (https://hl7.org/fhir/uv/bulkdata/export.html#response---complete-status)
+ */
+export const BulkExportUtils = {
+  /**
+   * Check whether a parsed JSON object is a $export completion manifest
+   * @param {Object} data - Parsed JSON
+   * @return {Boolean} True for manifests
+   */
+  isManifest: function(data) {
+    return !!data && typeof data === 'object' && !data.resourceType &&
+      typeof data.transactionTime === 'string' &&
+      Array.isArray(data.output);
+  },
+
+  /**
+   * Parse manifest text
+   * @param {String} text - Manifest JSON
+   * @return {Object} Manifest or null if the text is not a manifest
+   */
+  parseManifest: function(text) {
+    try {
+      const data = JSON.parse(text);
+      return this.isManifest(data) ? data : null;
+    } catch (e) {
+      return null;
+    }
+  },
+
+  /**
+   * File name an output entry refers to, taken from the last segment of its url.
+   * Manifests come from other servers and peers, so the name never carries a path.
+   * @param {Object} entry - Manifest output entry ({ type, url, count })
+   * @return {String} File name
+   */
+  getFileName: function(entry) {
+    const url = get(entry, 'url', '');
+    let segment = url.split(/[?#]/)[0].split('/').pop();
+
+    try {
+      segment = decodeURIComponent(segment);
+    } catch (e) {
+      // Keep the segment as it is
+    }
+
+    return toSafeFileName(segment) || `${toSafeFileName(get(entry, 'type', '')) || 'output'}.ndjson`;
+  },
+
+  /**
+   * List every file entry in a manifest with the list it came from
+   * @param {Object} manifest - $export manifest
+   * @return {Array} Array of { list, index, type, url, fileName }
+   */
+  getEntries: function(manifest) {
+    const self = this;
+    const entries = [];
+
+    FILE_LISTS.forEach(function(list) {
+      get(manifest, list, []).forEach(function(entry, index) {
+        entries.push({
+          list: list,
+          index: index,
+          type: entry.type,
+          url: entry.url,
+          fileName: self.getFileName(entry)
+        });
+      });
+    });
+
+    return entries;
+  },
+
+  /**
+   * Check a manifest against the NDJSON files shared with it
+   * @param {Object} manifest - $export manifest
+   * @param {Array} fileNames - Names of the NDJSON files in the share
+   * @return {Array} Issues in FhirValidator shape ({ severity, code, location, message })
+   */
+  checkFiles: function(manifest, fileNames) {
+    const issues = [];
+    const referenced = new Set();
+
+    if (get(manifest, 'output', []).length === 0) {
+      issues.push({ severity: 'error', code: 'required', location: 'output', message: 'Manifest has no output files' });
+    }
+
+    this.getEntries(manifest).forEach(function(entry) {
+      const location = `${entry.list}[${entry.index}]`;
+
+      if (!entry.url) {
+        issues.push({ severity: 'error', code: 'required', location: `${location}.url`, message: 'Output entry has no url' });
+        return;
+      }
+      if (!entry.type) {
+        issues.push({ severity: 'error', code: 'required', location: `${location}.type`, message: 'Output entry has no type' });
+      }
+
+      referenced.add(entry.fileName);
+      if (!fileNames.includes(entry.fileName)) {
+        issues.push({
+          severity: 'error',
+          code: 'not-found',
+          location: `${location}.url`,
+          message: `File ${entry.fileName} listed in the manifest was not provided`
+        });
+      }
+    });
+
+    fileNames.forEach(function(fileName) {
+      if (!referenced.has(fileName)) {
+        issues.push({
+          severity: 'warning',
+          code: 'informational',
+          location: fileName,
+          message: `File ${fileName} is not listed in the manifest`
+        });
+      }
+    });
+
+    return issues;
+  },
+
+  /**
+   * Copy a manifest with every file url replaced by a local location. The
+   * original url is kept in the entry's extension object.
+   * @param {Object} manifest - $export manifest
+   * @param {Function} resolveUrl - (fileName, entry) => local url, or null to keep the original
+   * @return {Object} Rewritten manifest
+   */
+  rewriteManifest: function(manifest, resolveUrl) {
+    const self = this;
+    const rewritten = cloneDeep(manifest);
+
+    FILE_LISTS.forEach(function(list) {
+      get(rewritten, list, []).forEach(function(entry) {
+        const localUrl = resolveUrl(self.getFileName(entry), entry);
+        if (localUrl) {
+          entry.extension = { ...(entry.extension || {}), originalUrl: entry.url };
+          entry.url = localUrl;
+        }
+      });
+    });
+
+    return rewritten;
+  }
+};
@@ -0,0 +1,372 @@
+import { FhirUtils } from './fhir-utils';
+import { PatientCompartment } from './patient-compartment';
+import { referenceKey } from './reference-resolver';
+
+/**
+ * Default policy: HIPAA Safe Harbor removal of direct identifiers, with dates
+ * shifted rather than reduced to the year so intervals stay meaningful
+ */
+export const DEFAULT_DEIDENTIFY_POLICY = {
+  names: true,          // HumanName of patients, relatives and contacts; Reference.display
+  addresses: true,      // Address line, city, district and text (state and country kept)
+  zipTruncation: true,  // postalCode cut to its first 3 digits; removed entirely when false
+  telecom: true,        // Phone numbers, email addresses, URLs
+  identifiers: true,    // identifier elements of every resource, photos
+  narrative: true,      // Narrative text.div and free-text notes
+  agesOver89: true,     // Birth dates of patients aged 90 or over
+  dateShiftDays: 365    // Shift dates by a per-patient offset within ±N days; 0 keeps dates
+};
+
+// Resources describing the patient or people around them, whose demographics are PHI
+const PERSON_TYPES = ['Patient', 'RelatedPerson', 'Person'];
+
+// 3-digit ZIP prefixes covering 20,000 people or fewer (2000 census), which Safe Harbor replaces with 000
+const RESTRICTED_ZIP_PREFIXES = ['036', '059', '063', '102', '203', '556', '692', '790', '821', '823', '830', '831', '878', '879', '884', '890', '893'];
+
+// Extensions carrying names or places of birth
+const IDENTIFYING_EXTENSIONS = {
+  'http://hl7.org/fhir/StructureDefinition/patient-mothersMaidenName': 'names',
+  'http://hl7.org/fhir/StructureDefinition/patient-birthPlace': 'addresses',
+  'http://hl7.org/fhir/StructureDefinition/humanname-own-name': 'names'
+};
+
+const ADDRESS_DETAIL_ELEMENTS = ['line', 'city', 'district', 'text'];
+
+// Elements of a Reference. An object made only of these, with a display, is a
+// Reference even when it has no reference string
+const REFERENCE_ELEMENTS = ['id', 'extension', 'reference', 'type', 'identifier', 'display'];
+
+// R4 elements typed date, dateTime or instant. Choice elements ([x]) are
+// matched by their type suffix instead.
+const DATE_ELEMENTS = [
+  'authored', 'authoredOn', 'created', 'creation', 'date', 'dateAsserted', 'dateTime', 'dateWritten',
+  'end', 'event', 'ifModifiedSince', 'issued', 'lastModified', 'lastOccurrence', 'lastUpdated',
+  'onset', 'received', 'receivedTime', 'recorded', 'recordedOn', 'sent', 'start', 'started',
+  'time', 'timestamp', 'when', 'whenHandedOver', 'whenPrepared'
+];
+const DATE_ELEMENT_SUFFIX = /[a-z](Date|DateTime|Instant)$/;
+
+// Dates and dateTimes down to month precision. Year-only values are kept, as
+// Safe Harbor allows.
+const DATE_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])(?:-(\d{2})(T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?)?$/;
+
+// Removals listed individually in the report; the counts cover everything
+const MAX_REPORTED = 500;
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {String} text - Text to hash
+ * @return {Number} Unsigned hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Shift a date or dateTime by whole days, keeping its precision, time and zone.
+ * A month-precision value moves with the middle of its month.
+ * @param {String} value - FHIR date/dateTime matching DATE_PATTERN
+ * @param {Number} days - Days to add
+ * @return {String} Shifted value
+ */
+function shiftDate(value, days) {
+  const match = DATE_PATTERN.exec(value);
+  const day = match[3] ? parseInt(match[3], 10) : 15;
+  const shifted = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, day + days)).toISOString();
+  return match[3] ? shifted.substring(0, 10) + (match[4] || '') : shifted.substring(0, 7);
+}
+
+/**
+ * Safe Harbor ZIP code: first three digits, or 000 for sparsely populated areas
+ * @param {String} postalCode - Postal code
+ * @return {String} Truncated code
+ */
+function truncateZip(postalCode) {
+  const prefix = String(postalCode).replace(/\D/g, '').substring(0, 3);
+  if (prefix.length < 3 || RESTRICTED_ZIP_PREFIXES.includes(prefix)) {
+    return '000';
+  }
+  return prefix;
+}
+
+/**
+ * Whole years between a birth date and today
+ * @param {String} birthDate - FHIR date
+ * @return {Number} Age in years, or null when unparseable
+ */
+function ageFrom(birthDate) {
+  const year = parseInt(String(birthDate).substring(0, 4), 10);
+  if (isNaN(year)) return null;
+
+  const born = new Date(Date.UTC(year, (parseInt(String(birthDate).substring(5, 7), 10) || 1) - 1, parseInt(String(birthDate).substring(8, 10), 10) || 1));
+  const now = new Date();
+  let age = now.getUTCFullYear() - born.getUTCFullYear();
+  if (now.getUTCMonth() < born.getUTCMonth() || (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() < born.getUTCDate())) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * Check whether a value is a HumanName or list of them
+ * @param {*} value - Element value
+ * @return {Boolean} True for names
+ */
+function isHumanName(value) {
+  return [].concat(value).some(name => name && typeof name === 'object' &&
+    (name.family !== undefined || name.given !== undefined || name.text !== undefined));
+}
+
+/**
+ * Check whether an object is a Reference, including display-only ones
+ * @param {Object} node - Element value
+ * @return {Boolean} True for references carrying a display
+ */
+function isReference(node) {
+  return node.display !== undefined && Object.keys(node).every(key => REFERENCE_ELEMENTS.includes(key));
+}
+
+/**
+ * Check whether an element is typed date, dateTime or instant
+ * @param {String} key - Element name
+ * @return {Boolean} True for date elements
+ */
+function isDateElement(key) {
+  return typeof key === 'string' && (DATE_ELEMENTS.includes(key) || DATE_ELEMENT_SUFFIX.test(key));
+}
+
+/**
+ * Create a de-identifier applying one policy to every resource of a share.
+ * Date offsets are derived from the patient each resource belongs to and a
+ * salt, so one patient's dates all move together while the offsets can't be
+ * recomputed once the salt is discarded.
+ *
+ * @param {Object} policy - Policy, see DEFAULT_DEIDENTIFY_POLICY
+ * @param {Object} options
+ * @param {String} options.salt - Secret mixed into date offsets (random by default)
+ * @return {Object} De-identifier with apply(resource, context) and getReport()
+ */
+export function createDeidentifier(policy, options = {}) {
+  const rules = Deidentify.normalizePolicy(policy);
+  const salt = options.salt || `${Date.now()}:${Math.random()}:${Math.random()}`;
+  const offsets = {};
+  const counts = { names: 0, addresses: 0, zipTruncation: 0, telecom: 0, identifiers: 0, narrative: 0, agesOver89: 0, dates: 0 };
+  const removed = [];
+  let resources = 0;
+
+  function offsetFor(patientKey) {
+    if (offsets[patientKey] === undefined) {
+      const range = rules.dateShiftDays * 2 + 1;
+      offsets[patientKey] = (fnv1a(`${salt}|${patientKey}`) % range) - rules.dateShiftDays;
+    }
+    return offsets[patientKey];
+  }
+
+  function record(category, path, context) {
+    counts[category]++;
+    if (removed.length < MAX_REPORTED) {
+      removed.push({ file: context.file, resource: context.resource, path: path, category: category });
+    }
+  }
+
+  // Category under which an element is removed, or null to keep it
+  function removalCategory(key, value, node, parentKey, isPerson) {
+    if (rules.identifiers && key === 'identifier') return 'identifiers';
+    if (rules.narrative && key === 'text' && value && typeof value === 'object' && value.div !== undefined) return 'narrative';
+    if (rules.narrative && key === 'note' && parentKey === null) return 'narrative';
+    if (rules.names && key === 'display' && isReference(node)) return 'names';
+
+    if (key === 'extension' || key === 'modifierExtension') return null;
+    if (!isPerson) return null;
+
+    if (rules.names && key === 'name' && isHumanName(value)) return 'names';
+    if (rules.telecom && key === 'telecom') return 'telecom';
+    if (rules.identifiers && key === 'photo') return 'identifiers';
+    if (rules.addresses && parentKey === 'address' && ADDRESS_DETAIL_ELEMENTS.includes(key)) return 'addresses';
+    if (!rules.zipTruncation && rules.addresses && parentKey === 'address' && key === 'postalCode') return 'addresses';
+    return null;
+  }
+
+  function clean(node, path, parentKey, context) {
+    if (Array.isArray(node)) {
+      const kept = [];
+      node.forEach(function(item) {
+        const category = item && typeof item === 'object' && IDENTIFYING_EXTENSIONS[item.url];
+        if (category && rules[category]) {
+          record(category, `${path}('${item.url}')`, context);
+        } else {
+          kept.push(clean(item, path, parentKey, context));
+        }
+      });
+      return kept;
+    }
+
+    if (node && typeof node === 'object') {
+      const result = {};
+      Object.keys(node).forEach(function(key) {
+        const childPath = `${path}.${key}`;
+        const category = removalCategory(key, node[key], node, parentKey, context.isPerson);
+
+        if (category) {
+          record(category, childPath, context);
+        } else if (key === 'postalCode' && parentKey === 'address' && context.isPerson && rules.zipTruncation && typeof node[key] === 'string') {
+          result[key] = truncateZip(node[key]);
+          record('zipTruncation', childPath, context);
+        } else {
+          result[key] = clean(node[key], childPath, key, context);
+        }
+      });
+      return result;
+    }
+
+    if (typeof node === 'string' && context.offset && isDateElement(parentKey) && DATE_PATTERN.test(node)) {
+      counts.dates++;
+      return shiftDate(node, context.offset);
+    }
+
+    return node;
+  }
+
+  return {
+    /**
+     * De-identify one resource
+     * @param {Object} resource - FHIR resource
+     * @param {Object} context - { file, resolve } where resolve maps a reference to 'Type/id'
+     * @return {Object} De-identified copy
+     */
+    apply: function(resource, context = {}) {
+      if (!resource || typeof resource !== 'object') return resource;
+      resources++;
+
+      const resolve = context.resolve || referenceKey;
+      const patientKey = resource.resourceType === 'Patient' && resource.id ?
+        `Patient/${resource.id}` :
+        PatientCompartment.getCompartmentReferences(resource)
+          .map(ref => ref.reference && resolve(ref.reference))
+          .find(key => key && key.startsWith('Patient/'));
+
+      const label = `${resource.resourceType || 'Resource'}/${resource.id || '?'}`;
+      const resourceContext = {
+        file: context.file,
+        resource: label,
+        isPerson: PERSON_TYPES.includes(resource.resourceType),
+        offset: rules.dateShiftDays > 0 ? offsetFor(patientKey || 'shared') : 0
+      };
+
+      let source = resource;
+      if (rules.agesOver89 && resource.resourceType === 'Patient' && resource.birthDate && ageFrom(resource.birthDate) >= 90) {
+        source = { ...resource };
+        delete source.birthDate;
+        record('agesOver89', 'Patient.birthDate', resourceContext);
+      }
+
+      return clean(source, resource.resourceType || 'Resource', null, resourceContext);
+    },
+
+    /**
+     * Summary of everything removed or changed so far
+     * @return {Object} { resources, patients, counts, removed: [{ file, resource, path, category }], truncated }
+     */
+    getReport: function() {
+      const total = Object.keys(counts).reduce((sum, key) => sum + counts[key], 0);
+      return {
+        resources: resources,
+        patients: Object.keys(offsets).filter(key => key !== 'shared').length,
+        counts: { ...counts },
+        removed: removed.slice(),
+        truncated: total - counts.dates > removed.length
+      };
+    }
+  };
+}
+
+/**
+ * De-identification of share files before they are seeded
+ */
+export const Deidentify = {
+  /**
+   * Fill in a policy from the defaults
+   * @param {Object|Boolean} policy - Partial policy, or true for the defaults
+   * @return {Object} Complete policy
+   */
+  normalizePolicy: function(policy) {
+    const merged = { ...DEFAULT_DEIDENTIFY_POLICY, ...(policy && typeof policy === 'object' ? policy : {}) };
+    const normalized = {};
+
+    Object.keys(DEFAULT_DEIDENTIFY_POLICY).forEach(function(key) {
+      normalized[key] = key === 'dateShiftDays' ?
+        Math.min(Math.max(parseInt(merged[key], 10) || 0, 0), 3650) :
+        !!merged[key];
+    });
+    return normalized;
+  },
+
+  /**
+   * De-identify every file of a share. Bulk Data manifests pass through;
+   * unparseable NDJSON lines are dropped since they can't be checked.
+   * @param {Array} fileData - Array of { name, data } objects
+   * @param {Object} policy - Policy, see DEFAULT_DEIDENTIFY_POLICY
+   * @param {Object} options - { salt }
+   * @return {Object} { fileData, report } with report from getReport plus droppedLines
+   */
+  processFiles: function(fileData, policy, options = {}) {
+    const deidentifier = createDeidentifier(policy, options);
+    let droppedLines = 0;
+
+    const processed = fileData.map(function(file) {
+      const format = FhirUtils.detectFormat(file.data);
+
+      if (format === 'ndjson') {
+        const lines = [];
+        file.data.split(/\r?\n/).forEach(function(line) {
+          if (!line.trim()) return;
+          try {
+            lines.push(JSON.stringify(deidentifier.apply(JSON.parse(line), { file: file.name })));
+          } catch (err) {
+            droppedLines++;
+          }
+        });
+        return { ...file, data: lines.join('\n') + '\n' };
+      }
+
+      const parsed = format === 'bundle' ? FhirUtils.parseJson(file.data) : null;
+      if (!parsed || !parsed.resourceType) {
+        return file;
+      }
+
+      if (parsed.resourceType !== 'Bundle') {
+        return { ...file, data: JSON.stringify(deidentifier.apply(parsed, { file: file.name }), null, 2) };
+      }
+
+      // urn:uuid references inside the Bundle point at entries by fullUrl
+      const byFullUrl = {};
+      (parsed.entry || []).forEach(function(entry) {
+        if (entry.fullUrl && entry.resource && entry.resource.id) {
+          byFullUrl[entry.fullUrl] = `${entry.resource.resourceType}/${entry.resource.id}`;
+        }
+      });
+      const resolve = reference => byFullUrl[reference] || referenceKey(reference);
+
+      const { entry, ...bundle } = parsed;
+      const result = deidentifier.apply(bundle, { file: file.name });
+      if (entry) {
+        result.entry = entry.map(item => ({
+          ...item,
+          resource: deidentifier.apply(item.resource, { file: file.name, resolve })
+        }));
+      }
+
+      return { ...file, data: JSON.stringify(result, null, 2) };
+    });
+
+    return {
+      fileData: processed,
+      report: { ...deidentifier.getReport(), droppedLines: droppedLines }
+    };
+  }
+};
@@ -1,6 +1,11 @@
 import { Meteor } from 'meteor/meteor';
 import { get } from 'lodash';
 import { Settings } from '../settings/settings';
+import { createNdjsonParser } from './ndjson-parser';
+import { BulkExportUtils } from './bulk-export';
+
+// Size of the slices fed to the NDJSON parser when counting in-memory data
+const NDJSON_CHUNK_SIZE = 1024 * 1024;
 
 /**
  * FHIR utilities for handling FHIR data
@@ -22,18 +27,37 @@ export const FhirUtils = {
   },
   
   /**
-   * Parse FHIR NDJSON data
+   * Parse FHIR NDJSON data. Lines that fail to parse are skipped and logged;
+   * use parseNdjsonWithErrors to get them back.
    * @param {String} ndjsonString - FHIR NDJSON data as string
-   * @return {Array} Array of parsed FHIR resources or empty array if invalid
+   * @return {Array} Array of parsed FHIR resources
    */
   parseNdjson: function(ndjsonString) {
-    try {
-      const lines = ndjsonString.split('\n').filter(line => line.trim());
-      return lines.map(line => JSON.parse(line));
-    } catch (e) {
-      console.error('Error parsing FHIR NDJSON:', e);
-      return [];
+    const result = this.parseNdjsonWithErrors(ndjsonString);
+    
+    if (result.errorCount > 0) {
+      console.error(`Skipped ${result.errorCount} invalid NDJSON line(s), first at line ${result.errors[0].line}: ${result.errors[0].message}`);
     }
+    
+    return result.resources;
+  },
+  
+  /**
+   * Parse FHIR NDJSON data, collecting per-line errors
+   * @param {String} ndjsonString - FHIR NDJSON data as string
+   * @return {Object} { resources, errors: [{ line, message, text }], errorCount, lines }
+   */
+  parseNdjsonWithErrors: function(ndjsonString) {
+    const parser = createNdjsonParser();
+    const parsed = parser.push(ndjsonString || '').concat(parser.end());
+    const result = parser.getResult();
+    
+    return {
+      resources: parsed.map(entry => entry.resource),
+      errors: result.errors,
+      errorCount: result.errorCount,
+      lines: result.lines
+    };
   },
   
   /**
@@ -74,9 +98,9 @@ export const FhirUtils = {
   },
   
   /**
-   * Detect if data is FHIR Bundle or NDJSON
+   * Detect if data is FHIR Bundle, NDJSON or a Bulk Data $export manifest
    * @param {String} data - Data to detect
-   * @return {String} 'bundle', 'ndjson', or 'unknown'
+   * @return {String} 'bundle', 'ndjson', 'bulk-manifest', or 'unknown'
    */
   detectFormat: function(data) {
     if (!data) return 'unknown';
@@ -91,15 +115,17 @@ export const FhirUtils = {
       if (parsed.resourceType) {
         return 'bundle';
       }
+      if (BulkExportUtils.isManifest(parsed)) {
+        return 'bulk-manifest';
+      }
     } catch (e) {
       // Not valid JSON, try NDJSON
       try {
-        const lines = data.split('\n').filter(line => line.trim());
-        if (lines.length > 0) {
-          const firstLine = JSON.parse(lines[0]);
-          if (firstLine.resourceType) {
-            return 'ndjson';
-          }
+        const start = data.search(/\S/);
+        const end = data.indexOf('\n', start);
+        const firstLine = start === -1 ? '' : data.substring(start, end === -1 ? data.length : end);
+        if (firstLine && JSON.parse(firstLine).resourceType) {
+          return 'ndjson';
         }
       } catch (e2) {
         // Not valid NDJSON either
@@ -109,65 +135,52 @@ export const FhirUtils = {
     return 'unknown';
   },
   
-  /**
-   * Validate FHIR resources
-   * @param {Object|Array} resources - FHIR resource or array of resources
-   * @return {Object} Validation results
-   */
-  validateResources: function(resources) {
-    // For now, just do basic validation
-    // In the future, we can use a proper FHIR validator
-    const resourcesArray = Array.isArray(resources) ? resources : [resources];
-    
-    const results = resourcesArray.map(resource => {
-      const resourceType = get(resource, 'resourceType');
-      const id = get(resource, 'id', '');
-      
-      if (!resourceType) {
-        return {
-          resource: id,
-          valid: false,
-          errors: ['Missing resourceType']
-        };
-      }
-      
-      // Add more validation as needed
-      
-      return {
-        resource: id || resourceType,
-        valid: true,
-        errors: []
-      };
-    });
-    
-    return {
-      valid: results.every(r => r.valid),
-      results: results
-    };
-  },
-  
   /**
    * Count resources in FHIR data
    * @param {Object|String} data - FHIR data (Bundle or NDJSON)
-   * @return {Object} Count of resources by type
+   * @param {Object} options - { onResource(resource, { fullUrl, line }) } called for every resource counted
+   * @return {Object} Count of resources by type, plus per-line errors for NDJSON
    */
-  countResources: function(data) {
+  countResources: function(data, options = {}) {
+    const onResource = options.onResource || function() {};
     let resources = [];
     
     if (typeof data === 'string') {
       const format = this.detectFormat(data);
       if (format === 'bundle') {
-        const bundle = this.parseJson(data);
-        resources = get(bundle, 'entry', []).map(e => e.resource).filter(r => r);
+        data = this.parseJson(data);
       } else if (format === 'ndjson') {
-        resources = this.parseNdjson(data);
+        // Count line by line without keeping the parsed resources around
+        const parser = createNdjsonParser();
+        const deliver = entries => entries.forEach(entry => onResource(entry.resource, { line: entry.line }));
+        for (let offset = 0; offset < data.length; offset += NDJSON_CHUNK_SIZE) {
+          deliver(parser.push(data.substring(offset, offset + NDJSON_CHUNK_SIZE)));
+        }
+        deliver(parser.end());
+        const result = parser.getResult();
+        
+        return {
+          total: result.total,
+          types: result.types,
+          errors: result.errors,
+          errorCount: result.errorCount
+        };
       }
+    }
+    
+    if (!data || typeof data !== 'object') {
+      resources = [];
     } else if (data.resourceType === 'Bundle') {
-      resources = get(data, 'entry', []).map(e => e.resource).filter(r => r);
+      // Keep fullUrl so urn:uuid references between entries can be resolved
+      resources = get(data, 'entry', []).filter(e => e.resource);
+      resources.forEach(e => onResource(e.resource, { fullUrl: e.fullUrl }));
+      resources = resources.map(e => e.resource);
     } else if (Array.isArray(data)) {
       resources = data;
+      resources.forEach(resource => onResource(resource, {}));
     } else if (data.resourceType) {
       resources = [data];
+      onResource(data, {});
     }
     
     // Count by resource type
@@ -0,0 +1,113 @@
+// Longest excerpt of an offending line kept with a parse error
+const MAX_EXCERPT_LENGTH = 200;
+
+/**
+ * Create an incremental NDJSON parser. Text is pushed in chunks of any size;
+ * complete lines are parsed as they arrive so memory use is bounded by the
+ * chunk size rather than the file size. Lines that fail to parse are recorded
+ * with their line number and skipped, instead of failing the whole file.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxErrors - Maximum errors kept in detail (default 100); all are counted
+ * @return {Object} Parser with push(chunk), end() and getResult()
+ */
+export function createNdjsonParser(options = {}) {
+  const maxErrors = options.maxErrors !== undefined ? options.maxErrors : 100;
+
+  let remainder = '';
+  let lineNumber = 0;
+  let count = 0;
+  let errorCount = 0;
+  const types = {};
+  const errors = [];
+
+  function addError(line, message, text) {
+    errorCount++;
+    if (errors.length < maxErrors) {
+      errors.push({
+        line: line,
+        message: message,
+        text: text.length > MAX_EXCERPT_LENGTH ? text.substring(0, MAX_EXCERPT_LENGTH) + '…' : text
+      });
+    }
+  }
+
+  function parseLine(text, parsed) {
+    lineNumber++;
+
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    let resource;
+    try {
+      resource = JSON.parse(trimmed);
+    } catch (e) {
+      addError(lineNumber, `Invalid JSON: ${e.message}`, trimmed);
+      return;
+    }
+
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      addError(lineNumber, 'Line is not a JSON object', trimmed);
+      return;
+    }
+
+    if (!resource.resourceType) {
+      addError(lineNumber, 'Missing resourceType', trimmed);
+      return;
+    }
+
+    count++;
+    types[resource.resourceType] = (types[resource.resourceType] || 0) + 1;
+    parsed.push({ line: lineNumber, resource: resource });
+  }
+
+  return {
+    /**
+     * Parse the complete lines in a chunk of text
+     * @param {String} chunk - Next piece of NDJSON text
+     * @return {Array} Array of { line, resource } parsed from this chunk
+     */
+    push: function(chunk) {
+      const parsed = [];
+      const text = remainder + chunk;
+
+      let start = 0;
+      let newline = text.indexOf('\n', start);
+      while (newline !== -1) {
+        parseLine(text.substring(start, newline), parsed);
+        start = newline + 1;
+        newline = text.indexOf('\n', start);
+      }
+
+      remainder = text.substring(start);
+      return parsed;
+    },
+
+    /**
+     * Parse any trailing line without a final newline
+     * @return {Array} Array of { line, resource }
+     */
+    end: function() {
+      const parsed = [];
+      if (remainder) {
+        parseLine(remainder, parsed);
+        remainder = '';
+      }
+      return parsed;
+    },
+
+    /**
+     * Summary of everything parsed so far
+     * @return {Object} { lines, total, types, errors, errorCount }
+     */
+    getResult: function() {
+      return {
+        lines: lineNumber,
+        total: count,
+        types: { ...types },
+        errors: errors.slice(),
+        errorCount: errorCount
+      };
+    }
+  };
+}
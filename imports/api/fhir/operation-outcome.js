@@ -0,0 +1,165 @@
+import { Meteor } from 'meteor/meteor';
+import { get } from 'lodash';
+
+// Issue severities from most to least serious
+export const ISSUE_SEVERITIES = ['fatal', 'error', 'warning', 'information'];
+
+/**
+ * Helpers for building and reading FHIR OperationOutcome resources, so every
+ * FHIR-related failure is reported the same way a FHIR server would report it
+ */
+export const OperationOutcomeUtils = {
+  /**
+   * Build a single OperationOutcome issue
+   * @param {String} severity - 'fatal', 'error', 'warning' or 'information'
+   * @param {String} code - Issue type code (http://hl7.org/fhir/issue-type)
+   * @param {String} diagnostics - Human readable description
+   * @param {String|Array} expression - Optional FHIRPath expression(s) locating the issue
+   * @return {Object} OperationOutcome.issue element
+   */
+  createIssue: function(severity, code, diagnostics, expression) {
+    const issue = {
+      severity: severity || 'error',
+      code: code || 'exception'
+    };
+
+    if (diagnostics) {
+      issue.diagnostics = String(diagnostics);
+    }
+
+    const expressions = [].concat(expression || []).filter(e => e);
+    if (expressions.length > 0) {
+      issue.expression = expressions;
+    }
+
+    return issue;
+  },
+
+  /**
+   * Build an OperationOutcome resource
+   * @param {Array} issues - OperationOutcome.issue elements
+   * @return {Object} OperationOutcome resource
+   */
+  create: function(issues) {
+    const issueArray = [].concat(issues || []);
+
+    return {
+      resourceType: 'OperationOutcome',
+      issue: issueArray.length > 0 ?
+        issueArray :
+        [this.createIssue('information', 'informational', 'All OK')]
+    };
+  },
+
+  /**
+   * Convert FhirValidator issues ({ severity, code, location, message }) into
+   * an OperationOutcome. The optional file and resource fields added by
+   * torrents.create are folded into the diagnostics text.
+   * @param {Array} issues - Validator issues
+   * @return {Object} OperationOutcome resource
+   */
+  fromValidationIssues: function(issues) {
+    const self = this;
+
+    return this.create((issues || []).map(function(issue) {
+      const source = [issue.file, issue.resource].filter(s => s).join(' ');
+      const diagnostics = source ? `${source}: ${issue.message}` : issue.message;
+      return self.createIssue(issue.severity, issue.code, diagnostics, issue.location);
+    }));
+  },
+
+  /**
+   * Wrap an OperationOutcome in a Meteor.Error so it reaches the client intact
+   * in error.details
+   * @param {String} error - Meteor error code (e.g. 'validation-failed')
+   * @param {String} reason - Summary message
+   * @param {Object} outcome - OperationOutcome resource
+   * @return {Meteor.Error} Error to throw
+   */
+  toError: function(error, reason, outcome) {
+    return new Meteor.Error(error, reason, outcome);
+  },
+
+  /**
+   * Shortcut for the common single-issue error
+   * @param {String} error - Meteor error code
+   * @param {String} code - Issue type code
+   * @param {String} reason - Summary message, also used as diagnostics
+   * @param {String} expression - Optional FHIRPath expression
+   * @return {Meteor.Error} Error to throw
+   */
+  error: function(error, code, reason, expression) {
+    return this.toError(error, reason, this.create([
+      this.createIssue('error', code, reason, expression)
+    ]));
+  },
+
+  /**
+   * Check whether a value is an OperationOutcome resource
+   * @param {Object} value - Value to check
+   * @return {Boolean} True for OperationOutcome resources
+   */
+  isOperationOutcome: function(value) {
+    return !!value && typeof value === 'object' &&
+      value.resourceType === 'OperationOutcome' &&
+      Array.isArray(value.issue);
+  },
+
+  /**
+   * Get the OperationOutcome carried by an error, or synthesise one from its message
+   * @param {Error|Meteor.Error} err - Error raised by a method call
+   * @param {String} code - Issue type code to use when synthesising
+   * @return {Object} OperationOutcome resource
+   */
+  fromError: function(err, code = 'exception') {
+    if (this.isOperationOutcome(get(err, 'details'))) {
+      return err.details;
+    }
+
+    const reason = get(err, 'reason') || get(err, 'message') || 'Unknown error';
+    const diagnostics = typeof get(err, 'details') === 'string' ? `${reason}\n${err.details}` : reason;
+
+    return this.create([this.createIssue('error', code, diagnostics)]);
+  },
+
+  /**
+   * Rethrow an error as a Meteor.Error carrying an OperationOutcome, keeping
+   * the original error code and outcome when present
+   * @param {Error|Meteor.Error} err - Caught error
+   * @param {String} fallbackError - Meteor error code for plain errors
+   * @param {String} fallbackReason - Message when the error has none
+   * @return {Meteor.Error} Error to throw
+   */
+  wrapError: function(err, fallbackError, fallbackReason) {
+    const isMeteorError = err instanceof Meteor.Error;
+    const error = isMeteorError ? err.error : fallbackError;
+    const reason = (isMeteorError ? err.reason : err.message) || fallbackReason;
+
+    return this.toError(error, reason, this.fromError(err));
+  },
+
+  /**
+   * Check whether an OperationOutcome contains errors
+   * @param {Object} outcome - OperationOutcome resource
+   * @return {Boolean} True if any issue is fatal or an error
+   */
+  hasErrors: function(outcome) {
+    return get(outcome, 'issue', []).some(i => i.severity === 'fatal' || i.severity === 'error');
+  },
+
+  /**
+   * Group issues by severity, most serious first, omitting empty groups
+   * @param {Object} outcome - OperationOutcome resource
+   * @return {Array} Array of { severity, issues }
+   */
+  groupBySeverity: function(outcome) {
+    const issues = get(outcome, 'issue', []);
+
+    return ISSUE_SEVERITIES
+      .map(severity => ({
+        severity: severity,
+        issues: issues.filter(i => i.severity === severity)
+      }))
+      .filter(group => group.issues.length > 0);
+  }
+};
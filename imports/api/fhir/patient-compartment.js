@@ -0,0 +1,253 @@
+import { get } from 'lodash';
+import { FhirUtils } from './fhir-utils';
+import { ResourceSummary } from './resource-summary';
+import { referenceKey } from './reference-resolver';
+
+// Identifier system used for patients that carry no identifier; the value is scoped to the share
+export const SHARE_LOCAL_SYSTEM = 'urn:fhir-p2p:share';
+
+/**
+ * Elements linking each resource type to the Patient compartment, from the
+ * search parameters in the R4 CompartmentDefinition
+ * (http://hl7.org/fhir/R4/compartmentdefinition-patient.html)
+ */
+export const PATIENT_COMPARTMENT = {
+  Account: ['subject'],
+  AdverseEvent: ['subject'],
+  AllergyIntolerance: ['patient', 'recorder', 'asserter'],
+  Appointment: ['participant.actor'],
+  AppointmentResponse: ['actor'],
+  AuditEvent: ['agent.who', 'entity.what'],
+  Basic: ['subject', 'author'],
+  BodyStructure: ['patient'],
+  CarePlan: ['subject', 'activity.detail.performer'],
+  CareTeam: ['subject', 'participant.member'],
+  ChargeItem: ['subject'],
+  Claim: ['patient', 'payee.party'],
+  ClaimResponse: ['patient'],
+  ClinicalImpression: ['subject'],
+  Communication: ['subject', 'sender', 'recipient'],
+  CommunicationRequest: ['subject', 'sender', 'recipient', 'requester'],
+  Composition: ['subject', 'author', 'attester.party'],
+  Condition: ['subject', 'asserter'],
+  Consent: ['patient'],
+  Coverage: ['policyHolder', 'subscriber', 'beneficiary', 'payor'],
+  CoverageEligibilityRequest: ['patient'],
+  CoverageEligibilityResponse: ['patient'],
+  DetectedIssue: ['patient'],
+  DeviceRequest: ['subject', 'performer'],
+  DeviceUseStatement: ['subject'],
+  DiagnosticReport: ['subject'],
+  DocumentManifest: ['subject', 'author', 'recipient'],
+  DocumentReference: ['subject', 'author'],
+  Encounter: ['subject'],
+  EnrollmentRequest: ['candidate'],
+  EpisodeOfCare: ['patient'],
+  ExplanationOfBenefit: ['patient', 'payee.party'],
+  FamilyMemberHistory: ['patient'],
+  Flag: ['subject'],
+  Goal: ['subject'],
+  Group: ['member.entity'],
+  ImagingStudy: ['subject'],
+  Immunization: ['patient'],
+  ImmunizationEvaluation: ['patient'],
+  ImmunizationRecommendation: ['patient'],
+  Invoice: ['subject', 'recipient'],
+  List: ['subject', 'source'],
+  MeasureReport: ['subject'],
+  Media: ['subject'],
+  MedicationAdministration: ['subject', 'performer.actor'],
+  MedicationDispense: ['subject', 'receiver'],
+  MedicationRequest: ['subject'],
+  MedicationStatement: ['subject'],
+  MolecularSequence: ['patient'],
+  NutritionOrder: ['patient'],
+  Observation: ['subject', 'performer'],
+  Patient: ['link.other'],
+  Person: ['link.target'],
+  Procedure: ['subject', 'performer.actor'],
+  Provenance: ['target'],
+  QuestionnaireResponse: ['subject', 'author'],
+  RelatedPerson: ['patient'],
+  RequestGroup: ['subject', 'action.participant'],
+  ResearchSubject: ['individual'],
+  RiskAssessment: ['subject'],
+  Schedule: ['actor'],
+  ServiceRequest: ['subject', 'performer'],
+  Specimen: ['subject'],
+  SupplyDelivery: ['patient'],
+  SupplyRequest: ['requester'],
+  VisionPrescription: ['patient']
+};
+
+/**
+ * Values at a dotted path, flattening arrays along the way
+ * @param {Object} value - Element to start from
+ * @param {Array} segments - Path segments
+ * @return {Array} Values found
+ */
+function valuesAt(value, segments) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, segments));
+  if (segments.length === 0) return [value];
+  return valuesAt(value[segments[0]], segments.slice(1));
+}
+
+/**
+ * Build the Patient compartment for the resources of one share
+ */
+export const PatientCompartment = {
+  /**
+   * Index keys ('system|value') for a Patient resource. Patients with no
+   * usable identifier get a key scoped to the share so they still appear.
+   * @param {Object} patient - Patient resource
+   * @param {String} shareId - Info hash of the share the Patient came from
+   * @return {Array} Array of { key, system, value }
+   */
+  getPatientKeys: function(patient, shareId) {
+    const keys = get(patient, 'identifier', [])
+      .filter(identifier => identifier.system && identifier.value)
+      .map(identifier => ({
+        key: `${identifier.system}|${identifier.value}`,
+        system: identifier.system,
+        value: identifier.value
+      }));
+
+    if (keys.length > 0) return keys;
+
+    const value = `${shareId}/Patient/${patient.id || 'unknown'}`;
+    return [{ key: `${SHARE_LOCAL_SYSTEM}|${value}`, system: SHARE_LOCAL_SYSTEM, value: value }];
+  },
+
+  /**
+   * References a resource makes through its Patient compartment elements
+   * @param {Object} resource - FHIR resource
+   * @return {Array} Reference elements ({ reference } and/or { identifier })
+   */
+  getCompartmentReferences: function(resource) {
+    const paths = PATIENT_COMPARTMENT[resource.resourceType] || [];
+
+    return paths
+      .flatMap(path => valuesAt(resource, path.split('.')))
+      .filter(ref => ref && typeof ref === 'object' && (ref.reference || ref.identifier));
+  },
+
+  /**
+   * Build the Patient compartment of one share in two passes over its
+   * resources, so large shares can be streamed rather than held in memory:
+   * every resource goes to addPatient first, then to resolve
+   * @param {String} shareId - Info hash of the share
+   * @return {Object} { addPatient(resource, fullUrl), resolve(resource, file), getPatients() }
+   */
+  createCollector: function(shareId) {
+    const self = this;
+    const localPatients = {};   // 'Patient/id' or fullUrl -> index keys
+    const patients = {};
+
+    return {
+      /**
+       * First pass: note a Patient under its index keys
+       * @param {Object} resource - Any resource; others are ignored
+       * @param {String} fullUrl - Bundle entry fullUrl, if any
+       */
+      addPatient: function(resource, fullUrl) {
+        if (resource.resourceType !== 'Patient') return;
+
+        const keys = self.getPatientKeys(resource, shareId);
+        const localIds = [resource.id && `Patient/${resource.id}`, fullUrl].filter(id => id);
+
+        localIds.forEach(function(localId) {
+          localPatients[localId] = keys.map(k => k.key);
+        });
+
+        keys.forEach(function(k) {
+          const patient = patients[k.key] = patients[k.key] || { ...k, names: [], patientIds: [] };
+          const name = ResourceSummary.summarize({ resourceType: 'Patient', name: resource.name });
+          if (name && !patient.names.includes(name)) patient.names.push(name);
+          if (resource.id && !patient.patientIds.includes(resource.id)) patient.patientIds.push(resource.id);
+          patient.gender = patient.gender || resource.gender;
+          patient.birthDate = patient.birthDate || resource.birthDate;
+        });
+      },
+
+      /**
+       * Second pass: the compartment entry for a resource, once every Patient is known
+       * @param {Object} resource - FHIR resource
+       * @param {String} file - File it came from
+       * @return {Object} { patientKeys, resourceType, id, summary, lastUpdated, file, resource }, or null outside the compartment
+       */
+      resolve: function(resource, file) {
+        const keys = new Set();
+
+        if (resource.resourceType === 'Patient') {
+          self.getPatientKeys(resource, shareId).forEach(k => keys.add(k.key));
+        }
+
+        self.getCompartmentReferences(resource).forEach(function(ref) {
+          const local = localPatients[ref.reference] || localPatients[referenceKey(ref.reference)];
+          if (local) {
+            local.forEach(key => keys.add(key));
+          } else if (ref.type === 'Patient' && get(ref, 'identifier.system') && get(ref, 'identifier.value')) {
+            // Logical reference to a Patient held elsewhere; untyped ones may be practitioners, devices...
+            const key = `${ref.identifier.system}|${ref.identifier.value}`;
+            keys.add(key);
+            patients[key] = patients[key] || {
+              key: key,
+              system: ref.identifier.system,
+              value: ref.identifier.value,
+              names: [],
+              patientIds: []
+            };
+          }
+        });
+
+        if (keys.size === 0) return null;
+
+        return {
+          patientKeys: Array.from(keys),
+          resourceType: resource.resourceType,
+          id: resource.id || '',
+          summary: ResourceSummary.summarize(resource),
+          lastUpdated: get(resource, 'meta.lastUpdated', ''),
+          file: file,
+          resource: resource
+        };
+      },
+
+      /**
+       * Patients found so far
+       * @return {Array} [{ key, system, value, names, gender, birthDate, patientIds }]
+       */
+      getPatients: function() {
+        return Object.keys(patients).map(key => patients[key]);
+      }
+    };
+  },
+
+  /**
+   * Extract the Patient compartment from every file of a share
+   * @param {Object} contents - Object with filename keys and content values
+   * @param {String} shareId - Info hash of the share
+   * @return {Object} { patients: [{ key, system, value, names, gender, birthDate, patientIds }],
+   *   resources: [{ patientKeys, resourceType, id, summary, lastUpdated, file, resource }] }
+   */
+  extract: function(contents, shareId) {
+    const collector = this.createCollector(shareId);
+    const eachResource = function(fn) {
+      Object.keys(contents || {}).forEach(function(file) {
+        FhirUtils.countResources(contents[file], { onResource: (resource, context) => fn(resource, file, context) });
+      });
+    };
+
+    // Patients may come after the resources that point at them, so resolve once everything is read
+    eachResource((resource, file, context) => collector.addPatient(resource, context.fullUrl));
+
+    const resources = [];
+    eachResource(function(resource, file) {
+      const entry = collector.resolve(resource, file);
+      if (entry) resources.push(entry);
+    });
+
+    return { patients: collector.getPatients(), resources };
+  }
+};
@@ -0,0 +1,294 @@
+import { get } from 'lodash';
+import { OperationOutcomeUtils } from './operation-outcome';
+import { ResourceSummary } from './resource-summary';
+import { FhirUtils } from './fhir-utils';
+
+// Unresolved references kept in detail; all are counted
+const DEFAULT_MAX_UNRESOLVED = 500;
+
+// Elements that never hold references worth following
+const SKIPPED_ELEMENTS = ['text', 'contained', 'meta'];
+
+/**
+ * Strip a version suffix so 'Patient/1/_history/2' matches 'Patient/1'
+ * @param {String} reference - Reference string
+ * @return {String} Reference without /_history/[vid]
+ */
+function stripHistory(reference) {
+  return reference.replace(/\/_history\/[^/]+$/, '');
+}
+
+/**
+ * Trailing 'Type/id' of a relative or absolute RESTful reference
+ * @param {String} reference - Reference string
+ * @return {String} 'Type/id' or null
+ */
+function typeAndId(reference) {
+  const match = stripHistory(reference).match(/([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})$/);
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Local key a reference points at when it names a resource by type and id
+ * ('Patient/1', 'https://x/fhir/Patient/1/_history/2'); urn: and contained
+ * references have no such key and resolve through fullUrl instead
+ * @param {String} reference - Reference string
+ * @return {String} 'Type/id' or null
+ */
+export function referenceKey(reference) {
+  if (typeof reference !== 'string' || reference.startsWith('#') || reference.startsWith('urn:')) {
+    return null;
+  }
+  return typeAndId(reference);
+}
+
+/**
+ * Collect every Reference.reference in a resource
+ * @param {*} value - Element to walk
+ * @param {String} path - FHIRPath-style path of value
+ * @param {Array} found - Collected { path, reference }
+ */
+function collectReferences(value, path, found) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => collectReferences(item, `${path}[${index}]`, found));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  if (typeof value.reference === 'string') {
+    found.push({ path: path, reference: value.reference });
+  }
+
+  Object.keys(value).forEach(function(key) {
+    if (key === 'reference' || SKIPPED_ELEMENTS.includes(key)) return;
+    collectReferences(value[key], path ? `${path}.${key}` : key, found);
+  });
+}
+
+/**
+ * Create a resolver for the references between resources in a share.
+ * Resources are added one at a time (from Bundles with their fullUrl, or
+ * NDJSON lines); references are resolved once everything has been added,
+ * so they may point at resources in any file of the share.
+ *
+ * Handles relative ('Patient/1'), absolute ('https://x/fhir/Patient/1'),
+ * urn:uuid / urn:oid fullUrl and contained ('#id') references.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxUnresolved - Maximum unresolved references kept in detail (default 500)
+ * @return {Object} Resolver with add(resource, context) and resolve()
+ */
+export function createReferenceResolver(options = {}) {
+  const maxUnresolved = options.maxUnresolved !== undefined ? options.maxUnresolved : DEFAULT_MAX_UNRESOLVED;
+
+  const nodes = {};
+  const byFullUrl = {};
+  const pending = [];
+  let count = 0;
+
+  return {
+    /**
+     * Add a resource and remember the references it makes
+     * @param {Object} resource - FHIR resource
+     * @param {Object} context - { fullUrl, file }
+     * @return {String} Key the resource is known by ('Type/id', else its fullUrl)
+     */
+    add: function(resource, context = {}) {
+      if (!resource || !resource.resourceType) return null;
+
+      count++;
+      const key = resource.id ?
+        `${resource.resourceType}/${resource.id}` :
+        (context.fullUrl || `${context.file || 'resource'}#${count}`);
+
+      nodes[key] = {
+        key: key,
+        resourceType: resource.resourceType,
+        id: resource.id || '',
+        summary: ResourceSummary.summarize(resource),
+        file: context.file
+      };
+
+      if (context.fullUrl) {
+        byFullUrl[stripHistory(context.fullUrl)] = key;
+      }
+
+      const contained = get(resource, 'contained', []).map(r => r.id).filter(id => id);
+      const found = [];
+      collectReferences(resource, '', found);
+
+      found.forEach(function(ref) {
+        pending.push({
+          source: key,
+          path: `${resource.resourceType}.${ref.path}`,
+          reference: ref.reference,
+          contained: contained,
+          file: context.file
+        });
+      });
+
+      return key;
+    },
+
+    /**
+     * Resolve every reference seen so far
+     * @return {Object} { total, referenceCount, resolvedCount, unresolvedCount,
+     *   unresolved: [{ source, path, reference, file }], nodes: { key: node }, edges: [{ from, to, path }] }
+     */
+    resolve: function() {
+      const edges = [];
+      const unresolved = [];
+      let resolvedCount = 0;
+      let unresolvedCount = 0;
+
+      pending.forEach(function(ref) {
+        let target = null;
+        let resolved = false;
+
+        if (ref.reference.startsWith('#')) {
+          // Contained resources live inside the source; no edge between resources
+          resolved = ref.reference === '#' || ref.contained.includes(ref.reference.substring(1));
+        } else {
+          const reference = stripHistory(ref.reference);
+          target = byFullUrl[reference] || null;
+
+          if (!target) {
+            const local = referenceKey(reference);
+            target = local && nodes[local] ? local : null;
+          }
+          resolved = !!target;
+        }
+
+        if (resolved) {
+          resolvedCount++;
+          if (target) {
+            edges.push({ from: ref.source, to: target, path: ref.path });
+          }
+        } else {
+          unresolvedCount++;
+          if (unresolved.length < maxUnresolved) {
+            unresolved.push({ source: ref.source, path: ref.path, reference: ref.reference, file: ref.file });
+          }
+        }
+      });
+
+      return {
+        total: count,
+        referenceCount: pending.length,
+        resolvedCount: resolvedCount,
+        unresolvedCount: unresolvedCount,
+        unresolved: unresolved,
+        nodes: nodes,
+        edges: edges
+      };
+    }
+  };
+}
+
+/**
+ * Reports and graphs built from a resolved reference set
+ */
+export const ReferenceGraph = {
+  /**
+   * Resolve references across every file of a share
+   * @param {Object} contents - Object with filename keys and content values
+   * @param {Object} options - Resolver options
+   * @return {Object} Result of resolver.resolve()
+   */
+  fromFiles: function(contents, options) {
+    const resolver = createReferenceResolver(options);
+
+    Object.keys(contents || {}).forEach(function(file) {
+      FhirUtils.countResources(contents[file], {
+        onResource: (resource, context) => resolver.add(resource, { fullUrl: context.fullUrl, file })
+      });
+    });
+
+    return resolver.resolve();
+  },
+
+  /**
+   * Report unresolved references as an OperationOutcome
+   * @param {Object} result - Result of resolver.resolve()
+   * @return {Object} OperationOutcome, or null when every reference resolved
+   */
+  toOutcome: function(result) {
+    if (result.unresolvedCount === 0) return null;
+
+    const issues = result.unresolved.map(ref => OperationOutcomeUtils.createIssue(
+      'warning',
+      'not-found',
+      `${ref.source}${ref.file ? ` (${ref.file})` : ''}: ${ref.reference} does not resolve to a resource in this share`,
+      ref.path
+    ));
+
+    const hidden = result.unresolvedCount - result.unresolved.length;
+    if (hidden > 0) {
+      issues.push(OperationOutcomeUtils.createIssue('information', 'informational', `${hidden} more unresolved references not listed`));
+    }
+
+    return OperationOutcomeUtils.create(issues);
+  },
+
+  /**
+   * Resources that reference a Patient, directly or through one of its
+   * Encounters, laid out as Patient → Encounter → everything else
+   * @param {Object} result - Result of resolver.resolve()
+   * @param {String} patientKey - Patient node key
+   * @param {Number} maxNodes - Stop adding nodes beyond this many
+   * @return {Object} { columns: [[node], [node], [node]], edges: [{ from, to, path }], truncated }
+   */
+  patientGraph: function(result, patientKey, maxNodes = 200) {
+    const patient = result.nodes[patientKey];
+    if (!patient) return { columns: [[], [], []], edges: [], truncated: false };
+
+    const included = { [patientKey]: 0 };
+    const columns = [[patient], [], []];
+    let size = 1;
+    let truncated = false;
+
+    function include(key, column) {
+      if (included[key] !== undefined) return true;
+      if (size >= maxNodes) {
+        truncated = true;
+        return false;
+      }
+      included[key] = column;
+      columns[column].push(result.nodes[key]);
+      size++;
+      return true;
+    }
+
+    // Encounters take the middle column; whatever points at the Patient or one of them goes right
+    result.edges.forEach(function(edge) {
+      if (edge.to === patientKey && result.nodes[edge.from].resourceType === 'Encounter') {
+        include(edge.from, 1);
+      }
+    });
+
+    result.edges.forEach(function(edge) {
+      if (included[edge.to] === undefined || included[edge.from] !== undefined) return;
+      if (edge.to === patientKey || included[edge.to] === 1) {
+        include(edge.from, 2);
+      }
+    });
+
+    const edges = result.edges.filter(edge =>
+      included[edge.from] !== undefined &&
+      included[edge.to] !== undefined &&
+      included[edge.from] > included[edge.to]);
+
+    return { columns, edges, truncated };
+  },
+
+  /**
+   * Patients in a resolved set
+   * @param {Object} result - Result of resolver.resolve()
+   * @return {Array} Patient nodes
+   */
+  getPatients: function(result) {
+    return Object.keys(result.nodes)
+      .map(key => result.nodes[key])
+      .filter(node => node.resourceType === 'Patient');
+  }
+};
@@ -0,0 +1,205 @@
+import { get } from 'lodash';
+import { FhirUtils } from './fhir-utils';
+import { createNdjsonParser } from './ndjson-parser';
+
+/**
+ * Display text for a CodeableConcept: its text, else the first coding's display or code
+ * @param {Object} concept - CodeableConcept
+ * @return {String} Text or ''
+ */
+function conceptText(concept) {
+  if (!concept) return '';
+  if (concept.text) return concept.text;
+
+  const coding = get(concept, 'coding', []).find(c => c.display || c.code);
+  return coding ? (coding.display || coding.code) : '';
+}
+
+/**
+ * Display text for a HumanName
+ * @param {Object} name - HumanName
+ * @return {String} Text or ''
+ */
+function nameText(name) {
+  if (!name) return '';
+  if (name.text) return name.text;
+  return [].concat(name.given || [], name.family || []).join(' ');
+}
+
+/**
+ * Display text for a Reference
+ * @param {Object} reference - Reference
+ * @return {String} Display, reference or ''
+ */
+function referenceText(reference) {
+  if (!reference) return '';
+  return reference.display || reference.reference || '';
+}
+
+/**
+ * Display text for a Period
+ * @param {Object} period - Period
+ * @return {String} 'start – end' or ''
+ */
+function periodText(period) {
+  if (!period || (!period.start && !period.end)) return '';
+  return `${period.start || '?'} – ${period.end || 'ongoing'}`;
+}
+
+/**
+ * Display text for a value[x] element
+ * @param {Object} element - Element holding a value[x]
+ * @param {String} prefix - 'value' for Observation.value[x]
+ * @return {String} Text or ''
+ */
+function valueText(element, prefix) {
+  if (!element) return '';
+
+  const key = Object.keys(element).find(k => k.startsWith(prefix) && k.length > prefix.length);
+  if (!key) return '';
+
+  const value = element[key];
+  switch (key.slice(prefix.length)) {
+    case 'Quantity':
+      return [value.value, value.unit || value.code].filter(v => v !== undefined && v !== '').join(' ');
+    case 'CodeableConcept':
+      return conceptText(value);
+    case 'Period':
+      return periodText(value);
+    case 'Range':
+      return `${get(value, 'low.value', '?')} – ${get(value, 'high.value', '?')} ${get(value, 'high.unit', get(value, 'low.unit', ''))}`.trim();
+    case 'Ratio':
+      return `${get(value, 'numerator.value', '?')}/${get(value, 'denominator.value', '?')}`;
+    case 'Reference':
+      return referenceText(value);
+    default:
+      return typeof value === 'object' ? '' : String(value);
+  }
+}
+
+/**
+ * Join non-empty parts
+ * @param {Array} parts - Strings
+ * @return {String} Parts joined with ' · '
+ */
+function join(parts) {
+  return parts.filter(part => part).join(' · ');
+}
+
+// Type-specific summaries; anything not listed falls back to a generic summary
+const SUMMARIZERS = {
+  Patient: r => join([nameText(get(r, 'name[0]')), r.gender, r.birthDate]),
+  Practitioner: r => join([nameText(get(r, 'name[0]')), conceptText(get(r, 'qualification[0].code'))]),
+  RelatedPerson: r => join([nameText(get(r, 'name[0]')), conceptText(get(r, 'relationship[0]'))]),
+  Organization: r => join([r.name, conceptText(get(r, 'type[0]'))]),
+  Location: r => join([r.name, get(r, 'address.city')]),
+  Observation: r => join([
+    conceptText(r.code),
+    valueText(r, 'value') || (r.component ? `${r.component.length} components` : ''),
+    r.effectiveDateTime
+  ]),
+  Condition: r => join([conceptText(r.code), conceptText(r.clinicalStatus), r.onsetDateTime]),
+  Encounter: r => join([get(r, 'class.display') || get(r, 'class.code'), conceptText(get(r, 'type[0]')), periodText(r.period)]),
+  Procedure: r => join([conceptText(r.code), r.status, r.performedDateTime || periodText(r.performedPeriod)]),
+  MedicationRequest: r => join([conceptText(r.medicationCodeableConcept) || referenceText(r.medicationReference), r.status, r.authoredOn]),
+  MedicationStatement: r => join([conceptText(r.medicationCodeableConcept) || referenceText(r.medicationReference), r.status]),
+  Medication: r => join([conceptText(r.code), r.status]),
+  Immunization: r => join([conceptText(r.vaccineCode), r.status, r.occurrenceDateTime]),
+  AllergyIntolerance: r => join([conceptText(r.code), r.criticality]),
+  DiagnosticReport: r => join([conceptText(r.code), r.status, r.effectiveDateTime]),
+  DocumentReference: r => join([conceptText(r.type), r.description, r.date]),
+  Bundle: r => join([r.type, `${get(r, 'entry', []).length} entries`]),
+  OperationOutcome: r => join(get(r, 'issue', []).map(issue => `${issue.severity}: ${issue.diagnostics || issue.code}`))
+};
+
+/**
+ * Table rows and one-line summaries for browsing the resources in a file
+ */
+export const ResourceSummary = {
+  /**
+   * One-line, type-specific description of a resource
+   * (Patient name, Observation code and value, ...)
+   * @param {Object} resource - FHIR resource
+   * @return {String} Summary text, '' when nothing useful is found
+   */
+  summarize: function(resource) {
+    if (!resource || typeof resource !== 'object') return '';
+
+    const summarizer = SUMMARIZERS[resource.resourceType];
+    if (summarizer) {
+      return summarizer(resource);
+    }
+
+    // Most resources carry one of these
+    return join([
+      conceptText(resource.code) || resource.name || resource.title,
+      typeof resource.status === 'string' ? resource.status : '',
+      referenceText(resource.subject || resource.patient)
+    ]);
+  },
+
+  /**
+   * Turn file content into browser rows
+   * @param {String} content - Bundle JSON or NDJSON
+   * @return {Object} { format, rows: [{ key, resourceType, id, lastUpdated, summary, resource, line }], errors }
+   */
+  toRows: function(content) {
+    const self = this;
+    const format = FhirUtils.detectFormat(content);
+    let entries = [];
+    let errors = [];
+
+    if (format === 'bundle') {
+      const data = FhirUtils.parseJson(content);
+      // detectFormat also reports a single resource as 'bundle'
+      const resources = data.resourceType === 'Bundle' ?
+        get(data, 'entry', []).filter(entry => entry.resource).map(entry => entry.resource) :
+        [data];
+      entries = resources.map((resource, index) => ({ resource, line: null, index }));
+    } else if (format === 'ndjson') {
+      const parser = createNdjsonParser();
+      entries = parser.push(content).concat(parser.end())
+        .map((entry, index) => ({ resource: entry.resource, line: entry.line, index }));
+      errors = parser.getResult().errors;
+    }
+
+    return { format, rows: self.toEntryRows(entries), errors };
+  },
+
+  /**
+   * Turn resources into browser rows
+   * @param {Array} entries - [{ resource, line, index }], index being the resource's place in its file
+   * @return {Array} Array of { key, resourceType, id, lastUpdated, summary, resource, line }
+   */
+  toEntryRows: function(entries) {
+    const self = this;
+
+    return entries.map(function(entry) {
+      const resource = entry.resource;
+      return {
+        key: `${entry.index}`,
+        resourceType: resource.resourceType || 'Unknown',
+        id: resource.id || '',
+        lastUpdated: get(resource, 'meta.lastUpdated', ''),
+        summary: self.summarize(resource),
+        resource: resource,
+        line: entry.line
+      };
+    });
+  },
+
+  /**
+   * Group rows by resourceType, keeping file order within each group
+   * @param {Array} rows - Rows from toRows
+   * @return {Array} Array of { resourceType, rows }, sorted by type
+   */
+  groupByType: function(rows) {
+    const groups = {};
+
+    rows.forEach(function(row) {
+      (groups[row.resourceType] = groups[row.resourceType] || []).push(row);
+    });
+
+    return Object.keys(groups).sort().map(type => ({ resourceType: type, rows: groups[type] }));
+  }
+};
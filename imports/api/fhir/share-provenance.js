@@ -0,0 +1,203 @@
+import { FhirUtils } from './fhir-utils';
+
+// Bundle with the share's Provenance and DocumentReference, shipped in every new share
+export const PROVENANCE_FILENAME = 'provenance.json';
+
+// Identifier system for publishers, valued with their key fingerprint
+export const PUBLISHER_SYSTEM = 'urn:fhir-p2p:publisher';
+
+// Identifier system naming a share by its torrent info hash
+export const INFOHASH_SYSTEM = 'urn:fhir-p2p:infohash';
+
+// Provenance targets listed individually; larger shares target their DocumentReference only
+const MAX_TARGETS = 1000;
+
+const URI_SYSTEM = 'urn:ietf:rfc:3986';
+
+/**
+ * Where a share's data came from, as a Provenance entity
+ * @param {Object} source - { kind: 'share', infoHash, name } | { kind: 'server', url, query } | { kind: 'upload', name }
+ * @return {Object} Provenance.entity
+ */
+function toEntity(source) {
+  if (source.kind === 'share') {
+    return {
+      role: 'derivation',
+      what: { identifier: { system: INFOHASH_SYSTEM, value: source.infoHash }, display: source.name || source.infoHash }
+    };
+  }
+  if (source.kind === 'server') {
+    return {
+      role: 'source',
+      what: { identifier: { system: URI_SYSTEM, value: source.url }, display: source.query || source.url }
+    };
+  }
+  return { role: 'source', what: { display: source.name } };
+}
+
+/**
+ * Read a Provenance entity back into a source
+ * @param {Object} entity - Provenance.entity
+ * @return {Object} Source as accepted by toEntity
+ */
+function fromEntity(entity) {
+  const what = entity.what || {};
+  if (what.identifier && what.identifier.system === INFOHASH_SYSTEM) {
+    return { kind: 'share', infoHash: what.identifier.value, name: what.display };
+  }
+
+  if (what.identifier && what.identifier.system === URI_SYSTEM) {
+    const query = what.display !== what.identifier.value ? what.display : undefined;
+    return { kind: 'server', url: what.identifier.value, query: query };
+  }
+  return { kind: 'upload', name: what.display };
+}
+
+/**
+ * Lineage of shares: a Provenance (who packaged the data, from where, when)
+ * and a DocumentReference describing the share, bundled as provenance.json
+ */
+export const ShareProvenance = {
+  /**
+   * 'Type/id' of every resource with an id in a share's files
+   * @param {Array} fileData - Array of { name, data } objects
+   * @return {Array} Resource keys, in file order
+   */
+  resourceKeys: function(fileData) {
+    const keys = [];
+    fileData.forEach(function(file) {
+      FhirUtils.countResources(file.data, {
+        onResource: function(resource) {
+          if (resource && resource.resourceType && resource.id) {
+            keys.push(`${resource.resourceType}/${resource.id}`);
+          }
+        }
+      });
+    });
+    return keys;
+  },
+
+  /**
+   * Build provenance.json for a new share. The share's own info hash depends
+   * on this file, so the share is identified by a generated id instead.
+   * @param {Object} options
+   * @param {String} options.shareId - UUID of the new share (its DocumentReference)
+   * @param {String} options.provenanceId - UUID of its Provenance
+   * @param {String} options.name - Share name
+   * @param {String} options.description - Share description
+   * @param {Array} options.fileData - The share's files as they will be seeded
+   * @param {Object} options.publisher - { fingerprint, name } of this node
+   * @param {Array} options.sources - Where the data came from, see toEntity
+   * @param {Date} options.recorded - Creation time
+   * @return {String} Bundle JSON
+   */
+  build: function(options) {
+    const recorded = (options.recorded || new Date()).toISOString();
+    const documentUrl = `urn:uuid:${options.shareId}`;
+    const author = {
+      identifier: { system: PUBLISHER_SYSTEM, value: options.publisher.fingerprint },
+      display: options.publisher.name
+    };
+
+    const keys = ShareProvenance.resourceKeys(options.fileData);
+    const targets = [{ reference: documentUrl, display: options.name }]
+      .concat(keys.length <= MAX_TARGETS ? keys.map(key => ({ reference: key })) : []);
+
+    const documentReference = {
+      resourceType: 'DocumentReference',
+      id: options.shareId,
+      masterIdentifier: { system: URI_SYSTEM, value: documentUrl },
+      status: 'current',
+      type: { text: 'FHIR P2P share' },
+      date: recorded,
+      author: [author],
+      description: options.description || options.name,
+      relatesTo: options.sources.filter(source => source.kind === 'share').map(source => ({
+        code: 'transforms',
+        target: { identifier: { system: INFOHASH_SYSTEM, value: source.infoHash }, display: source.name || source.infoHash }
+      })),
+      content: options.fileData.map(file => ({
+        attachment: {
+          contentType: FhirUtils.detectFormat(file.data) === 'ndjson' ? 'application/fhir+ndjson' : 'application/fhir+json',
+          title: file.name,
+          size: new TextEncoder().encode(String(file.data)).length
+        }
+      }))
+    };
+    if (documentReference.relatesTo.length === 0) delete documentReference.relatesTo;
+
+    const provenance = {
+      resourceType: 'Provenance',
+      id: options.provenanceId,
+      target: targets,
+      recorded: recorded,
+      activity: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation', code: 'CREATE', display: 'create' }],
+        text: keys.length > MAX_TARGETS ? `Packaged ${keys.length} resources as a share` : 'Packaged as a share'
+      },
+      agent: [{
+        type: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'assembler', display: 'Assembler' }]
+        },
+        who: author
+      }],
+      entity: options.sources.map(toEntity)
+    };
+    if (provenance.entity.length === 0) delete provenance.entity;
+
+    return JSON.stringify({
+      resourceType: 'Bundle',
+      type: 'collection',
+      timestamp: recorded,
+      entry: [
+        { fullUrl: `urn:uuid:${options.provenanceId}`, resource: provenance },
+        { fullUrl: documentUrl, resource: documentReference }
+      ]
+    }, null, 2);
+  },
+
+  /**
+   * Sources fit to ship with a de-identified or pseudonymized share: source shares
+   * would lead recipients back to the identified data, and search queries often
+   * name patients, so both are left out
+   * @param {Array} sources - Sources, see toEntity
+   * @return {Array} Sources without shares or queries
+   */
+  redactSources: function(sources) {
+    return sources
+      .filter(source => source.kind !== 'share')
+      .map(source => source.kind === 'server' ? { kind: 'server', url: source.url } : source);
+  },
+
+  /**
+   * Read provenance.json
+   * @param {String} content - File content
+   * @return {Object} { provenance, documentReference, lineage } or null when it isn't one
+   */
+  parse: function(content) {
+    const bundle = FhirUtils.parseJson(content);
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+      return null;
+    }
+
+    const resources = (bundle.entry || []).map(entry => entry.resource).filter(resource => resource);
+    const provenance = resources.find(resource => resource.resourceType === 'Provenance');
+    const documentReference = resources.find(resource => resource.resourceType === 'DocumentReference');
+    if (!provenance || !documentReference) {
+      return null;
+    }
+
+    const assembler = ((provenance.agent || [])[0] || {}).who || {};
+    return {
+      provenance: provenance,
+      documentReference: documentReference,
+      lineage: {
+        shareId: documentReference.id,
+        recorded: provenance.recorded,
+        publisher: assembler.identifier ? assembler.identifier.value : null,
+        publisherName: assembler.display || null,
+        sources: (provenance.entity || []).map(fromEntity)
+      }
+    };
+  }
+};
@@ -0,0 +1,57 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { Roles } from '../users/users';
+
+/**
+ * This node's keypair for recipient-targeted shares and its pseudonymization
+ * secret. Server-only, never published.
+ */
+export const NodeKeysCollection = new Mongo.Collection('nodeKeys');
+
+/**
+ * Address book of other nodes' public keys, used to pick share recipients
+ * and to decide which publishers' signatures are trusted
+ */
+export const AddressBookCollection = new Mongo.Collection('addressBook');
+
+/**
+ * Node key document structure (a single document with _id 'self'):
+ * {
+ *   _id: String,
+ *   publicKey: String,         // SPKI PEM, RSA 3072
+ *   privateKey: String,        // PKCS#8 PEM
+ *   fingerprint: String,       // SHA-256 of the DER public key, hex
+ *   created: Date
+ * }
+ *
+ * Pseudonymization secret structure (a single document with _id 'pseudonymization'):
+ * {
+ *   _id: String,
+ *   secret: String,            // 256-bit HMAC key, hex
+ *   created: Date
+ * }
+ *
+ * Address book entry structure:
+ * {
+ *   _id: String,
+ *   name: String,              // Who the node belongs to
+ *   publicKey: String,         // SPKI PEM
+ *   fingerprint: String,       // SHA-256 of the DER public key, hex
+ *   trusted: Boolean,          // Shares signed with this key show as verified
+ *   created: Date
+ * }
+ */
+
+// Setup publications if on server
+if (Meteor.isServer) {
+  Meteor.startup(async function() {
+    await AddressBookCollection.createIndexAsync({ fingerprint: 1 }, { unique: true });
+  });
+
+  Meteor.publish('addressBook.all', async function() {
+    if (!Roles.hasRole(await Roles.findUser(this.userId), 'viewer')) {
+      return this.ready();
+    }
+    return await AddressBookCollection.find({}, { sort: { name: 1 } });
+  });
+}
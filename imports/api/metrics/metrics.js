@@ -0,0 +1,50 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { Settings } from '../settings/settings';
+
+/**
+ * Network and transfer samples, one global sample and one per torrent every
+ * private.metrics.intervalMs. Capped, so the oldest samples make way for new
+ * ones. Server-only: read through metrics.history.
+ */
+export const MetricSamplesCollection = new Mongo.Collection('metricSamples');
+
+/**
+ * Metric sample document structure:
+ * {
+ *   _id: String,
+ *   at: Date,
+ *   scope: String,             // 'global' or 'torrent'
+ *   infoHash: String,          // For 'torrent' samples
+ *   name: String,              // Torrent name at the time
+ *   downloadSpeed: Number,     // Bytes/s
+ *   uploadSpeed: Number,       // Bytes/s
+ *   peers: Number,             // Connected peers
+ *   downloaded: Number,        // Bytes received this session
+ *   uploaded: Number,          // Bytes sent this session
+ *   progress: Number,          // 0-1, for 'torrent' samples
+ *   trackers: {                // Tracker status from TrackerHealth
+ *     total: Number,
+ *     active: Number,
+ *     error: Number
+ *   }
+ * }
+ */
+
+if (Meteor.isServer) {
+  Meteor.startup(async function() {
+    const db = MetricSamplesCollection.rawDatabase();
+    const size = Number(Settings.get('private.metrics.cappedBytes', 50 * 1024 * 1024));
+
+    // Mongo only caps collections created (or converted) that way
+    const existing = await db.listCollections({ name: 'metricSamples' }).toArray();
+    if (existing.length === 0) {
+      await db.createCollection('metricSamples', { capped: true, size: size });
+    } else if (!(existing[0].options && existing[0].options.capped)) {
+      await db.command({ convertToCapped: 'metricSamples', size: size });
+    }
+
+    await MetricSamplesCollection.createIndexAsync({ scope: 1, at: -1 });
+    await MetricSamplesCollection.createIndexAsync({ infoHash: 1, at: -1 });
+  });
+}
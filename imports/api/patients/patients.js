@@ -0,0 +1,67 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { Roles } from '../users/users';
+
+/**
+ * Patients found in downloaded shares, one document per identifier
+ */
+export const PatientIndexCollection = new Mongo.Collection('patientIndex');
+
+/**
+ * Resources in a patient's compartment, one document per resource per share
+ */
+export const CompartmentResourcesCollection = new Mongo.Collection('compartmentResources');
+
+/**
+ * Patient index document structure:
+ * {
+ *   _id: String,
+ *   key: String,               // 'system|value' of the identifier
+ *   system: String,            // Identifier system (urn:fhir-p2p:share for patients without one)
+ *   value: String,             // Identifier value
+ *   names: [String],           // Names seen across shares
+ *   gender: String,
+ *   birthDate: String,
+ *   shares: [{                 // Every share the patient appears in
+ *     infoHash: String,        // Source torrent in TorrentsCollection
+ *     name: String,            // Torrent name when indexed
+ *     patientIds: [String],    // Patient.id values within that share
+ *     resourceCount: Number    // Compartment resources in that share
+ *   }],
+ *   resourceCount: Number,     // Total across shares
+ *   updatedAt: Date
+ * }
+ *
+ * Compartment resource document structure:
+ * {
+ *   _id: String,
+ *   patientKeys: [String],     // Patient index keys the resource belongs to
+ *   infoHash: String,          // Source torrent
+ *   file: String,              // File within the share
+ *   resourceType: String,
+ *   id: String,
+ *   summary: String,           // One-line description (ResourceSummary)
+ *   lastUpdated: String,
+ *   resource: Object           // The resource itself
+ * }
+ */
+
+// Setup publications if on server
+if (Meteor.isServer) {
+  Meteor.startup(async function() {
+    await PatientIndexCollection.createIndexAsync({ key: 1 }, { unique: true });
+    await PatientIndexCollection.createIndexAsync({ 'shares.infoHash': 1 });
+    await CompartmentResourcesCollection.createIndexAsync({ patientKeys: 1 });
+    await CompartmentResourcesCollection.createIndexAsync({ infoHash: 1 });
+  });
+
+  // Patient data spans every share, so it is for viewers only
+  Meteor.publish('patients.all', async function() {
+    if (!Roles.hasRole(await Roles.findUser(this.userId), 'viewer')) {
+      return this.ready();
+    }
+    return await PatientIndexCollection.find({}, { sort: { value: 1 } });
+  });
+
+  // patients.compartment is published from server/methods/patient-methods.js, which audits it
+}
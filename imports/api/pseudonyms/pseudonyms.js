@@ -0,0 +1,29 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+
+/**
+ * Re-identification map for pseudonymized shares seeded by this node. It is
+ * the only link back to the original ids, so it stays local: never published
+ * and never written into a share.
+ */
+export const PseudonymsCollection = new Mongo.Collection('pseudonyms');
+
+/**
+ * Pseudonym document structure:
+ * {
+ *   _id: String,
+ *   kind: String,              // 'id' (resource id) or 'identifier' (Identifier.value)
+ *   scope: String,             // Resource type for ids, identifier system for identifiers
+ *   pseudonym: String,         // HMAC-SHA256 derived value written into shares
+ *   original: String,          // Value it replaced
+ *   infoHashes: [String],      // Shares the pseudonym was seeded in
+ *   created: Date
+ * }
+ */
+
+if (Meteor.isServer) {
+  Meteor.startup(async function() {
+    await PseudonymsCollection.createIndexAsync({ kind: 1, scope: 1, pseudonym: 1 }, { unique: true });
+    await PseudonymsCollection.createIndexAsync({ pseudonym: 1 });
+  });
+}
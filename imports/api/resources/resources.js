@@ -0,0 +1,35 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+
+/**
+ * Every FHIR resource from seeded and downloaded shares, with the fields
+ * the local FHIR REST facade searches on. Served over /fhir, not published.
+ */
+export const IndexedResourcesCollection = new Mongo.Collection('indexedResources');
+
+/**
+ * Indexed resource document structure:
+ * {
+ *   _id: String,
+ *   infoHash: String,          // Source torrent
+ *   file: String,              // File within the share
+ *   resourceType: String,
+ *   id: String,                // Resource id ('' when the resource has none)
+ *   lastUpdated: Date,         // meta.lastUpdated, else when it was indexed
+ *   subject: [String],         // 'Type/id' from subject
+ *   patient: [String],         // 'Patient/id' the resource is about
+ *   codes: [String],           // 'system|code' and bare 'code' from the type's code element
+ *   dateStart: Date,           // Clinical date (effective, onset, period...) as a range
+ *   dateEnd: Date,
+ *   resource: Object           // The resource itself
+ * }
+ */
+
+if (Meteor.isServer) {
+  Meteor.startup(async function() {
+    await IndexedResourcesCollection.createIndexAsync({ resourceType: 1, id: 1 });
+    await IndexedResourcesCollection.createIndexAsync({ infoHash: 1 });
+    await IndexedResourcesCollection.createIndexAsync({ resourceType: 1, patient: 1 });
+    await IndexedResourcesCollection.createIndexAsync({ resourceType: 1, codes: 1 });
+  });
+}
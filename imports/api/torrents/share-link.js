@@ -0,0 +1,47 @@
+// Base64url encoding of a 256-bit AES key
+const KEY_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Share links: a magnet URI with the decryption key of an encrypted share in
+ * the fragment. Only the magnet part is ever handed to WebTorrent, so the key
+ * never reaches trackers or peers.
+ */
+export const ShareLink = {
+  /**
+   * Check that a value looks like a share key
+   * @param {String} key - Base64url key
+   * @return {Boolean} True for a well-formed 256-bit key
+   */
+  isValidKey: function(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key);
+  },
+
+  /**
+   * Build a share link
+   * @param {String} magnetURI - Magnet URI of the torrent
+   * @param {String} key - Base64url key, omitted for unencrypted shares
+   * @return {String} Share link
+   */
+  build: function(magnetURI, key) {
+    return key ? `${magnetURI}#key=${key}` : magnetURI;
+  },
+
+  /**
+   * Split a share link into the magnet URI and key
+   * @param {String} link - Share link or plain magnet URI
+   * @return {Object} { magnetURI, key } where key is null when absent
+   */
+  parse: function(link) {
+    const text = (link || '').trim();
+    const hashIndex = text.indexOf('#');
+    if (hashIndex === -1) {
+      return { magnetURI: text, key: null };
+    }
+
+    const fragment = new URLSearchParams(text.substring(hashIndex + 1));
+    return {
+      magnetURI: text.substring(0, hashIndex),
+      key: fragment.get('key') || null
+    };
+  }
+};
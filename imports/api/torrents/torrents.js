@@ -1,11 +1,25 @@
 import { Mongo } from 'meteor/mongo';
 import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { Roles } from '../users/users';
 
 /**
  * Collection for tracking torrents in the system
  */
 export const TorrentsCollection = new Mongo.Collection('torrents');
 
+/**
+ * Decryption keys of encrypted shares held by this node. Server-only: never
+ * published, and keys only leave the server inside a share link.
+ * {
+ *   _id: String,
+ *   infoHash: String,          // Torrent the key opens
+ *   key: String,               // Base64url AES-256 key
+ *   updatedAt: Date
+ * }
+ */
+export const ShareKeysCollection = new Mongo.Collection('shareKeys');
+
 // Define the schema (we'll use simple-schema in the future)
 // For now just document the expected shape
 /**
@@ -15,10 +29,17 @@ export const TorrentsCollection = new Mongo.Collection('torrents');
  *   infoHash: String,          // Torrent unique identifier
  *   name: String,              // Display name for the torrent
  *   description: String,       // User-provided description
- *   fhirType: String,          // 'bundle' or 'ndjson'
+ *   fhirType: String,          // 'bundle', 'ndjson' or 'bulk-export'
  *   magnetURI: String,         // Full magnet URI
+ *   torrentFile: Binary,       // .torrent file, kept while the share is parked (server only)
  *   size: Number,              // Total size in bytes
  *   created: Date,             // When this torrent was created
+ *   ownerId: String,           // User who created or added it (Meteor.users _id)
+ *   privacy: String,           // 'public', or 'private' (BEP 27 flag, this node's tracker only)
+ *   limits: {                  // Share's own bandwidth caps (torrents.setLimits)
+ *     downloadLimit: Number,   // Bytes/s, -1 for unlimited
+ *     uploadLimit: Number
+ *   },
  *   files: [{                  // Array of files in the torrent
  *     name: String,            // Filename
  *     path: String,            // Path within torrent
@@ -33,30 +54,128 @@ export const TorrentsCollection = new Mongo.Collection('torrents');
  *     progress: Number,        // Download progress (0-1)
  *     peers: Number,           // Connected peers count
  *     seeds: Number,           // Connected seeds count
- *     state: String            // 'downloading', 'seeding', 'paused', etc.
+ *     state: String            // 'downloading', 'seeding', 'paused', 'queued', etc.
+ *   },
+ *   queue: {                   // Transfer queue (TransferQueue)
+ *     position: Number,        // 1 starts next, among downloads or among seeds
+ *     forced: Boolean          // Force-started: ignores the active limits
  *   },
  *   meta: {                    // Additional metadata
  *     fhirVersion: String,     // FHIR version
  *     resourceCount: Number,   // Number of FHIR resources
  *     profile: String          // Optional FHIR profile
+ *   },
+ *   bulkExport: {              // Only for 'bulk-export' shares
+ *     manifestFile: String,    // Manifest within the share (manifest.json)
+ *     localManifestPath: String, // Copy with output urls pointing at local files
+ *     outputs: Number,         // Output entries rewritten
+ *     unresolved: Number,      // Output entries with no local file
+ *     rewrittenAt: Date
+ *   },
+ *   validation: {              // Result of R4 validation at creation time
+ *     level: String,           // 'warning' or 'error' (public.fhir.validationLevel)
+ *     valid: Boolean,          // No error or fatal issues
+ *     errorCount: Number,
+ *     warningCount: Number,
+ *     issues: [{               // First 100 issues
+ *       severity: String,      // 'fatal', 'error', 'warning', 'information'
+ *       code: String,          // OperationOutcome issue type
+ *       location: String,      // FHIRPath-style location, e.g. Patient.name[0].family
+ *       message: String,
+ *       file: String,          // Source file within the share
+ *       resource: String       // Resource id (or type when missing)
+ *     }],
+ *     validatedAt: Date
+ *   },
+ *   deidentification: {        // Only for shares de-identified before seeding
+ *     policy: Object,          // Applied policy (see DEFAULT_DEIDENTIFY_POLICY)
+ *     counts: Object,          // Elements removed or changed per category, plus shifted dates
+ *     resources: Number,       // Resources processed
+ *     patients: Number,        // Patients given their own date offset
+ *     droppedLines: Number,    // Unparseable NDJSON lines left out of the share
+ *     appliedAt: Date
+ *   },
+ *   pseudonymization: {        // Only for shares pseudonymized before seeding
+ *     algorithm: String,       // 'HMAC-SHA256' under this node's secret
+ *     identifierSystems: [String], // Identifier systems pseudonymized ('*' for all)
+ *     ids: Number,             // Resource ids and references rewritten
+ *     identifiers: Number,     // Identifier values rewritten
+ *     appliedAt: Date          // The map back lives only in PseudonymsCollection
+ *   },
+ *   lineage: {                 // From provenance.json: written on creation, read on download
+ *     shareId: String,         // UUID of the share's DocumentReference
+ *     recorded: String,        // When the share was packaged
+ *     publisher: String,       // Key fingerprint of the node that packaged it
+ *     publisherName: String,
+ *     sources: [{              // Provenance entities
+ *       kind: String,          // 'share' (derived from), 'server' or 'upload'
+ *       infoHash: String,      // For 'share'
+ *       name: String,          // Share or file name
+ *       url: String,           // For 'server'
+ *       query: String          // For 'server'
+ *     }]
+ *   },
+ *   signature: {               // Publisher signature (signature.json), checked on download
+ *     state: String,           // 'verified', 'untrusted', 'invalid' or 'unsigned'
+ *     publisher: String,       // Signing key fingerprint
+ *     publisherName: String,   // Address book name when trusted, else as signed
+ *     signedAt: Date,
+ *     infoHash: String,        // Torrent the verified files arrived in
+ *     issues: [String],        // Why an invalid signature failed
+ *     verifiedAt: Date
+ *   },
+ *   encryption: {              // Only for encrypted shares
+ *     algorithm: String,       // 'AES-256-GCM'
+ *     hasKey: Boolean,         // This node holds the key (see ShareKeysCollection)
+ *     recipients: Number       // Envelopes in recipients.json; 0 when the key travels in the share link
+ *   },
+ *   publish: {                 // Last push to a FHIR server (torrents.publishToFhirServer)
+ *     state: String,           // 'running', 'completed', 'partial' or 'failed'
+ *     baseUrl: String,         // Target FHIR server (the token is never stored)
+ *     currentFile: String,     // File being sent while running
+ *     total: Number,           // Resources attempted so far
+ *     succeeded: Number,
+ *     failed: Number,
+ *     outcomes: [{             // First 5000 per-resource outcomes
+ *       file: String,
+ *       resource: String,      // 'Type/id', type, or 'Line N' for unparseable NDJSON
+ *       ok: Boolean,
+ *       status: String,        // HTTP status from the response entry
+ *       location: String,      // Location returned by the server
+ *       diagnostics: String    // Why it failed
+ *     }],
+ *     error: String,           // Set when the publish stopped early
+ *     startedAt: Date,
+ *     updatedAt: Date,
+ *     finishedAt: Date
  *   }
  * }
  */
 
-// Allow/deny rules - will implement proper security later
-TorrentsCollection.allow({
-  insert: function() { return true; },
-  update: function() { return true; },
-  remove: function() { return true; }
-});
+// No allow rules: clients never write torrents directly, only through methods
 
 // Setup publications if on server
 if (Meteor.isServer) {
+  Meteor.startup(async function() {
+    await TorrentsCollection.createIndexAsync({ ownerId: 1 });
+  });
+  
+  // Viewers see every torrent; other users see the ones they own
   Meteor.publish('torrents.all', async function() {
-    return await TorrentsCollection.find();
+    if (!this.userId) {
+      return this.ready();
+    }
+    const user = await Roles.findUser(this.userId);
+    return await TorrentsCollection.find(Roles.hasRole(user, 'viewer') ? {} : { ownerId: this.userId }, { fields: { torrentFile: 0 } });
   });
   
   Meteor.publish('torrents.single', async function(torrentId) {
-    return await TorrentsCollection.find({ _id: torrentId });
+    check(torrentId, String);
+    
+    if (!this.userId) {
+      return this.ready();
+    }
+    const user = await Roles.findUser(this.userId);
+    return await TorrentsCollection.find(Roles.hasRole(user, 'viewer') ? { _id: torrentId } : { _id: torrentId, ownerId: this.userId }, { fields: { torrentFile: 0 } });
   });
 }
\ No newline at end of file
@@ -1,7 +1,6 @@
 import { Meteor } from 'meteor/meteor';
 import { get } from 'lodash';
 import { Settings } from '../settings/settings';
-import { TorrentsCollection } from './torrents';
 
 // We'll load WebTorrent dynamically on the client
 let client = null;
@@ -15,10 +14,12 @@ const WEBTORRENT_ENABLED = false; // Set to false to disable the WebTorrent clie
 
 /**
  * WebTorrent client service
- * Manages the WebTorrent client and torrent instances
+ * Manages the WebTorrent client and torrent instances. Browser torrents are
+ * tracked locally; TorrentsCollection is only written by the server.
  */
 export const WebTorrentClient = {
   _torrents: new Map(),
+  _records: new Map(),
   
   /**
    * Initialize the WebTorrent client
@@ -155,7 +156,7 @@ export const WebTorrentClient = {
         // Setup event handlers
         self._setupTorrentEvents(torrent);
         
-        // Insert or update torrent record in collection
+        // Record its status locally
         self._updateTorrentRecord(torrent);
         
         // Call the callback if provided
@@ -214,7 +215,7 @@ export const WebTorrentClient = {
         // Setup event handlers
         self._setupTorrentEvents(torrent);
         
-        // Insert new torrent record in collection
+        // Record its status locally
         self._updateTorrentRecord(torrent);
         
         // Call the callback if provided
@@ -241,9 +242,7 @@ export const WebTorrentClient = {
       try {
         torrent.destroy({ destroyStore: removeFiles });
         this._torrents.delete(infoHash);
-        
-        // Remove from collection
-        TorrentsCollection.remove({ infoHash: infoHash });
+        this._records.delete(infoHash);
       } catch (err) {
         console.error('Error removing torrent:', err);
       }
@@ -294,7 +293,7 @@ export const WebTorrentClient = {
     });
   },
   
-  _updateTorrentRecord: async function(torrent) {
+  _updateTorrentRecord: function(torrent) {
     try {
       const files = torrent.files.map(function(file) {
         return {
@@ -324,27 +323,11 @@ export const WebTorrentClient = {
         }
       };
       
-      // Check if torrent exists in collection
-      const existing = await TorrentsCollection.findOneAsync({ infoHash: torrent.infoHash });
-      
-      if (existing) {
-        await TorrentsCollection.updateAsync(
-          { infoHash: torrent.infoHash },
-          { $set: torrentData }
-        );
-      } else {
-        // Add creation date and other initial data
-        torrentData.created = new Date();
-        torrentData.description = '';
-        torrentData.fhirType = 'unknown';
-        torrentData.meta = {
-          fhirVersion: '',
-          resourceCount: 0,
-          profile: ''
-        };
-        
-        await TorrentsCollection.insertAsync(torrentData);
-      }
+      const existing = this._records.get(torrent.infoHash);
+      this._records.set(torrent.infoHash, {
+        created: existing ? existing.created : new Date(),
+        ...torrentData
+      });
     } catch (err) {
       console.error('Error updating torrent record:', err);
     }
@@ -0,0 +1,60 @@
+import { Meteor } from 'meteor/meteor';
+
+/**
+ * Roles a user can hold, stored on their Meteor.users document:
+ * {
+ *   _id: String,
+ *   username: String,
+ *   createdAt: Date,
+ *   roles: [String],           // Any of ROLES
+ *   trackerPasskey: String     // Embedded in private shares' announce URLs (server-only)
+ * }
+ */
+export const ROLES = ['viewer', 'publisher', 'operator'];
+
+// What each role allows, as shown in the admin dialog
+export const ROLE_DESCRIPTIONS = {
+  viewer: 'See every share on this node and read its content',
+  publisher: 'Create, join and remove their own shares',
+  operator: 'Run debugging and repair tools, and assign roles'
+};
+
+export const Roles = {
+  /**
+   * Check whether a user holds a role
+   * @param {Object} user - Meteor.users document (with roles), or null
+   * @param {String} role - One of ROLES
+   * @return {Boolean} True when the user holds it
+   */
+  hasRole: function(user, role) {
+    return !!user && Array.isArray(user.roles) && user.roles.includes(role);
+  },
+
+  /**
+   * Load a user's roles
+   * @param {String} userId - User id
+   * @return {Promise<Object>} { _id, roles }, or undefined for unknown users
+   */
+  findUser: async function(userId) {
+    return userId ? await Meteor.users.findOneAsync(userId, { fields: { roles: 1 } }) : undefined;
+  }
+};
+
+// Setup publications if on server
+if (Meteor.isServer) {
+  // Every client gets its own roles, so the UI can follow them
+  Meteor.publish(null, async function() {
+    if (!this.userId) {
+      return this.ready();
+    }
+    return await Meteor.users.find({ _id: this.userId }, { fields: { roles: 1 } });
+  });
+
+  // All accounts, for operators assigning roles
+  Meteor.publish('users.all', async function() {
+    if (!Roles.hasRole(await Roles.findUser(this.userId), 'operator')) {
+      return this.ready();
+    }
+    return await Meteor.users.find({}, { fields: { username: 1, roles: 1, createdAt: 1 }, sort: { createdAt: 1 } });
+  });
+}
@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
 import { createTheme, ThemeProvider } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import Box from '@mui/material/Box';
@@ -8,6 +10,7 @@ import IconButton from '@mui/material/IconButton';
 import Collapse from '@mui/material/Collapse';
 import Paper from '@mui/material/Paper';
 import Alert from '@mui/material/Alert';
+import Chip from '@mui/material/Chip';
 import CircularProgress from '@mui/material/CircularProgress';
 import { get } from 'lodash';
 import { alpha } from '@mui/material/styles';
@@ -22,12 +25,22 @@ import StorageIcon from '@mui/icons-material/Storage';
 import SettingsIcon from '@mui/icons-material/Settings';
 import HelpIcon from '@mui/icons-material/Help';
 import AddIcon from '@mui/icons-material/Add';
+import PeopleIcon from '@mui/icons-material/People';
+import ContactsIcon from '@mui/icons-material/Contacts';
+import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import LogoutIcon from '@mui/icons-material/Logout';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
 
 import { Settings } from '../api/settings/settings';
 import TorrentList from './components/TorrentList';
 import PeerList from './components/PeerList';
 import DataViewer from './components/DataViewer';
+import PatientsPage from './components/PatientsPage';
 import NetworkHealthChip from './components/NetworkHealthChip';
+import LoginPage from './components/LoginPage';
+import UserAdminModal from './components/UserAdminModal';
+import AuditLogModal from './components/AuditLogModal';
+import { Roles } from '../api/users/users';
 
 // Note: These components need to be created in the imports/ui/components/ directory
 // import ShareWizardModal from './components/ShareWizardModal';
@@ -38,6 +51,7 @@ import NetworkHealthChip from './components/NetworkHealthChip';
 // Temporary inline components for demo
 import ShareWizardModal from './components/ShareWizardModal'; // Replace with actual modal
 import JoinShareModal from './components/JoinShareModal'; // Replace with actual modal
+import AddressBookModal from './components/AddressBookModal';
 
 // Inline NetworkStatusSection for now
 function NetworkStatusSection({ expanded, onToggleExpanded }) {
@@ -209,7 +223,15 @@ export function App() {
   const [networkSectionExpanded, setNetworkSectionExpanded] = useState(false);
   const [shareWizardOpen, setShareWizardOpen] = useState(false);
   const [joinShareOpen, setJoinShareOpen] = useState(false);
+  const [addressBookOpen, setAddressBookOpen] = useState(false);
+  const [userAdminOpen, setUserAdminOpen] = useState(false);
+  const [auditLogOpen, setAuditLogOpen] = useState(false);
   const [torrents, setTorrents] = useState([]);
+  const [view, setView] = useState('shares'); // 'shares' or 'patients'
+  
+  const { user, loggingIn } = useTracker(function() {
+    return { user: Meteor.user(), loggingIn: Meteor.loggingIn() };
+  }, []);
   
   // Initialize app
   useEffect(function() {
@@ -237,13 +259,28 @@ export function App() {
     setSelectedTorrent(torrent);
   }
   
+  // Open a share from the Patients page
+  function handleOpenTorrent(torrent) {
+    setSelectedTorrent(torrent);
+    setView('shares');
+  }
+  
   // Handle torrent updates (for empty state detection)
   function handleTorrentsUpdate(newTorrents) {
     setTorrents(newTorrents || []);
   }
   
+  // Sign out and forget the previous user's selection
+  function handleLogout() {
+    Meteor.logout(function() {
+      setSelectedTorrent(null);
+      setTorrents([]);
+      setView('shares');
+    });
+  }
+  
   // Show loading state
-  if (isLoading) {
+  if (isLoading || loggingIn) {
     return (
       <ThemeProvider theme={theme}>
         <CssBaseline />
@@ -278,7 +315,18 @@ export function App() {
     );
   }
   
+  // Everything below works on the user's own shares
+  if (!user) {
+    return (
+      <ThemeProvider theme={theme}>
+        <CssBaseline />
+        <LoginPage />
+      </ThemeProvider>
+    );
+  }
+  
   const hasNoTorrents = torrents.length === 0;
+  const isOperator = Roles.hasRole(user, 'operator');
   
   return (
     <ThemeProvider theme={theme}>
@@ -313,85 +361,140 @@ export function App() {
             
             <Box sx={{ display: 'flex', gap: 1 }}>
               <NetworkHealthChip />
-              <IconButton size="small" color="inherit">
+              <IconButton
+                size="small"
+                color={view === 'patients' ? 'primary' : 'inherit'}
+                onClick={() => setView(view === 'patients' ? 'shares' : 'patients')}
+                title="Patients across shares"
+              >
+                <PeopleIcon />
+              </IconButton>
+              <IconButton
+                size="small"
+                color="inherit"
+                onClick={() => setAddressBookOpen(true)}
+                title="Address book"
+              >
+                <ContactsIcon />
+              </IconButton>
+              <IconButton
+                size="small"
+                color="inherit"
+                onClick={() => setUserAdminOpen(true)}
+                disabled={!isOperator}
+                title={isOperator ? 'Users and roles' : 'Users and roles (operators only)'}
+              >
                 <SettingsIcon />
               </IconButton>
+              <IconButton
+                size="small"
+                color="inherit"
+                onClick={() => setAuditLogOpen(true)}
+                disabled={!isOperator}
+                title={isOperator ? 'Audit trail' : 'Audit trail (operators only)'}
+              >
+                <FactCheckIcon />
+              </IconButton>
               <IconButton size="small" color="inherit">
                 <HelpIcon />
               </IconButton>
+              <Chip
+                icon={<AccountCircleIcon />}
+                label={user.username}
+                size="small"
+                variant="outlined"
+                sx={{ alignSelf: 'center' }}
+              />
+              <IconButton
+                size="small"
+                color="inherit"
+                onClick={handleLogout}
+                title="Sign out"
+              >
+                <LogoutIcon />
+              </IconButton>
             </Box>
           </Box>
         </Paper>
 
         <Box sx={{ maxWidth: 'xl', mx: 'auto', px: 2, pb: 2 }}>
           
-          {/* Quick Actions / Hero Section */}
-          <QuickActionsSection 
-            hasNoTorrents={hasNoTorrents}
-            onShareData={() => setShareWizardOpen(true)}
-            onJoinShare={() => setJoinShareOpen(true)}
-          />
+          {/* Patient compartment across all shares */}
+          {view === 'patients' && (
+            <PatientsPage onOpenTorrent={handleOpenTorrent} />
+          )}
           
-          {/* Network Status Section (Collapsible) */}
-          <NetworkStatusSection 
-            expanded={networkSectionExpanded}
-            onToggleExpanded={() => setNetworkSectionExpanded(!networkSectionExpanded)}
-          />
+          {view === 'shares' && (
+            <>
+              {/* Quick Actions / Hero Section */}
+              <QuickActionsSection 
+                hasNoTorrents={hasNoTorrents}
+                onShareData={() => setShareWizardOpen(true)}
+                onJoinShare={() => setJoinShareOpen(true)}
+              />
           
-          {/* My Shares Section (Always Visible Core) */}
-          <Paper sx={{ mb: 2 }}>
-            <Box sx={{ p: 2, pb: 0 }}>
-              <Box sx={{ 
-                display: 'flex', 
-                justifyContent: 'space-between', 
-                alignItems: 'center',
-                mb: 2
-              }}>
-                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                  <StorageIcon color="primary" />
-                  <Typography variant="h6" component="h2">
-                    My Shares
-                    {torrents.length > 0 && (
-                      <Typography 
-                        component="span" 
-                        variant="body2" 
-                        color="text.secondary"
-                        sx={{ ml: 1 }}
-                      >
-                        ({torrents.length} active)
+              {/* Network Status Section (Collapsible) */}
+              <NetworkStatusSection 
+                expanded={networkSectionExpanded}
+                onToggleExpanded={() => setNetworkSectionExpanded(!networkSectionExpanded)}
+              />
+          
+              {/* My Shares Section (Always Visible Core) */}
+              <Paper sx={{ mb: 2 }}>
+                <Box sx={{ p: 2, pb: 0 }}>
+                  <Box sx={{ 
+                    display: 'flex', 
+                    justifyContent: 'space-between', 
+                    alignItems: 'center',
+                    mb: 2
+                  }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <StorageIcon color="primary" />
+                      <Typography variant="h6" component="h2">
+                        My Shares
+                        {torrents.length > 0 && (
+                          <Typography 
+                            component="span" 
+                            variant="body2" 
+                            color="text.secondary"
+                            sx={{ ml: 1 }}
+                          >
+                            ({torrents.length} active)
+                          </Typography>
+                        )}
                       </Typography>
+                    </Box>
+                
+                    {!hasNoTorrents && (
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        startIcon={<AddIcon />}
+                        onClick={() => setShareWizardOpen(true)}
+                      >
+                        Add Share
+                      </Button>
                     )}
-                  </Typography>
+                  </Box>
                 </Box>
-                
-                {!hasNoTorrents && (
-                  <Button
-                    variant="outlined"
-                    size="small"
-                    startIcon={<AddIcon />}
-                    onClick={() => setShareWizardOpen(true)}
-                  >
-                    Add Share
-                  </Button>
-                )}
-              </Box>
-            </Box>
             
-            <TorrentList 
-              onSelectTorrent={handleSelectTorrent}
-              onTorrentsUpdate={handleTorrentsUpdate}
-              selectedTorrent={selectedTorrent}
-            />
-          </Paper>
-          
-          {/* Data Viewer Section (Appears on Selection) */}
-          <Collapse in={!!selectedTorrent} timeout={300}>
-            {selectedTorrent && (
-              <Paper sx={{ mb: 2 }}>                
-                <DataViewer selectedTorrent={selectedTorrent} />
+                <TorrentList 
+                  onSelectTorrent={handleSelectTorrent}
+                  onTorrentsUpdate={handleTorrentsUpdate}
+                  selectedTorrent={selectedTorrent}
+                />
               </Paper>
-            )}
-          </Collapse>
+          
+              {/* Data Viewer Section (Appears on Selection) */}
+              <Collapse in={!!selectedTorrent} timeout={300}>
+                {selectedTorrent && (
+                  <Paper sx={{ mb: 2 }}>                
+                    <DataViewer selectedTorrent={selectedTorrent} />
+                  </Paper>
+                )}
+              </Collapse>
+            </>
+          )}
           
         </Box>
         
@@ -406,6 +509,21 @@ export function App() {
           onClose={() => setJoinShareOpen(false)}
         />
         
+        <AddressBookModal
+          open={addressBookOpen}
+          onClose={() => setAddressBookOpen(false)}
+        />
+        
+        <UserAdminModal
+          open={userAdminOpen}
+          onClose={() => setUserAdminOpen(false)}
+        />
+        
+        <AuditLogModal
+          open={auditLogOpen}
+          onClose={() => setAuditLogOpen(false)}
+        />
+        
       </Box>
     </ThemeProvider>
   );
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import TextField from '@mui/material/TextField';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Divider from '@mui/material/Divider';
+import Tooltip from '@mui/material/Tooltip';
+
+// Icons
+import CloseIcon from '@mui/icons-material/Close';
+import ContactsIcon from '@mui/icons-material/Contacts';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import VerifiedUserIcon from '@mui/icons-material/VerifiedUser';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import { AddressBookCollection } from '../../api/keys/keys';
+import { Roles } from '../../api/users/users';
+
+// Short form of a key fingerprint for display
+function formatFingerprint(fingerprint) {
+  return (fingerprint || '').substring(0, 32).match(/.{1,4}/g)?.join(' ') || '';
+}
+
+/**
+ * This node's public key and the address book of other nodes' keys, which
+ * recipient-targeted shares are encrypted for
+ */
+function AddressBookModal({ open, onClose }) {
+  const [nodeKey, setNodeKey] = useState(null);
+  const [name, setName] = useState('');
+  const [publicKey, setPublicKey] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const entries = useTracker(function() {
+    Meteor.subscribe('addressBook.all');
+    return AddressBookCollection.find({}, { sort: { name: 1 } }).fetch();
+  }, []);
+
+  // Trust and removal apply to every user of the node, so only operators change them
+  const isOperator = useTracker(() => Roles.hasRole(Meteor.user(), 'operator'), []);
+
+  useEffect(function() {
+    if (!open || nodeKey) return;
+    Meteor.call('keys.getNodePublicKey', function(err, result) {
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      } else {
+        setNodeKey(result);
+      }
+    });
+  }, [open]);
+
+  function handleClose() {
+    setName('');
+    setPublicKey('');
+    setOutcome(null);
+    setCopied(false);
+    onClose();
+  }
+
+  function handleCopyNodeKey() {
+    navigator.clipboard.writeText(nodeKey.publicKey);
+    setCopied(true);
+  }
+
+  function handleAdd() {
+    setAdding(true);
+    setOutcome(null);
+
+    Meteor.call('addressBook.add', name, publicKey, function(err) {
+      setAdding(false);
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      } else {
+        setName('');
+        setPublicKey('');
+      }
+    });
+  }
+
+  function handleToggleTrusted(entry) {
+    Meteor.call('addressBook.setTrusted', entry._id, !entry.trusted, function(err) {
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      }
+    });
+  }
+
+  function handleRemove(entryId) {
+    Meteor.call('addressBook.remove', entryId, function(err) {
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      }
+    });
+  }
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <ContactsIcon color="primary" />
+          <Typography variant="h6" component="h2">
+            Address Book
+          </Typography>
+        </Box>
+        <IconButton onClick={handleClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent sx={{ px: 3 }}>
+        {outcome && (
+          <OperationOutcomeAlert outcome={outcome} sx={{ mb: 2 }} />
+        )}
+
+        <Typography variant="subtitle2" gutterBottom>
+          This Node
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+          <Typography variant="body2" sx={{ fontFamily: 'monospace', flex: 1 }}>
+            {nodeKey ? formatFingerprint(nodeKey.fingerprint) : 'Loading key…'}
+          </Typography>
+          <Button
+            size="small"
+            startIcon={<ContentCopyIcon />}
+            onClick={handleCopyNodeKey}
+            disabled={!nodeKey}
+          >
+            {copied ? 'Copied' : 'Copy Public Key'}
+          </Button>
+        </Box>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+          Give your public key to people who want to send you recipient-only shares.
+        </Typography>
+
+        <Divider sx={{ mb: 2 }} />
+
+        <Typography variant="subtitle2" gutterBottom>
+          Known Nodes ({entries.length})
+        </Typography>
+        {entries.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            No public keys yet. Add one below to share with that node.
+          </Typography>
+        ) : (
+          <List dense sx={{ mb: 2 }}>
+            {entries.map(entry => (
+              <ListItem
+                key={entry._id}
+                secondaryAction={isOperator && (
+                  <Box>
+                    <Tooltip title={entry.trusted ? 'Trusted publisher: shares it signs show as verified' : 'Trust as publisher'}>
+                      <IconButton size="small" onClick={() => handleToggleTrusted(entry)}>
+                        <VerifiedUserIcon fontSize="small" color={entry.trusted ? 'success' : 'disabled'} />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Remove">
+                      <IconButton edge="end" size="small" onClick={() => handleRemove(entry._id)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                )}
+              >
+                <ListItemText
+                  primary={entry.name}
+                  secondary={formatFingerprint(entry.fingerprint)}
+                  secondaryTypographyProps={{ sx: { fontFamily: 'monospace' } }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <TextField
+          label="Name"
+          fullWidth
+          size="small"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          margin="dense"
+        />
+        <TextField
+          label="Public Key (PEM)"
+          fullWidth
+          multiline
+          rows={4}
+          value={publicKey}
+          onChange={(e) => setPublicKey(e.target.value)}
+          placeholder="-----BEGIN PUBLIC KEY-----"
+          margin="dense"
+          sx={{
+            '& .MuiInputBase-input': {
+              fontFamily: 'monospace',
+              fontSize: '0.75rem'
+            }
+          }}
+        />
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, pb: 3 }}>
+        <Button onClick={handleClose}>
+          Close
+        </Button>
+        <Button
+          variant="contained"
+          startIcon={<PersonAddIcon />}
+          onClick={handleAdd}
+          disabled={adding || !name.trim() || !publicKey.trim()}
+        >
+          Add Node
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AddressBookModal;
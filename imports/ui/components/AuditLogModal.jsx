@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Chip from '@mui/material/Chip';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TablePagination from '@mui/material/TablePagination';
+import CircularProgress from '@mui/material/CircularProgress';
+import moment from 'moment';
+
+// Icons
+import CloseIcon from '@mui/icons-material/Close';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import DownloadIcon from '@mui/icons-material/Download';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  join: 'Joined',
+  read: 'Read',
+  export: 'Exported',
+  remove: 'Removed',
+  upload: 'Sent to peer',
+  reidentify: 'Re-identified',
+  link: 'Share link given'
+};
+
+// Format bytes to human-readable format
+function formatBytes(bytes, decimals = 2) {
+  if (!bytes || bytes === 0) return '0 Bytes';
+
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB'];
+
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+/**
+ * Audit trail of share access and transfers, for operators
+ */
+function AuditLogModal({ open, onClose }) {
+  const [filters, setFilters] = useState({ action: '', infoHash: '', user: '', from: '', to: '' });
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [result, setResult] = useState({ events: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  // Only send the filters that are set; dates cover whole days
+  function queryFilters() {
+    const query = {};
+    if (filters.action) query.action = filters.action;
+    if (filters.infoHash.trim()) query.infoHash = filters.infoHash.trim();
+    if (filters.user.trim()) query.user = filters.user.trim();
+    if (filters.from) query.from = moment(filters.from).startOf('day').toDate();
+    if (filters.to) query.to = moment(filters.to).endOf('day').toDate();
+    return query;
+  }
+
+  useEffect(function() {
+    if (!open) return;
+
+    setLoading(true);
+    Meteor.call('audit.search', queryFilters(), { skip: page * rowsPerPage, limit: rowsPerPage }, function(err, res) {
+      setLoading(false);
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+        return;
+      }
+      setOutcome(null);
+      setResult(res);
+    });
+  }, [open, filters, page, rowsPerPage]);
+
+  function handleFilterChange(field, value) {
+    setFilters({ ...filters, [field]: value });
+    setPage(0);
+  }
+
+  function handleExport() {
+    setExporting(true);
+    Meteor.call('audit.exportNdjson', queryFilters(), function(err, ndjson) {
+      setExporting(false);
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+        return;
+      }
+
+      const blob = new Blob([ndjson], { type: 'application/fhir+ndjson' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'audit-events.ndjson';
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+  }
+
+  function handleClose() {
+    setOutcome(null);
+    onClose();
+  }
+
+  function whoLabel(event) {
+    if (event.peer) {
+      return `${event.peer.address}${event.peer.port ? `:${event.peer.port}` : ''}`;
+    }
+    return event.username || event.clientAddress || '—';
+  }
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="lg" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <FactCheckIcon color="primary" />
+          <Typography variant="h6" component="h2">
+            Audit Trail
+          </Typography>
+        </Box>
+        <IconButton onClick={handleClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent sx={{ px: 3 }}>
+        {outcome && (
+          <OperationOutcomeAlert outcome={outcome} sx={{ mb: 2 }} />
+        )}
+
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2, pt: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Action"
+            value={filters.action}
+            onChange={(e) => handleFilterChange('action', e.target.value)}
+            sx={{ minWidth: 150 }}
+          >
+            <MenuItem value="">All actions</MenuItem>
+            {Object.keys(ACTION_LABELS).map(action => (
+              <MenuItem key={action} value={action}>{ACTION_LABELS[action]}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            size="small"
+            label="Share info hash"
+            value={filters.infoHash}
+            onChange={(e) => handleFilterChange('infoHash', e.target.value)}
+            sx={{ minWidth: 240 }}
+          />
+          <TextField
+            size="small"
+            label="User or peer address"
+            value={filters.user}
+            onChange={(e) => handleFilterChange('user', e.target.value)}
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="From"
+            value={filters.from}
+            onChange={(e) => handleFilterChange('from', e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="To"
+            value={filters.to}
+            onChange={(e) => handleFilterChange('to', e.target.value)}
+            slotProps={{ inputLabel: { shrink: true } }}
+          />
+        </Box>
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Recorded</TableCell>
+              <TableCell>Action</TableCell>
+              <TableCell>Share</TableCell>
+              <TableCell>User / Peer</TableCell>
+              <TableCell align="right">Bytes</TableCell>
+              <TableCell>Outcome</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {result.events.map(event => (
+              <TableRow key={event._id}>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  {moment(event.recorded).format('YYYY-MM-DD HH:mm:ss')}
+                </TableCell>
+                <TableCell>{ACTION_LABELS[event.action] || event.action}</TableCell>
+                <TableCell>
+                  <Typography variant="body2">{event.name || '—'}</Typography>
+                  {event.infoHash && (
+                    <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                      {event.infoHash.substring(0, 12)}…
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell>{whoLabel(event)}</TableCell>
+                <TableCell align="right">
+                  {event.bytes !== undefined ? formatBytes(event.bytes) : ''}
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    size="small"
+                    label={event.outcome === 'failure' ? 'Failed' : 'Success'}
+                    color={event.outcome === 'failure' ? 'error' : 'success'}
+                    variant="outlined"
+                    title={event.outcomeDesc}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+            {!loading && result.events.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No audit events match these filters.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+
+        <TablePagination
+          component="div"
+          count={result.total}
+          page={page}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => { setRowsPerPage(parseInt(e.target.value, 10)); setPage(0); }}
+          rowsPerPageOptions={[25, 50, 100]}
+        />
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, pb: 3 }}>
+        {loading && <CircularProgress size={20} sx={{ mr: 'auto' }} />}
+        <Button
+          startIcon={exporting ? <CircularProgress size={16} /> : <DownloadIcon />}
+          onClick={handleExport}
+          disabled={exporting || result.total === 0}
+        >
+          Export NDJSON
+        </Button>
+        <Button onClick={handleClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default AuditLogModal;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { Meteor } from 'meteor/meteor';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import TextField from '@mui/material/TextField';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Divider from '@mui/material/Divider';
+
+// Icons
+import CloseIcon from '@mui/icons-material/Close';
+import SpeedIcon from '@mui/icons-material/Speed';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Limits are edited in KB/s, blank for unlimited, and stored in bytes/s
+function toField(limit) {
+  return limit > 0 ? String(Math.round(limit / 1024)) : '';
+}
+
+function fromField(value) {
+  const kb = parseInt(value, 10);
+  return kb > 0 ? kb * 1024 : -1;
+}
+
+/**
+ * Bandwidth limits for one share, or (without a torrent) the node-wide limits
+ * and their time-of-day schedule
+ */
+function BandwidthLimitsDialog({ open, onClose, torrent, settings }) {
+  const [limits, setLimits] = useState({ downloadLimit: '', uploadLimit: '' });
+  const [schedule, setSchedule] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  useEffect(function() {
+    if (!open) return;
+
+    const current = torrent ? (torrent.limits || {}) : (settings || {});
+    setLimits({ downloadLimit: toField(current.downloadLimit), uploadLimit: toField(current.uploadLimit) });
+    setSchedule(torrent ? [] : ((settings && settings.schedule) || []).map(rule => ({
+      ...rule,
+      downloadLimit: toField(rule.downloadLimit),
+      uploadLimit: toField(rule.uploadLimit)
+    })));
+    setOutcome(null);
+  }, [open, torrent, settings]);
+
+  function handleRuleChange(index, field, value) {
+    setSchedule(schedule.map((rule, i) => i === index ? { ...rule, [field]: value } : rule));
+  }
+
+  function handleAddRule() {
+    setSchedule(schedule.concat({
+      label: 'Clinic hours',
+      days: [1, 2, 3, 4, 5],
+      start: '08:00',
+      end: '18:00',
+      downloadLimit: '',
+      uploadLimit: ''
+    }));
+  }
+
+  function handleSave() {
+    const values = { downloadLimit: fromField(limits.downloadLimit), uploadLimit: fromField(limits.uploadLimit) };
+    const done = function(err) {
+      setSaving(false);
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      } else {
+        onClose();
+      }
+    };
+
+    setSaving(true);
+    if (torrent) {
+      Meteor.call('torrents.setLimits', torrent.infoHash, values, done);
+    } else {
+      Meteor.call('bandwidth.configure', {
+        ...values,
+        schedule: schedule.map(rule => ({
+          label: rule.label,
+          days: rule.days,
+          start: rule.start,
+          end: rule.end,
+          downloadLimit: fromField(rule.downloadLimit),
+          uploadLimit: fromField(rule.uploadLimit)
+        }))
+      }, done);
+    }
+  }
+
+  function limitFields(value, onChange) {
+    return (
+      <>
+        <TextField
+          label="Download (KB/s)"
+          size="small"
+          type="number"
+          placeholder="Unlimited"
+          value={value.downloadLimit}
+          onChange={(e) => onChange('downloadLimit', e.target.value)}
+          inputProps={{ min: 1 }}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="Upload (KB/s)"
+          size="small"
+          type="number"
+          placeholder="Unlimited"
+          value={value.uploadLimit}
+          onChange={(e) => onChange('uploadLimit', e.target.value)}
+          inputProps={{ min: 1 }}
+          InputLabelProps={{ shrink: true }}
+        />
+      </>
+    );
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth={torrent ? 'xs' : 'md'} fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <SpeedIcon color="primary" />
+          <Typography variant="h6" component="h2">
+            {torrent ? 'Share Bandwidth Limits' : 'Node Bandwidth Limits'}
+          </Typography>
+        </Box>
+        <IconButton onClick={onClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent dividers>
+        <OperationOutcomeAlert outcome={outcome} sx={{ mb: 2 }} />
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {torrent ?
+            `Caps for "${torrent.name || torrent.infoHash}", on top of the node-wide limits. Leave blank for unlimited.` :
+            'Applies to every share outside the schedule below. Leave blank for unlimited.'}
+        </Typography>
+
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          {limitFields(limits, (field, value) => setLimits({ ...limits, [field]: value }))}
+        </Box>
+
+        {!torrent && (
+          <Box sx={{ mt: 3 }}>
+            <Divider sx={{ mb: 2 }} />
+            <Typography variant="subtitle2" gutterBottom>
+              Schedule
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              The first rule matching the server's local time replaces the limits above.
+              A rule ending before it starts runs past midnight.
+            </Typography>
+
+            {schedule.map((rule, index) => (
+              <Box key={index} sx={{ display: 'flex', gap: 1.5, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+                <TextField
+                  label="Label"
+                  size="small"
+                  value={rule.label}
+                  onChange={(e) => handleRuleChange(index, 'label', e.target.value)}
+                  sx={{ width: 150 }}
+                />
+                <ToggleButtonGroup
+                  size="small"
+                  value={rule.days}
+                  onChange={(e, days) => handleRuleChange(index, 'days', days)}
+                >
+                  {DAYS.map((day, value) => (
+                    <ToggleButton key={day} value={value} sx={{ px: 1 }}>
+                      {day}
+                    </ToggleButton>
+                  ))}
+                </ToggleButtonGroup>
+                <TextField
+                  label="From"
+                  size="small"
+                  type="time"
+                  value={rule.start}
+                  onChange={(e) => handleRuleChange(index, 'start', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                  label="To"
+                  size="small"
+                  type="time"
+                  value={rule.end}
+                  onChange={(e) => handleRuleChange(index, 'end', e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+                {limitFields(rule, (field, value) => handleRuleChange(index, field, value))}
+                <IconButton size="small" onClick={() => setSchedule(schedule.filter((r, i) => i !== index))}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            ))}
+
+            <Button size="small" startIcon={<AddIcon />} onClick={handleAddRule}>
+              Add Rule
+            </Button>
+          </Box>
+        )}
+      </DialogContent>
+
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default BandwidthLimitsDialog;
@@ -1,5 +1,5 @@
 // imports/ui/components/DataViewer.jsx - Enhanced with V2 Metadata Fix
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Meteor } from 'meteor/meteor';
 import Paper from '@mui/material/Paper';
 import Typography from '@mui/material/Typography';
@@ -22,8 +22,18 @@ import ExpandLessIcon from '@mui/icons-material/ExpandLess';
 import BugReportIcon from '@mui/icons-material/BugReport';
 import AutoFixHighIcon from '@mui/icons-material/AutoFixHigh';
 import SpeedIcon from '@mui/icons-material/Speed';
+import TableRowsIcon from '@mui/icons-material/TableRows';
+import NotesIcon from '@mui/icons-material/Notes';
+import TimelineIcon from '@mui/icons-material/Timeline';
 
 import MetadataDebugPanel from './MetadataDebugPanel';
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import FhirPublishPanel from './FhirPublishPanel';
+import ResourceBrowser from './ResourceBrowser';
+import ReferenceGraphView from './ReferenceGraphView';
+import LineageView from './LineageView';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import { FhirUtils } from '../../api/fhir/fhir-utils';
 
 function TabPanel(props) {
   const { children, value, index, ...other } = props;
@@ -46,21 +56,37 @@ function TabPanel(props) {
 }
 
 function DataViewer({ selectedTorrent }) {
-  const [fileContents, setFileContents] = useState({});
+  const [files, setFiles] = useState([]);
+  const [fileTexts, setFileTexts] = useState({});
+  const [textOutcomes, setTextOutcomes] = useState({});
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState(0);
   const [error, setError] = useState('');
+  const [outcome, setOutcome] = useState(null);
   const [showDebugPanel, setShowDebugPanel] = useState(false);
   const [autoFixAttempted, setAutoFixAttempted] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
   const [quickDiagnosis, setQuickDiagnosis] = useState(null);
   const [fixInProgress, setFixInProgress] = useState(false);
+  const [showRaw, setShowRaw] = useState(false);
+  
+  // Files holding FHIR resources open in the resource browser; others are shown raw.
+  // NDJSON is paged from the server, anything else is read whole once opened.
+  const fileFormats = useMemo(function() {
+    const formats = {};
+    files.forEach(function(file) {
+      formats[file.name] = /\.ndjson$/i.test(file.name) ? 'ndjson' :
+        (fileTexts[file.name] !== undefined ? FhirUtils.detectFormat(fileTexts[file.name]) : null);
+    });
+    return formats;
+  }, [files, fileTexts]);
   
   // Fetch file contents when torrent is selected
   useEffect(function() {
     if (!selectedTorrent) {
-      setFileContents({});
+      setFiles([]);
       setError('');
+      setOutcome(null);
       setAutoFixAttempted(false);
       setRetryCount(0);
       setQuickDiagnosis(null);
@@ -68,27 +94,40 @@ function DataViewer({ selectedTorrent }) {
     }
     
     // Reset state for new torrent
+    setFiles([]);
+    setFileTexts({});
+    setTextOutcomes({});
     setError('');
+    setOutcome(null);
     setAutoFixAttempted(false);
     setRetryCount(0);
     setQuickDiagnosis(null);
     
-    fetchFileContents();
+    fetchFiles();
   }, [selectedTorrent]);
   
-  function fetchFileContents() {
+  // Read the open file whole unless it is NDJSON shown as resources
+  useEffect(function() {
+    const file = files[activeTab];
+    if (file && (fileFormats[file.name] !== 'ndjson' || showRaw)) {
+      loadText(file.name);
+    }
+  }, [files, activeTab, showRaw]);
+  
+  function fetchFiles() {
     if (!selectedTorrent) return;
     
     setLoading(true);
     setError('');
+    setOutcome(null);
     
-    console.log(`Fetching file contents for torrent: ${selectedTorrent.infoHash}`);
+    console.log(`Fetching files of torrent: ${selectedTorrent.infoHash}`);
     
-    Meteor.call('torrents.getAllFileContents', selectedTorrent.infoHash, function(err, result) {
+    Meteor.call('torrents.getFiles', selectedTorrent.infoHash, function(err, result) {
       setLoading(false);
       
       if (err) {
-        console.error("Error fetching file contents:", err);
+        console.error("Error fetching files:", err);
         
         // Check if this is a metadata-related error
         const isMetadataError = err.message && (
@@ -103,16 +142,18 @@ function DataViewer({ selectedTorrent }) {
           // Run quick diagnosis
           runQuickDiagnosis();
         } else {
-          // Regular error or auto-fix already attempted
-          const errorDetails = err.details ? `\nDetails: ${err.details}` : '';
-          const errorCode = err.error ? `\nCode: ${err.error}` : '';
-          setError(`Error loading files: ${err.message || err.reason || 'Unknown error'}${errorCode}${errorDetails}`);
+          // Regular error or auto-fix already attempted; the OperationOutcome carries the details
+          const errorCode = err.error ? ` (${err.error})` : '';
+          setError(`Error loading files${errorCode}`);
+          setOutcome(OperationOutcomeUtils.fromError(err));
         }
         
       } else {
-        if (result && Object.keys(result).length > 0) {
-          console.log(`Received ${Object.keys(result).length} files from server`);
-          setFileContents(result);
+        if (result && result.length > 0) {
+          console.log(`Received ${result.length} files from server`);
+          setFiles(result);
+          setFileTexts({});
+          setTextOutcomes({});
           setActiveTab(0); // Reset to first tab when new content loads
           setError(''); // Clear any previous errors
           setShowDebugPanel(false); // Hide debug panel on success
@@ -125,6 +166,24 @@ function DataViewer({ selectedTorrent }) {
     });
   }
   
+  // Read one file whole, once; the server refuses files too large to view this way
+  function loadText(filename, callback) {
+    if (fileTexts[filename] !== undefined) {
+      if (callback) callback(fileTexts[filename]);
+      return;
+    }
+    
+    Meteor.call('torrents.getFileText', selectedTorrent.infoHash, filename, function(err, result) {
+      if (err) {
+        console.error(`Error reading ${filename}:`, err);
+        setTextOutcomes(prev => ({ ...prev, [filename]: OperationOutcomeUtils.fromError(err) }));
+      } else {
+        setFileTexts(prev => ({ ...prev, [filename]: result }));
+        if (callback) callback(result);
+      }
+    });
+  }
+  
   // Run quick diagnosis
   function runQuickDiagnosis() {
     if (!selectedTorrent) return;
@@ -158,7 +217,7 @@ function DataViewer({ selectedTorrent }) {
         if (result.success) {
           // Retry fetching files
           setRetryCount(prev => prev + 1);
-          fetchFileContents();
+          fetchFiles();
         } else {
           setError('Auto-fix completed but metadata was not received. Check the debug panel for details.');
           setShowDebugPanel(true);
@@ -207,7 +266,7 @@ function DataViewer({ selectedTorrent }) {
   // Retry fetching files
   function handleRetry() {
     setRetryCount(prev => prev + 1);
-    fetchFileContents();
+    fetchFiles();
   }
   
   // If no torrent is selected
@@ -221,13 +280,18 @@ function DataViewer({ selectedTorrent }) {
     );
   }
   
-  const filenames = Object.keys(fileContents);
   const hasMetadataError = error && (
     error.includes('metadata') || 
     error.includes('not available') || 
     error.includes('still downloading')
   );
   
+  // Validation issues recorded when the share was created
+  const validationIssues = selectedTorrent.validation?.issues || [];
+  const validationOutcome = validationIssues.length > 0 ?
+    OperationOutcomeUtils.fromValidationIssues(validationIssues) :
+    null;
+  
   // Check if this is a seeding torrent based on progress
   const isSeeding = selectedTorrent?.status?.progress >= 1 || selectedTorrent?.status?.state === 'seeding';
   
@@ -284,6 +348,10 @@ function DataViewer({ selectedTorrent }) {
         </Alert>
       )}
       
+      {outcome && (
+        <OperationOutcomeAlert outcome={outcome} sx={{ mx: 2 }} />
+      )}
+      
       {/* Quick Diagnosis Display */}
       {quickDiagnosis && hasMetadataError && (
         <Card sx={{ m: 2, backgroundColor: theme => theme.palette.mode === 'dark' ? 'grey.900' : 'grey.50' }}>
@@ -378,7 +446,7 @@ function DataViewer({ selectedTorrent }) {
               <CircularProgress size={24} />
               <Box>
                 <Typography variant="body1">
-                  {autoFixAttempted ? 'Applying enhanced metadata exchange fix...' : 'Loading file contents...'}
+                  {autoFixAttempted ? 'Applying enhanced metadata exchange fix...' : 'Loading files...'}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
                   {autoFixAttempted ? 'This may take up to 60 seconds' : 'Please wait while we retrieve the data'}
@@ -391,7 +459,7 @@ function DataViewer({ selectedTorrent }) {
       )}
       
       {/* Empty State */}
-      {!loading && filenames.length === 0 && !error && (
+      {!loading && files.length === 0 && !error && (
         <Card sx={{ m: 2 }}>
           <CardContent>
             <Typography variant="h6" gutterBottom>
@@ -426,7 +494,7 @@ function DataViewer({ selectedTorrent }) {
       )}
       
       {/* File Content Display */}
-      {!loading && filenames.length > 0 && (
+      {!loading && files.length > 0 && (
         <Box>
           {/* Success indicator */}
           {autoFixAttempted && (
@@ -435,6 +503,22 @@ function DataViewer({ selectedTorrent }) {
             </Alert>
           )}
           
+          {/* Validation issues from share creation */}
+          {validationOutcome && (
+            <OperationOutcomeAlert
+              outcome={validationOutcome}
+              title={`Validation (${selectedTorrent.validation.level})`}
+              maxIssues={10}
+              sx={{ m: 2 }}
+            />
+          )}
+          
+          {/* Push the share's resources into a FHIR server */}
+          <FhirPublishPanel selectedTorrent={selectedTorrent} />
+          
+          {/* Referential integrity across all files of the share */}
+          <ReferenceGraphView key={selectedTorrent.infoHash} infoHash={selectedTorrent.infoHash} />
+          
           {/* File Tabs */}
           <Box sx={{ borderBottom: 1, borderColor: 'divider' }}>
             <Tabs 
@@ -443,14 +527,14 @@ function DataViewer({ selectedTorrent }) {
               variant="scrollable"
               scrollButtons="auto"
             >
-              {filenames.map((filename, index) => (
+              {files.map((file, index) => (
                 <Tab 
-                  key={filename} 
+                  key={file.name} 
                   label={
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                      {filename}
+                      {file.name}
                       <Chip 
-                        label={`${(fileContents[filename]?.length || 0)} chars`} 
+                        label={`${(file.size || 0).toLocaleString()} bytes`} 
                         size="small" 
                         variant="outlined"
                       />
@@ -460,12 +544,25 @@ function DataViewer({ selectedTorrent }) {
                   aria-controls={`file-tabpanel-${index}`}
                 />
               ))}
+              <Tab
+                label={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <TimelineIcon fontSize="small" />
+                    Lineage
+                  </Box>
+                }
+                id={`file-tab-${files.length}`}
+                aria-controls={`file-tabpanel-${files.length}`}
+              />
             </Tabs>
           </Box>
           
           {/* File Content Panels */}
-          {filenames.map((filename, index) => {
-            const content = fileContents[filename] || '';
+          {files.map((file, index) => {
+            const filename = file.name;
+            const content = fileTexts[filename];
+            const isNdjson = fileFormats[filename] === 'ndjson';
+            const isFhir = fileFormats[filename] === 'bundle' || isNdjson;
             
             return (
               <TabPanel key={filename} value={activeTab} index={index}>
@@ -475,47 +572,75 @@ function DataViewer({ selectedTorrent }) {
                       {filename}
                     </Typography>
                     <Typography variant="body2" color="text.secondary">
-                      {content.length.toLocaleString()} characters
+                      {(file.size || 0).toLocaleString()} bytes
                     </Typography>
                   </Box>
-                  <Button
-                    startIcon={<CloudDownloadIcon />}
-                    onClick={() => downloadFile(filename, content)}
-                    variant="outlined"
-                    size="small"
-                  >
-                    Download
-                  </Button>
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    {isFhir && (
+                      <Button
+                        startIcon={showRaw ? <TableRowsIcon /> : <NotesIcon />}
+                        onClick={() => setShowRaw(!showRaw)}
+                        size="small"
+                      >
+                        {showRaw ? 'Resources' : 'Raw'}
+                      </Button>
+                    )}
+                    <Button
+                      startIcon={<CloudDownloadIcon />}
+                      onClick={() => loadText(filename, text => downloadFile(filename, text))}
+                      variant="outlined"
+                      size="small"
+                    >
+                      Download
+                    </Button>
+                  </Box>
                 </Box>
                 
-                <TextField
-                  multiline
-                  fullWidth
-                  variant="outlined"
-                  value={content}
-                  InputProps={{
-                    readOnly: true,
-                    style: { 
-                      fontFamily: 'monospace',
-                      fontSize: '0.875rem',
-                      lineHeight: 1.4
-                    }
-                  }}
-                  sx={{ 
-                    '& .MuiOutlinedInput-root': {
-                      height: '60vh',
-                      alignItems: 'flex-start',
-                      '& textarea': {
-                        height: '100% !important',
-                        overflow: 'auto !important',
-                        resize: 'none'
+                {textOutcomes[filename] && (
+                  <OperationOutcomeAlert outcome={textOutcomes[filename]} sx={{ mb: 2 }} />
+                )}
+                
+                {isNdjson && !showRaw ? (
+                  <ResourceBrowser infoHash={selectedTorrent.infoHash} filename={filename} />
+                ) : content === undefined ? (
+                  !textOutcomes[filename] && <CircularProgress size={24} />
+                ) : isFhir && !showRaw ? (
+                  <ResourceBrowser filename={filename} content={content} />
+                ) : (
+                  <TextField
+                    multiline
+                    fullWidth
+                    variant="outlined"
+                    value={content}
+                    InputProps={{
+                      readOnly: true,
+                      style: { 
+                        fontFamily: 'monospace',
+                        fontSize: '0.875rem',
+                        lineHeight: 1.4
                       }
-                    }
-                  }}
-                />
+                    }}
+                    sx={{ 
+                      '& .MuiOutlinedInput-root': {
+                        height: '60vh',
+                        alignItems: 'flex-start',
+                        '& textarea': {
+                          height: '100% !important',
+                          overflow: 'auto !important',
+                          resize: 'none'
+                        }
+                      }
+                    }}
+                  />
+                )}
               </TabPanel>
             );
           })}
+          
+          {/* Provenance and the shares this one was derived from */}
+          <TabPanel value={activeTab} index={files.length}>
+            <LineageView selectedTorrent={selectedTorrent} files={files} />
+          </TabPanel>
         </Box>
       )}
       
@@ -20,6 +20,8 @@ import AddIcon from '@mui/icons-material/Add';
 import FileUploadIcon from '@mui/icons-material/FileUpload';
 
 import { FhirUtils } from '../../api/fhir/fhir-utils';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import OperationOutcomeAlert from './OperationOutcomeAlert';
 
 function TabPanel(props) {
   const { children, value, index, ...other } = props;
@@ -57,6 +59,7 @@ function FhirInput() {
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [outcome, setOutcome] = useState(null);
   const [successMessage, setSuccessMessage] = useState('');
   
   // Handle tab change
@@ -91,6 +94,8 @@ function FhirInput() {
   
   // Create torrent from pasted FHIR text
   async function handleCreateFromText() {
+    setOutcome(null);
+    
     if (!torrentName) {
       setError('Please provide a name for the torrent.');
       return;
@@ -141,7 +146,8 @@ function FhirInput() {
         setLoading(false);
         
         if (err) {
-          setError('Error creating torrent: ' + err.message);
+          setError('Error creating torrent: ' + (err.reason || err.message));
+          setOutcome(OperationOutcomeUtils.fromError(err));
         } else {
           setSuccessMessage('Torrent created successfully! Magnet URI: ' + result.magnetURI);
           // Reset form
@@ -158,6 +164,8 @@ function FhirInput() {
   
   // Create torrent from uploaded files
   async function handleCreateFromFiles() {
+    setOutcome(null);
+    
     if (!torrentName) {
       setError('Please provide a name for the torrent.');
       return;
@@ -214,7 +222,8 @@ function FhirInput() {
         setLoading(false);
         
         if (err) {
-          setError('Error creating torrent: ' + err.message);
+          setError('Error creating torrent: ' + (err.reason || err.message));
+          setOutcome(OperationOutcomeUtils.fromError(err));
         } else {
           setSuccessMessage('Torrent created successfully! Magnet URI: ' + result.magnetURI);
           // Reset form
@@ -240,10 +249,14 @@ function FhirInput() {
         Create FHIR Torrent
       </Typography>
       
-      {error && (
+      {error && !outcome && (
         <Alert severity="error" sx={{ mt: 2, mb: 2 }}>{error}</Alert>
       )}
       
+      {outcome && (
+        <OperationOutcomeAlert outcome={outcome} title={error} sx={{ mt: 2, mb: 2 }} />
+      )}
+      
       <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 2 }}>
         <Tabs value={activeTab} onChange={handleTabChange} aria-label="fhir input tabs">
           <Tab label="Paste FHIR Data" {...a11yProps(0)} />
@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import Chip from '@mui/material/Chip';
+import CircularProgress from '@mui/material/CircularProgress';
+import LinearProgress from '@mui/material/LinearProgress';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import { TorrentsCollection } from '../../api/torrents/torrents';
+
+const STATE_COLORS = {
+  running: 'info',
+  completed: 'success',
+  partial: 'warning',
+  failed: 'error'
+};
+
+/**
+ * Turn recorded publish failures into an OperationOutcome for display
+ * @param {Object} publish - The torrent's publish field
+ * @return {Object} OperationOutcome or null when nothing failed
+ */
+function failuresToOutcome(publish) {
+  const issues = (publish.outcomes || [])
+    .filter(outcome => !outcome.ok)
+    .map(outcome => OperationOutcomeUtils.createIssue(
+      'error',
+      outcome.status === 'invalid' ? 'structure' : 'processing',
+      `${outcome.file}: ${outcome.diagnostics || `HTTP ${outcome.status}`}`,
+      [outcome.resource]
+    ));
+
+  if (publish.error) {
+    issues.unshift(OperationOutcomeUtils.createIssue('fatal', 'exception', publish.error));
+  }
+
+  return issues.length > 0 ? OperationOutcomeUtils.create(issues) : null;
+}
+
+/**
+ * "Publish to FHIR Server" action for a downloaded share, with live progress
+ * @param {Object} selectedTorrent - Torrent whose files are published
+ */
+function FhirPublishPanel({ selectedTorrent }) {
+  const [open, setOpen] = useState(false);
+  const [baseUrl, setBaseUrl] = useState('');
+  const [bearerToken, setBearerToken] = useState('');
+  const [starting, setStarting] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  // selectedTorrent is a snapshot, so follow the document for progress updates
+  const publish = useTracker(function() {
+    const torrent = TorrentsCollection.findOne(
+      { infoHash: selectedTorrent.infoHash },
+      { fields: { publish: 1 } }
+    );
+    return torrent ? torrent.publish : null;
+  }, [selectedTorrent.infoHash]);
+
+  const running = publish?.state === 'running';
+  const failureOutcome = publish && !running ? failuresToOutcome(publish) : null;
+
+  function handleClose() {
+    setOpen(false);
+    setBearerToken('');
+    setOutcome(null);
+  }
+
+  function handlePublish() {
+    setStarting(true);
+    setOutcome(null);
+
+    const options = {};
+    if (baseUrl.trim()) options.baseUrl = baseUrl.trim();
+    if (bearerToken.trim()) options.bearerToken = bearerToken.trim();
+
+    Meteor.call('torrents.publishToFhirServer', selectedTorrent.infoHash, options, function(err, result) {
+      setStarting(false);
+
+      if (err) {
+        console.error('Error publishing to FHIR server:', err);
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      } else {
+        console.log('Publish started:', result);
+        handleClose();
+      }
+    });
+  }
+
+  return (
+    <Box sx={{ m: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<CloudUploadIcon />}
+          onClick={() => setOpen(true)}
+          disabled={running}
+        >
+          Publish to FHIR Server
+        </Button>
+
+        {publish && (
+          <Chip
+            label={`${publish.state} · ${publish.baseUrl}`}
+            color={STATE_COLORS[publish.state] || 'default'}
+            size="small"
+            variant="outlined"
+          />
+        )}
+      </Box>
+
+      {publish && (
+        <Box sx={{ mt: 1 }}>
+          {running && <LinearProgress sx={{ mb: 1 }} />}
+          <Typography variant="body2" color="text.secondary">
+            {publish.total || 0} resources sent · {publish.succeeded || 0} succeeded · {publish.failed || 0} failed
+            {running && publish.currentFile && ` · ${publish.currentFile}`}
+          </Typography>
+        </Box>
+      )}
+
+      {failureOutcome && (
+        <OperationOutcomeAlert
+          outcome={failureOutcome}
+          title="Publish failures"
+          maxIssues={20}
+          sx={{ mt: 1 }}
+        />
+      )}
+
+      <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+        <DialogTitle>Publish to FHIR Server</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Bundles are sent as transactions and NDJSON files as batches.
+            Resources with an id are updated in place (PUT).
+          </Typography>
+          <TextField
+            fullWidth
+            label="FHIR Base URL"
+            placeholder="Leave empty to use the configured server"
+            value={baseUrl}
+            onChange={(e) => setBaseUrl(e.target.value)}
+            helperText="Other servers must be allowed in this node's settings"
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            label="Bearer Token (optional)"
+            type="password"
+            value={bearerToken}
+            onChange={(e) => setBearerToken(e.target.value)}
+            helperText="Used for this publish only; it is not stored"
+          />
+          {outcome && (
+            <OperationOutcomeAlert outcome={outcome} sx={{ mt: 2 }} />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handlePublish}
+            disabled={starting}
+            startIcon={starting ? <CircularProgress size={16} /> : <CloudUploadIcon />}
+          >
+            Publish
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default FhirPublishPanel;
@@ -21,9 +21,13 @@ import LinkIcon from '@mui/icons-material/Link';
 import SearchIcon from '@mui/icons-material/Search';
 import ContentPasteIcon from '@mui/icons-material/ContentPaste';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import LockIcon from '@mui/icons-material/Lock';
+
+import { ShareLink } from '../../api/torrents/share-link';
 
 function JoinShareModal({ open, onClose }) {
   const [magnetUri, setMagnetUri] = useState('');
+  const [encryptionKey, setEncryptionKey] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -32,6 +36,7 @@ function JoinShareModal({ open, onClose }) {
   // Handle close and reset
   function handleClose() {
     setMagnetUri('');
+    setEncryptionKey('');
     setError('');
     setSuccess('');
     setJoinStep('input');
@@ -43,8 +48,7 @@ function JoinShareModal({ open, onClose }) {
     try {
       const text = await navigator.clipboard.readText();
       if (text && (text.startsWith('magnet:') || text.startsWith('http'))) {
-        setMagnetUri(text);
-        setError('');
+        handleLinkChange(text);
       } else {
         setError('Clipboard doesn\'t contain a valid magnet link or URL.');
       }
@@ -66,12 +70,21 @@ function JoinShareModal({ open, onClose }) {
       return;
     }
     
+    // Keep the key out of the magnet URI so it is never announced
+    const link = ShareLink.parse(magnetUri);
+    const key = encryptionKey.trim();
+    
+    if (key && !ShareLink.isValidKey(key)) {
+      setError('The decryption key is not valid. Copy the full share link again.');
+      return;
+    }
+    
     setLoading(true);
     setError('');
     setSuccess('');
     setJoinStep('joining');
     
-    Meteor.call('torrents.add', magnetUri, {}, function(err, result) {
+    Meteor.call('torrents.add', link.magnetURI, key ? { encryptionKey: key } : {}, function(err, result) {
       setLoading(false);
       
       if (err) {
@@ -80,7 +93,9 @@ function JoinShareModal({ open, onClose }) {
         setJoinStep('input');
       } else {
         console.log('Successfully joined share:', result);
-        setSuccess(`Successfully joined share: ${result.name || result.infoHash}`);
+        setSuccess(result.queued ?
+          `Joined share ${result.name || result.infoHash}; it is queued and starts when a download slot is free` :
+          `Successfully joined share: ${result.name || result.infoHash}`);
         setJoinStep('success');
         
         // Auto-close after success
@@ -91,13 +106,22 @@ function JoinShareModal({ open, onClose }) {
     });
   }
   
-  // Handle input change
-  function handleInputChange(event) {
-    setMagnetUri(event.target.value);
+  // Take the key from a share link's fragment when it has one
+  function handleLinkChange(value) {
+    const link = ShareLink.parse(value);
+    setMagnetUri(value);
+    if (link.key) {
+      setEncryptionKey(link.key);
+    }
     setError('');
     setSuccess('');
   }
   
+  // Handle input change
+  function handleInputChange(event) {
+    handleLinkChange(event.target.value);
+  }
+  
   // Render content based on current step
   function renderContent() {
     switch (joinStep) {
@@ -177,6 +201,20 @@ function JoinShareModal({ open, onClose }) {
                 </Button>
               </Box>
               
+              <TextField
+                label="Decryption Key"
+                fullWidth
+                type="password"
+                value={encryptionKey}
+                onChange={(e) => setEncryptionKey(e.target.value)}
+                disabled={loading}
+                helperText="Only for encrypted shares. Filled in automatically from a share link."
+                InputProps={{
+                  startAdornment: <LockIcon fontSize="small" color="action" sx={{ mr: 1 }} />
+                }}
+                sx={{ mb: 2 }}
+              />
+              
               <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
                 💡 Tip: The share will be added immediately, but content may take time to download from peers.
               </Typography>
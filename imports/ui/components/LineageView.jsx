@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Meteor } from 'meteor/meteor';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Chip from '@mui/material/Chip';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+import Divider from '@mui/material/Divider';
+import moment from 'moment';
+
+// Icons
+import ShareIcon from '@mui/icons-material/Share';
+import CloudDownloadIcon from '@mui/icons-material/CloudDownload';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import { ShareProvenance, PROVENANCE_FILENAME } from '../../api/fhir/share-provenance';
+
+const SIGNATURE_COLORS = { verified: 'success', untrusted: 'warning', invalid: 'error', unsigned: 'default' };
+
+// One line per non-share source
+function SourceLine({ source }) {
+  const icon = source.kind === 'server' ? <CloudDownloadIcon fontSize="small" color="action" /> : <UploadFileIcon fontSize="small" color="action" />;
+  const label = source.kind === 'server' ?
+    `FHIR server ${source.url}${source.query ? ` · ${source.query}` : ''}` :
+    `Uploaded file ${source.name}`;
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.25 }}>
+      {icon}
+      <Typography variant="body2">{label}</Typography>
+    </Box>
+  );
+}
+
+// A share in the chain, followed by what it was derived from
+function ShareNode({ node, depth }) {
+  return (
+    <Box sx={{ ml: depth * 3, borderLeft: depth > 0 ? 1 : 0, borderColor: 'divider', pl: depth > 0 ? 2 : 0, py: 0.5 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <ShareIcon fontSize="small" color={node.available ? 'primary' : 'disabled'} />
+        <Typography variant="body2" sx={{ fontWeight: 500 }}>
+          {node.name}
+        </Typography>
+        {!node.available && (
+          <Chip label="Not on this node" size="small" variant="outlined" />
+        )}
+        {node.signature && (
+          <Chip label={node.signature} size="small" color={SIGNATURE_COLORS[node.signature] || 'default'} variant="outlined" />
+        )}
+        {node.recorded && (
+          <Typography variant="caption" color="text.secondary">
+            packaged {moment(node.recorded).format('YYYY-MM-DD HH:mm')}{node.publisherName ? ` by ${node.publisherName}` : ''}
+          </Typography>
+        )}
+      </Box>
+      <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace', display: 'block', ml: 3.5 }}>
+        {node.infoHash}
+      </Typography>
+
+      <Box sx={{ ml: 3.5 }}>
+        {node.sources.filter(source => source.kind !== 'share').map((source, index) => (
+          <SourceLine key={index} source={source} />
+        ))}
+      </Box>
+      {node.sources.filter(source => source.kind === 'share').map(source => (
+        <ShareNode key={source.infoHash} node={source} depth={depth + 1} />
+      ))}
+    </Box>
+  );
+}
+
+/**
+ * Where a share came from: its Provenance and DocumentReference from
+ * provenance.json, and the chain of shares it was derived from
+ * @param {Object} selectedTorrent - Torrent document
+ * @param {Array} files - The share's files, [{ name, size }]
+ */
+function LineageView({ selectedTorrent, files }) {
+  const [chain, setChain] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const [provenanceText, setProvenanceText] = useState(null);
+  const [provenanceOutcome, setProvenanceOutcome] = useState(null);
+
+  const hasProvenance = files.some(file => file.name === PROVENANCE_FILENAME);
+
+  useEffect(function() {
+    setProvenanceText(null);
+    setProvenanceOutcome(null);
+    if (!hasProvenance) return;
+
+    Meteor.call('torrents.getFileText', selectedTorrent.infoHash, PROVENANCE_FILENAME, function(err, result) {
+      if (err) {
+        setProvenanceOutcome(OperationOutcomeUtils.fromError(err));
+      } else {
+        setProvenanceText(result);
+      }
+    });
+  }, [selectedTorrent.infoHash, hasProvenance]);
+
+  const parsed = useMemo(function() {
+    return provenanceText !== null ? ShareProvenance.parse(provenanceText) : null;
+  }, [provenanceText]);
+
+  useEffect(function() {
+    setLoading(true);
+    setOutcome(null);
+
+    Meteor.call('torrents.getLineage', selectedTorrent.infoHash, function(err, result) {
+      setLoading(false);
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      } else {
+        setChain(result);
+      }
+    });
+  }, [selectedTorrent.infoHash, selectedTorrent.lineage]);
+
+  if (provenanceOutcome) {
+    return <OperationOutcomeAlert outcome={provenanceOutcome} />;
+  }
+
+  if (hasProvenance && provenanceText === null) {
+    return <CircularProgress size={24} />;
+  }
+
+  if (!parsed) {
+    return (
+      <Alert severity="info">
+        This share has no {PROVENANCE_FILENAME}; it was created before provenance was recorded, or by another tool.
+      </Alert>
+    );
+  }
+
+  const { provenance, documentReference } = parsed;
+  const assembler = ((provenance.agent || [])[0] || {}).who || {};
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        Provenance
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        <Chip label={`Recorded ${moment(provenance.recorded).format('YYYY-MM-DD HH:mm')}`} size="small" variant="outlined" />
+        <Chip
+          label={`Assembled by ${assembler.display || (assembler.identifier ? `${assembler.identifier.value.substring(0, 16)}…` : 'unknown')}`}
+          size="small"
+          variant="outlined"
+        />
+        <Chip label={`${(provenance.target || []).length} target(s)`} size="small" variant="outlined" />
+      </Box>
+      {provenance.activity && provenance.activity.text && (
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {provenance.activity.text}
+        </Typography>
+      )}
+
+      <Typography variant="subtitle2" sx={{ mt: 2 }} gutterBottom>
+        Document
+      </Typography>
+      <Typography variant="body2" gutterBottom>
+        {documentReference.description}
+      </Typography>
+      {(documentReference.content || []).map((content, index) => (
+        <Typography key={index} variant="body2" color="text.secondary">
+          • {content.attachment.title} ({content.attachment.contentType}, {(content.attachment.size || 0).toLocaleString()} bytes)
+        </Typography>
+      ))}
+
+      <Divider sx={{ my: 2 }} />
+
+      <Typography variant="subtitle2" gutterBottom>
+        Lineage
+      </Typography>
+      {outcome && (
+        <OperationOutcomeAlert outcome={outcome} sx={{ mb: 1 }} />
+      )}
+      {loading && !chain ? (
+        <CircularProgress size={24} />
+      ) : chain && (
+        <ShareNode node={chain} depth={0} />
+      )}
+    </Box>
+  );
+}
+
+export default LineageView;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { Accounts } from 'meteor/accounts-base';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import TextField from '@mui/material/TextField';
+import Tabs from '@mui/material/Tabs';
+import Tab from '@mui/material/Tab';
+import Alert from '@mui/material/Alert';
+import CircularProgress from '@mui/material/CircularProgress';
+
+// Icons
+import LockIcon from '@mui/icons-material/Lock';
+
+// Shortest password accepted when creating an account
+const MIN_PASSWORD_LENGTH = 8;
+
+function LoginPage() {
+  const [mode, setMode] = useState('login'); // 'login' or 'signup'
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Switch between signing in and creating an account
+  function handleModeChange(event, value) {
+    setMode(value);
+    setPassword('');
+    setConfirmPassword('');
+    setError('');
+  }
+
+  // Finish a login or signup attempt
+  function handleResult(err) {
+    setLoading(false);
+    if (err) {
+      console.error('Login failed:', err);
+      setError(err.reason || err.message);
+    }
+  }
+
+  // Sign in, or create the account and sign in with it
+  function handleSubmit(event) {
+    event.preventDefault();
+
+    if (!username.trim() || !password) {
+      setError('Please enter a username and password.');
+      return;
+    }
+
+    if (mode === 'signup') {
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        setError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+        return;
+      }
+      if (password !== confirmPassword) {
+        setError('The passwords don\'t match.');
+        return;
+      }
+    }
+
+    setLoading(true);
+    setError('');
+
+    if (mode === 'signup') {
+      Accounts.createUser({ username: username.trim(), password: password }, handleResult);
+    } else {
+      Meteor.loginWithPassword(username.trim(), password, handleResult);
+    }
+  }
+
+  return (
+    <Box sx={{
+      display: 'flex',
+      justifyContent: 'center',
+      alignItems: 'center',
+      minHeight: '100vh',
+      p: 2
+    }}>
+      <Paper sx={{ p: 3, width: '100%', maxWidth: 400 }} elevation={2}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <LockIcon color="primary" />
+          <Typography variant="h5" component="h1" sx={{ fontWeight: 500 }}>
+            FHIR P2P Data Sharing
+          </Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Shares belong to the account that created or joined them.
+        </Typography>
+
+        <Tabs value={mode} onChange={handleModeChange} sx={{ mb: 2 }}>
+          <Tab value="login" label="Sign in" />
+          <Tab value="signup" label="Create account" />
+        </Tabs>
+
+        <Box component="form" onSubmit={handleSubmit}>
+          <TextField
+            fullWidth
+            label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            disabled={loading}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            type="password"
+            label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+            disabled={loading}
+            sx={{ mb: 2 }}
+          />
+          {mode === 'signup' && (
+            <TextField
+              fullWidth
+              type="password"
+              label="Confirm password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              disabled={loading}
+              sx={{ mb: 2 }}
+            />
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <Button
+            fullWidth
+            type="submit"
+            variant="contained"
+            disabled={loading}
+            startIcon={loading ? <CircularProgress size={16} /> : null}
+          >
+            {mode === 'signup' ? 'Create account' : 'Sign in'}
+          </Button>
+        </Box>
+      </Paper>
+    </Box>
+  );
+}
+
+export default LoginPage;
@@ -0,0 +1,93 @@
+import React from 'react';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import { useTheme } from '@mui/material/styles';
+import moment from 'moment';
+
+// Chart layout, in SVG user units
+const WIDTH = 640;
+const HEIGHT = 160;
+const MARGIN = { top: 10, right: 12, bottom: 22, left: 64 };
+const TICKS = 4;
+
+/**
+ * Line chart of one or more series over a time range
+ * @param {String} title - Chart title
+ * @param {Array} points - [{ at, ...values }]
+ * @param {Array} series - [{ key, label, color }] values to plot
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Function} formatValue - Axis and tooltip label for a value
+ */
+function MetricsHistoryChart({ title, points, series, from, to, formatValue = String }) {
+  const theme = useTheme();
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const max = Math.max(1, ...points.map(point => Math.max(...series.map(s => point[s.key] || 0))));
+
+  const x = at => MARGIN.left + (new Date(at).getTime() - start) / (end - start) * plotWidth;
+  const y = value => MARGIN.top + plotHeight - (value || 0) / max * plotHeight;
+  const timeFormat = end - start > 2 * 24 * 60 * 60 * 1000 ? 'ddd HH:mm' : 'HH:mm';
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'baseline', mb: 0.5 }}>
+        <Typography variant="subtitle2">{title}</Typography>
+        {series.map(s => (
+          <Typography key={s.key} variant="caption" sx={{ color: s.color }}>
+            ― {s.label}
+          </Typography>
+        ))}
+      </Box>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        style={{ display: 'block', maxWidth: WIDTH, fontFamily: theme.typography.fontFamily }}
+      >
+        {Array.from({ length: TICKS + 1 }, (_, i) => max * i / TICKS).map(value => (
+          <g key={value}>
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(value)} y2={y(value)} stroke={theme.palette.divider} />
+            <text x={MARGIN.left - 6} y={y(value) + 4} fontSize={10} textAnchor="end" fill={theme.palette.text.secondary}>
+              {formatValue(value)}
+            </text>
+          </g>
+        ))}
+
+        {[0, 0.25, 0.5, 0.75, 1].map(fraction => (
+          <text
+            key={fraction}
+            x={MARGIN.left + fraction * plotWidth}
+            y={HEIGHT - 6}
+            fontSize={10}
+            textAnchor={fraction === 0 ? 'start' : fraction === 1 ? 'end' : 'middle'}
+            fill={theme.palette.text.secondary}
+          >
+            {moment(start + fraction * (end - start)).format(timeFormat)}
+          </text>
+        ))}
+
+        {series.map(s => (
+          <polyline
+            key={s.key}
+            points={points.map(point => `${x(point.at)},${y(point[s.key])}`).join(' ')}
+            fill="none"
+            stroke={s.color}
+            strokeWidth={1.5}
+          />
+        ))}
+
+        {series.map(s => points.map(point => (
+          <circle key={`${s.key}-${point.at}`} cx={x(point.at)} cy={y(point[s.key])} r={1.5} fill={s.color}>
+            <title>{`${moment(point.at).format('YYYY-MM-DD HH:mm')} · ${s.label}: ${formatValue(point[s.key] || 0)}`}</title>
+          </circle>
+        )))}
+      </svg>
+    </Box>
+  );
+}
+
+export default MetricsHistoryChart;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
 import Box from '@mui/material/Box';
 import Paper from '@mui/material/Paper';
 import Typography from '@mui/material/Typography';
@@ -16,8 +17,12 @@ import Button from '@mui/material/Button';
 import Alert from '@mui/material/Alert';
 import Tabs from '@mui/material/Tabs';
 import Tab from '@mui/material/Tab';
+import Tooltip from '@mui/material/Tooltip';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import ButtonGroup from '@mui/material/ButtonGroup';
 import LinearProgress from '@mui/material/LinearProgress';
-import { alpha } from '@mui/material/styles';
+import { alpha, useTheme } from '@mui/material/styles';
 import { get } from 'lodash';
 import moment from 'moment';
 
@@ -34,6 +39,10 @@ import AnnouncementIcon from '@mui/icons-material/Announcement';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import ErrorIcon from '@mui/icons-material/Error';
 import WarningIcon from '@mui/icons-material/Warning';
+import LanIcon from '@mui/icons-material/Lan';
+
+import MetricsHistoryChart from './MetricsHistoryChart';
+import { TorrentsCollection } from '../../api/torrents/torrents';
 
 function TabPanel(props) {
   const { children, value, index, ...other } = props;
@@ -202,6 +211,15 @@ function NetworkStatusSection({ expanded, onToggleExpanded }) {
                 </Typography>
               </Box>
             )}
+            
+            {get(networkStatus, 'lan.enabled') && (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <LanIcon fontSize="small" />
+                <Typography variant="body2">
+                  LAN: {get(networkStatus, 'lan.peers', []).length} peers
+                </Typography>
+              </Box>
+            )}
           </Box>
           
           {/* Right side - Expand button */}
@@ -266,6 +284,8 @@ function NetworkStatusSection({ expanded, onToggleExpanded }) {
               <Tab label="Announce History" />
               <Tab label="DHT & WebSeeds" />
               <Tab label="Configuration" />
+              <Tab label="LAN Discovery" />
+              <Tab label="History" />
             </Tabs>
           </Box>
           
@@ -286,6 +306,14 @@ function NetworkStatusSection({ expanded, onToggleExpanded }) {
             <ConfigurationTab networkStatus={networkStatus} />
           </TabPanel>
           
+          <TabPanel value={activeTab} index={4}>
+            <LanDiscoveryTab lan={get(networkStatus, 'lan')} />
+          </TabPanel>
+          
+          <TabPanel value={activeTab} index={5}>
+            <HistoryTab active={expanded && activeTab === 5} />
+          </TabPanel>
+          
         </Box>
       </Collapse>
     </Paper>
@@ -301,7 +329,8 @@ function TrackerStatusTab({ trackerHealth }) {
   return (
     <Box sx={{ p: 2 }}>
       <Alert severity="info" sx={{ mb: 2 }}>
-        Trackers help peers find each other. Active trackers respond to announce requests.
+        Trackers help peers find each other. Status, success rate and response time come from the
+        trackers' actual answers; announces unanswered after 30 seconds count as failed.
       </Alert>
       
       <TableContainer>
@@ -314,12 +343,14 @@ function TrackerStatusTab({ trackerHealth }) {
               <TableCell>Last Announce</TableCell>
               <TableCell>Last Response</TableCell>
               <TableCell>Avg Response</TableCell>
+              <TableCell>Seeders / Leechers</TableCell>
               <TableCell>Failures</TableCell>
             </TableRow>
           </TableHead>
           <TableBody>
             {trackerHealth.trackers.map((tracker, index) => {
               const statusInfo = getTrackerStatusInfo(tracker.status);
+              const swarm = getSwarmTotals(tracker.torrents);
               
               return (
                 <TableRow key={index}>
@@ -329,17 +360,22 @@ function TrackerStatusTab({ trackerHealth }) {
                     </Typography>
                   </TableCell>
                   <TableCell>
-                    <Chip
-                      icon={statusInfo.icon}
-                      label={statusInfo.text}
-                      color={statusInfo.color}
-                      size="small"
-                      variant="outlined"
-                    />
+                    <Tooltip title={tracker.lastError ? `Last error ${formatTimeAgo(tracker.lastErrorAt)}: ${tracker.lastError}` : ''}>
+                      <Chip
+                        icon={statusInfo.icon}
+                        label={statusInfo.text}
+                        color={statusInfo.color}
+                        size="small"
+                        variant="outlined"
+                      />
+                    </Tooltip>
                   </TableCell>
                   <TableCell>
                     <Typography variant="body2">
-                      {tracker.successRate}%
+                      {tracker.successRate === null ? '—' : `${tracker.successRate}%`}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {tracker.successfulAnnounces}/{tracker.totalAnnounces} answered
                     </Typography>
                   </TableCell>
                   <TableCell>
@@ -354,9 +390,16 @@ function TrackerStatusTab({ trackerHealth }) {
                   </TableCell>
                   <TableCell>
                     <Typography variant="body2">
-                      {tracker.averageResponseTime}ms
+                      {tracker.averageResponseTime === null ? '—' : `${tracker.averageResponseTime}ms`}
                     </Typography>
                   </TableCell>
+                  <TableCell>
+                    <Tooltip title={`${tracker.torrents.length} share(s) announced`}>
+                      <Typography variant="body2">
+                        {swarm ? `${swarm.seeders} / ${swarm.leechers}` : '—'}
+                      </Typography>
+                    </Tooltip>
+                  </TableCell>
                   <TableCell>
                     <Typography 
                       variant="body2" 
@@ -375,6 +418,234 @@ function TrackerStatusTab({ trackerHealth }) {
   );
 }
 
+// Peers found by multicast on the local subnet (BEP 14), apart from tracker and DHT peers
+function LanDiscoveryTab({ lan }) {
+  if (!lan) {
+    return <Box sx={{ p: 2 }}>Loading LAN discovery status...</Box>;
+  }
+  
+  if (!lan.enabled) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Alert severity="info">
+          LAN discovery is disabled. Set public.webtorrent.lsd.enabled (WEBTORRENT_LSD) to find nodes on this subnet without trackers.
+        </Alert>
+      </Box>
+    );
+  }
+  
+  const statusInfo = lan.status === 'listening' ?
+    { icon: <CheckCircleIcon />, color: 'success', text: 'Listening' } :
+    getTrackerStatusInfo(lan.status);
+  
+  return (
+    <Box sx={{ p: 2 }}>
+      <Alert severity={lan.status === 'error' ? 'error' : 'info'} sx={{ mb: 2 }}>
+        {lan.status === 'error' ?
+          `LAN discovery failed: ${lan.error}` :
+          `Public shares are announced to ${lan.group} and nodes on this subnet announcing the same shares are connected directly. Private shares are never announced.`}
+      </Alert>
+      
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Chip
+          icon={statusInfo.icon}
+          label={statusInfo.text}
+          color={statusInfo.color}
+          size="small"
+          variant="outlined"
+        />
+        <Typography variant="body2" color="text.secondary">
+          Sent {lan.announcesSent} announces, last {formatTimeAgo(lan.lastAnnounce)}
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Received {lan.announcesReceived}, last {formatTimeAgo(lan.lastReceived)}
+        </Typography>
+      </Box>
+      
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Peer</TableCell>
+              <TableCell>Shares in common</TableCell>
+              <TableCell>Connected</TableCell>
+              <TableCell>First Seen</TableCell>
+              <TableCell>Last Seen</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {lan.peers.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5}>
+                  <Typography variant="body2" color="text.secondary">
+                    No nodes found on this subnet yet.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {lan.peers.map(peer => (
+              <TableRow key={`${peer.address}:${peer.port}`}>
+                <TableCell>
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>
+                    {peer.address}:{peer.port}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">
+                    {peer.shares.length > 0 ? peer.shares.map(share => share.name || share.infoHash.substring(0, 8)).join(', ') : 'None'}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {peer.announced} announced
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={peer.connected ? 'Yes' : 'No'}
+                    color={peer.connected ? 'success' : 'default'}
+                    size="small"
+                    variant="outlined"
+                  />
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="text.secondary">
+                    {formatTimeAgo(peer.firstSeen)}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2" color="text.secondary">
+                    {formatTimeAgo(peer.lastSeen)}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+// Recorded transfer, peer and tracker history for the node or one share
+function HistoryTab({ active }) {
+  const theme = useTheme();
+  const [range, setRange] = useState('hour');
+  const [infoHash, setInfoHash] = useState('');
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+  
+  const torrents = useTracker(function() {
+    if (!active) return [];
+    Meteor.subscribe('torrents.all');
+    return TorrentsCollection.find({}, { fields: { infoHash: 1, name: 1 }, sort: { name: 1 } }).fetch();
+  }, [active]);
+  
+  useEffect(function() {
+    if (!active) return;
+    
+    function fetchHistory() {
+      Meteor.call('metrics.history', range, infoHash || undefined, function(err, result) {
+        if (err) {
+          setError(err.reason || err.message);
+        } else {
+          setError(null);
+          setHistory(result);
+        }
+      });
+    }
+    
+    fetchHistory();
+    const interval = Meteor.setInterval(fetchHistory, 60000);
+    return function() {
+      Meteor.clearInterval(interval);
+    };
+  }, [active, range, infoHash]);
+  
+  return (
+    <Box sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+        <ButtonGroup size="small">
+          {[['hour', 'Last hour'], ['day', 'Last day'], ['week', 'Last week']].map(([value, label]) => (
+            <Button
+              key={value}
+              variant={range === value ? 'contained' : 'outlined'}
+              onClick={() => setRange(value)}
+            >
+              {label}
+            </Button>
+          ))}
+        </ButtonGroup>
+        
+        <TextField
+          select
+          size="small"
+          label="Share"
+          value={infoHash}
+          onChange={(e) => setInfoHash(e.target.value)}
+          sx={{ minWidth: 240 }}
+        >
+          <MenuItem value="">Whole node</MenuItem>
+          {torrents.map(torrent => (
+            <MenuItem key={torrent.infoHash} value={torrent.infoHash}>
+              {torrent.name || torrent.infoHash}
+            </MenuItem>
+          ))}
+        </TextField>
+        
+        {history && (
+          <Typography variant="caption" color="text.secondary">
+            Sampled every {Math.round(history.intervalMs / 1000)}s
+          </Typography>
+        )}
+      </Box>
+      
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      
+      {history && history.points.length === 0 && (
+        <Alert severity="info">No samples recorded in this range yet.</Alert>
+      )}
+      
+      {history && history.points.length > 0 && (
+        <Box>
+          <MetricsHistoryChart
+            title="Transfer speed"
+            points={history.points}
+            from={history.from}
+            to={history.to}
+            series={[
+              { key: 'downloadSpeed', label: 'Download', color: theme.palette.primary.main },
+              { key: 'uploadSpeed', label: 'Upload', color: theme.palette.secondary.main }
+            ]}
+            formatValue={value => formatBytes(value) + '/s'}
+          />
+          <MetricsHistoryChart
+            title="Bytes transferred this session"
+            points={history.points}
+            from={history.from}
+            to={history.to}
+            series={[
+              { key: 'downloaded', label: 'Downloaded', color: theme.palette.primary.main },
+              { key: 'uploaded', label: 'Uploaded', color: theme.palette.secondary.main }
+            ]}
+            formatValue={formatBytes}
+          />
+          <MetricsHistoryChart
+            title="Peers and trackers"
+            points={history.points}
+            from={history.from}
+            to={history.to}
+            series={[
+              { key: 'peers', label: 'Peers', color: theme.palette.info.main },
+              { key: 'trackersActive', label: 'Active trackers', color: theme.palette.success.main },
+              { key: 'trackersTotal', label: 'Trackers', color: theme.palette.text.disabled }
+            ]}
+            formatValue={value => String(Math.round(value * 10) / 10)}
+          />
+        </Box>
+      )}
+    </Box>
+  );
+}
+
 // Other tab components would follow similar patterns...
 // AnnounceHistoryTab, DHTWebSeedsTab, ConfigurationTab
 
@@ -394,4 +665,28 @@ function formatTimeAgo(timestamp) {
   return moment(timestamp).fromNow();
 }
 
+// Format bytes to human-readable format
+function formatBytes(bytes, decimals = 1) {
+  if (!bytes || bytes === 0) return '0 B';
+  
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
+}
+
+// Seeders and leechers a tracker reported across the shares announced to it
+function getSwarmTotals(torrents) {
+  const reported = (torrents || []).filter(torrent => torrent.seeders !== null || torrent.leechers !== null);
+  if (reported.length === 0) return null;
+  
+  return reported.reduce(function(totals, torrent) {
+    return {
+      seeders: totals.seeders + (torrent.seeders || 0),
+      leechers: totals.leechers + (torrent.leechers || 0)
+    };
+  }, { seeders: 0, leechers: 0 });
+}
+
 export default NetworkStatusSection;
\ No newline at end of file
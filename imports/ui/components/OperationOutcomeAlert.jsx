@@ -0,0 +1,104 @@
+import React from 'react';
+import Alert from '@mui/material/Alert';
+import AlertTitle from '@mui/material/AlertTitle';
+import Box from '@mui/material/Box';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Chip from '@mui/material/Chip';
+import Typography from '@mui/material/Typography';
+
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+
+// Map OperationOutcome severities onto MUI Alert severities
+const ALERT_SEVERITY = {
+  fatal: 'error',
+  error: 'error',
+  warning: 'warning',
+  information: 'info'
+};
+
+const SEVERITY_LABELS = {
+  fatal: 'Fatal',
+  error: 'Errors',
+  warning: 'Warnings',
+  information: 'Information'
+};
+
+/**
+ * Render an OperationOutcome as a list of issues grouped by severity
+ * @param {Object} outcome - OperationOutcome resource
+ * @param {String} title - Optional heading shown above the groups
+ * @param {Number} maxIssues - Maximum issues listed per group
+ */
+function OperationOutcomeAlert({ outcome, title, maxIssues = 50, sx }) {
+  if (!OperationOutcomeUtils.isOperationOutcome(outcome)) {
+    return null;
+  }
+
+  const groups = OperationOutcomeUtils.groupBySeverity(outcome);
+
+  return (
+    <Box sx={sx}>
+      {title && (
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>
+          {title}
+        </Typography>
+      )}
+
+      {groups.map(function(group) {
+        const hidden = group.issues.length - maxIssues;
+
+        return (
+          <Alert
+            key={group.severity}
+            severity={ALERT_SEVERITY[group.severity] || 'error'}
+            sx={{ mb: 1 }}
+          >
+            <AlertTitle>
+              {SEVERITY_LABELS[group.severity] || group.severity} ({group.issues.length})
+            </AlertTitle>
+
+            <List dense disablePadding>
+              {group.issues.slice(0, maxIssues).map(function(issue, index) {
+                return (
+                  <ListItem key={index} disableGutters alignItems="flex-start">
+                    <ListItemText
+                      primary={
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                          <Chip label={issue.code} size="small" variant="outlined" />
+                          {(issue.expression || []).map(function(expression) {
+                            return (
+                              <Typography
+                                key={expression}
+                                variant="body2"
+                                component="span"
+                                sx={{ fontFamily: 'monospace' }}
+                              >
+                                {expression}
+                              </Typography>
+                            );
+                          })}
+                        </Box>
+                      }
+                      secondary={issue.diagnostics || issue.details?.text}
+                      secondaryTypographyProps={{ sx: { whiteSpace: 'pre-line' } }}
+                    />
+                  </ListItem>
+                );
+              })}
+            </List>
+
+            {hidden > 0 && (
+              <Typography variant="caption">
+                ...and {hidden} more
+              </Typography>
+            )}
+          </Alert>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default OperationOutcomeAlert;
@@ -0,0 +1,281 @@
+import React, { useState, useMemo } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import MonacoEditor from 'react-monaco-editor';
+import Paper from '@mui/material/Paper';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Alert from '@mui/material/Alert';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
+import ListItemText from '@mui/material/ListItemText';
+import Divider from '@mui/material/Divider';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import CircularProgress from '@mui/material/CircularProgress';
+import { useTheme } from '@mui/material/styles';
+import PeopleIcon from '@mui/icons-material/People';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import OpenInNewIcon from '@mui/icons-material/OpenInNew';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import { PatientIndexCollection, CompartmentResourcesCollection } from '../../api/patients/patients';
+import { TorrentsCollection } from '../../api/torrents/torrents';
+import { SHARE_LOCAL_SYSTEM } from '../../api/fhir/patient-compartment';
+
+// Patients listed at once; the filter narrows the rest
+const MAX_LISTED_PATIENTS = 500;
+
+/**
+ * Every patient found in downloaded shares, with their compartment
+ * resources from each share they appear in
+ * @param {Function} onOpenTorrent - Called with a torrent document to open it in My Shares
+ */
+function PatientsPage({ onOpenTorrent }) {
+  const theme = useTheme();
+  const [filter, setFilter] = useState('');
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [viewing, setViewing] = useState(null);
+  const [reindexing, setReindexing] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+  const [reindexResult, setReindexResult] = useState(null);
+
+  const { patients, isLoading } = useTracker(function() {
+    const sub = Meteor.subscribe('patients.all');
+    return {
+      patients: PatientIndexCollection.find({}, { sort: { value: 1 } }).fetch(),
+      isLoading: !sub.ready()
+    };
+  }, []);
+
+  const { resources, torrents } = useTracker(function() {
+    if (!selectedKey) return { resources: [], torrents: {} };
+
+    Meteor.subscribe('patients.compartment', selectedKey);
+    Meteor.subscribe('torrents.all');
+
+    const found = CompartmentResourcesCollection.find({ patientKeys: selectedKey }).fetch();
+    const byHash = {};
+    TorrentsCollection.find({ infoHash: { $in: found.map(r => r.infoHash) } }).fetch()
+      .forEach(torrent => byHash[torrent.infoHash] = torrent);
+
+    return { resources: found, torrents: byHash };
+  }, [selectedKey]);
+
+  const filtered = useMemo(function() {
+    const needle = filter.trim().toLowerCase();
+    if (!needle) return patients;
+    return patients.filter(patient =>
+      patient.value.toLowerCase().includes(needle) ||
+      patient.system.toLowerCase().includes(needle) ||
+      (patient.names || []).some(name => name.toLowerCase().includes(needle)));
+  }, [patients, filter]);
+
+  // Resources grouped by share, then by type
+  const shares = useMemo(function() {
+    const groups = {};
+    resources.forEach(function(resource) {
+      const share = groups[resource.infoHash] = groups[resource.infoHash] || {};
+      (share[resource.resourceType] = share[resource.resourceType] || []).push(resource);
+    });
+    return groups;
+  }, [resources]);
+
+  const selected = patients.find(patient => patient.key === selectedKey);
+
+  function handleReindex() {
+    setReindexing(true);
+    setOutcome(null);
+    setReindexResult(null);
+
+    Meteor.call('patients.reindex', function(err, result) {
+      setReindexing(false);
+
+      if (err) {
+        console.error('Error reindexing patients:', err);
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      } else {
+        setReindexResult(result);
+      }
+    });
+  }
+
+  return (
+    <Paper sx={{ mb: 2 }}>
+      <Box sx={{ p: 2, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <PeopleIcon color="primary" />
+          <Typography variant="h6" component="h2">
+            Patients
+            <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+              ({patients.length} across all shares)
+            </Typography>
+          </Typography>
+        </Box>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={reindexing ? <CircularProgress size={16} /> : <RefreshIcon />}
+          onClick={handleReindex}
+          disabled={reindexing}
+        >
+          Rebuild Index
+        </Button>
+      </Box>
+
+      {outcome && <OperationOutcomeAlert outcome={outcome} sx={{ mx: 2 }} />}
+      {reindexResult && (
+        <Alert severity={reindexResult.failed.length > 0 ? 'warning' : 'success'} sx={{ mx: 2, mb: 2 }} onClose={() => setReindexResult(null)}>
+          Indexed {reindexResult.patients} patient entries and {reindexResult.resources} resources from {reindexResult.shares} share(s)
+          {reindexResult.failed.length > 0 && `; ${reindexResult.failed.length} share(s) could not be read`}
+        </Alert>
+      )}
+
+      <Divider />
+
+      <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, minHeight: 400 }}>
+        {/* Patient list */}
+        <Box sx={{ width: { xs: '100%', md: 360 }, borderRight: { md: 1 }, borderColor: 'divider' }}>
+          <Box sx={{ p: 2 }}>
+            <TextField
+              fullWidth
+              size="small"
+              placeholder="Filter by name or identifier"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+            />
+          </Box>
+
+          {isLoading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+              <CircularProgress size={24} />
+            </Box>
+          )}
+
+          {!isLoading && patients.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ px: 2 }}>
+              No patients indexed yet. Patients are indexed when a share finishes downloading.
+            </Typography>
+          )}
+
+          <List dense sx={{ maxHeight: 600, overflowY: 'auto' }}>
+            {filtered.slice(0, MAX_LISTED_PATIENTS).map(patient => (
+              <ListItemButton
+                key={patient.key}
+                selected={patient.key === selectedKey}
+                onClick={() => setSelectedKey(patient.key)}
+              >
+                <ListItemText
+                  primary={(patient.names || [])[0] || patient.value}
+                  secondary={patient.system === SHARE_LOCAL_SYSTEM ?
+                    'No identifier (single share)' :
+                    `${patient.system} | ${patient.value}`}
+                  secondaryTypographyProps={{ noWrap: true }}
+                />
+                <Chip label={patient.resourceCount} size="small" variant="outlined" title="Resources" />
+              </ListItemButton>
+            ))}
+          </List>
+          {filtered.length > MAX_LISTED_PATIENTS && (
+            <Typography variant="caption" color="text.secondary" sx={{ px: 2 }}>
+              Showing {MAX_LISTED_PATIENTS} of {filtered.length}; refine the filter to see more.
+            </Typography>
+          )}
+        </Box>
+
+        {/* Compartment */}
+        <Box sx={{ flex: 1, minWidth: 0, p: 2 }}>
+          {!selected && (
+            <Alert severity="info">
+              Select a patient to see their resources from every share.
+            </Alert>
+          )}
+
+          {selected && (
+            <Box>
+              <Typography variant="h6">{(selected.names || []).join(' / ') || selected.value}</Typography>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                {[selected.gender, selected.birthDate, `${selected.system} | ${selected.value}`].filter(v => v).join(' · ')}
+              </Typography>
+
+              {(selected.shares || []).map(function(share) {
+                const torrent = torrents[share.infoHash];
+                const types = shares[share.infoHash] || {};
+
+                return (
+                  <Paper key={share.infoHash} variant="outlined" sx={{ p: 2, mt: 2 }}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                      <Box>
+                        <Typography variant="subtitle1">{torrent ? torrent.name : share.name}</Typography>
+                        <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                          {share.infoHash}
+                        </Typography>
+                      </Box>
+                      <Button
+                        size="small"
+                        endIcon={<OpenInNewIcon />}
+                        disabled={!torrent}
+                        onClick={() => onOpenTorrent(torrent)}
+                      >
+                        Open Share
+                      </Button>
+                    </Box>
+
+                    {Object.keys(types).sort().map(type => (
+                      <Box key={type} sx={{ mb: 1 }}>
+                        <Typography variant="subtitle2">{type} ({types[type].length})</Typography>
+                        {types[type].map(resource => (
+                          <Box
+                            key={resource._id}
+                            onClick={() => setViewing(resource)}
+                            sx={{
+                              display: 'flex', gap: 2, px: 1, py: 0.5, cursor: 'pointer', borderRadius: 1,
+                              '&:hover': { bgcolor: 'action.hover' }
+                            }}
+                          >
+                            <Typography variant="body2" sx={{ fontFamily: 'monospace', minWidth: 140 }} noWrap>
+                              {resource.id || '(no id)'}
+                            </Typography>
+                            <Typography variant="body2" noWrap>{resource.summary}</Typography>
+                          </Box>
+                        ))}
+                      </Box>
+                    ))}
+                  </Paper>
+                );
+              })}
+            </Box>
+          )}
+        </Box>
+      </Box>
+
+      <Dialog open={!!viewing} onClose={() => setViewing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {viewing && `${viewing.resourceType}/${viewing.id || '(no id)'}`}
+        </DialogTitle>
+        <DialogContent>
+          {viewing && (
+            <MonacoEditor
+              height={480}
+              language="json"
+              theme={theme.palette.mode === 'dark' ? 'vs-dark' : 'vs'}
+              value={JSON.stringify(viewing.resource, null, 2)}
+              options={{ readOnly: true, minimap: { enabled: false }, scrollBeyondLastLine: false, automaticLayout: true }}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setViewing(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
+
+export default PatientsPage;
@@ -0,0 +1,233 @@
+import React, { useState, useMemo } from 'react';
+import { Meteor } from 'meteor/meteor';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Alert from '@mui/material/Alert';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import CircularProgress from '@mui/material/CircularProgress';
+import { useTheme } from '@mui/material/styles';
+import AccountTreeIcon from '@mui/icons-material/AccountTree';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { ReferenceGraph } from '../../api/fhir/reference-resolver';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+
+// Graph layout, in SVG user units
+const COLUMN_WIDTH = 260;
+const COLUMN_GAP = 80;
+const NODE_HEIGHT = 28;
+const NODE_SPACING = 36;
+const MAX_LABEL_LENGTH = 34;
+
+const COLUMN_TITLES = ['Patient', 'Encounters', 'Referencing resources'];
+
+/**
+ * Label shown inside a graph node
+ * @param {Object} node - Resolver node
+ * @return {String} Truncated 'Type/id · summary'
+ */
+function nodeLabel(node) {
+  const label = [`${node.resourceType}/${node.id || '?'}`, node.summary].filter(part => part).join(' · ');
+  return label.length > MAX_LABEL_LENGTH ? label.substring(0, MAX_LABEL_LENGTH - 1) + '…' : label;
+}
+
+/**
+ * Referential integrity report and Patient → Encounter → resource graph
+ * for every file in a share, resolved on the server
+ * @param {String} infoHash - Info hash of the share
+ */
+function ReferenceGraphView({ infoHash }) {
+  const theme = useTheme();
+  const [result, setResult] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [patientKey, setPatientKey] = useState('');
+  const [checkOutcome, setCheckOutcome] = useState(null);
+
+  const patients = useMemo(function() {
+    return result ? ReferenceGraph.getPatients(result) : [];
+  }, [result]);
+
+  const outcome = useMemo(function() {
+    return result ? ReferenceGraph.toOutcome(result) : null;
+  }, [result]);
+
+  const graph = useMemo(function() {
+    return result && patientKey ? ReferenceGraph.patientGraph(result, patientKey) : null;
+  }, [result, patientKey]);
+
+  function handleCheck() {
+    setChecking(true);
+    setCheckOutcome(null);
+
+    Meteor.call('torrents.checkReferences', infoHash, function(err, resolved) {
+      setChecking(false);
+      if (err) {
+        setCheckOutcome(OperationOutcomeUtils.fromError(err));
+        return;
+      }
+
+      const firstPatient = ReferenceGraph.getPatients(resolved)[0];
+      setResult(resolved);
+      setPatientKey(firstPatient ? firstPatient.key : '');
+    });
+  }
+
+  // Node positions by key, for drawing edges
+  const positions = {};
+  if (graph) {
+    graph.columns.forEach(function(column, columnIndex) {
+      column.forEach(function(node, row) {
+        positions[node.key] = {
+          x: columnIndex * (COLUMN_WIDTH + COLUMN_GAP),
+          y: 24 + row * NODE_SPACING
+        };
+      });
+    });
+  }
+
+  const graphHeight = graph ? 24 + Math.max(...graph.columns.map(c => c.length), 1) * NODE_SPACING : 0;
+  const nodeColors = [theme.palette.primary.main, theme.palette.secondary.main, theme.palette.info.main];
+
+  return (
+    <Box sx={{ m: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={checking ? <CircularProgress size={16} /> : <AccountTreeIcon />}
+          onClick={handleCheck}
+          disabled={checking}
+        >
+          {result ? 'Re-check References' : 'Check References'}
+        </Button>
+
+        {result && (
+          <>
+            <Chip label={`${result.referenceCount} references`} size="small" variant="outlined" />
+            <Chip label={`${result.resolvedCount} resolved`} size="small" color="success" variant="outlined" />
+            <Chip
+              label={`${result.unresolvedCount} unresolved`}
+              size="small"
+              color={result.unresolvedCount > 0 ? 'warning' : 'default'}
+              variant="outlined"
+            />
+          </>
+        )}
+      </Box>
+
+      <OperationOutcomeAlert outcome={checkOutcome} sx={{ mt: 1 }} />
+
+      {result && result.unresolvedCount === 0 && (
+        <Alert severity="success" sx={{ mt: 1 }}>
+          All {result.referenceCount} references resolve to resources in this share.
+        </Alert>
+      )}
+
+      {outcome && (
+        <OperationOutcomeAlert
+          outcome={outcome}
+          title="Unresolved references"
+          maxIssues={20}
+          sx={{ mt: 1 }}
+        />
+      )}
+
+      {result && patients.length === 0 && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          No Patient resources in this share to graph.
+        </Typography>
+      )}
+
+      {patients.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Patient"
+            value={patientKey}
+            onChange={(e) => setPatientKey(e.target.value)}
+            sx={{ minWidth: 320, mb: 1 }}
+          >
+            {patients.slice(0, 500).map(patient => (
+              <MenuItem key={patient.key} value={patient.key}>
+                {nodeLabel(patient)}
+              </MenuItem>
+            ))}
+          </TextField>
+
+          {graph && graph.truncated && (
+            <Alert severity="info" sx={{ mb: 1 }}>
+              Only the first {Object.keys(positions).length} resources linked to this Patient are shown.
+            </Alert>
+          )}
+
+          {graph && (
+            <Box sx={{ overflow: 'auto', maxHeight: 520, border: 1, borderColor: 'divider', borderRadius: 1, p: 1 }}>
+              <svg
+                width={3 * COLUMN_WIDTH + 2 * COLUMN_GAP}
+                height={graphHeight}
+                style={{ display: 'block', fontFamily: theme.typography.fontFamily }}
+              >
+                {COLUMN_TITLES.map((title, index) => (
+                  <text
+                    key={title}
+                    x={index * (COLUMN_WIDTH + COLUMN_GAP)}
+                    y={14}
+                    fontSize={12}
+                    fontWeight="bold"
+                    fill={theme.palette.text.secondary}
+                  >
+                    {title} ({graph.columns[index].length})
+                  </text>
+                ))}
+
+                {graph.edges.map(function(edge, index) {
+                  const from = positions[edge.from];
+                  const to = positions[edge.to];
+                  const x1 = to.x + COLUMN_WIDTH;
+                  const y1 = to.y + NODE_HEIGHT / 2;
+                  const x2 = from.x;
+                  const y2 = from.y + NODE_HEIGHT / 2;
+                  const bend = (x2 - x1) / 2;
+
+                  return (
+                    <path
+                      key={index}
+                      d={`M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`}
+                      fill="none"
+                      stroke={theme.palette.divider}
+                      strokeWidth={1.5}
+                    >
+                      <title>{edge.path}</title>
+                    </path>
+                  );
+                })}
+
+                {graph.columns.map((column, columnIndex) => column.map(node => (
+                  <g key={node.key} transform={`translate(${positions[node.key].x}, ${positions[node.key].y})`}>
+                    <rect
+                      width={COLUMN_WIDTH}
+                      height={NODE_HEIGHT}
+                      rx={4}
+                      fill={theme.palette.background.paper}
+                      stroke={nodeColors[columnIndex]}
+                    />
+                    <text x={8} y={NODE_HEIGHT / 2 + 4} fontSize={12} fill={theme.palette.text.primary}>
+                      {nodeLabel(node)}
+                    </text>
+                    <title>{`${node.key}${node.summary ? ` · ${node.summary}` : ''}`}</title>
+                  </g>
+                )))}
+              </svg>
+            </Box>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ReferenceGraphView;
@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Meteor } from 'meteor/meteor';
+import MonacoEditor from 'react-monaco-editor';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import TextField from '@mui/material/TextField';
+import Chip from '@mui/material/Chip';
+import Alert from '@mui/material/Alert';
+import IconButton from '@mui/material/IconButton';
+import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import { useTheme } from '@mui/material/styles';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import CloseIcon from '@mui/icons-material/Close';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { ResourceSummary } from '../../api/fhir/resource-summary';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+
+// Fixed row height lets the table render only the rows in view
+const ROW_HEIGHT = 36;
+const TABLE_HEIGHT = 480;
+const OVERSCAN = 10;
+
+const COLUMNS = '28% 20% 1fr';
+
+// NDJSON resources fetched per page
+const PAGE_SIZE = 500;
+
+/**
+ * Virtualized, resourceType-grouped table of the resources in one file,
+ * with the selected resource shown read-only in Monaco. Without content,
+ * the file is NDJSON read from the share a page at a time.
+ * @param {String} filename - File name, for headings
+ * @param {String} content - Bundle JSON or NDJSON already loaded
+ * @param {String} infoHash - Share to page the file from when there is no content
+ */
+function ResourceBrowser({ filename, content, infoHash }) {
+  const theme = useTheme();
+  const [scrollTop, setScrollTop] = useState(0);
+  const [filter, setFilter] = useState('');
+  const [collapsed, setCollapsed] = useState({});
+  const [selected, setSelected] = useState(null);
+  const [page, setPage] = useState({ rows: [], errors: [], done: false });
+  const [loadingPage, setLoadingPage] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  const paged = content === undefined;
+
+  function loadPage(offset) {
+    setLoadingPage(true);
+    setOutcome(null);
+
+    Meteor.call('torrents.getNdjsonPage', infoHash, filename, { offset: offset, limit: PAGE_SIZE }, function(err, result) {
+      setLoadingPage(false);
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+        return;
+      }
+
+      const rows = ResourceSummary.toEntryRows(result.resources.map((entry, index) => ({ ...entry, index: offset + index })));
+      setPage(prev => ({
+        rows: (offset === 0 ? [] : prev.rows).concat(rows),
+        errors: result.errors, // Covers every line read so far
+        done: result.done
+      }));
+    });
+  }
+
+  useEffect(function() {
+    if (paged) {
+      setPage({ rows: [], errors: [], done: false });
+      loadPage(0);
+    }
+  }, [paged, infoHash, filename]);
+
+  const parsed = useMemo(function() {
+    return paged ? page : ResourceSummary.toRows(content);
+  }, [paged, page, content]);
+
+  const groups = useMemo(function() {
+    return ResourceSummary.groupByType(parsed.rows);
+  }, [parsed]);
+
+  // Flatten groups into header and resource items, applying the filter and collapsed groups
+  const items = useMemo(function() {
+    const needle = filter.trim().toLowerCase();
+    const flat = [];
+
+    groups.forEach(function(group) {
+      const rows = needle ?
+        group.rows.filter(row =>
+          row.id.toLowerCase().includes(needle) ||
+          row.summary.toLowerCase().includes(needle) ||
+          row.resourceType.toLowerCase().includes(needle)) :
+        group.rows;
+
+      if (rows.length === 0) return;
+
+      flat.push({ header: true, resourceType: group.resourceType, count: rows.length });
+      if (!collapsed[group.resourceType]) {
+        rows.forEach(row => flat.push(row));
+      }
+    });
+
+    return flat;
+  }, [groups, filter, collapsed]);
+
+  function toggleGroup(resourceType) {
+    setCollapsed(prev => ({ ...prev, [resourceType]: !prev[resourceType] }));
+  }
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(items.length, Math.ceil((scrollTop + TABLE_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const visible = items.slice(first, last);
+
+  const editorValue = useMemo(function() {
+    return selected ? JSON.stringify(selected.resource, null, 2) : '';
+  }, [selected]);
+
+  return (
+    <Box>
+      <OperationOutcomeAlert outcome={outcome} sx={{ mb: 2 }} />
+
+      {parsed.errors.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {parsed.errors.length} line(s) in {filename} could not be parsed and are not listed
+          (first at line {parsed.errors[0].line}: {parsed.errors[0].message})
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          placeholder="Filter by id, type or summary"
+          value={filter}
+          onChange={(e) => { setFilter(e.target.value); setScrollTop(0); }}
+          sx={{ minWidth: 260 }}
+        />
+        {groups.map(group => (
+          <Chip
+            key={group.resourceType}
+            label={`${group.resourceType} (${group.rows.length})`}
+            size="small"
+            variant={collapsed[group.resourceType] ? 'outlined' : 'filled'}
+            onClick={() => toggleGroup(group.resourceType)}
+          />
+        ))}
+      </Box>
+
+      <Box sx={{ display: 'flex', flexDirection: { xs: 'column', md: 'row' }, gap: 2 }}>
+        <Box sx={{ flex: 1, minWidth: 0, border: 1, borderColor: 'divider', borderRadius: 1 }}>
+          {/* Column headings */}
+          <Box sx={{
+            display: 'grid',
+            gridTemplateColumns: COLUMNS,
+            px: 1,
+            height: ROW_HEIGHT,
+            alignItems: 'center',
+            borderBottom: 1,
+            borderColor: 'divider'
+          }}>
+            <Typography variant="caption" fontWeight="bold">id</Typography>
+            <Typography variant="caption" fontWeight="bold">lastUpdated</Typography>
+            <Typography variant="caption" fontWeight="bold">Summary</Typography>
+          </Box>
+
+          <Box
+            sx={{ height: TABLE_HEIGHT, overflowY: 'auto', position: 'relative' }}
+            onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          >
+            {items.length === 0 && !loadingPage && (
+              <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                {parsed.rows.length === 0 ? 'No FHIR resources in this file.' : 'No resources match the filter.'}
+              </Typography>
+            )}
+
+            <Box sx={{ height: items.length * ROW_HEIGHT, position: 'relative' }}>
+              {visible.map(function(item, offset) {
+                const top = (first + offset) * ROW_HEIGHT;
+
+                if (item.header) {
+                  return (
+                    <Box
+                      key={`header-${item.resourceType}`}
+                      onClick={() => toggleGroup(item.resourceType)}
+                      sx={{
+                        position: 'absolute', top, left: 0, right: 0, height: ROW_HEIGHT,
+                        display: 'flex', alignItems: 'center', px: 0.5,
+                        cursor: 'pointer', bgcolor: 'action.hover'
+                      }}
+                    >
+                      <IconButton size="small">
+                        {collapsed[item.resourceType] ? <ChevronRightIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                      </IconButton>
+                      <Typography variant="subtitle2">
+                        {item.resourceType} ({item.count})
+                      </Typography>
+                    </Box>
+                  );
+                }
+
+                const isSelected = selected?.key === item.key;
+
+                return (
+                  <Box
+                    key={item.key}
+                    onClick={() => setSelected(item)}
+                    sx={{
+                      position: 'absolute', top, left: 0, right: 0, height: ROW_HEIGHT,
+                      display: 'grid', gridTemplateColumns: COLUMNS, alignItems: 'center', px: 1,
+                      cursor: 'pointer',
+                      bgcolor: isSelected ? 'action.selected' : 'transparent',
+                      '&:hover': { bgcolor: isSelected ? 'action.selected' : 'action.hover' }
+                    }}
+                  >
+                    <Typography variant="body2" noWrap sx={{ fontFamily: 'monospace', pl: 4 }}>
+                      {item.id || <em>(no id)</em>}
+                    </Typography>
+                    <Typography variant="body2" noWrap color="text.secondary">
+                      {item.lastUpdated}
+                    </Typography>
+                    <Typography variant="body2" noWrap title={item.summary}>
+                      {item.summary}
+                    </Typography>
+                  </Box>
+                );
+              })}
+            </Box>
+          </Box>
+        </Box>
+
+        {selected && (
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="subtitle2">
+                {selected.resourceType}/{selected.id || '(no id)'}
+                {selected.line && ` · line ${selected.line}`}
+              </Typography>
+              <IconButton size="small" onClick={() => setSelected(null)}>
+                <CloseIcon fontSize="small" />
+              </IconButton>
+            </Box>
+            <MonacoEditor
+              height={TABLE_HEIGHT}
+              language="json"
+              theme={theme.palette.mode === 'dark' ? 'vs-dark' : 'vs'}
+              value={editorValue}
+              options={{
+                readOnly: true,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                automaticLayout: true,
+                fontSize: 13
+              }}
+            />
+          </Box>
+        )}
+      </Box>
+
+      {paged && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            {page.done ?
+              `All ${page.rows.length.toLocaleString()} resources loaded` :
+              `First ${page.rows.length.toLocaleString()} resources loaded`}
+          </Typography>
+          {(!page.done || loadingPage) && (
+            <Button
+              size="small"
+              onClick={() => loadPage(page.rows.length)}
+              disabled={loadingPage}
+              startIcon={loadingPage ? <CircularProgress size={16} /> : null}
+            >
+              Load More
+            </Button>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default ResourceBrowser;
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
 import Dialog from '@mui/material/Dialog';
 import DialogTitle from '@mui/material/DialogTitle';
 import DialogContent from '@mui/material/DialogContent';
@@ -17,7 +18,17 @@ import FormControlLabel from '@mui/material/FormControlLabel';
 import FormControl from '@mui/material/FormControl';
 import TextField from '@mui/material/TextField';
 import Alert from '@mui/material/Alert';
+import MenuItem from '@mui/material/MenuItem';
 import CircularProgress from '@mui/material/CircularProgress';
+import Switch from '@mui/material/Switch';
+import Autocomplete from '@mui/material/Autocomplete';
+import Checkbox from '@mui/material/Checkbox';
+import Chip from '@mui/material/Chip';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
 import { alpha } from '@mui/material/styles';
 
 // Icons
@@ -25,11 +36,45 @@ import CloseIcon from '@mui/icons-material/Close';
 import CloudUploadIcon from '@mui/icons-material/CloudUpload';
 import DataObjectIcon from '@mui/icons-material/DataObject';
 import TableViewIcon from '@mui/icons-material/TableView';
+import FolderCopyIcon from '@mui/icons-material/FolderCopy';
+import CloudDownloadIcon from '@mui/icons-material/CloudDownload';
+import LockIcon from '@mui/icons-material/Lock';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import HealingIcon from '@mui/icons-material/Healing';
+import TheaterComedyIcon from '@mui/icons-material/TheaterComedy';
 
 import { FhirUtils } from '../../api/fhir/fhir-utils';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import { Deidentify, DEFAULT_DEIDENTIFY_POLICY } from '../../api/fhir/deidentify';
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { AddressBookCollection } from '../../api/keys/keys';
 
 const steps = ['Data Type', 'Add Data', 'Configure Share'];
 
+const defaultServerImport = {
+  baseUrl: '',
+  mode: 'search', // 'search', 'everything' or 'group-export'
+  resourceType: 'Patient',
+  searchParams: '',
+  patientId: '',
+  groupId: '',
+  bearerToken: ''
+};
+
+// Policy switches shown in the Configure Share step
+const deidentifyOptions = [
+  ['names', 'Names'],
+  ['addresses', 'Street, city and district'],
+  ['zipTruncation', 'Truncate ZIP codes to 3 digits'],
+  ['telecom', 'Phone, email and URLs'],
+  ['identifiers', 'Identifiers (MRN, SSN, ...) and photos'],
+  ['narrative', 'Narrative text and notes'],
+  ['agesOver89', 'Birth dates of patients aged 90+']
+];
+
+// Removals listed in the preview table
+const PREVIEW_ROWS = 8;
+
 function ShareWizardModal({ open, onClose }) {
   const [activeStep, setActiveStep] = useState(0);
   const [fhirType, setFhirType] = useState('bundle');
@@ -37,13 +82,30 @@ function ShareWizardModal({ open, onClose }) {
     name: '',
     description: '',
     files: [],
-    privacy: 'public'
+    privacy: 'public',
+    encrypted: false,
+    recipients: []
   });
   const [fhirContent, setFhirContent] = useState('');
   const [selectedFiles, setSelectedFiles] = useState([]);
-  const [inputMethod, setInputMethod] = useState('paste'); // 'paste' or 'upload'
+  const [inputMethod, setInputMethod] = useState('paste'); // 'paste', 'upload' or 'server'
+  const [serverImport, setServerImport] = useState(defaultServerImport);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [outcome, setOutcome] = useState(null);
+  const [createdShare, setCreatedShare] = useState(null);
+  const [deidentify, setDeidentify] = useState(false);
+  const [deidentifyPolicy, setDeidentifyPolicy] = useState(DEFAULT_DEIDENTIFY_POLICY);
+  const [deidentifyPreview, setDeidentifyPreview] = useState(null);
+  const [pseudonymize, setPseudonymize] = useState(false);
+  const [pseudonymSystems, setPseudonymSystems] = useState('');
+  
+  // Known nodes a share can be encrypted for
+  const addressBook = useTracker(function() {
+    Meteor.subscribe('addressBook.all');
+    return AddressBookCollection.find({}, { sort: { name: 1 } }).fetch();
+  }, []);
+  const isRecipientShare = shareData.recipients.length > 0;
   
   // Handle close and reset
   function handleClose() {
@@ -53,19 +115,73 @@ function ShareWizardModal({ open, onClose }) {
       name: '',
       description: '',
       files: [],
-      privacy: 'public'
+      privacy: 'public',
+      encrypted: false,
+      recipients: []
     });
     setFhirContent('');
     setSelectedFiles([]);
     setInputMethod('paste');
+    setServerImport(defaultServerImport);
     setError('');
+    setOutcome(null);
+    setCreatedShare(null);
+    setDeidentify(false);
+    setDeidentifyPolicy(DEFAULT_DEIDENTIFY_POLICY);
+    setDeidentifyPreview(null);
+    setPseudonymize(false);
+    setPseudonymSystems('');
     onClose();
   }
   
+  // Preview what de-identification removes from the local data; server imports
+  // are only fetched when the share is created, so they have nothing to preview
+  useEffect(function() {
+    if (!deidentify || activeStep !== 2 || inputMethod === 'server') {
+      setDeidentifyPreview(null);
+      return;
+    }
+    
+    let cancelled = false;
+    const filesPromise = inputMethod === 'paste' ?
+      Promise.resolve([{ name: 'pasted', data: fhirContent }]) :
+      Promise.all(selectedFiles.map(file => readFileAsText(file).then(text => ({ name: file.name, data: text }))));
+    
+    filesPromise.then(function(files) {
+      if (!cancelled) {
+        setDeidentifyPreview(Deidentify.processFiles(files, deidentifyPolicy).report);
+      }
+    }).catch(function(err) {
+      console.error('Error previewing de-identification:', err);
+    });
+    
+    return function() {
+      cancelled = true;
+    };
+  }, [deidentify, deidentifyPolicy, activeStep, inputMethod, fhirContent, selectedFiles]);
+  
+  // Pseudonymization policy from the switch and the comma-separated systems
+  function getPseudonymizePolicy() {
+    if (!pseudonymize) return null;
+    return { identifierSystems: pseudonymSystems.split(',').map(system => system.trim()).filter(system => system) };
+  }
+  
   // Handle next step
   function handleNext() {
     if (activeStep === 0) {
-      // Validate data type selection
+      // Bulk exports are always a manifest plus NDJSON files, so they can't be pasted
+      if (fhirType === 'bulk-export' && inputMethod === 'paste') {
+        setInputMethod('upload');
+      }
+      if (fhirType === 'bundle' && inputMethod === 'server') {
+        setInputMethod('paste');
+      }
+      
+      // Server imports produce NDJSON, or a bulk export for Group $export
+      setServerImport(prev => ({
+        ...prev,
+        mode: fhirType === 'bulk-export' ? 'group-export' : (prev.mode === 'group-export' ? 'search' : prev.mode)
+      }));
       setActiveStep(1);
     } else if (activeStep === 1) {
       // Validate data input
@@ -79,6 +195,24 @@ function ShareWizardModal({ open, onClose }) {
         return;
       }
       
+      if (inputMethod === 'server') {
+        if (!/^https?:\/\//i.test(serverImport.baseUrl.trim())) {
+          setError('Please enter the FHIR server base URL (http:// or https://).');
+          return;
+        }
+        
+        const requiredField = {
+          'search': ['resourceType', 'a resource type'],
+          'everything': ['patientId', 'a Patient id'],
+          'group-export': ['groupId', 'a Group id']
+        }[serverImport.mode];
+        
+        if (!serverImport[requiredField[0]].trim()) {
+          setError(`Please enter ${requiredField[1]}.`);
+          return;
+        }
+      }
+      
       // Validate FHIR format
       if (inputMethod === 'paste') {
         const format = FhirUtils.detectFormat(fhirContent);
@@ -100,6 +234,8 @@ function ShareWizardModal({ open, onClose }) {
           ...prev,
           name: inputMethod === 'paste' ? 
             `FHIR ${fhirType.toUpperCase()} Share` : 
+            inputMethod === 'server' ?
+            `FHIR Server Import (${serverImport.mode === 'search' ? serverImport.resourceType : serverImport.mode})` :
             selectedFiles[0]?.name?.replace(/\.[^/.]+$/, "") || 'FHIR Data Share'
         }));
       }
@@ -112,6 +248,7 @@ function ShareWizardModal({ open, onClose }) {
   // Handle back step
   function handleBack() {
     setError('');
+    setOutcome(null);
     setActiveStep(activeStep - 1);
   }
   
@@ -122,12 +259,70 @@ function ShareWizardModal({ open, onClose }) {
     setError('');
   }
   
+  // Shared callback for torrents.create and fhir.importFromServer
+  function handleCreateResult(err, result) {
+    setLoading(false);
+    
+    if (err) {
+      setError('Error creating share: ' + (err.reason || err.message));
+      setOutcome(OperationOutcomeUtils.fromError(err));
+    } else if (result.encrypted) {
+      // Keep the dialog open so the link can be copied (for link shares the key exists only there)
+      setCreatedShare(result);
+    } else {
+      console.log('Share created successfully:', result);
+      handleClose();
+    }
+  }
+  
+  // Copy the share link, key included
+  function handleCopyShareLink() {
+    navigator.clipboard.writeText(createdShare.shareLink);
+  }
+  
   // Handle final create
   async function handleCreate() {
     setLoading(true);
     setError('');
+    setOutcome(null);
     
     try {
+      // The server fetches the data and runs torrents.create itself
+      if (inputMethod === 'server') {
+        const request = {
+          baseUrl: serverImport.baseUrl.trim(),
+          mode: serverImport.mode,
+          name: shareData.name,
+          description: shareData.description,
+          encrypted: shareData.encrypted,
+          recipients: shareData.recipients,
+          privacy: shareData.privacy
+        };
+        
+        if (deidentify) {
+          request.deidentify = deidentifyPolicy;
+        }
+        if (pseudonymize) {
+          request.pseudonymize = getPseudonymizePolicy();
+        }
+        
+        if (serverImport.mode === 'search') {
+          request.resourceType = serverImport.resourceType.trim();
+          request.searchParams = serverImport.searchParams.trim();
+        } else if (serverImport.mode === 'everything') {
+          request.patientId = serverImport.patientId.trim();
+        } else {
+          request.groupId = serverImport.groupId.trim();
+        }
+        
+        if (serverImport.bearerToken.trim()) {
+          request.bearerToken = serverImport.bearerToken.trim();
+        }
+        
+        Meteor.call('fhir.importFromServer', request, handleCreateResult);
+        return;
+      }
+      
       let fileData = [];
       
       if (inputMethod === 'paste') {
@@ -148,7 +343,8 @@ function ShareWizardModal({ open, onClose }) {
           }
           
           if ((fhirType === 'bundle' && format !== 'bundle') || 
-              (fhirType === 'ndjson' && format !== 'ndjson')) {
+              (fhirType === 'ndjson' && format !== 'ndjson') ||
+              (fhirType === 'bulk-export' && format !== 'ndjson' && format !== 'bulk-manifest')) {
             throw new Error(`File ${file.name} format doesn't match selected type.`);
           }
           
@@ -162,17 +358,13 @@ function ShareWizardModal({ open, onClose }) {
       // Create the torrent
       Meteor.call('torrents.create', shareData.name, fileData, {
         description: shareData.description,
-        fhirType: fhirType
-      }, function(err, result) {
-        setLoading(false);
-        
-        if (err) {
-          setError('Error creating share: ' + err.message);
-        } else {
-          console.log('Share created successfully:', result);
-          handleClose();
-        }
-      });
+        fhirType: fhirType,
+        encrypted: shareData.encrypted,
+        recipients: shareData.recipients,
+        privacy: shareData.privacy,
+        deidentify: deidentify ? deidentifyPolicy : null,
+        pseudonymize: getPseudonymizePolicy()
+      }, handleCreateResult);
       
     } catch (err) {
       setLoading(false);
@@ -239,6 +431,21 @@ function ShareWizardModal({ open, onClose }) {
                     </Box>
                   }
                 />
+                <FormControlLabel 
+                  value="bulk-export" 
+                  control={<Radio />} 
+                  label={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <FolderCopyIcon />
+                      <Box>
+                        <Typography variant="body1">Bulk Data Export</Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          $export manifest with its per-type NDJSON files (.json + .ndjson)
+                        </Typography>
+                      </Box>
+                    </Box>
+                  }
+                />
               </RadioGroup>
             </FormControl>
           </Box>
@@ -261,12 +468,19 @@ function ShareWizardModal({ open, onClose }) {
                   value="paste" 
                   control={<Radio />} 
                   label="Paste Data"
+                  disabled={fhirType === 'bulk-export'}
                 />
                 <FormControlLabel 
                   value="upload" 
                   control={<Radio />} 
                   label="Upload Files"
                 />
+                <FormControlLabel 
+                  value="server" 
+                  control={<Radio />} 
+                  label="Import from FHIR Server"
+                  disabled={fhirType === 'bundle'}
+                />
               </RadioGroup>
             </FormControl>
             
@@ -292,8 +506,102 @@ function ShareWizardModal({ open, onClose }) {
               />
             )}
             
+            {inputMethod === 'server' && (
+              <Box>
+                <TextField
+                  label="FHIR Base URL"
+                  fullWidth
+                  required
+                  value={serverImport.baseUrl}
+                  onChange={(e) => setServerImport(prev => ({ ...prev, baseUrl: e.target.value }))}
+                  placeholder="https://hapi.fhir.org/baseR4"
+                  margin="normal"
+                />
+                
+                <TextField
+                  select
+                  label="Query"
+                  fullWidth
+                  value={serverImport.mode}
+                  onChange={(e) => setServerImport(prev => ({ ...prev, mode: e.target.value }))}
+                  margin="normal"
+                >
+                  {fhirType === 'bulk-export' ? (
+                    <MenuItem value="group-export">Group $export (Bulk Data)</MenuItem>
+                  ) : ([
+                    <MenuItem key="search" value="search">Resource search</MenuItem>,
+                    <MenuItem key="everything" value="everything">Patient $everything</MenuItem>
+                  ])}
+                </TextField>
+                
+                {serverImport.mode === 'search' && (
+                  <Box sx={{ display: 'flex', gap: 2 }}>
+                    <TextField
+                      label="Resource Type"
+                      required
+                      value={serverImport.resourceType}
+                      onChange={(e) => setServerImport(prev => ({ ...prev, resourceType: e.target.value }))}
+                      margin="normal"
+                      sx={{ flex: 1 }}
+                    />
+                    <TextField
+                      label="Search Parameters"
+                      value={serverImport.searchParams}
+                      onChange={(e) => setServerImport(prev => ({ ...prev, searchParams: e.target.value }))}
+                      placeholder="name=smith&_count=100"
+                      margin="normal"
+                      sx={{ flex: 2 }}
+                    />
+                  </Box>
+                )}
+                
+                {serverImport.mode === 'everything' && (
+                  <TextField
+                    label="Patient ID"
+                    fullWidth
+                    required
+                    value={serverImport.patientId}
+                    onChange={(e) => setServerImport(prev => ({ ...prev, patientId: e.target.value }))}
+                    margin="normal"
+                  />
+                )}
+                
+                {serverImport.mode === 'group-export' && (
+                  <TextField
+                    label="Group ID"
+                    fullWidth
+                    required
+                    value={serverImport.groupId}
+                    onChange={(e) => setServerImport(prev => ({ ...prev, groupId: e.target.value }))}
+                    margin="normal"
+                  />
+                )}
+                
+                <TextField
+                  label="Bearer Token"
+                  fullWidth
+                  type="password"
+                  value={serverImport.bearerToken}
+                  onChange={(e) => setServerImport(prev => ({ ...prev, bearerToken: e.target.value }))}
+                  helperText="Optional access token sent to the FHIR server"
+                  margin="normal"
+                />
+                
+                <Alert severity="info" icon={<CloudDownloadIcon />} sx={{ mt: 1 }}>
+                  All result pages are fetched on the server and shared as NDJSON
+                  {fhirType === 'bulk-export' ? ' together with the $export manifest' : ', one file per resource type'}.
+                </Alert>
+              </Box>
+            )}
+            
             {inputMethod === 'upload' && (
               <Box>
+                {fhirType === 'bulk-export' && (
+                  <Alert severity="info" sx={{ mb: 2 }}>
+                    Select the $export manifest together with every NDJSON file it lists.
+                  </Alert>
+                )}
+                
                 <Button
                   variant="outlined"
                   component="label"
@@ -375,10 +683,181 @@ function ShareWizardModal({ open, onClose }) {
                 <FormControlLabel 
                   value="private" 
                   control={<Radio />} 
-                  label="Private link only"
+                  label="Private (only through this node's tracker, never DHT or peer exchange)"
                 />
               </RadioGroup>
             </FormControl>
+            
+            <Box sx={{ mt: 2 }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={shareData.encrypted || isRecipientShare}
+                    disabled={isRecipientShare}
+                    onChange={(e) => setShareData(prev => ({ ...prev, encrypted: e.target.checked }))}
+                  />
+                }
+                label={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <LockIcon fontSize="small" />
+                    <Typography variant="body1">Encrypted share</Typography>
+                  </Box>
+                }
+              />
+              <Typography variant="body2" color="text.secondary" sx={{ ml: 6 }}>
+                Files are encrypted with AES-256-GCM before seeding. Only people with the
+                share link, which carries the key, can read them.
+              </Typography>
+            </Box>
+            
+            <Autocomplete
+              multiple
+              options={addressBook}
+              getOptionLabel={(entry) => entry.name}
+              isOptionEqualToValue={(option, value) => option._id === value._id}
+              value={addressBook.filter(entry => shareData.recipients.includes(entry._id))}
+              onChange={(e, selected) => setShareData(prev => ({ ...prev, recipients: selected.map(entry => entry._id) }))}
+              noOptionsText="No nodes in the address book yet"
+              renderInput={(params) => (
+                <TextField
+                  {...params}
+                  label="Recipients"
+                  margin="normal"
+                  helperText={isRecipientShare ?
+                    'Only these nodes can open the share; the key is wrapped for each of their public keys.' :
+                    'Optional: limit the share to nodes from your address book instead of a link key.'}
+                />
+              )}
+            />
+            
+            <Box sx={{ mt: 2 }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={deidentify}
+                    onChange={(e) => setDeidentify(e.target.checked)}
+                  />
+                }
+                label={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <HealingIcon fontSize="small" />
+                    <Typography variant="body1">De-identify before seeding (HIPAA Safe Harbor)</Typography>
+                  </Box>
+                }
+              />
+              
+              {deidentify && (
+                <Box sx={{ ml: 6 }}>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap' }}>
+                    {deidentifyOptions.map(([key, label]) => (
+                      <FormControlLabel
+                        key={key}
+                        sx={{ width: '50%', mr: 0 }}
+                        control={
+                          <Checkbox
+                            size="small"
+                            checked={deidentifyPolicy[key]}
+                            onChange={(e) => setDeidentifyPolicy(prev => ({ ...prev, [key]: e.target.checked }))}
+                          />
+                        }
+                        label={<Typography variant="body2">{label}</Typography>}
+                      />
+                    ))}
+                  </Box>
+                  
+                  <TextField
+                    label="Date shift (± days)"
+                    type="number"
+                    size="small"
+                    value={deidentifyPolicy.dateShiftDays}
+                    onChange={(e) => setDeidentifyPolicy(prev => ({ ...prev, dateShiftDays: Math.max(parseInt(e.target.value, 10) || 0, 0) }))}
+                    helperText="Each patient's dates move by the same random offset; 0 keeps dates"
+                    margin="dense"
+                  />
+                  
+                  {inputMethod === 'server' ? (
+                    <Alert severity="info" sx={{ mt: 1 }}>
+                      The policy is applied on the server after the import, before anything is seeded.
+                    </Alert>
+                  ) : deidentifyPreview && (
+                    <Box sx={{ mt: 1 }}>
+                      <Typography variant="body2" color="text.secondary" gutterBottom>
+                        Preview: {deidentifyPreview.resources} resources, {deidentifyPreview.patients} patient(s)
+                      </Typography>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mb: 1 }}>
+                        {Object.keys(deidentifyPreview.counts).filter(key => deidentifyPreview.counts[key] > 0).map(key => (
+                          <Chip key={key} size="small" label={`${key}: ${deidentifyPreview.counts[key]}`} />
+                        ))}
+                        {deidentifyPreview.droppedLines > 0 && (
+                          <Chip size="small" color="warning" label={`unparseable lines: ${deidentifyPreview.droppedLines}`} />
+                        )}
+                      </Box>
+                      {deidentifyPreview.removed.length > 0 && (
+                        <Table size="small">
+                          <TableHead>
+                            <TableRow>
+                              <TableCell>Resource</TableCell>
+                              <TableCell>Element</TableCell>
+                              <TableCell>Category</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {deidentifyPreview.removed.slice(0, PREVIEW_ROWS).map((item, index) => (
+                              <TableRow key={index}>
+                                <TableCell>{item.resource}</TableCell>
+                                <TableCell sx={{ fontFamily: 'monospace' }}>{item.path}</TableCell>
+                                <TableCell>{item.category}</TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      )}
+                      {deidentifyPreview.removed.length > PREVIEW_ROWS && (
+                        <Typography variant="caption" color="text.secondary">
+                          …and {deidentifyPreview.removed.length - PREVIEW_ROWS}{deidentifyPreview.truncated ? '+' : ''} more
+                        </Typography>
+                      )}
+                    </Box>
+                  )}
+                </Box>
+              )}
+            </Box>
+            
+            <Box sx={{ mt: 2 }}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={pseudonymize}
+                    onChange={(e) => setPseudonymize(e.target.checked)}
+                  />
+                }
+                label={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <TheaterComedyIcon fontSize="small" />
+                    <Typography variant="body1">Pseudonymize ids</Typography>
+                  </Box>
+                }
+              />
+              <Typography variant="body2" color="text.secondary" sx={{ ml: 6 }}>
+                Resource ids and references are replaced with keyed pseudonyms. The map back to the
+                original ids stays on this node only.
+              </Typography>
+              {pseudonymize && (
+                <TextField
+                  label="Identifier systems to pseudonymize"
+                  fullWidth
+                  size="small"
+                  value={pseudonymSystems}
+                  onChange={(e) => setPseudonymSystems(e.target.value)}
+                  placeholder="http://hospital.example.org/mrn, http://hl7.org/fhir/sid/us-ssn"
+                  helperText={deidentify && deidentifyPolicy.identifiers ?
+                    'De-identification removes identifiers first; turn off its identifier option to keep pseudonymized ones.' :
+                    'Comma-separated systems, or * for every identifier'}
+                  margin="dense"
+                  sx={{ ml: 6, width: 'calc(100% - 48px)' }}
+                />
+              )}
+            </Box>
           </Box>
         );
         
@@ -420,49 +899,94 @@ function ShareWizardModal({ open, onClose }) {
           ))}
         </Stepper>
         
-        {error && (
+        {error && !outcome && (
           <Alert severity="error" sx={{ mb: 2 }}>
             {error}
           </Alert>
         )}
         
-        {renderStepContent()}
+        {outcome && (
+          <OperationOutcomeAlert outcome={outcome} title={error} sx={{ mb: 2 }} />
+        )}
+        
+        {createdShare ? (
+          <Box sx={{ py: 2 }}>
+            <Alert severity="success" icon={<LockIcon />} sx={{ mb: 2 }}>
+              {createdShare.recipients > 0 ?
+                `Encrypted share created for ${createdShare.recipients} recipient(s). The link carries no key; only their nodes can open it.` :
+                'Encrypted share created. Send this link to your recipients: the key is in the part after #, which never reaches trackers or peers.'}
+            </Alert>
+            <TextField
+              label="Share Link"
+              fullWidth
+              multiline
+              maxRows={4}
+              value={createdShare.shareLink}
+              InputProps={{ readOnly: true }}
+              sx={{
+                '& .MuiInputBase-input': {
+                  fontFamily: 'monospace',
+                  fontSize: '0.875rem'
+                }
+              }}
+            />
+          </Box>
+        ) : renderStepContent()}
       </DialogContent>
       
       <DialogActions sx={{ px: 3, pb: 3 }}>
-        <Button 
-          onClick={handleClose} 
-          disabled={loading}
-        >
-          Cancel
-        </Button>
-        
-        {activeStep > 0 && (
-          <Button 
-            onClick={handleBack}
-            disabled={loading}
-          >
-            Back
-          </Button>
-        )}
-        
-        {activeStep < steps.length - 1 ? (
-          <Button 
-            variant="contained" 
-            onClick={handleNext}
-            disabled={loading}
-          >
-            Continue
-          </Button>
+        {createdShare ? (
+          <>
+            <Button 
+              onClick={handleCopyShareLink}
+              startIcon={<ContentCopyIcon />}
+            >
+              Copy Link
+            </Button>
+            <Button 
+              variant="contained"
+              onClick={handleClose}
+            >
+              Done
+            </Button>
+          </>
         ) : (
-          <Button 
-            variant="contained" 
-            onClick={handleCreate}
-            disabled={loading || !shareData.name}
-            startIcon={loading ? <CircularProgress size={20} /> : null}
-          >
-            {loading ? 'Creating...' : 'Create Share'}
-          </Button>
+          <>
+            <Button 
+              onClick={handleClose} 
+              disabled={loading}
+            >
+              Cancel
+            </Button>
+            
+            {activeStep > 0 && (
+              <Button 
+                onClick={handleBack}
+                disabled={loading}
+              >
+                Back
+              </Button>
+            )}
+            
+            {activeStep < steps.length - 1 ? (
+              <Button 
+                variant="contained" 
+                onClick={handleNext}
+                disabled={loading}
+              >
+                Continue
+              </Button>
+            ) : (
+              <Button 
+                variant="contained" 
+                onClick={handleCreate}
+                disabled={loading || !shareData.name}
+                startIcon={loading ? <CircularProgress size={20} /> : null}
+              >
+                {loading ? 'Creating...' : 'Create Share'}
+              </Button>
+            )}
+          </>
         )}
       </DialogActions>
     </Dialog>
@@ -32,9 +32,22 @@ import FolderIcon from '@mui/icons-material/Folder';
 import CloudIcon from '@mui/icons-material/Cloud';
 import DataObjectIcon from '@mui/icons-material/DataObject';
 import TableViewIcon from '@mui/icons-material/TableView';
+import FolderCopyIcon from '@mui/icons-material/FolderCopy';
 import PeopleIcon from '@mui/icons-material/People';
+import LockIcon from '@mui/icons-material/Lock';
+import VerifiedIcon from '@mui/icons-material/Verified';
+import GppMaybeIcon from '@mui/icons-material/GppMaybe';
+import VpnLockIcon from '@mui/icons-material/VpnLock';
+import SpeedIcon from '@mui/icons-material/Speed';
+import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import FastForwardIcon from '@mui/icons-material/FastForward';
 
+import BandwidthLimitsDialog from './BandwidthLimitsDialog';
 import { TorrentsCollection } from '../../api/torrents/torrents';
+import { BandwidthCollection } from '../../api/bandwidth/bandwidth';
+import { Roles } from '../../api/users/users';
 
 // Format bytes to human-readable format
 function formatBytes(bytes, decimals = 2) {
@@ -55,12 +68,29 @@ function formatSpeed(bytesPerSec) {
   return formatBytes(bytesPerSec) + '/s';
 }
 
+// Describe download and upload limits (-1 or missing for unlimited)
+function formatLimits(limits) {
+  const limit = value => value > 0 ? formatSpeed(value) : 'unlimited';
+  return `↓ ${limit(get(limits, 'downloadLimit'))} ↑ ${limit(get(limits, 'uploadLimit'))}`;
+}
+
+function hasLimits(limits) {
+  return get(limits, 'downloadLimit', -1) > 0 || get(limits, 'uploadLimit', -1) > 0;
+}
+
 // Get status color and info
 function getStatusInfo(torrent) {
   const state = get(torrent, 'status.state', 'unknown');
   const progress = get(torrent, 'status.progress', 0);
   
-  if (state === 'seeding' || progress >= 1) {
+  if (state === 'queued') {
+    const position = get(torrent, 'queue.position');
+    return {
+      color: 'default',
+      label: position ? `Queued #${position}` : 'Queued',
+      icon: <HourglassEmptyIcon fontSize="small" />
+    };
+  } else if (state === 'seeding' || progress >= 1) {
     return {
       color: 'success',
       label: 'Seeding',
@@ -87,10 +117,27 @@ function getStatusInfo(torrent) {
   }
 }
 
+// Describe a share's publisher signature for its badge
+function getSignatureTooltip(signature) {
+  const publisher = signature.publisherName || (signature.publisher ? `${signature.publisher.substring(0, 16)}…` : 'unknown publisher');
+
+  switch (signature.state) {
+    case 'verified':
+      return `Verified: signed by ${publisher}`;
+    case 'untrusted':
+      return `Unverified: validly signed by ${publisher}, who is not a trusted publisher`;
+    case 'invalid':
+      return `Unverified: ${(signature.issues || [])[0] || 'the signature does not match the files'}`;
+    default:
+      return 'Unverified: this share is not signed';
+  }
+}
+
 function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
   const [successMessage, setSuccessMessage] = useState('');
   const [anchorEl, setAnchorEl] = useState(null);
   const [menuTorrent, setMenuTorrent] = useState(null);
+  const [limitsDialog, setLimitsDialog] = useState({ open: false, torrent: null });
 
   // Subscribe to torrents and get data
   const { torrents, isLoading, isReady } = useTracker(function() {
@@ -107,6 +154,15 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
     };
   }, []);
   
+  // Node-wide limits in force, and whether this user may change them
+  const { bandwidth, isOperator } = useTracker(function() {
+    Meteor.subscribe('bandwidth.settings');
+    return {
+      bandwidth: BandwidthCollection.findOne({ _id: 'global' }),
+      isOperator: Roles.hasRole(Meteor.user(), 'operator')
+    };
+  }, []);
+  
   // Update parent component with torrents
   useEffect(function() {
     if (onTorrentsUpdate) {
@@ -159,6 +215,12 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
     }
   }
   
+  // Open the limits dialog for a share, or for the whole node
+  function handleEditLimits(torrent) {
+    handleMenuClose();
+    setLimitsDialog({ open: true, torrent: torrent });
+  }
+  
   // Handle torrent selection
   function handleSelectTorrent(torrent) {
     if (onSelectTorrent) {
@@ -180,9 +242,46 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
     handleTogglePause(infoHash, currentState);
   }
   
-  function handleDirectCopy(event, magnetUri) {
+  function handleDirectCopy(event, torrent) {
     event.stopPropagation();
-    copyMagnetUri(magnetUri);
+    
+    if (!torrent.encryption && torrent.privacy !== 'private') {
+      copyMagnetUri(torrent.magnetURI);
+      return;
+    }
+    
+    // Encrypted shares are copied as a share link carrying the key (for their
+    // owner only), private ones with the caller's tracker passkey
+    Meteor.call('torrents.getShareLink', torrent.infoHash, function(err, result) {
+      if (err) {
+        console.error('Error getting share link:', err);
+        alert('Error getting share link: ' + err.message);
+      } else {
+        copyMagnetUri(result.shareLink);
+      }
+    });
+  }
+  
+  // Reorder the download queue
+  function handleMoveInQueue(event, infoHash, direction) {
+    event.stopPropagation();
+    Meteor.call('torrents.moveInQueue', infoHash, direction, function(err) {
+      if (err) {
+        console.error('Error moving torrent in queue:', err);
+        alert('Error moving torrent in queue: ' + err.message);
+      }
+    });
+  }
+  
+  // Start now whatever the active limits, or return to the queue
+  function handleForceStart(event, torrent) {
+    event.stopPropagation();
+    Meteor.call('torrents.forceStart', torrent.infoHash, !get(torrent, 'queue.forced', false), function(err) {
+      if (err) {
+        console.error('Error force-starting torrent:', err);
+        alert('Error force-starting torrent: ' + err.message);
+      }
+    });
   }
   
   function handleDirectRemove(event, infoHash) {
@@ -243,6 +342,21 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
         </Alert>
       )}
       
+      {bandwidth && bandwidth.active && (
+        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+          <Tooltip title={isOperator ? 'Change node-wide limits and schedule' : 'Node-wide bandwidth limits'}>
+            <Chip
+              icon={<SpeedIcon fontSize="small" />}
+              label={`${formatLimits(bandwidth.active)}${bandwidth.active.rule ? ` · ${bandwidth.active.rule}` : ''}`}
+              size="small"
+              variant="outlined"
+              color={hasLimits(bandwidth.active) ? 'warning' : 'default'}
+              onClick={isOperator ? () => handleEditLimits(null) : undefined}
+            />
+          </Tooltip>
+        </Box>
+      )}
+      
       {isLoading ? (
         <Box sx={{ p: 3 }}>
           <LinearProgress />
@@ -313,13 +427,36 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         {torrent.fhirType === 'bundle' ? (
                           <DataObjectIcon color="primary" fontSize="small" />
+                        ) : torrent.fhirType === 'bulk-export' ? (
+                          <FolderCopyIcon color="secondary" fontSize="small" />
                         ) : (
                           <TableViewIcon color="secondary" fontSize="small" />
                         )}
                         <Box>
-                          <Typography variant="body2" sx={{ fontWeight: 500 }}>
-                            {torrent.name || 'Unnamed Share'}
-                          </Typography>
+                          <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                            <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                              {torrent.name || 'Unnamed Share'}
+                            </Typography>
+                            {torrent.encryption && (
+                              <Tooltip title={torrent.encryption.recipients ? `Encrypted for ${torrent.encryption.recipients} recipient(s)` : 'Encrypted share (AES-256-GCM)'}>
+                                <LockIcon fontSize="inherit" color="action" />
+                              </Tooltip>
+                            )}
+                            {torrent.privacy === 'private' && (
+                              <Tooltip title="Private share: found only through this node's tracker, never DHT or peer exchange">
+                                <VpnLockIcon fontSize="inherit" color="action" />
+                              </Tooltip>
+                            )}
+                            {torrent.signature && (
+                              <Tooltip title={getSignatureTooltip(torrent.signature)}>
+                                {torrent.signature.state === 'verified' ? (
+                                  <VerifiedIcon fontSize="inherit" color="success" />
+                                ) : (
+                                  <GppMaybeIcon fontSize="inherit" color={torrent.signature.state === 'invalid' ? 'error' : 'warning'} />
+                                )}
+                              </Tooltip>
+                            )}
+                          </Box>
                           {torrent.description && (
                             <Typography variant="caption" color="text.secondary" noWrap>
                               {torrent.description}
@@ -382,11 +519,53 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
                             ↑{formatSpeed(get(torrent, 'status.uploadSpeed', 0))}
                           </Typography>
                         )}
+                        {hasLimits(torrent.limits) && (
+                          <Tooltip title={`Share limit ${formatLimits(torrent.limits)}`}>
+                            <SpeedIcon fontSize="small" color="warning" />
+                          </Tooltip>
+                        )}
                       </Box>
                     </TableCell>
                     
                     <TableCell align="right">
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                        {/* Queue controls, for shares still downloading */}
+                        {progressValue < 1 && torrent.queue && (
+                          <>
+                            <Tooltip title="Move up the queue">
+                              <IconButton 
+                                size="small" 
+                                onClick={(e) => handleMoveInQueue(e, torrent.infoHash, 'up')}
+                                sx={{ opacity: 0.7, '&:hover': { opacity: 1 } }}
+                              >
+                                <ArrowUpwardIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                            <Tooltip title="Move down the queue">
+                              <IconButton 
+                                size="small" 
+                                onClick={(e) => handleMoveInQueue(e, torrent.infoHash, 'down')}
+                                sx={{ opacity: 0.7, '&:hover': { opacity: 1 } }}
+                              >
+                                <ArrowDownwardIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          </>
+                        )}
+                        
+                        {(get(torrent, 'status.state') === 'queued' || get(torrent, 'queue.forced')) && (
+                          <Tooltip title={get(torrent, 'queue.forced') ? 'Return to queue' : 'Force start'}>
+                            <IconButton 
+                              size="small" 
+                              onClick={(e) => handleForceStart(e, torrent)}
+                              color={get(torrent, 'queue.forced') ? 'warning' : 'default'}
+                              sx={{ opacity: 0.7, '&:hover': { opacity: 1 } }}
+                            >
+                              <FastForwardIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        
                         {/* Direct action buttons */}
                         <Tooltip title={get(torrent, 'status.state') === 'paused' ? 'Resume' : 'Pause'}>
                           <IconButton 
@@ -402,10 +581,10 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
                           </IconButton>
                         </Tooltip>
                         
-                        <Tooltip title="Copy Magnet Link">
+                        <Tooltip title={torrent.encryption && !torrent.encryption.recipients ? 'Copy Share Link (includes key)' : 'Copy Magnet Link'}>
                           <IconButton 
                             size="small" 
-                            onClick={(e) => handleDirectCopy(e, torrent.magnetURI)}
+                            onClick={(e) => handleDirectCopy(e, torrent)}
                             disabled={!torrent.magnetURI}
                             sx={{ opacity: 0.7, '&:hover': { opacity: 1 } }}
                           >
@@ -423,6 +602,13 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
                           </IconButton>
                         </Tooltip>
                         
+                        <IconButton 
+                          size="small" 
+                          onClick={(e) => handleMenuClick(e, torrent)}
+                          sx={{ opacity: 0.7, '&:hover': { opacity: 1 } }}
+                        >
+                          <MoreVertIcon fontSize="small" />
+                        </IconButton>
                       </Box>
                     </TableCell>
                   </TableRow>
@@ -465,7 +651,19 @@ function TorrentList({ onSelectTorrent, onTorrentsUpdate, selectedTorrent }) {
         }}>
           Show Magnet URI
         </MenuItem>
+        
+        <MenuItem onClick={() => handleEditLimits(menuTorrent)}>
+          <SpeedIcon fontSize="small" sx={{ mr: 1 }} />
+          Bandwidth Limits…
+        </MenuItem>
       </Menu>
+      
+      <BandwidthLimitsDialog
+        open={limitsDialog.open}
+        torrent={limitsDialog.torrent}
+        settings={bandwidth}
+        onClose={() => setLimitsDialog({ open: false, torrent: null })}
+      />
     </Box>
   );
 }
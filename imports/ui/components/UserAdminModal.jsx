@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import Dialog from '@mui/material/Dialog';
+import DialogTitle from '@mui/material/DialogTitle';
+import DialogContent from '@mui/material/DialogContent';
+import DialogActions from '@mui/material/DialogActions';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import Checkbox from '@mui/material/Checkbox';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import Tooltip from '@mui/material/Tooltip';
+import moment from 'moment';
+
+// Icons
+import CloseIcon from '@mui/icons-material/Close';
+import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
+
+import OperationOutcomeAlert from './OperationOutcomeAlert';
+import { OperationOutcomeUtils } from '../../api/fhir/operation-outcome';
+import { ROLES, ROLE_DESCRIPTIONS } from '../../api/users/users';
+
+/**
+ * Accounts on this node and the roles they hold, for operators
+ */
+function UserAdminModal({ open, onClose }) {
+  const [outcome, setOutcome] = useState(null);
+  const [saving, setSaving] = useState(null);
+
+  const users = useTracker(function() {
+    if (!open) return [];
+    Meteor.subscribe('users.all');
+    return Meteor.users.find({}, { sort: { createdAt: 1 } }).fetch();
+  }, [open]);
+
+  function handleClose() {
+    setOutcome(null);
+    onClose();
+  }
+
+  function handleToggleRole(user, role) {
+    const current = user.roles || [];
+    const roles = current.includes(role) ? current.filter(r => r !== role) : current.concat(role);
+
+    setSaving(user._id);
+    setOutcome(null);
+
+    Meteor.call('users.setRoles', user._id, roles, function(err) {
+      setSaving(null);
+      if (err) {
+        setOutcome(OperationOutcomeUtils.fromError(err));
+      }
+    });
+  }
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', pb: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <AdminPanelSettingsIcon color="primary" />
+          <Typography variant="h6" component="h2">
+            Users & Roles
+          </Typography>
+        </Box>
+        <IconButton onClick={handleClose} size="small">
+          <CloseIcon />
+        </IconButton>
+      </DialogTitle>
+
+      <DialogContent sx={{ px: 3 }}>
+        {outcome && (
+          <OperationOutcomeAlert outcome={outcome} sx={{ mb: 2 }} />
+        )}
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>User</TableCell>
+              {ROLES.map(role => (
+                <TableCell key={role} align="center">
+                  <Tooltip title={ROLE_DESCRIPTIONS[role]}>
+                    <span style={{ textTransform: 'capitalize' }}>{role}</span>
+                  </Tooltip>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {users.map(user => (
+              <TableRow key={user._id}>
+                <TableCell>
+                  <Typography variant="body2">
+                    {user.username}
+                    {user._id === Meteor.userId() && (
+                      <Typography component="span" variant="caption" color="text.secondary"> (you)</Typography>
+                    )}
+                  </Typography>
+                  {user.createdAt && (
+                    <Typography variant="caption" color="text.secondary">
+                      Joined {moment(user.createdAt).format('YYYY-MM-DD')}
+                    </Typography>
+                  )}
+                </TableCell>
+                {ROLES.map(role => (
+                  <TableCell key={role} align="center">
+                    <Checkbox
+                      size="small"
+                      checked={(user.roles || []).includes(role)}
+                      disabled={saving === user._id}
+                      onChange={() => handleToggleRole(user, role)}
+                    />
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+          Viewers read every share, publishers create and remove their own, and operators run the debugging and repair tools.
+          Role changes apply to shares lists when the user next signs in.
+        </Typography>
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, pb: 3 }}>
+        <Button onClick={handleClose}>
+          Close
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default UserAdminModal;
@@ -0,0 +1,85 @@
+// server/accounts.js - User accounts, their roles and ownership of existing torrents
+
+import { Meteor } from 'meteor/meteor';
+import { Mongo } from 'meteor/mongo';
+import { Accounts } from 'meteor/accounts-base';
+import { Settings } from '/imports/api/settings/settings';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { ROLES } from '/imports/api/users/users';
+
+// Server-only; holds { _id: 'firstAccount', userId, claimedAt } once the node has its first account
+const BootstrapCollection = new Mongo.Collection('accountsBootstrap');
+
+// Read on every signup, so the environment mapping in main.js has been applied
+Accounts.validateNewUser(function() {
+  if (!Settings.get('private.accounts.allowSignup', true)) {
+    throw new Meteor.Error('signup-disabled', 'New accounts are disabled on this node');
+  }
+  return true;
+});
+
+/**
+ * Claim the node for a new account if it is the first. The claim is an insert
+ * with a fixed _id, so of two signups at the same moment only one wins.
+ * @param {String} userId - Id of the account being created
+ * @return {Promise<Boolean>} True when this account is the node's first
+ */
+async function claimFirstAccount(userId) {
+  if ((await Meteor.users.find({}, { limit: 1 }).countAsync()) > 0) {
+    return false;
+  }
+
+  try {
+    await BootstrapCollection.insertAsync({ _id: 'firstAccount', userId: userId, claimedAt: new Date() });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) { // Duplicate key: another signup got there first
+      return false;
+    }
+    throw err;
+  }
+}
+
+// The first account runs the node and gets every role; later ones get the
+// defaults, none unless an operator configures some
+Accounts.onCreateUser(async function(options, user) {
+  const isFirst = await claimFirstAccount(user._id);
+  const defaults = [].concat(Settings.get('private.accounts.defaultRoles', []));
+  return { ...user, roles: isFirst ? ROLES.slice() : ROLES.filter(role => defaults.includes(role)) };
+});
+
+/**
+ * Give torrents without an owner (recorded before accounts existed, or added
+ * by the server itself) to the node's first account, along with every role if
+ * it was created before roles existed
+ * @param {String} userId - User who just logged in
+ * @return {Promise<Number>} Torrents claimed
+ */
+async function claimUnownedTorrents(userId) {
+  // Nodes from before the claim was recorded go by the oldest account
+  const claim = await BootstrapCollection.findOneAsync({ _id: 'firstAccount' });
+  const firstUser = claim ? { _id: claim.userId } :
+    await Meteor.users.findOneAsync({}, { sort: { createdAt: 1 }, fields: { _id: 1 } });
+  if (!firstUser || firstUser._id !== userId) {
+    return 0;
+  }
+
+  // Accounts from before roles existed
+  await Meteor.users.updateAsync({ _id: userId, roles: { $exists: false } }, { $set: { roles: ROLES.slice() } });
+
+  const claimed = await TorrentsCollection.updateAsync(
+    { ownerId: null }, // Missing, or null as stored by older versions
+    { $set: { ownerId: userId } },
+    { multi: true }
+  );
+  if (claimed > 0) {
+    console.log(`👤 Assigned ${claimed} unowned torrent(s) to the first account`);
+  }
+  return claimed;
+}
+
+Accounts.onLogin(function({ user }) {
+  claimUnownedTorrents(user._id).catch(function(err) {
+    console.error('Error assigning unowned torrents:', err);
+  });
+});
@@ -0,0 +1,238 @@
+import { Meteor } from 'meteor/meteor';
+import { WebApp } from 'meteor/webapp';
+import { Accounts } from 'meteor/accounts-base';
+import { Settings } from '/imports/api/settings/settings';
+import { IndexedResourcesCollection } from '/imports/api/resources/resources';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { Roles } from '/imports/api/users/users';
+import { ResourceIndex } from './utils/resource-index';
+import { AuditLog } from './utils/audit-log';
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json; charset=utf-8';
+
+/**
+ * Write a FHIR JSON response
+ * @param {Object} res - HTTP response
+ * @param {Number} status - HTTP status
+ * @param {Object} body - FHIR resource
+ * @param {Boolean} pretty - Indent the JSON
+ */
+function send(res, status, body, pretty, headers = {}) {
+  res.writeHead(status, { 'Content-Type': FHIR_CONTENT_TYPE, ...headers });
+  res.end(JSON.stringify(body, null, pretty ? 2 : 0));
+}
+
+/**
+ * The account whose login token a request carries, as `Authorization: Bearer <token>`
+ * or the `X-Auth-Token` header the Meteor client uses
+ * @param {Object} req - HTTP request
+ * @return {Promise<Object>} { _id, username, roles }, or null without a valid token
+ */
+async function findRequestUser(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  const token = match ? match[1] : req.headers['x-auth-token'];
+  if (!token) {
+    return null;
+  }
+
+  const hashedToken = Accounts._hashLoginToken(token);
+  const user = await Meteor.users.findOneAsync(
+    { 'services.resume.loginTokens.hashedToken': hashedToken },
+    { fields: { username: 1, roles: 1, 'services.resume.loginTokens': 1 } }
+  );
+  const loginToken = user && user.services.resume.loginTokens.find(t => t.hashedToken === hashedToken);
+  if (!loginToken || Accounts._tokenExpiration(loginToken.when) < new Date()) {
+    return null;
+  }
+
+  return { _id: user._id, username: user.username, roles: user.roles };
+}
+
+/**
+ * Record a request's reads, or its refusal
+ * @param {Object} req - HTTP request
+ * @param {Object} user - Requesting account, or null
+ * @param {Array} infoHashes - Shares whose resources were returned
+ * @param {String} outcomeDesc - Why the request was refused
+ * @return {Promise}
+ */
+function audit(req, user, infoHashes, outcomeDesc) {
+  return AuditLog.recordReads({
+    userId: user ? user._id : undefined,
+    username: user ? user.username : undefined,
+    clientAddress: req.socket && req.socket.remoteAddress
+  }, infoHashes, outcomeDesc);
+}
+
+/**
+ * Query string as an object, repeated parameters as arrays
+ * @param {URLSearchParams} searchParams - Parsed query string
+ * @return {Object} Parameters
+ */
+function toQuery(searchParams) {
+  const query = {};
+  searchParams.forEach(function(value, key) {
+    query[key] = query[key] === undefined ? value : [].concat(query[key], value);
+  });
+  return query;
+}
+
+/**
+ * searchset Bundle for a search result
+ * @param {String} base - Facade base URL
+ * @param {URL} url - Request URL
+ * @param {String} resourceType - Resource type searched
+ * @param {Object} result - Result of ResourceIndex.search
+ * @return {Object} Bundle
+ */
+function toSearchset(base, url, resourceType, result) {
+  const bundle = {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: result.total,
+    link: [{ relation: 'self', url: `${base}/${resourceType}${url.search}` }],
+    entry: result.results.map(doc => ({
+      fullUrl: doc.id ? `${base}/${resourceType}/${doc.id}` : undefined,
+      resource: doc.resource,
+      search: { mode: 'match' }
+    }))
+  };
+
+  if (result.count > 0 && result.offset + result.count < result.total) {
+    const next = new URLSearchParams(url.search);
+    next.set('_offset', String(result.offset + result.count));
+    next.set('_count', String(result.count));
+    bundle.link.push({ relation: 'next', url: `${base}/${resourceType}?${next.toString()}` });
+  }
+
+  // Tell clients which parameters were ignored instead of silently widening the search
+  if (result.unsupported.length > 0) {
+    bundle.entry.push({
+      resource: OperationOutcomeUtils.create([
+        OperationOutcomeUtils.createIssue('warning', 'not-supported', `Search parameter(s) not supported and ignored: ${result.unsupported.join(', ')}`)
+      ]),
+      search: { mode: 'outcome' }
+    });
+  }
+
+  return bundle;
+}
+
+/**
+ * CapabilityStatement listing the resource types currently indexed
+ * @param {String} base - Facade base URL
+ * @return {Promise<Object>} CapabilityStatement
+ */
+async function capabilityStatement(base) {
+  const types = await IndexedResourcesCollection.rawCollection().distinct('resourceType');
+  const searchParams = [
+    { name: '_id', type: 'token' },
+    { name: '_lastUpdated', type: 'date' },
+    { name: 'patient', type: 'reference' },
+    { name: 'subject', type: 'reference' },
+    { name: 'code', type: 'token' },
+    { name: 'date', type: 'date' }
+  ];
+
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    kind: 'instance',
+    fhirVersion: '4.0.1',
+    format: ['json'],
+    implementation: { description: 'FHIR P2P read-only facade over local shares', url: base },
+    rest: [{
+      mode: 'server',
+      resource: types.sort().map(type => ({
+        type: type,
+        interaction: [{ code: 'read' }, { code: 'search-type' }],
+        searchParam: searchParams
+      }))
+    }]
+  };
+}
+
+/**
+ * Handle one request below the facade's mount path
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {String} mountPath - Where the facade is served, e.g. /fhir
+ */
+async function handleRequest(req, res, mountPath) {
+  const url = new URL(req.url, 'http://localhost');
+  const pretty = url.searchParams.get('_pretty') === 'true';
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const base = `${protocol}://${req.headers.host}${mountPath}`;
+  const segments = url.pathname.split('/').filter(segment => segment).map(decodeURIComponent);
+
+  if (req.method !== 'GET') {
+    send(res, 405, OperationOutcomeUtils.create([
+      OperationOutcomeUtils.createIssue('error', 'not-supported', 'This FHIR endpoint is read-only')
+    ]), pretty);
+    return;
+  }
+
+  let user = null;
+  try {
+    // Every request but the CapabilityStatement reads patient data, so needs a viewer's token
+    if (!(segments.length === 1 && segments[0] === 'metadata')) {
+      user = await findRequestUser(req);
+      if (!Roles.hasRole(user, 'viewer')) {
+        const reason = user ? 'Reading shares requires the viewer role' : 'A valid login token is required';
+        audit(req, user, [], reason).catch(function(err) {
+          console.error('Error recording audit event for FHIR facade:', err);
+        });
+        send(res, user ? 403 : 401, OperationOutcomeUtils.create([
+          OperationOutcomeUtils.createIssue('error', user ? 'forbidden' : 'login', reason)
+        ]), pretty, user ? {} : { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+    }
+
+    if (segments.length === 1 && segments[0] === 'metadata') {
+      send(res, 200, await capabilityStatement(base), pretty);
+    } else if (segments.length === 1 && /^[A-Z][A-Za-z]+$/.test(segments[0])) {
+      const query = toQuery(url.searchParams);
+      const result = await ResourceIndex.search(segments[0], query);
+      await audit(req, user, result.results.map(doc => doc.infoHash));
+      send(res, 200, toSearchset(base, url, segments[0], result), pretty);
+    } else if (segments.length === 2 && /^[A-Z][A-Za-z]+$/.test(segments[0])) {
+      const doc = await ResourceIndex.read(segments[0], segments[1]);
+      if (doc) {
+        await audit(req, user, [doc.infoHash]);
+        send(res, 200, doc.resource, pretty);
+      } else {
+        send(res, 404, OperationOutcomeUtils.create([
+          OperationOutcomeUtils.createIssue('error', 'not-found', `${segments[0]}/${segments[1]} is not in any local share`)
+        ]), pretty);
+      }
+    } else {
+      send(res, 400, OperationOutcomeUtils.create([
+        OperationOutcomeUtils.createIssue('error', 'not-supported', `Unsupported request: GET ${url.pathname}`)
+      ]), pretty);
+    }
+  } catch (error) {
+    // Bad search parameters arrive as Meteor.Errors carrying an OperationOutcome
+    const status = error instanceof Meteor.Error && error.error === 'invalid-search' ? 400 : 500;
+    if (status === 500) {
+      console.error('❌ FHIR facade error:', error);
+    }
+    send(res, status, OperationOutcomeUtils.fromError(error), pretty);
+  }
+}
+
+// Read-only FHIR REST API over every seeded and downloaded share, for viewers only
+Meteor.startup(function() {
+  if (!Settings.get('private.fhirFacade.enabled', false)) {
+    return;
+  }
+
+  const mountPath = Settings.get('private.fhirFacade.path', '/fhir');
+
+  WebApp.handlers.use(mountPath, function(req, res) {
+    handleRequest(req, res, mountPath);
+  });
+
+  console.log(`🔥 FHIR facade listening at ${Meteor.absoluteUrl(mountPath.replace(/^\//, ''))}`);
+});
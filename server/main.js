@@ -10,8 +10,21 @@ import './methods/network-methods';
 import './methods/debug-methods';
 import './methods/methods';
 import './methods/metadata-methods';
+import './methods/fhir-import-methods';
+import './methods/fhir-publish-methods';
+import './methods/patient-methods';
+import './methods/key-methods';
+import './methods/pseudonym-methods';
+import './methods/user-methods';
+import './methods/audit-methods';
+import './methods/metrics-methods';
+import './methods/bandwidth-methods';
+import './methods/queue-methods';
 
+import './accounts';
 import './tracker-fix';
+import './fhir-facade';
+import './private-tracker';
 
 Meteor.startup(async () => {
   console.log('Starting FHIR P2P server with enhanced environment configuration...');
@@ -24,11 +37,30 @@ Meteor.startup(async () => {
       'WEBTORRENT_TRACKERS': 'public.webtorrent.trackers',
       'WEBTORRENT_DHT': 'public.webtorrent.dht',
       'WEBTORRENT_WEBSEEDS': 'public.webtorrent.webSeeds',
+      'WEBTORRENT_LSD': 'public.webtorrent.lsd.enabled',
+      'WEBTORRENT_LSD_INTERFACE': 'public.webtorrent.lsd.interface',
+      'WEBTORRENT_DOWNLOAD_LIMIT': 'public.webtorrent.bandwidth.downloadLimit',
+      'WEBTORRENT_UPLOAD_LIMIT': 'public.webtorrent.bandwidth.uploadLimit',
+      'WEBTORRENT_MAX_ACTIVE_DOWNLOADS': 'public.webtorrent.queue.maxActiveDownloads',
+      'WEBTORRENT_MAX_ACTIVE_SEEDS': 'public.webtorrent.queue.maxActiveSeeds',
       'FHIR_VALIDATION_LEVEL': 'public.fhir.validationLevel',
       'FHIR_DEFAULT_FORMAT': 'public.fhir.defaultFormat',
       'UI_THEME': 'public.ui.theme',
       'UI_DENSITY': 'public.ui.density',
       'STORAGE_TEMP_PATH': 'private.storage.tempPath',
+      'FHIR_PUBLISH_BASE_URL': 'private.fhirPublish.baseUrl',
+      'FHIR_PUBLISH_BEARER_TOKEN': 'private.fhirPublish.bearerToken',
+      'FHIR_PUBLISH_ALLOWED_BASE_URLS': 'private.fhirPublish.allowedBaseUrls',
+      'FHIR_FACADE_ENABLED': 'private.fhirFacade.enabled',
+      'SHARE_SIGNING_ENABLED': 'private.signing.enabled',
+      'SHARE_PUBLISHER_NAME': 'private.signing.publisherName',
+      'ACCOUNTS_ALLOW_SIGNUP': 'private.accounts.allowSignup',
+      'ACCOUNTS_DEFAULT_ROLES': 'private.accounts.defaultRoles',
+      'TRACKER_ENABLED': 'private.tracker.enabled',
+      'TRACKER_PORT': 'private.tracker.port',
+      'TRACKER_PUBLIC_URL': 'private.tracker.publicUrl',
+      'METRICS_ENABLED': 'private.metrics.enabled',
+      'METRICS_INTERVAL_MS': 'private.metrics.intervalMs',
       'DEBUG': 'private.debug',
       
       // Enhanced WebTorrent TCP configuration
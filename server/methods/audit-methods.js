@@ -0,0 +1,43 @@
+import { check, Match } from 'meteor/check';
+import { AuditLog } from '../utils/audit-log';
+import { Permissions } from '../utils/permissions';
+
+// Filters accepted by the audit methods
+const FILTERS = Match.Optional({
+  action: Match.Optional(Match.OneOf('create', 'join', 'read', 'export', 'remove', 'upload', 'reidentify', 'link')),
+  infoHash: Match.Optional(String),
+  user: Match.Optional(String),
+  from: Match.Optional(Match.OneOf(Date, String)),
+  to: Match.Optional(Match.OneOf(Date, String))
+});
+
+Permissions.methods({
+  /**
+   * One page of the audit trail, newest first
+   * @param {Object} filters - { action, infoHash, user (username or peer address), from, to }
+   * @param {Object} options - { skip, limit }
+   * @return {Object} { events, total }
+   */
+  'audit.search': async function(filters = {}, options = {}) {
+    check(filters, FILTERS);
+    check(options, {
+      skip: Match.Optional(Match.Integer),
+      limit: Match.Optional(Match.Integer)
+    });
+
+    return await AuditLog.search(filters, options);
+  },
+
+  /**
+   * The audit trail as an NDJSON file of FHIR AuditEvents, oldest first
+   * @param {Object} filters - As for audit.search
+   * @return {String} NDJSON
+   */
+  'audit.exportNdjson': async function(filters = {}) {
+    check(filters, FILTERS);
+
+    const ndjson = await AuditLog.exportNdjson(filters);
+    console.log(`📋 Exported ${ndjson ? ndjson.split('\n').length - 1 : 0} audit events`);
+    return ndjson;
+  }
+});
@@ -0,0 +1,63 @@
+import { check, Match } from 'meteor/check';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { BandwidthLimiter, UNLIMITED } from '../utils/bandwidth-limiter';
+import { Permissions } from '../utils/permissions';
+
+// Bytes/s, or -1 for unlimited
+const LIMIT = Match.Where(value => Match.test(value, Match.Integer) && (value === UNLIMITED || value > 0));
+
+// Local time of day, 'HH:mm'
+const TIME = Match.Where(value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value));
+
+const LIMITS = {
+  downloadLimit: LIMIT,
+  uploadLimit: LIMIT
+};
+
+Permissions.methods({
+  /**
+   * Set the node-wide limits and their time-of-day schedule
+   * @param {Object} config - { downloadLimit, uploadLimit, schedule: [{ label, days, start, end, downloadLimit, uploadLimit }] }
+   * @return {Object} Limits now in force: { downloadLimit, uploadLimit, rule }
+   */
+  'bandwidth.configure': async function(config) {
+    check(config, {
+      ...LIMITS,
+      schedule: [{
+        label: String,
+        days: [Match.Where(day => Match.test(day, Match.Integer) && day >= 0 && day <= 6)],
+        start: TIME,
+        end: TIME,
+        ...LIMITS
+      }]
+    });
+
+    const empty = config.schedule.find(rule => rule.start === rule.end);
+    if (empty) {
+      throw OperationOutcomeUtils.error('empty-window', 'value', `Schedule rule "${empty.label}" starts and ends at ${empty.start}`);
+    }
+
+    return await BandwidthLimiter.configure(config, this.userId);
+  },
+
+  /**
+   * Limit one share's transfers, on top of the node-wide limits
+   * @param {String} infoHash - Info hash of the share
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, -1 for unlimited
+   * @return {Object} Limits as stored
+   */
+  'torrents.setLimits': async function(infoHash, limits) {
+    check(infoHash, String);
+    check(limits, LIMITS);
+
+    const updated = await TorrentsCollection.updateAsync({ infoHash }, { $set: { limits: limits } });
+    if (!updated) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
+
+    BandwidthLimiter.setTorrentLimits(infoHash, limits);
+    console.log(`🚦 Limits for ${infoHash}: ↓${limits.downloadLimit} ↑${limits.uploadLimit} B/s`);
+    return limits;
+  }
+});
@@ -4,8 +4,10 @@ import { Meteor } from 'meteor/meteor';
 import { check } from 'meteor/check';
 import { WebTorrentServer } from '../webtorrent-server';
 import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { TransferQueue } from '../utils/transfer-queue';
+import { Permissions } from '../utils/permissions';
 
-Meteor.methods({
+Permissions.methods({
   /**
    * Enhanced torrent metadata diagnosis
    * @param {String} infoHash - Info hash of the torrent to diagnose
@@ -168,14 +170,18 @@ Meteor.methods({
     };
     
     try {
-      const torrent = WebTorrentServer.getTorrent(infoHash);
+      let torrent = WebTorrentServer.getTorrent(infoHash);
       
       if (!torrent) {
         // Try to reload torrent first
         const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
         if (torrentRecord && torrentRecord.magnetURI) {
           result.actions.push('Reloading torrent from database');
-          const reloadedTorrent = await WebTorrentServer.addTorrent(torrentRecord.magnetURI);
+          const reloadedTorrent = await TransferQueue.reload(torrentRecord);
+          if (!reloadedTorrent) {
+            result.actions.push('Paused or waiting in the transfer queue, not reloaded');
+            return result;
+          }
           result.actions.push(`Reloaded torrent: ${reloadedTorrent.name}`);
           torrent = reloadedTorrent;
         } else {
@@ -2208,7 +2214,7 @@ Meteor.methods({
     };
     
     try {
-      const torrent = WebTorrentServer.getTorrent(infoHash);
+      let torrent = WebTorrentServer.getTorrent(infoHash);
       
       if (!torrent) {
         const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
@@ -2217,7 +2223,11 @@ Meteor.methods({
         }
         
         result.actions.push('🔄 Reloading torrent');
-        torrent = await WebTorrentServer.addTorrent(torrentRecord.magnetURI);
+        torrent = await TransferQueue.reload(torrentRecord);
+        if (!torrent) {
+          result.actions.push('🚥 Paused or waiting in the transfer queue, not reloaded');
+          return result;
+        }
 
         Meteor.setTimeout(function() {
           if (torrent && typeof torrent.announce === 'function') {
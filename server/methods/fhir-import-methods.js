@@ -0,0 +1,131 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { Settings } from '/imports/api/settings/settings';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { BULK_MANIFEST_FILENAME } from '/imports/api/fhir/bulk-export';
+import { FhirImport } from '../utils/fhir-import';
+import { Permissions } from '../utils/permissions';
+
+/**
+ * The query an import ran, as recorded in the share's provenance
+ * @param {Object} request - fhir.importFromServer request
+ * @return {String} e.g. 'Patient?name=smith', 'Patient/1/$everything'
+ */
+function describeQuery(request) {
+  if (request.mode === 'everything') {
+    return `Patient/${request.patientId}/$everything`;
+  }
+  if (request.mode === 'group-export') {
+    return `Group/${request.groupId}/$export`;
+  }
+
+  const params = typeof request.searchParams === 'object' ?
+    new URLSearchParams(request.searchParams).toString() :
+    (request.searchParams || '').replace(/^\?/, '');
+  return params ? `${request.resourceType}?${params}` : request.resourceType;
+}
+
+Permissions.methods({
+  /**
+   * Pull resources from a FHIR REST endpoint and share them as a new torrent
+   * @param {Object} request - Import request
+   * @param {String} request.baseUrl - FHIR server base URL
+   * @param {String} request.mode - 'search', 'everything' or 'group-export'
+   * @param {String} request.resourceType - Resource type for 'search'
+   * @param {String|Object} request.searchParams - Search parameters for 'search'
+   * @param {String} request.patientId - Patient id for 'everything'
+   * @param {String} request.groupId - Group id for 'group-export'
+   * @param {String} request.bearerToken - Optional access token
+   * @param {String} request.name - Share name
+   * @param {String} request.description - Share description
+   * @param {Boolean} request.encrypted - Seed the share encrypted
+   * @param {Array} request.recipients - Address book ids the share is encrypted for
+   * @param {String} request.privacy - 'private' to announce only to this node's tracker
+   * @param {Object} request.deidentify - De-identification policy applied before seeding
+   * @param {Object} request.pseudonymize - { identifierSystems } to replace ids with keyed pseudonyms
+   * @return {Object} Created torrent info plus import summary
+   */
+  'fhir.importFromServer': async function(request) {
+    check(request, {
+      baseUrl: String,
+      mode: Match.OneOf('search', 'everything', 'group-export'),
+      resourceType: Match.Optional(String),
+      searchParams: Match.Optional(Match.OneOf(String, Object)),
+      patientId: Match.Optional(String),
+      groupId: Match.Optional(String),
+      bearerToken: Match.Optional(String),
+      name: String,
+      description: Match.Optional(String),
+      encrypted: Match.Optional(Boolean),
+      recipients: Match.Optional([String]),
+      privacy: Match.Optional(Match.OneOf('public', 'private')),
+      deidentify: Match.Optional(Object),
+      pseudonymize: Match.Optional({ identifierSystems: Match.Optional([String]) })
+    });
+
+    const maxResources = Settings.get('private.fhirImport.maxResources', 100000);
+    const client = FhirImport.createClient(request.baseUrl, request.bearerToken);
+
+    console.log(`🌐 Importing from ${request.baseUrl} (${request.mode})`);
+
+    let fileData = [];
+    let fhirType = 'ndjson';
+    let summary = {};
+
+    if (request.mode === 'group-export') {
+      if (!request.groupId) {
+        throw OperationOutcomeUtils.error('missing-parameter', 'required', 'A Group id is required for $export', 'groupId');
+      }
+
+      const exported = await FhirImport.groupExport(client, request.groupId, {
+        bearerToken: request.bearerToken,
+        timeoutMs: Settings.get('private.fhirImport.exportTimeoutMs', 10 * 60 * 1000)
+      });
+
+      // Keep the server's manifest so the share is a complete bulk export
+      fhirType = 'bulk-export';
+      fileData = [{ name: BULK_MANIFEST_FILENAME, data: JSON.stringify(exported.manifest, null, 2) }].concat(exported.files);
+      summary = { files: exported.files.length, transactionTime: exported.manifest.transactionTime };
+    } else {
+      let collected;
+
+      if (request.mode === 'everything') {
+        if (!request.patientId) {
+          throw OperationOutcomeUtils.error('missing-parameter', 'required', 'A Patient id is required for $everything', 'patientId');
+        }
+        collected = await FhirImport.patientEverything(client, request.patientId, maxResources);
+      } else {
+        if (!request.resourceType) {
+          throw OperationOutcomeUtils.error('missing-parameter', 'required', 'A resource type is required for search', 'resourceType');
+        }
+        collected = await FhirImport.search(client, request.resourceType, request.searchParams, maxResources);
+      }
+
+      if (collected.resources.length === 0) {
+        throw OperationOutcomeUtils.error('no-results', 'not-found', 'The FHIR server returned no resources');
+      }
+
+      if (collected.truncated) {
+        console.warn(`⚠️ Import stopped at ${maxResources} resources; more pages were available`);
+      }
+
+      fileData = FhirImport.toNdjsonFiles(collected.resources);
+      summary = { resources: collected.resources.length, pages: collected.pages, truncated: collected.truncated };
+    }
+
+    console.log(`✅ Imported ${fileData.length} file(s) from ${request.baseUrl}`, summary);
+
+    const result = await Meteor.callAsync('torrents.create', request.name, fileData, {
+      description: request.description || `Imported from ${request.baseUrl}`,
+      fhirType: fhirType,
+      encrypted: !!request.encrypted,
+      recipients: request.recipients || [],
+      privacy: request.privacy || 'public',
+      deidentify: request.deidentify || null,
+      pseudonymize: request.pseudonymize || null,
+      source: { kind: 'server', url: request.baseUrl, query: describeQuery(request) }
+    });
+
+    return { ...result, import: summary };
+  }
+});
@@ -0,0 +1,156 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { Settings } from '/imports/api/settings/settings';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { FhirImport } from '../utils/fhir-import';
+import { FhirPublish } from '../utils/fhir-publish';
+import { ShareFiles } from '../utils/share-files';
+import { Permissions } from '../utils/permissions';
+
+// Per-resource outcomes kept on the torrent document; counters are always exact
+const MAX_STORED_OUTCOMES = 5000;
+
+/**
+ * Publish every file of a share, streaming it from disk or WebTorrent, and
+ * record progress on the torrent document
+ * @param {Object} torrent - Torrent document
+ * @param {Client} client - fhir-kit-client instance
+ */
+async function publishShare(torrent, client) {
+  const infoHash = torrent.infoHash;
+  const options = {
+    batchSize: Settings.get('private.fhirPublish.batchSize', 100),
+    maxRetries: Settings.get('private.fhirPublish.maxRetries', 3),
+    retryDelayMs: Settings.get('private.fhirPublish.retryDelayMs', 1000),
+    onProgress: async function(outcomes) {
+      const tally = FhirPublish.countOutcomes(outcomes);
+
+      await TorrentsCollection.updateAsync({ infoHash }, {
+        $inc: {
+          'publish.total': tally.total,
+          'publish.succeeded': tally.succeeded,
+          'publish.failed': tally.failed
+        },
+        $push: {
+          'publish.outcomes': { $each: outcomes, $slice: MAX_STORED_OUTCOMES }
+        },
+        $set: { 'publish.updatedAt': new Date() }
+      });
+    }
+  };
+
+  await ShareFiles.each(torrent, async function(file, stream) {
+    await TorrentsCollection.updateAsync({ infoHash }, { $set: { 'publish.currentFile': file.name } });
+    const tally = FhirPublish.countOutcomes(await FhirPublish.publishStream(client, file.name, stream, options));
+    console.log(`📤 Published ${file.name}: ${tally.succeeded}/${tally.total} succeeded`);
+  });
+
+  const { publish } = await TorrentsCollection.findOneAsync({ infoHash }, { fields: { publish: 1 } });
+  const failed = publish.failed || 0;
+  const succeeded = publish.succeeded || 0;
+
+  await TorrentsCollection.updateAsync({ infoHash }, {
+    $set: {
+      'publish.state': failed === 0 ? 'completed' : (succeeded === 0 ? 'failed' : 'partial'),
+      'publish.finishedAt': new Date()
+    },
+    $unset: { 'publish.currentFile': '' }
+  });
+
+  console.log(`✅ Publish of ${infoHash} finished: ${succeeded} succeeded, ${failed} failed`);
+}
+
+/**
+ * Mark a publish as failed, so the share can be published again
+ * @param {String} infoHash - Info hash of the torrent
+ * @param {Error} error - What stopped it
+ * @return {Promise}
+ */
+async function failPublish(infoHash, error) {
+  console.error(`❌ Error publishing ${infoHash}:`, error);
+
+  try {
+    await TorrentsCollection.updateAsync({ infoHash }, {
+      $set: {
+        'publish.state': 'failed',
+        'publish.error': error.reason || error.message || 'Publish failed',
+        'publish.finishedAt': new Date()
+      },
+      $unset: { 'publish.currentFile': '' }
+    });
+  } catch (updateErr) {
+    console.error('Error updating publish state to failed:', updateErr);
+  }
+}
+
+Permissions.methods({
+  /**
+   * Push a downloaded share into a FHIR server. Bundles are sent as
+   * transactions and NDJSON as batches; progress and per-resource outcomes
+   * are recorded in the torrent's publish field while the upload runs.
+   * Only the configured server and those in private.fhirPublish.allowedBaseUrls
+   * can be published to, and the configured token only goes to the configured server.
+   * @param {String} infoHash - Info hash of the torrent
+   * @param {Object} options - { baseUrl, bearerToken }; baseUrl defaults to private.fhirPublish.baseUrl
+   * @return {Object} { started, baseUrl }
+   */
+  'torrents.publishToFhirServer': async function(infoHash, options = {}) {
+    check(infoHash, String);
+    check(options, {
+      baseUrl: Match.Optional(String),
+      bearerToken: Match.Optional(String)
+    });
+
+    const configuredUrl = Settings.get('private.fhirPublish.baseUrl', '');
+    const baseUrl = options.baseUrl || configuredUrl;
+    if (!baseUrl) {
+      throw OperationOutcomeUtils.error('missing-parameter', 'required', 'No FHIR server base URL given or configured', 'baseUrl');
+    }
+
+    const allowedUrls = [configuredUrl].concat(Settings.get('private.fhirPublish.allowedBaseUrls', []));
+    if (!allowedUrls.some(url => FhirPublish.sameBaseUrl(baseUrl, url))) {
+      throw OperationOutcomeUtils.error('forbidden', 'security', `Publishing to ${baseUrl} is not allowed on this node`, 'baseUrl');
+    }
+
+    const torrent = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrent) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
+
+    const configuredToken = FhirPublish.sameBaseUrl(baseUrl, configuredUrl) ?
+      Settings.get('private.fhirPublish.bearerToken', '') : '';
+    const client = FhirImport.createClient(baseUrl, options.bearerToken || configuredToken);
+
+    // Claimed in one update, so two calls at once can't both start a publish
+    const claimed = await TorrentsCollection.updateAsync({ infoHash, 'publish.state': { $ne: 'running' } }, {
+      $set: {
+        publish: {
+          state: 'running',
+          baseUrl: baseUrl,
+          startedAt: new Date(),
+          total: 0,
+          succeeded: 0,
+          failed: 0,
+          outcomes: []
+        }
+      }
+    });
+    if (claimed === 0) {
+      throw OperationOutcomeUtils.error('publish-running', 'conflict', 'This share is already being published');
+    }
+
+    console.log(`📤 Publishing ${torrent.name} (${infoHash}) to ${baseUrl}`);
+
+    // Large shares take a while; the client follows progress on the torrent document
+    Meteor.defer(async function() {
+      try {
+        await publishShare(torrent, client);
+      } catch (error) {
+        await failPublish(infoHash, error);
+      }
+    });
+
+    return { started: true, baseUrl: baseUrl };
+  }
+});
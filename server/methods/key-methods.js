@@ -0,0 +1,96 @@
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { AddressBookCollection } from '/imports/api/keys/keys';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { ShareEnvelopes } from '../utils/share-crypto';
+import { NodeKeys } from '../utils/node-keys';
+import { Permissions } from '../utils/permissions';
+
+Permissions.methods({
+  /**
+   * This node's public key, to hand to people who want to share with it
+   * @return {Object} { publicKey, fingerprint }
+   */
+  'keys.getNodePublicKey': async function() {
+    const identity = await NodeKeys.getIdentity();
+    return { publicKey: identity.publicKey, fingerprint: identity.fingerprint };
+  },
+
+  /**
+   * Add another node's public key to the address book
+   * @param {String} name - Who the node belongs to
+   * @param {String} publicKey - SPKI PEM public key
+   * @return {String} Address book entry id
+   */
+  'addressBook.add': async function(name, publicKey) {
+    check(name, String);
+    check(publicKey, String);
+
+    if (!name.trim()) {
+      throw OperationOutcomeUtils.error('missing-parameter', 'required', 'A name is required');
+    }
+
+    ShareEnvelopes.checkPublicKey(publicKey.trim());
+    const fingerprint = ShareEnvelopes.fingerprint(publicKey.trim());
+
+    const existing = await AddressBookCollection.findOneAsync({ fingerprint });
+    if (existing) {
+      throw OperationOutcomeUtils.error('duplicate', 'duplicate', `This key is already in the address book as ${existing.name}`);
+    }
+
+    return await AddressBookCollection.insertAsync({
+      name: name.trim(),
+      publicKey: publicKey.trim(),
+      fingerprint: fingerprint,
+      trusted: false,
+      created: new Date()
+    });
+  },
+
+  /**
+   * Trust or stop trusting a node as a publisher. Shares it signed switch
+   * between verified and untrusted right away; their files were already checked.
+   * @param {String} entryId - Address book entry id
+   * @param {Boolean} trusted - Whether its signatures are trusted
+   * @return {Number} Shares whose signature state changed
+   */
+  'addressBook.setTrusted': async function(entryId, trusted) {
+    check(entryId, String);
+    check(trusted, Boolean);
+
+    const entry = await AddressBookCollection.findOneAsync({ _id: entryId });
+    if (!entry) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Address book entry not found');
+    }
+
+    await AddressBookCollection.updateAsync({ _id: entryId }, { $set: { trusted: trusted } });
+
+    return await TorrentsCollection.updateAsync(
+      { 'signature.publisher': entry.fingerprint, 'signature.state': { $in: ['verified', 'untrusted'] } },
+      { $set: { 'signature.state': trusted ? 'verified' : 'untrusted', 'signature.publisherName': entry.name } },
+      { multi: true }
+    );
+  },
+
+  /**
+   * Remove an address book entry. Shares already sent to it stay readable by
+   * it; shares it signed are no longer verified.
+   * @param {String} entryId - Address book entry id
+   * @return {Number} Entries removed
+   */
+  'addressBook.remove': async function(entryId) {
+    check(entryId, String);
+
+    const entry = await AddressBookCollection.findOneAsync({ _id: entryId });
+    if (entry && entry.trusted) {
+      await TorrentsCollection.updateAsync(
+        { 'signature.publisher': entry.fingerprint, 'signature.state': 'verified' },
+        { $set: { 'signature.state': 'untrusted' } },
+        { multi: true }
+      );
+    }
+
+    return await AddressBookCollection.removeAsync({ _id: entryId });
+  }
+});
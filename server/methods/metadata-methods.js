@@ -5,13 +5,15 @@ import { check } from 'meteor/check';
 import { WebTorrentServer } from '../webtorrent-server';
 import { TorrentsCollection } from '/imports/api/torrents/torrents';
 import { Settings } from '/imports/api/settings/settings';
+import { TransferQueue } from '../utils/transfer-queue';
+import { Permissions } from '../utils/permissions';
 
 /**
  * Enhanced metadata exchange with aggressive peer communication
  * This addresses the common WebTorrent issue where metadata is not received from peers
  */
 
-Meteor.methods({
+Permissions.methods({
 
 
   /**
@@ -76,7 +78,11 @@ Meteor.methods({
       
       result.actions.push('🚀 Reloading torrent with enhanced metadata-optimized settings');
       
-      const reloadedTorrent = await WebTorrentServer.addTorrent(torrentRecord.magnetURI, enhancedOptions);
+      const reloadedTorrent = await TransferQueue.reload(torrentRecord, enhancedOptions);
+      if (!reloadedTorrent) {
+        result.actions.push('🚥 Paused or waiting in the transfer queue, not reloaded');
+        return result;
+      }
       
       result.actions.push(`✅ Torrent reloaded: ${reloadedTorrent.name}`);
       
@@ -274,7 +280,11 @@ Meteor.methods({
         }
         
         result.actions.push('🔄 Reloading torrent for complete metadata fix');
-        torrent = await WebTorrentServer.addTorrent(torrentRecord.magnetURI);
+        torrent = await TransferQueue.reload(torrentRecord);
+        if (!torrent) {
+          result.actions.push('🚥 Paused or waiting in the transfer queue, not reloaded');
+          return result;
+        }
         Meteor.setTimeout(function() {
           if (torrent && typeof torrent.announce === 'function') {
             torrent.announce();
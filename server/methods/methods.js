@@ -8,9 +8,11 @@ import path from 'path';
 import { WebTorrentServer } from '../webtorrent-server';
 import { Settings } from '/imports/api/settings/settings';
 import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+import { TransferQueue } from '../utils/transfer-queue';
+import { Permissions } from '../utils/permissions';
 
 
-Meteor.methods({  
+Permissions.methods({  
   /**
    * Simple ping method to test server connectivity
    * @return {String} Pong response with timestamp
@@ -147,8 +149,9 @@ Meteor.methods({
     for (const torrent of toAdd) {
       try {
         console.log(`Debug: Adding torrent ${torrent.name} (${torrent.infoHash}) to client`);
-        await WebTorrentServer.addTorrent(torrent.magnetURI);
-        addResults.push({ infoHash: torrent.infoHash, status: 'added' });
+        // Paused shares and those without a slot stay out of the client
+        const added = await TransferQueue.reload(torrent);
+        addResults.push({ infoHash: torrent.infoHash, status: added ? 'added' : 'queued' });
       } catch (err) {
         console.error(`Error adding torrent ${torrent.infoHash} to client:`, err);
         addResults.push({ infoHash: torrent.infoHash, status: 'error', message: err.message });
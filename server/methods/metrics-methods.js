@@ -0,0 +1,18 @@
+import { check, Match } from 'meteor/check';
+import { MetricsRecorder } from '../utils/metrics-recorder';
+import { Permissions } from '../utils/permissions';
+
+Permissions.methods({
+  /**
+   * Stored network and transfer history
+   * @param {String} range - 'hour', 'day' or 'week'
+   * @param {String} infoHash - One torrent, or omitted for the whole node
+   * @return {Object} { range, from, to, intervalMs, points }
+   */
+  'metrics.history': async function(range, infoHash) {
+    check(range, Match.OneOf('hour', 'day', 'week'));
+    check(infoHash, Match.Optional(String));
+
+    return await MetricsRecorder.history(range, infoHash);
+  }
+});
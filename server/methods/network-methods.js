@@ -1,8 +1,11 @@
 import { Meteor } from 'meteor/meteor';
 import { WebTorrentServer } from '../webtorrent-server';
 import { Settings } from '/imports/api/settings/settings';
+import { Permissions } from '../utils/permissions';
+import { LanDiscovery } from '../utils/lan-discovery';
+import { TrackerHealth } from '../utils/tracker-health';
 
-Meteor.methods({
+Permissions.methods({
   'network.getBasicStatus': function() {
     const client = WebTorrentServer.getClient();
     const torrents = WebTorrentServer.getAllTorrents();
@@ -40,7 +43,7 @@ Meteor.methods({
       },
       trackers: {
         configured: config.tracker || [],
-        status: Array.from(networkStats.trackers.values()),
+        status: TrackerHealth.getHealth(),
         lastGlobalAnnounce: networkStats.lastGlobalAnnounce,
         announceHistory: networkStats.announceHistory.slice(0, 10)
       },
@@ -53,6 +56,7 @@ Meteor.methods({
       webSeeds: {
         enabled: config.webSeeds
       },
+      lan: LanDiscovery.getStatus(),
       timestamp: new Date()
     };
   },
@@ -90,26 +94,37 @@ Meteor.methods({
   },
 
   /**
-   * Get tracker health status
+   * Get tracker health status, from the responses each tracker actually gave.
+   * Configured trackers no torrent has announced to yet are listed as unknown.
    */
   'network.getTrackerHealth': function() {
-    const networkStats = WebTorrentServer._networkStats;
-    const trackers = Array.from(networkStats.trackers.values());
+    const trackers = TrackerHealth.getHealth();
+    const config = Settings.getWebTorrentConfig();
+    
+    (config.tracker || []).forEach(function(url) {
+      if (!trackers.some(tracker => tracker.url === url)) {
+        trackers.push({
+          url: url,
+          status: 'unknown',
+          totalAnnounces: 0,
+          successfulAnnounces: 0,
+          failedAnnounces: 0,
+          consecutiveFailures: 0,
+          successRate: null,
+          averageResponseTime: null,
+          lastAnnounce: null,
+          lastResponse: null,
+          lastError: null,
+          torrents: []
+        });
+      }
+    });
     
     return {
       totalTrackers: trackers.length,
       activeTrackers: trackers.filter(t => t.status === 'active').length,
       errorTrackers: trackers.filter(t => t.status === 'error').length,
-      trackers: trackers.map(tracker => ({
-        url: tracker.url,
-        status: tracker.status,
-        successRate: tracker.totalAnnounces > 0 ? 
-          (tracker.successfulAnnounces / tracker.totalAnnounces * 100).toFixed(1) : 0,
-        lastAnnounce: tracker.lastAnnounce,
-        lastResponse: tracker.lastResponse,
-        consecutiveFailures: tracker.consecutiveFailures,
-        averageResponseTime: Math.round(tracker.averageResponseTime)
-      })),
+      trackers: trackers,
       lastUpdate: new Date()
     };
   }
@@ -0,0 +1,71 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { CompartmentResourcesCollection } from '/imports/api/patients/patients';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { Roles } from '/imports/api/users/users';
+import { ShareIndex } from '../utils/share-index';
+import { Permissions } from '../utils/permissions';
+import { AuditLog } from '../utils/audit-log';
+
+Permissions.methods({
+  /**
+   * Rebuild the patient and FHIR search indexes for one share, or for every
+   * share when no info hash is given. Shares whose files can't be read are skipped.
+   * @param {String} infoHash - Optional info hash of the torrent
+   * @return {Object} { shares, patients, resources, searchable, failed: [{ infoHash, reason }] }
+   */
+  'patients.reindex': async function(infoHash) {
+    check(infoHash, Match.Optional(String));
+
+    let torrents;
+    if (infoHash) {
+      const torrent = await TorrentsCollection.findOneAsync({ infoHash });
+      if (!torrent) {
+        throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+      }
+      torrents = [torrent];
+    } else {
+      torrents = await TorrentsCollection.find({}, { fields: { infoHash: 1, name: 1 } }).fetchAsync();
+    }
+
+    const summary = { shares: 0, patients: 0, resources: 0, searchable: 0, failed: [] };
+
+    for (const torrent of torrents) {
+      try {
+        const result = await ShareIndex.indexTorrent(torrent.infoHash);
+        summary.shares++;
+        summary.patients += result.patients;
+        summary.resources += result.compartmentResources;
+        summary.searchable += result.resources;
+      } catch (error) {
+        console.warn(`⚠️ Could not index patients in ${torrent.name}: ${error.reason || error.message}`);
+        if (infoHash) {
+          throw OperationOutcomeUtils.wrapError(error, 'index-failed', 'Failed to index patients');
+        }
+        summary.failed.push({ infoHash: torrent.infoHash, reason: error.reason || error.message });
+      }
+    }
+
+    return summary;
+  }
+});
+
+// A patient's records span shares, so opening them is recorded as a read of each share they come from
+Meteor.publish('patients.compartment', async function(key) {
+  check(key, String);
+
+  const user = this.userId ? await Meteor.users.findOneAsync(this.userId, { fields: { username: 1, roles: 1 } }) : null;
+  const agent = { userId: this.userId || undefined, username: user ? user.username : undefined, clientAddress: this.connection.clientAddress };
+  const viewer = Roles.hasRole(user, 'viewer');
+  const shares = viewer ? await CompartmentResourcesCollection.rawCollection().distinct('infoHash', { patientKeys: key }) : [];
+
+  AuditLog.recordReads(agent, shares, viewer ? undefined : 'Patient records require the viewer role').catch(function(err) {
+    console.error('Error recording audit event for patients.compartment:', err);
+  });
+
+  if (!viewer) {
+    return this.ready();
+  }
+  return CompartmentResourcesCollection.find({ patientKeys: key });
+});
@@ -1,8 +1,9 @@
 import { Meteor } from 'meteor/meteor';
 import { check } from 'meteor/check';
 import { WebTorrentServer } from '../webtorrent-server';
+import { Permissions } from '../utils/permissions';
 
-Meteor.methods({
+Permissions.methods({
   /**
    * Get all peers connected to all torrents
    * @return {Array} Array of peer objects
@@ -0,0 +1,71 @@
+import { check } from 'meteor/check';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { PseudonymsCollection } from '/imports/api/pseudonyms/pseudonyms';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { Pseudonymizer } from '../utils/pseudonymizer';
+import { ShareFiles } from '../utils/share-files';
+import { Permissions } from '../utils/permissions';
+
+// Client addresses treated as this machine
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Check that a method call comes from this machine (or from the server itself)
+ * @param {Object} connection - Method invocation connection, null for server calls
+ * @return {Boolean} True for local callers
+ */
+function isLocalConnection(connection) {
+  return !connection || LOOPBACK_ADDRESSES.includes(connection.clientAddress);
+}
+
+Permissions.methods({
+  /**
+   * Re-identify a share that was pseudonymized by this node, using the local
+   * re-identification map. Only callable from this machine, since the result
+   * is the original, identifiable data.
+   * @param {String} infoHash - Info hash of a seeded or downloaded share
+   * @return {Object} { contents, counts: { ids, identifiers }, shares } with contents keyed by filename
+   */
+  'pseudonyms.reidentify': async function(infoHash) {
+    check(infoHash, String);
+
+    if (!isLocalConnection(this.connection)) {
+      throw OperationOutcomeUtils.error('not-authorized', 'forbidden', 'Re-identification is only available from this machine');
+    }
+
+    const torrent = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrent) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
+
+    // The whole share goes back to the caller, so its files are read whole
+    const fileData = [];
+    await ShareFiles.each(torrent, async function(file, stream) {
+      fileData.push({ name: file.name, data: await ShareFiles.readAll(stream) });
+    });
+
+    const candidates = Pseudonymizer.collectCandidates(fileData);
+    const mappings = candidates.length > 0 ?
+      await PseudonymsCollection.find({ pseudonym: { $in: candidates } }).fetchAsync() :
+      [];
+
+    if (mappings.length === 0) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'This share holds no pseudonyms issued by this node');
+    }
+
+    const reidentified = Pseudonymizer.reidentifyFiles(fileData, mappings);
+    const result = {};
+    reidentified.fileData.forEach(function(file) {
+      result[file.name] = file.data;
+    });
+
+    console.log(`🔓 Re-identified ${reidentified.counts.ids} ids and ${reidentified.counts.identifiers} identifiers in ${infoHash}`);
+
+    return {
+      contents: result,
+      counts: reidentified.counts,
+      // Shares this node seeded the pseudonyms in, e.g. the original of a re-shared copy
+      shares: Array.from(new Set(mappings.flatMap(mapping => mapping.infoHashes || [])))
+    };
+  }
+});
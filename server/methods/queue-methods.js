@@ -0,0 +1,50 @@
+import { check, Match } from 'meteor/check';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { TransferQueue } from '../utils/transfer-queue';
+import { Permissions } from '../utils/permissions';
+
+/**
+ * The share's record, or a not-found error
+ * @param {String} infoHash - Info hash
+ * @return {Promise<Object>} Torrent record
+ */
+async function findShare(infoHash) {
+  const record = await TorrentsCollection.findOneAsync({ infoHash }, { fields: { infoHash: 1 } });
+  if (!record) {
+    throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+  }
+  return record;
+}
+
+Permissions.methods({
+  /**
+   * Move a share one place up or down the queue, among downloads or seeds
+   * @param {String} infoHash - Info hash of the share
+   * @param {String} direction - 'up' (starts sooner) or 'down'
+   * @return {Number} Its position, 1 being next
+   */
+  'torrents.moveInQueue': async function(infoHash, direction) {
+    check(infoHash, String);
+    check(direction, Match.OneOf('up', 'down'));
+
+    await findShare(infoHash);
+    return await TransferQueue.move(infoHash, direction);
+  },
+
+  /**
+   * Start a share now whatever the active limits, or put it back in the queue
+   * @param {String} infoHash - Info hash of the share
+   * @param {Boolean} forced - False to return it to the queue
+   * @return {Boolean} Whether it is force-started
+   */
+  'torrents.forceStart': async function(infoHash, forced = true) {
+    check(infoHash, String);
+    check(forced, Boolean);
+
+    await findShare(infoHash);
+    await TransferQueue.forceStart(infoHash, forced);
+    console.log(`🚥 ${forced ? 'Force-started' : 'Returned to the queue'}: ${infoHash}`);
+    return forced;
+  }
+});
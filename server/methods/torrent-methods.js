@@ -3,17 +3,123 @@
 import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { WebTorrentServer } from '../webtorrent-server';
-import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { TorrentsCollection, ShareKeysCollection } from '/imports/api/torrents/torrents';
+import { PseudonymsCollection } from '/imports/api/pseudonyms/pseudonyms';
+import { ShareLink } from '/imports/api/torrents/share-link';
+import { AddressBookCollection } from '/imports/api/keys/keys';
 import { Settings } from '/imports/api/settings/settings';
+import { Roles } from '/imports/api/users/users';
 import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+import { createReferenceResolver } from '/imports/api/fhir/reference-resolver';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { BulkExportUtils, BULK_MANIFEST_FILENAME } from '/imports/api/fhir/bulk-export';
+import { Deidentify } from '/imports/api/fhir/deidentify';
+import { ShareProvenance, PROVENANCE_FILENAME } from '/imports/api/fhir/share-provenance';
+import { FhirValidator } from '../utils/fhir-validator';
+import { NdjsonReader } from '../utils/ndjson-reader';
+import { ShareFiles } from '../utils/share-files';
+import { BulkManifest } from '../utils/bulk-manifest';
+import { ShareIndex } from '../utils/share-index';
+import { ShareCrypto, ShareEnvelopes, ENCRYPTED_FILE_SUFFIX, ENVELOPE_FILENAME } from '../utils/share-crypto';
+import { NodeKeys } from '../utils/node-keys';
+import { ShareKeys } from '../utils/share-keys';
+import { Pseudonymizer } from '../utils/pseudonymizer';
+import { ShareSignature, SIGNATURE_FILENAME } from '../utils/share-signature';
+import { ShareLineage } from '../utils/share-lineage';
+import { PrivateTracker } from '../utils/private-tracker';
+import { TransferQueue } from '../utils/transfer-queue';
+import { Permissions } from '../utils/permissions';
 
 // Helper function to resolve storage path with proper PORT substitution
 function getResolvedStoragePath() {
-  const storagePath = Settings.get('private.storage.tempPath', '/tmp/fhir-torrents');
-  const port = process.env.PORT || 3000;
-  return storagePath.replace(/\$\{PORT\}/g, port);
+  return ShareFiles.storagePath();
+}
+
+/**
+ * Validate uploaded FHIR files against the bundled R4 StructureDefinitions
+ * @param {Array} fileData - Array of { name, data } objects
+ * @return {Object} Summary with validity, issue counts and flattened issues
+ */
+function validateFileData(fileData) {
+  const issues = [];
+  
+  fileData.forEach(function(file) {
+    const format = FhirUtils.detectFormat(file.data);
+    if (format === 'bulk-manifest') return; // Checked against the NDJSON files separately
+    
+    let resources = [FhirUtils.parseJson(file.data)];
+    
+    if (format === 'ndjson') {
+      // Report unparseable lines individually instead of rejecting the whole file
+      const parsed = FhirUtils.parseNdjsonWithErrors(file.data);
+      resources = parsed.resources;
+      parsed.errors.forEach(function(lineError) {
+        issues.push({
+          severity: 'error',
+          code: 'structure',
+          location: `Line ${lineError.line}`,
+          message: lineError.message,
+          file: file.name
+        });
+      });
+    }
+    
+    const validation = FhirValidator.validateResources(resources);
+    validation.results.forEach(function(result) {
+      result.issues.forEach(function(issue) {
+        issues.push({ ...issue, file: file.name, resource: result.resource });
+      });
+    });
+  });
+  
+  const errorCount = issues.filter(i => i.severity === 'error' || i.severity === 'fatal').length;
+  const warningCount = issues.filter(i => i.severity === 'warning').length;
+  
+  return {
+    valid: errorCount === 0,
+    errorCount: errorCount,
+    warningCount: warningCount,
+    issues: issues
+  };
+}
+
+/**
+ * Check a bulk-export upload and store its manifest under the well-known name
+ * @param {Array} fileData - Array of { name, data } objects
+ * @return {Array} File data with the manifest renamed to manifest.json
+ */
+function prepareBulkExportFiles(fileData) {
+  const manifests = fileData.filter(file => FhirUtils.detectFormat(file.data) === 'bulk-manifest');
+  
+  if (manifests.length !== 1) {
+    throw OperationOutcomeUtils.error('invalid-manifest', 'structure',
+      `A bulk export needs exactly one $export manifest, found ${manifests.length}.`);
+  }
+  
+  const manifestFile = manifests[0];
+  const ndjsonFiles = fileData.filter(file => file !== manifestFile);
+  const issues = BulkExportUtils.checkFiles(
+    BulkExportUtils.parseManifest(manifestFile.data),
+    ndjsonFiles.map(file => file.name)
+  );
+  const errors = issues.filter(issue => issue.severity === 'error');
+  
+  if (errors.length > 0) {
+    throw OperationOutcomeUtils.toError(
+      'invalid-manifest',
+      `The $export manifest does not match the uploaded files (${errors.length} error(s))`,
+      OperationOutcomeUtils.fromValidationIssues(issues.map(issue => ({ ...issue, file: manifestFile.name })))
+    );
+  }
+  
+  issues.forEach(function(issue) {
+    console.warn(`⚠️ ${manifestFile.name} ${issue.location}: ${issue.message}`);
+  });
+  
+  return [{ name: BULK_MANIFEST_FILENAME, data: manifestFile.data }].concat(ndjsonFiles);
 }
 
 /**
@@ -140,463 +246,52 @@ function waitForTorrentMetadata(torrent, timeoutMs = 30000) {
 }
 
 /**
- * Enhanced file content retrieval with immediate read attempts
- * @param {Object} torrent - WebTorrent torrent object
- * @param {Number} timeoutMs - Timeout for each file
- * @return {Promise<Object>} Object with filename keys and content values
+ * Add a share's pseudonyms to the local re-identification map
+ * @param {String} infoHash - Info hash of the share they were seeded in
+ * @param {Array} mappings - { kind, scope, original, pseudonym } entries
  */
-function getFileContentsAggressively(torrent, timeoutMs = 15000) {
-  return new Promise(function(resolve, reject) {
-    console.log(`🚀 Aggressively retrieving files from torrent ${torrent.infoHash}`);
-    
-    if (!torrent.files || torrent.files.length === 0) {
-      return reject(new Error('No files available in torrent'));
-    }
-    
-    // Force download start before attempting to read
-    forceDownloadStart(torrent);
-    
-    const results = {};
-    const filePromises = torrent.files.map(function(file, index) {
-      return new Promise(function(resolveFile, rejectFile) {
-        console.log(`📁 Processing file ${index}: ${file.name} (${file.length} bytes)`);
-        
-        let attempts = 0;
-        const maxAttempts = 3;
-        
-        function attemptRead() {
-          attempts++;
-          console.log(`📖 Reading attempt ${attempts}/${maxAttempts} for ${file.name}`);
-          
-          const readTimeout = Meteor.setTimeout(function() {
-            console.log(`⏰ Read timeout for ${file.name} on attempt ${attempts}`);
-            
-            if (attempts < maxAttempts) {
-              console.log(`🔄 Retrying read for ${file.name} (attempt ${attempts + 1})`);
-              Meteor.setTimeout(attemptRead, 2000); // Wait 2 seconds before retry
-            } else {
-              console.log(`❌ All read attempts failed for ${file.name}`);
-              rejectFile(new Error(`Failed to read ${file.name} after ${maxAttempts} attempts`));
-            }
-          }, timeoutMs / maxAttempts);
-          
-          // Try multiple read strategies
-          function tryStrategyA() {
-            console.log(`Strategy A: getBuffer for ${file.name}`);
-            file.getBuffer(function(err, buffer) {
-              clearTimeout(readTimeout);
-              
-              if (err) {
-                console.log(`Strategy A failed for ${file.name}:`, err.message);
-                tryStrategyB();
-              } else {
-                try {
-                  const content = buffer.toString('utf8');
-                  console.log(`✅ Strategy A success for ${file.name}: ${content.length} chars`);
-                  resolveFile({ name: file.name, content });
-                } catch (convertErr) {
-                  console.log(`Strategy A buffer conversion failed for ${file.name}:`, convertErr.message);
-                  tryStrategyB();
-                }
-              }
-            });
-          }
-          
-          function tryStrategyB() {
-            console.log(`Strategy B: createReadStream for ${file.name}`);
-            try {
-              const chunks = [];
-              const stream = file.createReadStream();
-              
-              stream.on('data', function(chunk) {
-                chunks.push(chunk);
-              });
-              
-              stream.on('end', function() {
-                clearTimeout(readTimeout);
-                try {
-                  const content = Buffer.concat(chunks).toString('utf8');
-                  console.log(`✅ Strategy B success for ${file.name}: ${content.length} chars`);
-                  resolveFile({ name: file.name, content });
-                } catch (convertErr) {
-                  console.log(`Strategy B failed for ${file.name}:`, convertErr.message);
-                  if (attempts < maxAttempts) {
-                    Meteor.setTimeout(attemptRead, 2000);
-                  } else {
-                    rejectFile(convertErr);
-                  }
-                }
-              });
-              
-              stream.on('error', function(streamErr) {
-                clearTimeout(readTimeout);
-                console.log(`Strategy B stream error for ${file.name}:`, streamErr.message);
-                if (attempts < maxAttempts) {
-                  Meteor.setTimeout(attemptRead, 2000);
-                } else {
-                  rejectFile(streamErr);
-                }
-              });
-              
-            } catch (streamErr) {
-              clearTimeout(readTimeout);
-              console.log(`Strategy B setup failed for ${file.name}:`, streamErr.message);
-              if (attempts < maxAttempts) {
-                Meteor.setTimeout(attemptRead, 2000);
-              } else {
-                rejectFile(streamErr);
-              }
-            }
-          }
-          
-          // Start with Strategy A
-          tryStrategyA();
-        }
-        
-        // Start the first attempt immediately
-        attemptRead();
-      });
-    });
-    
-    // Wait for all files or timeout
-    Promise.allSettled(filePromises).then(function(results) {
-      const successfulFiles = {};
-      const failedFiles = [];
-      
-      results.forEach(function(result) {
-        if (result.status === 'fulfilled') {
-          const fileData = result.value;
-          successfulFiles[fileData.name] = fileData.content;
-        } else {
-          failedFiles.push(result.reason.message);
-        }
-      });
-      
-      console.log(`📊 File retrieval results: ${Object.keys(successfulFiles).length} success, ${failedFiles.length} failed`);
-      
-      if (Object.keys(successfulFiles).length > 0) {
-        console.log('✅ At least some files retrieved successfully');
-        resolve(successfulFiles);
-      } else {
-        console.log('❌ No files could be retrieved');
-        reject(new Error('Could not retrieve any files: ' + failedFiles.join(', ')));
+async function storePseudonyms(infoHash, mappings) {
+  for (const mapping of mappings) {
+    await PseudonymsCollection.upsertAsync(
+      { kind: mapping.kind, scope: mapping.scope, pseudonym: mapping.pseudonym },
+      {
+        $set: { original: mapping.original },
+        $addToSet: { infoHashes: infoHash },
+        $setOnInsert: { created: new Date() }
       }
-    });
-  });
-}
-
-/**
- * Enhanced helper function to get file contents from disk with better search
- */
-async function getDiskFallbackContents(infoHash, torrentRecord) {
-  console.log(`💾 Attempting enhanced disk fallback for torrent ${infoHash}`);
-  
-  const resolvedPath = getResolvedStoragePath();
-  console.log(`Using storage path: ${resolvedPath}`);
-  
-  if (!fs.existsSync(resolvedPath)) {
-    console.log(`Storage path does not exist: ${resolvedPath}`);
-    throw new Meteor.Error('storage-missing', 'Storage directory does not exist');
-  }
-  
-  const diskContents = {};
-  
-  // Build comprehensive list of search paths
-  const possiblePaths = [resolvedPath];
-  
-  // Add stored torrent directory if available
-  if (torrentRecord.torrentDirectory && fs.existsSync(torrentRecord.torrentDirectory)) {
-    possiblePaths.unshift(torrentRecord.torrentDirectory);
-    console.log(`Using stored torrent directory: ${torrentRecord.torrentDirectory}`);
-  }
-  
-  // Add name-based patterns
-  if (torrentRecord.name) {
-    const sanitizedName = torrentRecord.name.replace(/[^a-z0-9_-]/gi, '_');
-    possiblePaths.push(path.join(resolvedPath, sanitizedName));
-    possiblePaths.push(path.join(resolvedPath, torrentRecord.name));
-  }
-  
-  // Add hash-based patterns
-  possiblePaths.push(path.join(resolvedPath, infoHash));
-  possiblePaths.push(path.join(resolvedPath, infoHash.substring(0, 8)));
-  
-  // Search for any directories that might contain our files
-  try {
-    const storageContents = fs.readdirSync(resolvedPath);
-    console.log(`Found ${storageContents.length} items in storage directory`);
-    
-    storageContents.forEach(function(item) {
-      const fullPath = path.join(resolvedPath, item);
-      try {
-        if (fs.statSync(fullPath).isDirectory()) {
-          const itemLower = item.toLowerCase();
-          const nameLower = (torrentRecord.name || '').toLowerCase();
-          const hashSubstring = infoHash.substring(0, 8);
-          
-          if (itemLower.includes(hashSubstring) || 
-              (nameLower && itemLower.includes(nameLower.replace(/[^a-z0-9]/g, ''))) ||
-              itemLower.includes('fhir') || 
-              itemLower.includes('bundle') || 
-              itemLower.includes('ndjson') ||
-              item.match(/_\d{13}$/)) {
-            possiblePaths.push(fullPath);
-            console.log(`Added potential directory: ${fullPath}`);
-          }
-        }
-      } catch (statErr) {
-        // Ignore stat errors
-      }
-    });
-  } catch (dirErr) {
-    console.warn('Error reading storage directory:', dirErr);
-  }
-  
-  console.log(`Searching ${possiblePaths.length} possible paths for files`);
-  
-  // Enhanced file search
-  for (const searchPath of possiblePaths) {
-    console.log(`🔍 Searching in: ${searchPath}`);
-    
-    try {
-      if (!fs.existsSync(searchPath)) continue;
-      
-      // If we have specific file info, look for those files
-      if (torrentRecord.files && torrentRecord.files.length > 0) {
-        for (const fileInfo of torrentRecord.files) {
-          const possibleFilePaths = [
-            path.join(searchPath, fileInfo.name),
-            path.join(searchPath, fileInfo.path || fileInfo.name),
-            path.join(searchPath, path.basename(fileInfo.name)),
-            path.join(searchPath, path.basename(fileInfo.path || fileInfo.name))
-          ];
-          
-          for (const filePath of possibleFilePaths) {
-            try {
-              if (fs.existsSync(filePath)) {
-                const content = fs.readFileSync(filePath, 'utf8');
-                diskContents[fileInfo.name] = content;
-                console.log(`✅ Found on disk: ${fileInfo.name} (${content.length} bytes) at ${filePath}`);
-                break;
-              }
-            } catch (readErr) {
-              console.error(`Error reading ${filePath}:`, readErr.message);
-            }
-          }
-        }
-      } else {
-        // Search for any FHIR files
-        const files = fs.readdirSync(searchPath);
-        const dataFiles = files.filter(function(f) {
-          const ext = path.extname(f).toLowerCase();
-          const name = f.toLowerCase();
-          return ext === '.json' || ext === '.ndjson' || 
-                 name.includes('fhir') || name.includes('bundle') || 
-                 name.includes('resource') || name.includes('patient');
-        });
-        
-        for (const dataFile of dataFiles) {
-          const filePath = path.join(searchPath, dataFile);
-          try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            diskContents[dataFile] = content;
-            console.log(`✅ Found data file: ${dataFile} (${content.length} bytes)`);
-          } catch (readErr) {
-            console.error(`Error reading ${filePath}:`, readErr.message);
-          }
-        }
-      }
-    } catch (searchErr) {
-      console.warn(`Error searching in ${searchPath}:`, searchErr.message);
-    }
-  }
-  
-  if (Object.keys(diskContents).length > 0) {
-    console.log(`💾 Found ${Object.keys(diskContents).length} files on disk`);
-    return diskContents;
-  }
-  
-  // Sample fallback for test torrents
-  if (torrentRecord.name && (
-    torrentRecord.name.toLowerCase().includes('sample') || 
-    torrentRecord.name.toLowerCase().includes('test') ||
-    torrentRecord.name.toLowerCase().includes('demo')
-  )) {
-    console.log('Attempting sample content fallback');
-    try {
-      const sampleData = await Assets.getTextAsync('sample-bundle.json');
-      if (sampleData) {
-        const fileName = torrentRecord.name.endsWith('.json') ? torrentRecord.name : torrentRecord.name + '.json';
-        return { [fileName]: sampleData };
-      }
-    } catch (assetErr) {
-      console.error('Error reading sample bundle:', assetErr);
-    }
+    );
   }
-  
-  throw new Meteor.Error('no-content', 
-    `Could not retrieve file contents for torrent ${infoHash}. ` +
-    `The torrent may still be downloading, or the files may not be available yet. ` +
-    `Try waiting a few more minutes for the download to complete.`
-  );
-}
-
-/**
- * Force download initiation for a torrent
- * @param {Object} torrent - WebTorrent torrent object
- * @return {Promise<Boolean>} True if download was triggered successfully
- */
-function forceDownloadStart(torrent) {
-  return new Promise(function(resolve) {
-    console.log(`🔧 Force triggering download for torrent ${torrent.infoHash}`);
-    
-    try {
-      // 1. Resume if paused
-      if (torrent.paused) {
-        console.log('Resuming paused torrent');
-        torrent.resume();
-      }
-      
-      // 2. Select all files with high priority
-      if (torrent.files && torrent.files.length > 0) {
-        console.log(`Selecting all ${torrent.files.length} files with high priority`);
-        torrent.files.forEach(function(file, index) {
-          try {
-            if (typeof file.select === 'function') {
-              file.select(0, file.length, 1); // Select entire file with high priority
-              console.log(`Selected file ${index}: ${file.name}`);
-            }
-          } catch (selectErr) {
-            console.warn(`Error selecting file ${file.name}:`, selectErr.message);
-          }
-        });
-      }
-      
-      // 3. Try to manually request specific pieces
-      try {
-        if (typeof torrent.select === 'function') {
-          // Request first few pieces with high priority
-          const pieceLength = torrent.pieceLength || 16384; // Default piece size
-          const totalLength = torrent.length || 0;
-          const piecesToRequest = Math.min(10, Math.ceil(totalLength / pieceLength));
-          
-          console.log(`Requesting first ${piecesToRequest} pieces manually`);
-          for (let i = 0; i < piecesToRequest; i++) {
-            torrent.select(i * pieceLength, Math.min((i + 1) * pieceLength, totalLength), 1);
-          }
-        }
-      } catch (pieceErr) {
-        console.warn('Error requesting pieces:', pieceErr.message);
-      }
-      
-      // 4. Force announce to get more peers
-      try {
-        if (typeof torrent.announce === 'function') {
-          torrent.announce();
-          console.log('Forced announce to trackers');
-        } else if (torrent.discovery && typeof torrent.discovery.announce === 'function') {
-          torrent.discovery.announce();
-          console.log('Used discovery announce');
-        }
-      } catch (announceErr) {
-        console.warn('Error announcing:', announceErr.message);
-      }
-      
-      // 5. Set up download event listeners to monitor progress
-      const onDownload = function() {
-        // console.log(`📥 Download progress: ${Math.round(torrent.progress * 100)}%`);
-      };
-      
-      const onPiece = function(index) {
-        console.log(`📦 Received piece ${index}, progress: ${Math.round(torrent.progress * 100)}%`);
-      };
-      
-      torrent.on('download', onDownload);
-      torrent.on('piece', onPiece);
-      
-      // Clean up listeners after 60 seconds
-      Meteor.setTimeout(function() {
-        torrent.removeListener('download', onDownload);
-        torrent.removeListener('piece', onPiece);
-      }, 60000);
-      
-      console.log('✅ Download triggers applied successfully');
-      resolve(true);
-      
-    } catch (err) {
-      console.error('Error in forceDownloadStart:', err);
-      resolve(false);
-    }
-  });
-}
-
-/**
- * Wait for torrent download with aggressive triggering
- * @param {Object} torrent - WebTorrent torrent object
- * @param {Number} timeoutMs - Timeout in milliseconds
- * @return {Promise<Boolean>} True if some content was downloaded
- */
-function waitForDownloadProgress(torrent, timeoutMs = 45000) {
-  return new Promise(function(resolve) {
-    const startTime = Date.now();
-    const initialProgress = torrent.progress;
-    
-    console.log(`⏳ Waiting for download progress, initial: ${Math.round(initialProgress * 100)}%`);
-    
-    // If already has some progress, resolve immediately
-    if (initialProgress > 0) {
-      console.log('Already has download progress');
-      return resolve(true);
-    }
-    
-    // Force download start
-    forceDownloadStart(torrent);
-    
-    let progressDetected = false;
-    
-    const checkInterval = Meteor.setInterval(function() {
-      const elapsed = Date.now() - startTime;
-      const currentProgress = torrent.progress;
-      
-      console.log(`⏳ Check: progress=${Math.round(currentProgress * 100)}%, peers=${torrent.numPeers}, elapsed=${elapsed}ms`);
-      
-      // Success condition - any progress or content
-      if (currentProgress > initialProgress || torrent.downloaded > 0) {
-        console.log(`✅ Download progress detected: ${Math.round(currentProgress * 100)}%`);
-        progressDetected = true;
-        Meteor.clearInterval(checkInterval);
-        return resolve(true);
-      }
-      
-      // Re-trigger download every 10 seconds
-      if (elapsed % 10000 < 2000 && !progressDetected) {
-        console.log('Re-triggering download...');
-        forceDownloadStart(torrent);
-      }
-      
-      // Timeout condition
-      if (elapsed >= timeoutMs) {
-        console.log(`⏰ Download wait timeout after ${elapsed}ms`);
-        Meteor.clearInterval(checkInterval);
-        return resolve(false);
-      }
-    }, 2000);
-  });
+  console.log(`🗝️ Stored ${mappings.length} pseudonym(s) for ${infoHash} in the local re-identification map`);
 }
 
-
-
-Meteor.methods({
+Permissions.methods({
   /**
    * Add a torrent from a magnet URI
-   * @param {String} magnetUri - Magnet URI of the torrent
-   * @param {Object} metadata - Additional metadata
+   * @param {String} magnetUri - Magnet URI of the torrent, or a share link with the key in its fragment
+   * @param {Object} metadata - Additional metadata; encryptionKey opens an encrypted share
    * @return {Object} Added torrent info
   */
   'torrents.add': async function(magnetUri, metadata = {}) {
     check(magnetUri, String);
     check(metadata, Object);
     
+    // The key travels in the link fragment; only the magnet part reaches WebTorrent and trackers
+    const shareLink = ShareLink.parse(magnetUri);
+    const encryptionKey = metadata.encryptionKey || shareLink.key;
+    magnetUri = shareLink.magnetURI;
+    
+    if (encryptionKey && !ShareLink.isValidKey(encryptionKey)) {
+      throw OperationOutcomeUtils.error('invalid-key', 'security', 'The share key is not a valid 256-bit key');
+    }
+    
+    const userId = this.userId;
+    
+    // A share already held for another user stays theirs
+    const requestedHash = magnetUri.match(/xt=urn:btih:([a-zA-Z0-9]+)/);
+    if (requestedHash) {
+      await Permissions.requireTorrent(this, requestedHash[1].toLowerCase(), 'own');
+    }
+    
     console.log('Adding torrent from magnet URI:', magnetUri);
     
     try {
@@ -611,6 +306,9 @@ Meteor.methods({
         
         if (existingTorrent) {
           console.log(`Torrent with infoHash ${infoHash} already exists in client, returning existing instance`);
+          if (encryptionKey) {
+            await ShareKeys.store(infoHash, encryptionKey);
+          }
           return {
             infoHash: existingTorrent.infoHash,
             name: existingTorrent.name,
@@ -622,12 +320,12 @@ Meteor.methods({
         const existingRecord = await TorrentsCollection.findOneAsync({ infoHash });
         if (existingRecord) {
           console.log(`Torrent ${infoHash} found in database, reloading to client`);
-          // Don't wait for the callback - just start the add process
-          WebTorrentServer.addTorrent(magnetUri, {
-            path: getResolvedStoragePath()
-          }).catch(function(err) {
-            console.error('Background torrent add failed:', err);
-          });
+          if (encryptionKey) {
+            await ShareKeys.store(infoHash, encryptionKey);
+          }
+          // Back through the queue, which starts it when a slot is free
+          await TorrentsCollection.updateAsync({ infoHash }, { $set: { 'status.state': 'queued' } });
+          TransferQueue.process();
           
           return {
             infoHash: existingRecord.infoHash,
@@ -673,13 +371,37 @@ Meteor.methods({
           progress: 0,
           peers: 0,
           seeds: 0,
-          state: 'downloading'
+          state: 'queued'
+        },
+        queue: {
+          position: null,            // Last, until the queue numbers it
+          forced: false
         }
       };
       
+      // Internal calls add shares no one owns yet; the first account claims them
+      if (userId) {
+        torrentData.ownerId = userId;
+      }
+      
       console.log(`Creating immediate database record for torrent ${infoHash}`);
       await TorrentsCollection.insertAsync(torrentData);
       
+      if (encryptionKey) {
+        await ShareKeys.store(infoHash, encryptionKey);
+      }
+      
+      // Wait for a download slot when the active limit is reached
+      if (!await TransferQueue.process(infoHash)) {
+        console.log(`Queued torrent ${infoHash} until a download slot is free`);
+        return {
+          infoHash: infoHash,
+          name: torrentName,
+          magnetURI: magnetUri,
+          queued: true
+        };
+      }
+      
       // Start adding to WebTorrent client in background with enhanced metadata handling
       console.log(`Starting enhanced background WebTorrent add for ${infoHash}`);
       WebTorrentServer.addTorrent(magnetUri, {
@@ -743,34 +465,195 @@ Meteor.methods({
    * Create a torrent from uploaded file data
    * @param {String} name - Name for the torrent
    * @param {Array} fileData - Array of { name, data } objects
-   * @param {Object} metadata - Additional metadata
-   * @return {Object} Created torrent info
+   * @param {Object} metadata - Additional metadata; encrypted: true seeds AES-256-GCM ciphertext,
+   *   recipients (address book ids) limits an encrypted share to those nodes, deidentify (true or
+   *   a policy) strips Safe Harbor identifiers and shifts dates before anything is written, pseudonymize
+   *   (true or { identifierSystems }) replaces ids and those identifiers with keyed pseudonyms,
+   *   derivedFrom (info hashes) and source ({ kind: 'server', url, query }) feed provenance.json
+   * @return {Object} Created torrent info, with a shareLink carrying the key for link-encrypted shares
    */
   'torrents.create': async function(name, fileData, metadata = {}) {
     check(name, String);
     check(fileData, Array);
     check(metadata, Object);
     
+    const userId = this.userId;
+    
     console.log('Creating torrent:', name, 'with', fileData.length, 'files');
     
     // Validate FHIR files
     for (const file of fileData) {
+      if ([SIGNATURE_FILENAME, ENVELOPE_FILENAME, PROVENANCE_FILENAME].includes(file.name)) {
+        throw OperationOutcomeUtils.error('reserved-filename', 'invalid', `${file.name} is reserved for the share's own signature, provenance and key envelopes`);
+      }
+      
       const format = FhirUtils.detectFormat(file.data);
       
       if (format === 'unknown') {
-        throw new Meteor.Error('invalid-format', `File ${file.name} doesn't appear to be valid FHIR content.`);
+        throw OperationOutcomeUtils.error('invalid-format', 'structure', `File ${file.name} doesn't appear to be valid FHIR content.`);
       }
       
       // Make sure format matches selected type
       if (metadata.fhirType === 'bundle' && format !== 'bundle') {
-        throw new Meteor.Error('format-mismatch', `File ${file.name} is not a FHIR Bundle but you selected Bundle type.`);
+        throw OperationOutcomeUtils.error('format-mismatch', 'invalid', `File ${file.name} is not a FHIR Bundle but you selected Bundle type.`);
       }
       
       if (metadata.fhirType === 'ndjson' && format !== 'ndjson') {
-        throw new Meteor.Error('format-mismatch', `File ${file.name} is not NDJSON but you selected NDJSON type.`);
+        throw OperationOutcomeUtils.error('format-mismatch', 'invalid', `File ${file.name} is not NDJSON but you selected NDJSON type.`);
+      }
+      
+      if (metadata.fhirType === 'bulk-export' && format !== 'ndjson' && format !== 'bulk-manifest') {
+        throw OperationOutcomeUtils.error('format-mismatch', 'invalid', `File ${file.name} is neither NDJSON nor a Bulk Data manifest.`);
       }
     }
     
+    // Private shares announce only to this node's tracker, with the creator's passkey
+    check(metadata.privacy, Match.Optional(Match.OneOf('public', 'private')));
+    const isPrivate = metadata.privacy === 'private';
+    if (isPrivate && !PrivateTracker.isEnabled()) {
+      throw OperationOutcomeUtils.error('tracker-disabled', 'not-supported', 'Private shares need this node\'s tracker, which is not enabled');
+    }
+    if (isPrivate && !userId) {
+      throw OperationOutcomeUtils.error('login-required', 'security', 'Private shares announce with the passkey of the user creating them');
+    }
+    
+    // Recipient shares wrap their key for public keys from the address book
+    const recipientIds = metadata.recipients || [];
+    check(recipientIds, [String]);
+    
+    const recipients = recipientIds.length > 0 ?
+      await AddressBookCollection.find({ _id: { $in: recipientIds } }).fetchAsync() :
+      [];
+    if (recipients.length !== recipientIds.length) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Some recipients are no longer in the address book');
+    }
+    
+    // A bulk export is one $export manifest plus the NDJSON files it lists
+    if (metadata.fhirType === 'bulk-export') {
+      fileData = prepareBulkExportFiles(fileData);
+    }
+    
+    // Where the data came from: shares it was derived from (named, or holding most
+    // of its resources already), then the FHIR server or the uploaded files
+    check(metadata.derivedFrom, Match.Optional([String]));
+    check(metadata.source, Match.Optional({ kind: 'server', url: String, query: Match.Optional(String) }));
+    
+    // Only shares the caller may read are named, or detected, as sources
+    for (const infoHash of metadata.derivedFrom || []) {
+      await Permissions.requireTorrent(this, infoHash, 'read');
+    }
+    const caller = Permissions.isInternal(this) ? null : (await Roles.findUser(userId)) || { _id: userId };
+    const derivations = await ShareLineage.describeSources(metadata.derivedFrom || []);
+    for (const source of await ShareLineage.detectDerivations(fileData)) {
+      const torrent = await TorrentsCollection.findOneAsync({ infoHash: source.infoHash }, { fields: { ownerId: 1 } });
+      if (!derivations.some(known => known.infoHash === source.infoHash) &&
+          (!torrent || Permissions.canAccessTorrent(caller, torrent, 'read'))) {
+        derivations.push(source);
+      }
+    }
+    const sources = derivations.concat(metadata.source ?
+      [metadata.source] :
+      fileData.map(file => ({ kind: 'upload', name: file.name })));
+    
+    // De-identify before validation so what is validated is exactly what gets seeded.
+    // The date-shift salt only lives for this call, so offsets can't be recovered later.
+    let deidentification = null;
+    if (metadata.deidentify) {
+      const policy = Deidentify.normalizePolicy(metadata.deidentify);
+      const processed = Deidentify.processFiles(fileData, policy, { salt: crypto.randomBytes(16).toString('hex') });
+      fileData = processed.fileData;
+      deidentification = {
+        policy: policy,
+        counts: processed.report.counts,
+        resources: processed.report.resources,
+        patients: processed.report.patients,
+        droppedLines: processed.report.droppedLines,
+        appliedAt: new Date()
+      };
+      console.log(`🩺 De-identified ${processed.report.resources} resources for ${processed.report.patients} patient(s)` +
+        (processed.report.droppedLines ? `, dropped ${processed.report.droppedLines} unparseable line(s)` : ''));
+    }
+    
+    // Pseudonyms replace ids after de-identification; the map back stays in PseudonymsCollection
+    let pseudonymization = null;
+    let pseudonymMappings = [];
+    if (metadata.pseudonymize) {
+      check(metadata.pseudonymize, Match.OneOf(Boolean, { identifierSystems: Match.Optional([String]) }));
+      const identifierSystems = metadata.pseudonymize.identifierSystems || [];
+      const processed = Pseudonymizer.pseudonymizeFiles(fileData, await NodeKeys.getPseudonymSecret(), { identifierSystems });
+      fileData = processed.fileData;
+      pseudonymMappings = processed.mappings;
+      pseudonymization = {
+        algorithm: 'HMAC-SHA256',
+        identifierSystems: identifierSystems,
+        ids: processed.counts.ids,
+        identifiers: processed.counts.identifiers,
+        appliedAt: new Date()
+      };
+      console.log(`🎭 Pseudonymized ${processed.counts.ids} ids and ${processed.counts.identifiers} identifiers`);
+    }
+    
+    // Structural validation, honouring public.fhir.validationLevel (none/warning/error)
+    const validationLevel = Settings.getFhirConfig().validationLevel;
+    let validation = null;
+    
+    if (validationLevel !== 'none') {
+      validation = validateFileData(fileData);
+      console.log(`FHIR validation (${validationLevel}): ${validation.errorCount} errors, ${validation.warningCount} warnings`);
+      
+      if (!validation.valid && validationLevel === 'error') {
+        throw OperationOutcomeUtils.toError(
+          'validation-failed',
+          `FHIR validation failed with ${validation.errorCount} error(s)`,
+          OperationOutcomeUtils.fromValidationIssues(validation.issues.slice(0, 100))
+        );
+      }
+      
+      validation.issues.slice(0, 20).forEach(function(issue) {
+        console.warn(`⚠️ ${issue.severity} in ${issue.file} at ${issue.location}: ${issue.message}`);
+      });
+    }
+    
+    const identity = await NodeKeys.getIdentity();
+    const publisherName = Settings.get('private.signing.publisherName', '') || undefined;
+    
+    // Record who packaged the data and from where, targeting the resources as seeded.
+    // De-identified and pseudonymized shares ship redacted sources; the full ones stay in the torrent document.
+    const publishedSources = deidentification || pseudonymization ? ShareProvenance.redactSources(sources) : sources;
+    const lineage = {
+      shareId: crypto.randomUUID(),
+      recorded: new Date().toISOString(),
+      publisher: identity.fingerprint,
+      publisherName: publisherName || null,
+      sources: sources
+    };
+    fileData = fileData.concat([{
+      name: PROVENANCE_FILENAME,
+      data: ShareProvenance.build({
+        shareId: lineage.shareId,
+        provenanceId: crypto.randomUUID(),
+        name: name,
+        description: metadata.description,
+        fileData: fileData,
+        publisher: { fingerprint: identity.fingerprint, name: publisherName },
+        sources: publishedSources,
+        recorded: new Date(lineage.recorded)
+      })
+    }]);
+    console.log(`🧬 Provenance: ${derivations.length} source share(s), ${sources.length - derivations.length} other source(s)` +
+      (publishedSources !== sources ? `, ${publishedSources.length} published` : ''));
+    
+    // Sign exactly what is seeded, so downloaders can tell who published it
+    let signature = null;
+    if (Settings.get('private.signing.enabled', true)) {
+      fileData = fileData.concat([{
+        name: SIGNATURE_FILENAME,
+        data: ShareSignature.sign(fileData, identity, { name: name, publisherName: publisherName })
+      }]);
+      signature = { state: 'verified', publisher: identity.fingerprint, publisherName: 'This node', signedAt: new Date(), issues: [] };
+      console.log(`✍️ Signed ${fileData.length - 1} file(s) as publisher ${identity.fingerprint.substring(0, 16)}…`);
+    }
+    
     try {
       // Get resolved storage path
       const resolvedPath = getResolvedStoragePath();
@@ -785,25 +668,57 @@ Meteor.methods({
         fs.mkdirSync(torrentDir, { recursive: true });
       }
       
+      // Encrypted shares are hashed and seeded as ciphertext only
+      const shareKey = metadata.encrypted || recipients.length > 0 ? ShareCrypto.generateKey() : null;
+      
       // Write files directly to the torrent directory (these will be PERMANENT)
       const torrentFiles = [];
       
       fileData.forEach(function(file) {
-        const filePath = path.join(torrentDir, file.name);
-        fs.writeFileSync(filePath, file.data, 'utf8');
+        const filePath = path.join(torrentDir, shareKey ? file.name + ENCRYPTED_FILE_SUFFIX : file.name);
+        const data = shareKey ? ShareCrypto.encrypt(file.data, shareKey) : file.data;
+        fs.writeFileSync(filePath, data, 'utf8');
         torrentFiles.push(filePath);
-        console.log(`Written file to permanent location: ${filePath} (${file.data.length} bytes)`);
+        console.log(`Written file to permanent location: ${filePath} (${data.length} bytes)`);
       });
       
+      if (recipients.length > 0) {
+        const envelopePath = path.join(torrentDir, ENVELOPE_FILENAME);
+        fs.writeFileSync(envelopePath, ShareEnvelopes.create(shareKey, recipients.map(r => r.publicKey)), 'utf8');
+        torrentFiles.push(envelopePath);
+        console.log(`🔑 Wrapped share key for ${recipients.length} recipient(s)`);
+      }
+      
       // Create the torrent using the permanent directory
       const result = await WebTorrentServer.createTorrent(torrentDir, {
         name: name,
         comment: metadata.description || '',
-        path: resolvedPath
+        path: resolvedPath,
+        ownerId: userId || undefined,
+        private: isPrivate,
+        announceList: isPrivate ? [PrivateTracker.announceUrls(await PrivateTracker.passkeyFor(userId))] : undefined
       });
       
       console.log(`✅ Torrent created successfully: ${result.name} (${result.infoHash})`);
       
+      if (pseudonymMappings.length > 0) {
+        await storePseudonyms(result.infoHash, pseudonymMappings);
+      }
+      
+      if (shareKey) {
+        await ShareKeys.store(result.infoHash, shareKey, recipients.length);
+        console.log(`🔒 Share ${result.infoHash} is encrypted; its key is only in ${recipients.length > 0 ? 'the recipient envelopes' : 'the share link'}`);
+      }
+      
+      // Give the seeder a manifest pointing at its own copies of the NDJSON files
+      // (not for encrypted shares, which keep no plaintext files on disk)
+      let bulkExport = null;
+      if (metadata.fhirType === 'bulk-export' && !shareKey) {
+        bulkExport = BulkManifest.writeLocalManifest(fileData.map(function(file) {
+          return { name: file.name, localPath: path.join(torrentDir, file.name) };
+        }));
+      }
+      
       // 🔧 AUTOMATIC SEEDING METADATA FIX
       console.log(`🔧 Applying automatic seeding metadata fix for ${result.infoHash}`);
       
@@ -812,7 +727,8 @@ Meteor.methods({
         await new Promise(resolve => Meteor.setTimeout(resolve, 2000));
         
         // Apply the seeding metadata fix
-        const fixResult = await Meteor.callAsync('torrents.fixSeedingMetadataCreation', result.infoHash);
+        // Part of creating the share, so it runs whatever the caller's roles
+        const fixResult = await Permissions.asServer(() => Meteor.callAsync('torrents.fixSeedingMetadataCreation', result.infoHash));
         
         if (fixResult.success) {
           console.log(`✅ Automatic seeding metadata fix applied successfully`);
@@ -825,164 +741,284 @@ Meteor.methods({
         // Don't fail the entire creation, just log the error
       }
       
-      // Update metadata
-      if (Object.keys(metadata).length > 0) {
-        try {
-          await new Promise(resolve => Meteor.setTimeout(resolve, 500));
+      // Update metadata (there is always at least the lineage to record)
+      try {
+        await new Promise(resolve => Meteor.setTimeout(resolve, 500));
+        
+        const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash: result.infoHash });
+        
+        if (torrentRecord) {
+          const updateObj = {};
+          const allowedFields = ['description', 'fhirType', 'meta'];
+          Object.keys(metadata).forEach(function(key) {
+            if (allowedFields.includes(key)) {
+              updateObj[key] = metadata[key];
+            }
+          });
           
-          const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash: result.infoHash });
+          // Store the permanent directory path and seeding fix status
+          updateObj.torrentDirectory = torrentDir;
+          updateObj.seedingFixed = true; // Mark that seeding fix was applied
           
-          if (torrentRecord) {
-            const updateObj = {};
-            const allowedFields = ['description', 'fhirType', 'meta'];
-            Object.keys(metadata).forEach(function(key) {
-              if (allowedFields.includes(key)) {
-                updateObj[key] = metadata[key];
-              }
-            });
-            
-            // Store the permanent directory path and seeding fix status
-            updateObj.torrentDirectory = torrentDir;
-            updateObj.seedingFixed = true; // Mark that seeding fix was applied
-            
-            if (Object.keys(updateObj).length > 0) {
-              await TorrentsCollection.updateAsync(
-                { infoHash: result.infoHash },
-                { $set: updateObj }
-              );
-              console.log(`Updated torrent metadata and marked seeding as fixed`);
-            }
+          // Normally written with the record; never taken from an owner it already has
+          if (userId && !torrentRecord.ownerId) {
+            updateObj.ownerId = userId;
+          }
+          
+          updateObj.privacy = isPrivate ? 'private' : 'public';
+          
+          // The record may have been written after the key was stored
+          if (shareKey) {
+            updateObj.encryption = { algorithm: 'AES-256-GCM', hasKey: true, recipients: recipients.length };
+          }
+          
+          if (deidentification) {
+            updateObj.deidentification = deidentification;
+          }
+          
+          if (pseudonymization) {
+            updateObj.pseudonymization = pseudonymization;
+          }
+          
+          if (signature) {
+            updateObj.signature = { ...signature, infoHash: result.infoHash, verifiedAt: new Date() };
+          }
+          
+          updateObj.lineage = lineage;
+          
+          if (bulkExport) {
+            updateObj.bulkExport = { ...bulkExport, rewrittenAt: new Date() };
+          }
+          
+          if (validation) {
+            updateObj.validation = {
+              level: validationLevel,
+              valid: validation.valid,
+              errorCount: validation.errorCount,
+              warningCount: validation.warningCount,
+              issues: validation.issues.slice(0, 100),
+              validatedAt: new Date()
+            };
+          }
+          
+          if (Object.keys(updateObj).length > 0) {
+            await TorrentsCollection.updateAsync(
+              { infoHash: result.infoHash },
+              { $set: updateObj }
+            );
+            console.log(`Updated torrent metadata and marked seeding as fixed`);
           }
-        } catch (err) {
-          console.error('Error updating torrent metadata:', err);
         }
+      } catch (err) {
+        console.error('Error updating torrent metadata:', err);
       }
       
+      // Make the new share's resources searchable and its patients visible
+      const contents = {};
+      fileData.forEach(function(file) {
+        contents[file.name] = file.data;
+      });
+      Meteor.defer(function() {
+        ShareIndex.indexTorrent(result.infoHash, contents).catch(function(err) {
+          console.error(`Error indexing share ${result.infoHash}:`, err);
+        });
+      });
+      
       return {
         infoHash: result.infoHash,
         name: result.name,
         magnetURI: result.magnetURI,
+        shareLink: ShareLink.build(result.magnetURI, recipients.length > 0 ? null : shareKey),
+        encrypted: !!shareKey,
+        recipients: recipients.length,
+        deidentification: deidentification,
+        pseudonymization: pseudonymization,
         torrentDirectory: torrentDir,
         seedingFixed: true
       };
     } catch (error) {
       console.error('Error creating torrent:', error);
-      throw new Meteor.Error('create-failed', error.message || 'Failed to create torrent');
+      throw OperationOutcomeUtils.wrapError(error, 'create-failed', 'Failed to create torrent');
+    }
+  },
+  
+  /**
+   * List the files of a torrent, without their contents
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Array} [{ name, size }], plaintext names for encrypted shares
+   */
+  'torrents.getFiles': async function(infoHash) {
+    check(infoHash, String);
+    
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
     }
+    
+    const files = await ShareFiles.list(torrentRecord);
+    return files.map(file => ({ name: file.name, size: file.size }));
   },
   
   /**
-   * Get all file contents from a torrent - Enhanced version with improved disk fallback
+   * Read one file of a torrent whole, for Bundles and other single JSON
+   * documents; NDJSON files are read a page at a time with getNdjsonPage
    * @param {String} infoHash - Info hash of the torrent
-   * @return {Object} Object with filename keys and content values
+   * @param {String} fileName - File within the torrent
+   * @return {String} File content
    */
-  'torrents.getAllFileContents': async function(infoHash) {
+  'torrents.getFileText': async function(infoHash, fileName) {
     check(infoHash, String);
+    check(fileName, String);
     
-    console.log(`🎯 ENHANCED: Received request for all file contents of torrent: ${infoHash}`);
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
     
     try {
-      // Get torrent record
-      const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
-      if (!torrentRecord) {
-        throw new Meteor.Error('not-found', 'Torrent not found in database');
-      }
-      
-      console.log(`📋 Found torrent in database: ${torrentRecord.name}`);
-      
-      // Get torrent from WebTorrent
-      let torrent = WebTorrentServer.getTorrent(infoHash);
-      
-      // Try to find or reload torrent
-      if (!torrent) {
-        console.log(`🔄 Torrent not in memory, checking WebTorrent client`);
-        
-        const torrentClient = WebTorrentServer.getClient();
-        if (torrentClient) {
-          torrent = torrentClient.get(infoHash);
-          if (torrent) {
-            console.log(`✅ Found torrent in WebTorrent client, adding to memory`);
-            WebTorrentServer._torrents.set(infoHash, torrent);
-            WebTorrentServer._setupTorrentEvents(torrent);
-          }
-        }
-        
-        // If still not found, reload from magnet URI
-        if (!torrent && torrentRecord.magnetURI) {
-          console.log(`🔄 Reloading torrent from magnet URI`);
-          try {
-            torrent = await WebTorrentServer.addTorrent(torrentRecord.magnetURI, {
-              path: getResolvedStoragePath(),
-              timeout: 30000
-            });
-            console.log(`✅ Torrent reloaded successfully`);
-          } catch (reloadErr) {
-            console.error('Failed to reload torrent:', reloadErr);
-            throw new Meteor.Error('reload-failed', 'Could not reload torrent');
-          }
-        }
-      }
-      
-      if (!torrent) {
-        console.log(`❌ Could not get torrent instance, trying disk fallback`);
-        return await getDiskFallbackContents(infoHash, torrentRecord);
-      }
-      
-      console.log(`📊 Torrent status: files=${torrent.files?.length || 0}, ready=${torrent.ready}, peers=${torrent.numPeers}, progress=${Math.round(torrent.progress * 100)}%`);
-      
-      // If no files yet, wait for metadata
-      if (!torrent.files || torrent.files.length === 0) {
-        console.log(`⏳ Waiting for torrent metadata...`);
-        
-        const maxWait = 30000;
-        const startTime = Date.now();
-        
-        while ((!torrent.files || torrent.files.length === 0) && (Date.now() - startTime) < maxWait) {
-          await new Promise(resolve => Meteor.setTimeout(resolve, 1000));
-          console.log(`⏳ Still waiting for metadata... (${Date.now() - startTime}ms)`);
-        }
-        
-        if (!torrent.files || torrent.files.length === 0) {
-          console.log(`❌ No metadata received, trying disk fallback`);
-          return await getDiskFallbackContents(infoHash, torrentRecord);
-        }
-      }
-      
-      console.log(`✅ Torrent has ${torrent.files.length} files, attempting enhanced retrieval`);
-      
-      // Try aggressive WebTorrent retrieval first
-      try {
-        console.log(`🚀 Attempting aggressive WebTorrent retrieval`);
-        
-        // Wait for some download progress if needed
-        if (torrent.progress === 0 && !torrent.done) {
-          console.log(`⏳ Waiting for download to start...`);
-          await waitForDownloadProgress(torrent, 30000);
-        }
-        
-        // Attempt to get files with aggressive strategies
-        const webTorrentContents = await getFileContentsAggressively(torrent, 20000);
-        
-        if (Object.keys(webTorrentContents).length > 0) {
-          console.log(`✅ Successfully retrieved ${Object.keys(webTorrentContents).length} files via WebTorrent`);
-          return webTorrentContents;
+      return await ShareFiles.readText(torrentRecord, fileName, Settings.get('private.storage.maxViewBytes', 10 * 1024 * 1024));
+    } catch (error) {
+      console.error(`❌ Error reading ${fileName}:`, error);
+      throw OperationOutcomeUtils.wrapError(error, 'read-failed', 'Failed to read file');
+    }
+  },
+  
+  /**
+   * Resolve the references between every resource of a torrent, streaming its files
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Object} Result of the reference resolver: { total, referenceCount, resolvedCount, unresolvedCount, unresolved, nodes, edges }
+   */
+  'torrents.checkReferences': async function(infoHash) {
+    check(infoHash, String);
+    
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
+    
+    const resolver = createReferenceResolver();
+    try {
+      await ShareFiles.eachResource(torrentRecord, (resource, context) => resolver.add(resource, { fullUrl: context.fullUrl, file: context.file }));
+    } catch (error) {
+      console.error(`❌ Error checking references of torrent ${infoHash}:`, error);
+      throw OperationOutcomeUtils.wrapError(error, 'read-failed', 'Failed to read the share');
+    }
+    return resolver.resolve();
+  },
+  
+  /**
+   * Read a page of resources from an NDJSON file in a torrent without loading the whole file
+   * @param {String} infoHash - Info hash of the torrent
+   * @param {String} fileName - NDJSON file within the torrent
+   * @param {Object} options - { offset, limit }
+   * @return {Object} { resources: [{ line, resource }], errors, errorCount, done }
+   */
+  'torrents.getNdjsonPage': async function(infoHash, fileName, options = {}) {
+    check(infoHash, String);
+    check(fileName, String);
+    check(options, {
+      offset: Match.Optional(Match.Integer),
+      limit: Match.Optional(Match.Integer)
+    });
+    
+    const offset = Math.max(options.offset || 0, 0);
+    const limit = Math.min(Math.max(options.limit || 100, 1), 1000);
+    
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
+    
+    try {
+      const stream = await ShareFiles.open(torrentRecord, fileName);
+      return await NdjsonReader.readPage(stream, offset, limit);
+    } catch (error) {
+      console.error(`❌ Error reading NDJSON page from ${fileName}:`, error);
+      throw OperationOutcomeUtils.wrapError(error, 'read-failed', 'Failed to read NDJSON file');
+    }
+  },
+  
+  /**
+   * Count resources in every file of a torrent, streaming NDJSON line by line,
+   * and record the total on the torrent
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Object} { total, types, files: { [name]: { total, types, errors, errorCount } } }
+   */
+  'torrents.countResources': async function(infoHash) {
+    check(infoHash, String);
+    
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
+    
+    let summary;
+    try {
+      summary = await ShareFiles.eachResource(torrentRecord);
+      Object.keys(summary.files).forEach(function(name) {
+        if (summary.files[name].errorCount > 0) {
+          console.warn(`⚠️ ${name}: ${summary.files[name].errorCount} invalid NDJSON line(s)`);
         }
-        
-      } catch (webTorrentErr) {
-        console.log(`⚠️ WebTorrent retrieval failed: ${webTorrentErr.message}`);
-      }
-      
-      // Fall back to disk
-      console.log(`💾 Falling back to disk retrieval`);
-      return await getDiskFallbackContents(infoHash, torrentRecord);
-      
+      });
     } catch (error) {
-      console.error(`❌ Error getting file contents for torrent ${infoHash}:`, error);
-      throw new Meteor.Error(
-        error.error || 'error', 
-        error.reason || error.message || 'Unknown error'
-      );
+      console.error(`❌ Error counting resources for torrent ${infoHash}:`, error);
+      throw OperationOutcomeUtils.wrapError(error, 'count-failed', 'Failed to count resources');
+    }
+    
+    await TorrentsCollection.updateAsync(
+      { infoHash },
+      { $set: { 'meta.resourceCount': summary.total } }
+    );
+    
+    return summary;
+  },
+  
+  /**
+   * Share link for a torrent: the magnet URI, plus the key in the fragment for
+   * link-encrypted shares. Only the share's owner is given that key; recipient
+   * shares never put their key in a link, and private shares carry the caller's
+   * own tracker passkey.
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Object} { shareLink, encrypted }
+   */
+  'torrents.getShareLink': async function(infoHash) {
+    check(infoHash, String);
+    
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
+    }
+    
+    const shareKey = await ShareKeysCollection.findOneAsync({ infoHash });
+    const isRecipientShare = !!(torrentRecord.encryption && torrentRecord.encryption.recipients);
+    const linkKey = shareKey && !isRecipientShare ? shareKey.key : null;
+    if (linkKey) {
+      await Permissions.requireTorrent(this, infoHash, 'own');
+    }
+    const magnetURI = torrentRecord.privacy === 'private' && this.userId ?
+      PrivateTracker.withPasskey(torrentRecord.magnetURI, await PrivateTracker.passkeyFor(this.userId)) :
+      torrentRecord.magnetURI;
+    return {
+      shareLink: ShareLink.build(magnetURI, linkKey),
+      encrypted: !!torrentRecord.encryption
+    };
+  },
+  
+  /**
+   * Where a share came from: its sources and, for shares derived from other
+   * shares held on this node, their sources in turn
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Object} Lineage tree { infoHash, name, available, recorded, publisherName, signature, sources }
+   */
+  'torrents.getLineage': async function(infoHash) {
+    check(infoHash, String);
+    
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash }, { fields: { _id: 1 } });
+    if (!torrentRecord) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found in database');
     }
+    
+    return await ShareLineage.getChain(infoHash);
   },
   
   /**
@@ -1001,6 +1037,10 @@ Meteor.methods({
       
       const result = await WebTorrentServer.removeTorrent(infoHash, removeFiles);
       
+      // Its patients, searchable resources and key go with it
+      await ShareIndex.removeTorrent(infoHash);
+      await ShareKeysCollection.removeAsync({ infoHash });
+      
       // If removeFiles is true and we have a stored torrent directory, clean it up
       if (removeFiles && torrentRecord && torrentRecord.torrentDirectory) {
         try {
@@ -1021,6 +1061,9 @@ Meteor.methods({
         }
       }
       
+      // Its slot goes to the next share in the queue
+      TransferQueue.process();
+      
       return result;
     } catch (error) {
       throw new Meteor.Error('remove-failed', error.message || 'Failed to remove torrent');
@@ -1036,42 +1079,15 @@ Meteor.methods({
     
     const torrent = WebTorrentServer.getTorrent(infoHash);
     if (!torrent) {
-      try {
-        console.log('Torrent not found in client, attempting to reload it');
-        const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
-        
-        if (!torrentRecord) {
-          throw new Meteor.Error('not-found', 'Torrent not found in database');
-        }
-        
-        if (torrentRecord.magnetURI) {
-          const resolvedPath = getResolvedStoragePath();
-          await WebTorrentServer.addTorrent(torrentRecord.magnetURI, {
-            path: resolvedPath
-          });
-          
-          const reloadedTorrent = WebTorrentServer.getTorrent(infoHash);
-          if (!reloadedTorrent) {
-            throw new Meteor.Error('load-failed', 'Failed to load torrent');
-          }
-          
-          if (typeof reloadedTorrent.pause === 'function') {
-            reloadedTorrent.pause();
-          }
-          
-          await TorrentsCollection.updateAsync(
-            { infoHash },
-            { $set: { 'status.state': 'paused' } }
-          );
-          
-          return true;
-        } else {
-          throw new Meteor.Error('no-magnet', 'Torrent record has no magnet URI');
-        }
-      } catch (error) {
-        console.error('Error reloading torrent:', error);
-        throw new Meteor.Error('reload-failed', 'Failed to reload torrent: ' + error.message);
+      // Out of the client, e.g. waiting in the queue: it just stays out until resumed
+      const paused = await TorrentsCollection.updateAsync(
+        { infoHash },
+        { $set: { 'status.state': 'paused' } }
+      );
+      if (!paused) {
+        throw new Meteor.Error('not-found', 'Torrent not found in database');
       }
+      return true;
     }
     
     console.log('Pausing torrent:', infoHash);
@@ -1084,6 +1100,9 @@ Meteor.methods({
       { $set: { 'status.state': 'paused' } }
     );
     
+    // Paused shares give up their slot
+    TransferQueue.process();
+    
     return true;
   },
   
@@ -1095,33 +1114,23 @@ Meteor.methods({
     
     const torrent = WebTorrentServer.getTorrent(infoHash);
     if (!torrent) {
-      try {
-        console.log('Torrent not found in client, attempting to reload it');
-        const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
-        
-        if (!torrentRecord) {
-          throw new Meteor.Error('not-found', 'Torrent not found in database');
-        }
-        
-        if (torrentRecord.magnetURI) {
-          const resolvedPath = getResolvedStoragePath();
-          await WebTorrentServer.addTorrent(torrentRecord.magnetURI, {
-            path: resolvedPath
-          });
-          
-          await TorrentsCollection.updateAsync(
-            { infoHash },
-            { $set: { 'status.state': 'downloading' } }
-          );
-          
-          return true;
-        } else {
-          throw new Meteor.Error('no-magnet', 'Torrent record has no magnet URI');
-        }
-      } catch (error) {
-        console.error('Error reloading torrent:', error);
-        throw new Meteor.Error('reload-failed', 'Failed to reload torrent: ' + error.message);
+      const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+      
+      if (!torrentRecord) {
+        throw new Meteor.Error('not-found', 'Torrent not found in database');
+      }
+      if (!torrentRecord.magnetURI) {
+        throw new Meteor.Error('no-magnet', 'Torrent record has no magnet URI');
       }
+      
+      // Back in line: the queue reloads it when a slot is free
+      await TorrentsCollection.updateAsync(
+        { infoHash },
+        { $set: { 'status.state': 'queued' } }
+      );
+      await TransferQueue.process();
+      
+      return true;
     }
     
     console.log('Resuming torrent:', infoHash);
@@ -1134,6 +1143,9 @@ Meteor.methods({
       { $set: { 'status.state': torrent.done ? 'seeding' : 'downloading' } }
     );
     
+    // Over the limit, the lowest priority share waits again
+    TransferQueue.process();
+    
     return true;
   },
   
@@ -1293,7 +1305,11 @@ Meteor.methods({
         }
         
         result.actions.push('🔄 Reloading torrent');
-        torrent = await WebTorrentServer.addTorrent(torrentRecord.magnetURI);
+        torrent = await TransferQueue.reload(torrentRecord);
+        if (!torrent) {
+          result.actions.push('🚥 Paused or waiting in the transfer queue, not reloaded');
+          return result;
+        }
         Meteor.setTimeout(function() {
           if (torrent && typeof torrent.announce === 'function') {
             torrent.announce();
@@ -0,0 +1,42 @@
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { ROLES } from '/imports/api/users/users';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { Permissions } from '../utils/permissions';
+
+Permissions.methods({
+  /**
+   * Assign a user's roles
+   * @param {String} userId - User to change
+   * @param {Array} roles - Roles they should hold, from ROLES
+   * @return {Array} Roles as stored
+   */
+  'users.setRoles': async function(userId, roles) {
+    check(userId, String);
+    check(roles, [String]);
+
+    const unknown = roles.filter(role => !ROLES.includes(role));
+    if (unknown.length > 0) {
+      throw OperationOutcomeUtils.error('invalid-role', 'value', `Unknown role(s): ${unknown.join(', ')}`);
+    }
+
+    const user = await Meteor.users.findOneAsync(userId, { fields: { username: 1, roles: 1 } });
+    if (!user) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', 'User not found');
+    }
+
+    // Someone has to be able to hand roles back out
+    if ((user.roles || []).includes('operator') && !roles.includes('operator')) {
+      const operators = await Meteor.users.find({ roles: 'operator' }).countAsync();
+      if (operators <= 1) {
+        throw OperationOutcomeUtils.error('last-operator', 'business-rule', 'At least one account must keep the operator role');
+      }
+    }
+
+    const unique = ROLES.filter(role => roles.includes(role));
+    await Meteor.users.updateAsync(userId, { $set: { roles: unique } });
+
+    console.log(`👤 Roles of ${user.username}: ${unique.join(', ') || 'none'}`);
+    return unique;
+  }
+});
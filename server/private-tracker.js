@@ -0,0 +1,51 @@
+// server/private-tracker.js - HTTP and WebSocket tracker for private shares
+
+import { Meteor } from 'meteor/meteor';
+import { Server } from 'bittorrent-tracker';
+import { Settings } from '/imports/api/settings/settings';
+import { PrivateTracker } from './utils/private-tracker';
+
+/**
+ * Decide whether to answer an announce: only accounts holding a role, by passkey
+ * @param {String} infoHash - Info hash announced
+ * @param {Object} params - Announce parameters
+ * @param {Function} callback - Called with an error to refuse the announce
+ */
+function filterAnnounce(infoHash, params, callback) {
+  PrivateTracker.authorize(PrivateTracker.passkeyFromParams(params)).then(function(user) {
+    callback(user ? null : new Error('Unknown or missing passkey'));
+  }).catch(function(err) {
+    console.error(`Error checking tracker passkey for ${infoHash}:`, err);
+    callback(new Error('Tracker unavailable'));
+  });
+}
+
+// Only private shares announce here; they never use the DHT or peer exchange
+Meteor.startup(async function() {
+  if (!PrivateTracker.isEnabled()) {
+    return;
+  }
+
+  await Meteor.users.createIndexAsync({ trackerPasskey: 1 }, { unique: true, sparse: true });
+
+  const server = new Server({
+    udp: false,
+    http: true,
+    ws: true,
+    stats: false,
+    trustProxy: !!Settings.get('private.tracker.trustProxy', false),
+    filter: filterAnnounce
+  });
+
+  server.on('error', function(err) {
+    console.error('❌ Private tracker error:', err.message);
+  });
+  server.on('warning', function(err) {
+    console.warn('⚠️ Private tracker warning:', err.message);
+  });
+
+  const port = PrivateTracker.port();
+  server.listen(port, Settings.get('private.tracker.hostname', '0.0.0.0'), function() {
+    console.log(`🛰️ Private tracker listening on port ${port}, announcing as ${PrivateTracker.publicUrl()}`);
+  });
+});
@@ -0,0 +1,375 @@
+import { Meteor } from 'meteor/meteor';
+import crypto from 'crypto';
+import { AuditEventsCollection } from '/imports/api/audit/audit';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { INFOHASH_SYSTEM, PUBLISHER_SYSTEM } from '/imports/api/fhir/share-provenance';
+import { NodeKeys } from './node-keys';
+
+const DCM_SYSTEM = 'http://dicom.nema.org/resources/ontology/DCM';
+
+// Identifier system for accounts on this node
+export const USER_SYSTEM = 'urn:fhir-p2p:user';
+
+// Subtype system naming the audited action
+export const AUDIT_ACTION_SYSTEM = 'urn:fhir-p2p:audit-action';
+
+// AuditEvent type and action code per audited action
+const ACTIONS = {
+  create: { type: { system: DCM_SYSTEM, code: '110106', display: 'Export' }, code: 'C', text: 'Share created' },
+  join: { type: { system: DCM_SYSTEM, code: '110107', display: 'Import' }, code: 'C', text: 'Share joined' },
+  read: { type: { system: DCM_SYSTEM, code: '110110', display: 'Patient Record' }, code: 'R', text: 'Share content read' },
+  export: { type: { system: DCM_SYSTEM, code: '110106', display: 'Export' }, code: 'R', text: 'Share exported to a FHIR server' },
+  remove: { type: { system: DCM_SYSTEM, code: '110110', display: 'Patient Record' }, code: 'D', text: 'Share removed' },
+  upload: { type: { system: DCM_SYSTEM, code: '110106', display: 'Export' }, code: 'R', text: 'Share pieces sent to a peer' },
+  reidentify: { type: { system: DCM_SYSTEM, code: '110110', display: 'Patient Record' }, code: 'R', text: 'Share re-identified' },
+  link: { type: { system: DCM_SYSTEM, code: '110106', display: 'Export' }, code: 'R', text: 'Share link disclosed' }
+};
+
+// Audited methods and the action they record
+const AUDITED_METHODS = {
+  'torrents.create': 'create',
+  'torrents.add': 'join',
+  'torrents.getFiles': 'read',
+  'torrents.getFileText': 'read',
+  'torrents.getNdjsonPage': 'read',
+  'torrents.countResources': 'read',
+  'torrents.checkReferences': 'read',
+  'torrents.getLineage': 'read',
+  'torrents.getShareLink': 'link', // Carries the key of link-encrypted shares
+  'pseudonyms.reidentify': 'reidentify',
+  'torrents.publishToFhirServer': 'export',
+  'torrents.remove': 'remove'
+};
+
+// Events returned per page by search
+const MAX_PAGE = 500;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} value - Literal text
+ * @return {String} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Turn an AuditEvent agent's network address into its R4 type
+ * @param {String} address - IP address or host name
+ * @return {Object} AuditEvent.agent.network
+ */
+function toNetwork(address) {
+  return { address: address, type: /^[\d.:a-f]+$/i.test(address) ? '2' : '1' };
+}
+
+/**
+ * FHIR AuditEvents for share access and transfers
+ */
+export const AuditLog = {
+  /**
+   * Build the AuditEvent for an entry
+   * @param {Object} entry - Audit event document without its resource
+   * @param {Object} observer - { fingerprint, name } of this node
+   * @return {Object} FHIR R4 AuditEvent
+   */
+  build: function(entry, observer) {
+    const action = ACTIONS[entry.action];
+    const node = {
+      identifier: { system: PUBLISHER_SYSTEM, value: observer.fingerprint },
+      display: observer.name || 'FHIR P2P node'
+    };
+
+    const agents = [];
+    if (entry.userId) {
+      agents.push({
+        type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/extra-security-role-type', code: 'humanuser', display: 'human user' }] },
+        who: { identifier: { system: USER_SYSTEM, value: entry.userId }, display: entry.username },
+        requestor: true,
+        network: entry.clientAddress ? toNetwork(entry.clientAddress) : undefined
+      });
+    }
+    if (entry.peer) {
+      agents.push({
+        type: { coding: [{ system: DCM_SYSTEM, code: '110152', display: 'Destination Role ID' }] },
+        who: { display: `Peer ${entry.peer.address}${entry.peer.port ? `:${entry.peer.port}` : ''}` },
+        altId: entry.peer.peerId,
+        requestor: true,
+        network: toNetwork(entry.peer.address)
+      });
+    }
+    agents.push({
+      type: { coding: [{ system: DCM_SYSTEM, code: '110153', display: 'Source Role ID' }] },
+      who: node,
+      requestor: false
+    });
+
+    const entity = {
+      what: { identifier: { system: INFOHASH_SYSTEM, value: entry.infoHash }, display: entry.name || entry.infoHash },
+      type: { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '2', display: 'System Object' }
+    };
+    if (entry.bytes !== undefined) {
+      entity.detail = [{ type: 'bytes', valueString: String(entry.bytes) }];
+    }
+
+    const event = {
+      resourceType: 'AuditEvent',
+      id: entry._id,
+      type: { ...action.type },
+      subtype: [{ system: AUDIT_ACTION_SYSTEM, code: entry.action, display: action.text }],
+      action: action.code,
+      recorded: entry.recorded.toISOString(),
+      outcome: entry.outcome === 'failure' ? '8' : '0',
+      outcomeDesc: entry.outcomeDesc,
+      agent: agents,
+      source: {
+        observer: node,
+        type: [{ system: 'http://terminology.hl7.org/CodeSystem/security-source-type', code: '4', display: 'Application Server' }]
+      },
+      entity: entry.infoHash ? [entity] : undefined
+    };
+    if (entry.period) {
+      event.period = {
+        start: entry.period.start.toISOString(),
+        end: entry.period.end ? entry.period.end.toISOString() : undefined
+      };
+    }
+
+    return JSON.parse(JSON.stringify(event));
+  },
+
+  /**
+   * Record an audit event
+   * @param {Object} entry - See AuditEventsCollection; _id and recorded are filled in
+   * @return {Promise<String>} Audit event id
+   */
+  record: async function(entry) {
+    const identity = await NodeKeys.getIdentity();
+    const doc = { _id: crypto.randomUUID(), recorded: new Date(), outcome: 'success', ...entry };
+    doc.resource = AuditLog.build(doc, { fingerprint: identity.fingerprint });
+
+    await AuditEventsCollection.insertAsync(doc);
+    return doc._id;
+  },
+
+  /**
+   * Change a recorded event, rebuilding its AuditEvent
+   * @param {String} id - Audit event id
+   * @param {Object} changes - Fields to set
+   * @return {Promise}
+   */
+  update: async function(id, changes) {
+    const doc = await AuditEventsCollection.findOneAsync(id);
+    if (!doc) {
+      return;
+    }
+
+    const identity = await NodeKeys.getIdentity();
+    const updated = { ...doc, ...changes };
+    await AuditEventsCollection.updateAsync(id, {
+      $set: { ...changes, resource: AuditLog.build(updated, { fingerprint: identity.fingerprint }) }
+    });
+  },
+
+  /**
+   * Run an audited method and record the call, successful or not (including
+   * calls refused for lack of permission). Calls made by the server itself,
+   * such as indexing and signature checks, are not disclosures.
+   * @param {Object} invocation - Method invocation (`this`)
+   * @param {String} name - Method name
+   * @param {Array} args - Method arguments
+   * @param {Function} call - Runs the method
+   * @return {Promise} The method's result
+   */
+  auditCall: async function(invocation, name, args, call) {
+    const action = AUDITED_METHODS[name];
+    if (!action || !invocation.connection) {
+      return await call();
+    }
+
+    // Removal takes the document with it, so look the share up first
+    const torrent = action !== 'create' && action !== 'join' && typeof args[0] === 'string' ?
+      await TorrentsCollection.findOneAsync({ infoHash: args[0] }, { fields: { infoHash: 1, name: 1 } }) :
+      null;
+
+    let value;
+    let error;
+    try {
+      value = await call();
+      return value;
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      AuditLog.recordCall(invocation, action, args, value, error, torrent).catch(function(err) {
+        console.error(`Error recording audit event for ${name}:`, err);
+      });
+    }
+  },
+
+  /**
+   * Record one audited method call
+   * @param {Object} invocation - Method invocation (`this`)
+   * @param {String} action - Audited action
+   * @param {Array} args - Method arguments
+   * @param {Object} value - Method result, when it returned
+   * @param {Error} error - Method error, when it threw
+   * @param {Object} torrent - The share's document before the call
+   * @return {Promise<String>} Audit event id
+   */
+  recordCall: async function(invocation, action, args, value, error, torrent) {
+    const user = invocation.userId ?
+      await Meteor.users.findOneAsync(invocation.userId, { fields: { username: 1 } }) :
+      null;
+
+    let infoHash = torrent ? torrent.infoHash : (value && value.infoHash);
+    if (!infoHash && action === 'join') {
+      const match = String(args[0]).match(/xt=urn:btih:([a-zA-Z0-9]+)/);
+      infoHash = match ? match[1].toLowerCase() : undefined;
+    } else if (!infoHash && action !== 'create') {
+      infoHash = args[0];
+    }
+
+    return await AuditLog.record({
+      action: action,
+      outcome: error ? 'failure' : 'success',
+      outcomeDesc: error ? error.reason || error.message : undefined,
+      infoHash: infoHash,
+      name: torrent ? torrent.name : ((value && value.name) || (action === 'create' ? args[0] : undefined)),
+      userId: invocation.userId || undefined,
+      username: user ? user.username : undefined,
+      clientAddress: invocation.connection.clientAddress
+    });
+  },
+
+  /**
+   * Record a read of content spanning shares, such as a FHIR search or a
+   * patient's compartment: one event per share, or one for a refused read
+   * @param {Object} agent - { userId, username, clientAddress } of the reader
+   * @param {Array} infoHashes - Shares whose content was returned, repeats allowed
+   * @param {String} outcomeDesc - Why the read was refused, if it was
+   * @return {Promise}
+   */
+  recordReads: async function(agent, infoHashes, outcomeDesc) {
+    const entry = { action: 'read', outcome: outcomeDesc ? 'failure' : 'success', outcomeDesc: outcomeDesc, ...agent };
+    if (outcomeDesc) {
+      await AuditLog.record(entry);
+      return;
+    }
+
+    const unique = Array.from(new Set(infoHashes));
+    const torrents = await TorrentsCollection.find({ infoHash: { $in: unique } }, { fields: { infoHash: 1, name: 1 } }).fetchAsync();
+    for (const infoHash of unique) {
+      const torrent = torrents.find(t => t.infoHash === infoHash);
+      await AuditLog.record({ ...entry, infoHash: infoHash, name: torrent ? torrent.name : undefined });
+    }
+  },
+
+  /**
+   * Record every remote peer that downloads pieces of a share: one event per
+   * connection, written on its first upload and completed when it closes
+   * @param {Object} torrent - The torrent object
+   * @param {Object} wire - Peer wire
+   */
+  trackPeerUploads: function(torrent, wire) {
+    if (!wire || typeof wire.on !== 'function' || wire._auditTracked) {
+      return;
+    }
+    wire._auditTracked = true;
+
+    let bytes = 0;
+    let pending = null;
+    const start = new Date();
+
+    wire.on('upload', function(length) {
+      bytes += length;
+      if (pending) {
+        return;
+      }
+
+      pending = AuditLog.record({
+        action: 'upload',
+        infoHash: torrent.infoHash,
+        name: torrent.name,
+        peer: {
+          address: wire.remoteAddress,
+          port: wire.remotePort,
+          peerId: wire.peerId
+        },
+        bytes: bytes,
+        period: { start: start }
+      }).catch(function(err) {
+        console.error(`Error recording upload to ${wire.remoteAddress}:`, err);
+        return null;
+      });
+    });
+
+    wire.on('close', function() {
+      if (!pending) {
+        return;
+      }
+
+      pending.then(function(id) {
+        return id && AuditLog.update(id, { bytes: bytes, period: { start: start, end: new Date() } });
+      }).catch(function(err) {
+        console.error(`Error completing upload record for ${wire.remoteAddress}:`, err);
+      });
+    });
+  },
+
+  /**
+   * Mongo selector for audit filters
+   * @param {Object} filters - { action, infoHash, user, from, to }
+   * @return {Object} Selector
+   */
+  selector: function(filters = {}) {
+    const selector = {};
+    if (filters.action) {
+      selector.action = filters.action;
+    }
+    if (filters.infoHash) {
+      selector.infoHash = filters.infoHash.toLowerCase();
+    }
+    if (filters.user) {
+      const pattern = new RegExp(escapeRegExp(filters.user), 'i');
+      selector.$or = [{ username: pattern }, { 'peer.address': pattern }];
+    }
+    if (filters.from || filters.to) {
+      selector.recorded = {};
+      if (filters.from) selector.recorded.$gte = new Date(filters.from);
+      if (filters.to) selector.recorded.$lte = new Date(filters.to);
+    }
+    return selector;
+  },
+
+  /**
+   * One page of the audit trail, newest first
+   * @param {Object} filters - See selector
+   * @param {Object} options - { skip, limit }
+   * @return {Promise<Object>} { events, total }
+   */
+  search: async function(filters, options = {}) {
+    const selector = AuditLog.selector(filters);
+    const events = await AuditEventsCollection.find(selector, {
+      sort: { recorded: -1 },
+      skip: options.skip || 0,
+      limit: Math.min(options.limit || 50, MAX_PAGE),
+      fields: { resource: 0 }
+    }).fetchAsync();
+
+    return { events: events, total: await AuditEventsCollection.find(selector).countAsync() };
+  },
+
+  /**
+   * The audit trail as NDJSON AuditEvents, oldest first
+   * @param {Object} filters - See selector
+   * @return {Promise<String>} NDJSON
+   */
+  exportNdjson: async function(filters) {
+    const lines = [];
+    await AuditEventsCollection.find(AuditLog.selector(filters), { sort: { recorded: 1 }, fields: { resource: 1 } })
+      .forEachAsync(function(doc) {
+        lines.push(JSON.stringify(doc.resource));
+      });
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+  }
+};
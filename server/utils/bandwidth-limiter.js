@@ -0,0 +1,292 @@
+import { Meteor } from 'meteor/meteor';
+import { Settings } from '/imports/api/settings/settings';
+import { BandwidthCollection } from '/imports/api/bandwidth/bandwidth';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+
+// WebTorrent's value for no limit
+export const UNLIMITED = -1;
+
+// How often the schedule is checked for a rule starting or ending
+const SCHEDULE_CHECK_MS = 30 * 1000;
+
+/**
+ * Minutes since midnight
+ * @param {String} time - 'HH:mm'
+ * @return {Number} Minutes
+ */
+function minutesOf(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Token bucket allowing `rate` bytes/s with up to one second of burst
+ * @return {Object} { rate, tokens, updated }
+ */
+function createBucket() {
+  return { rate: UNLIMITED, tokens: 0, updated: 0 };
+}
+
+/**
+ * Node-wide limits, switched by a time-of-day schedule, and per-share limits.
+ * The node-wide ones go to WebTorrent's own throttles; per-share ones delay
+ * the blocks each of the share's wires sends and requests.
+ */
+export const BandwidthLimiter = {
+  _source: null,
+  _interval: null,
+  _active: null, // { downloadLimit, uploadLimit, rule }
+  _global: { download: createBucket(), upload: createBucket() }, // When the client has no throttles
+  _torrents: new Map(), // infoHash -> { download, upload } buckets
+
+  /**
+   * Limits from settings, used until an operator stores their own
+   * @return {Object} { downloadLimit, uploadLimit, schedule }
+   */
+  defaults: function() {
+    return {
+      downloadLimit: Number(Settings.get('public.webtorrent.bandwidth.downloadLimit', UNLIMITED)),
+      uploadLimit: Number(Settings.get('public.webtorrent.bandwidth.uploadLimit', UNLIMITED)),
+      schedule: Settings.get('public.webtorrent.bandwidth.schedule', [])
+    };
+  },
+
+  /**
+   * The schedule rule in force at a time
+   * @param {Array} schedule - Rules, first match wins
+   * @param {Date} date - Local time to check
+   * @return {Object} Rule, or undefined
+   */
+  activeRule: function(schedule, date) {
+    const day = date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const onDay = (rule, d) => !rule.days || rule.days.length === 0 || rule.days.includes(d);
+
+    return (schedule || []).find(function(rule) {
+      const start = minutesOf(rule.start);
+      const end = minutesOf(rule.end);
+      if (start <= end) {
+        return onDay(rule, day) && minutes >= start && minutes < end;
+      }
+      // Past midnight: the part after it belongs to the day the window opened
+      return (onDay(rule, day) && minutes >= start) || (onDay(rule, (day + 6) % 7) && minutes < end);
+    });
+  },
+
+  /**
+   * Node-wide limits in force at a time
+   * @param {Object} config - { downloadLimit, uploadLimit, schedule }
+   * @param {Date} date - Local time
+   * @return {Object} { downloadLimit, uploadLimit, rule }
+   */
+  resolve: function(config, date = new Date()) {
+    const rule = BandwidthLimiter.activeRule(config.schedule, date);
+    return {
+      downloadLimit: rule ? rule.downloadLimit : config.downloadLimit,
+      uploadLimit: rule ? rule.uploadLimit : config.uploadLimit,
+      rule: rule ? rule.label : null
+    };
+  },
+
+  /**
+   * Change a bucket's rate, refilling it when the rate changes
+   * @param {Object} bucket - Token bucket
+   * @param {Number} rate - Bytes/s, or UNLIMITED
+   * @param {Number} now - Current time (ms)
+   */
+  setRate: function(bucket, rate, now = Date.now()) {
+    if (bucket.rate === rate) {
+      return;
+    }
+    bucket.rate = rate;
+    bucket.tokens = rate > 0 ? rate : 0;
+    bucket.updated = now;
+  },
+
+  /**
+   * Spend bytes from a bucket
+   * @param {Object} bucket - Token bucket
+   * @param {Number} bytes - Bytes about to move
+   * @param {Number} now - Current time (ms)
+   * @return {Number} How long to wait before moving them (ms)
+   */
+  take: function(bucket, bytes, now = Date.now()) {
+    if (bucket.rate <= 0) {
+      return 0;
+    }
+
+    bucket.tokens = Math.min(bucket.rate, bucket.tokens + (now - bucket.updated) / 1000 * bucket.rate);
+    bucket.updated = now;
+    bucket.tokens -= bytes;
+
+    return bucket.tokens >= 0 ? 0 : Math.ceil(-bucket.tokens / bucket.rate * 1000);
+  },
+
+  /**
+   * A share's buckets, created on first use
+   * @param {String} infoHash - Info hash
+   * @return {Object} { download, upload }
+   */
+  _buckets: function(infoHash) {
+    if (!BandwidthLimiter._torrents.has(infoHash)) {
+      BandwidthLimiter._torrents.set(infoHash, { download: createBucket(), upload: createBucket() });
+    }
+    return BandwidthLimiter._torrents.get(infoHash);
+  },
+
+  /**
+   * Limit one share
+   * @param {String} infoHash - Info hash
+   * @param {Object} limits - { downloadLimit, uploadLimit } in bytes/s, UNLIMITED for none
+   */
+  setTorrentLimits: function(infoHash, limits = {}) {
+    const buckets = BandwidthLimiter._buckets(infoHash);
+    BandwidthLimiter.setRate(buckets.download, limits.downloadLimit !== undefined ? limits.downloadLimit : UNLIMITED);
+    BandwidthLimiter.setRate(buckets.upload, limits.uploadLimit !== undefined ? limits.uploadLimit : UNLIMITED);
+  },
+
+  /**
+   * Hold back a wire's blocks to its share's limits (and the node-wide ones
+   * when the client cannot throttle itself)
+   * @param {Object} torrent - WebTorrent torrent
+   * @param {Object} wire - bittorrent-protocol wire
+   */
+  throttleWire: function(torrent, wire) {
+    if (!wire || wire._bandwidthThrottled || typeof wire.piece !== 'function' || typeof wire.request !== 'function') {
+      return;
+    }
+    wire._bandwidthThrottled = true;
+
+    const buckets = BandwidthLimiter._buckets(torrent.infoHash);
+    const delayFor = (direction, bytes) => Math.max(
+      BandwidthLimiter.take(buckets[direction], bytes),
+      BandwidthLimiter.take(BandwidthLimiter._global[direction], bytes)
+    );
+
+    const piece = wire.piece;
+    wire.piece = function(index, offset, buffer) {
+      const args = arguments;
+      const delay = delayFor('upload', buffer ? buffer.length : 0);
+      if (!delay) {
+        return piece.apply(wire, args);
+      }
+      setTimeout(function() {
+        if (!wire.destroyed) {
+          piece.apply(wire, args);
+        }
+      }, delay);
+    };
+
+    // Asking for fewer blocks is the only way to slow what peers send
+    const request = wire.request;
+    wire.request = function(index, offset, length) {
+      const args = arguments;
+      const delay = delayFor('download', length);
+      if (!delay) {
+        return request.apply(wire, args);
+      }
+      setTimeout(function() {
+        request.apply(wire, args);
+      }, delay);
+    };
+  },
+
+  /**
+   * Put node-wide limits in force
+   * @param {Object} limits - { downloadLimit, uploadLimit }
+   */
+  _applyGlobal: function(limits) {
+    const client = BandwidthLimiter._source && BandwidthLimiter._source.getClient();
+
+    if (client && typeof client.throttleDownload === 'function' && typeof client.throttleUpload === 'function') {
+      client.throttleDownload(limits.downloadLimit);
+      client.throttleUpload(limits.uploadLimit);
+      BandwidthLimiter.setRate(BandwidthLimiter._global.download, UNLIMITED);
+      BandwidthLimiter.setRate(BandwidthLimiter._global.upload, UNLIMITED);
+    } else {
+      BandwidthLimiter.setRate(BandwidthLimiter._global.download, limits.downloadLimit);
+      BandwidthLimiter.setRate(BandwidthLimiter._global.upload, limits.uploadLimit);
+    }
+  },
+
+  /**
+   * Stored node-wide limits and schedule, or the settings defaults
+   * @return {Promise<Object>} { downloadLimit, uploadLimit, schedule }
+   */
+  getConfig: async function() {
+    const stored = await BandwidthCollection.findOneAsync({ _id: 'global' });
+    const defaults = BandwidthLimiter.defaults();
+    return {
+      downloadLimit: stored && stored.updatedAt ? stored.downloadLimit : defaults.downloadLimit,
+      uploadLimit: stored && stored.updatedAt ? stored.uploadLimit : defaults.uploadLimit,
+      schedule: stored && stored.updatedAt ? stored.schedule : defaults.schedule
+    };
+  },
+
+  /**
+   * Apply whatever the schedule says now, if it changed
+   * @param {Date} date - Local time
+   * @return {Promise<Object>} { downloadLimit, uploadLimit, rule }
+   */
+  refresh: async function(date = new Date()) {
+    const config = await BandwidthLimiter.getConfig();
+    const limits = BandwidthLimiter.resolve(config, date);
+    const active = BandwidthLimiter._active;
+
+    if (!active || active.downloadLimit !== limits.downloadLimit ||
+        active.uploadLimit !== limits.uploadLimit || active.rule !== limits.rule) {
+      BandwidthLimiter._applyGlobal(limits);
+      BandwidthLimiter._active = limits;
+
+      // Settings defaults are mirrored too, so the UI shows what is in force
+      await BandwidthCollection.upsertAsync({ _id: 'global' }, {
+        $set: { ...config, active: { ...limits, since: date } }
+      });
+      console.log(`🚦 Bandwidth limits ${limits.rule ? `for "${limits.rule}"` : 'outside the schedule'}: ` +
+        `↓${limits.downloadLimit < 0 ? 'unlimited' : `${limits.downloadLimit} B/s`} ` +
+        `↑${limits.uploadLimit < 0 ? 'unlimited' : `${limits.uploadLimit} B/s`}`);
+    }
+
+    return limits;
+  },
+
+  /**
+   * Store new node-wide limits and schedule, and apply them at once
+   * @param {Object} config - { downloadLimit, uploadLimit, schedule }
+   * @param {String} userId - Operator making the change
+   * @return {Promise<Object>} Limits now in force
+   */
+  configure: async function(config, userId) {
+    await BandwidthCollection.upsertAsync({ _id: 'global' }, {
+      $set: {
+        downloadLimit: config.downloadLimit,
+        uploadLimit: config.uploadLimit,
+        schedule: config.schedule || [],
+        updatedAt: new Date(),
+        updatedBy: userId || null
+      }
+    });
+    return await BandwidthLimiter.refresh();
+  },
+
+  /**
+   * Restore per-share limits and follow the schedule
+   * @param {Object} source - { getClient }, i.e. WebTorrentServer
+   */
+  start: async function(source) {
+    if (BandwidthLimiter._interval) {
+      return;
+    }
+    BandwidthLimiter._source = source;
+
+    const limited = await TorrentsCollection.find({ limits: { $exists: true } }, { fields: { infoHash: 1, limits: 1 } }).fetchAsync();
+    limited.forEach(torrent => BandwidthLimiter.setTorrentLimits(torrent.infoHash, torrent.limits));
+
+    await BandwidthLimiter.refresh();
+    BandwidthLimiter._interval = Meteor.setInterval(function() {
+      BandwidthLimiter.refresh().catch(function(err) {
+        console.error('Error applying bandwidth schedule:', err);
+      });
+    }, SCHEDULE_CHECK_MS);
+  }
+};
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  BulkExportUtils,
+  BULK_MANIFEST_FILENAME,
+  LOCAL_MANIFEST_FILENAME
+} from '/imports/api/fhir/bulk-export';
+
+/**
+ * Server-side handling of the manifest in bulk-export shares
+ */
+export const BulkManifest = {
+  /**
+   * Find the $export manifest among a torrent's files
+   * @param {Array} files - WebTorrent files or torrent record files ({ name, path })
+   * @return {Object} The manifest file entry, or undefined
+   */
+  findManifestFile: function(files) {
+    return (files || []).find(f => f.name === BULK_MANIFEST_FILENAME);
+  },
+
+  /**
+   * Write a copy of a share's manifest with output urls pointing at the local
+   * NDJSON files. The shared manifest itself is left untouched so the torrent
+   * pieces still verify and the share keeps seeding.
+   * @param {Array} files - Files as { name, localPath }
+   * @return {Object} { manifestFile, localManifestPath, outputs, unresolved } or null if there is no manifest
+   */
+  writeLocalManifest: function(files) {
+    const manifestFile = this.findManifestFile(files);
+    if (!manifestFile || !fs.existsSync(manifestFile.localPath)) {
+      return null;
+    }
+
+    const manifest = BulkExportUtils.parseManifest(fs.readFileSync(manifestFile.localPath, 'utf8'));
+    if (!manifest) {
+      console.warn(`⚠️ ${manifestFile.localPath} is not a Bulk Data manifest`);
+      return null;
+    }
+
+    const localPaths = {};
+    files.forEach(function(file) {
+      localPaths[file.name] = file.localPath;
+    });
+
+    let outputs = 0;
+    let unresolved = 0;
+    const rewritten = BulkExportUtils.rewriteManifest(manifest, function(fileName) {
+      const localPath = localPaths[fileName];
+      if (localPath && fs.existsSync(localPath)) {
+        outputs++;
+        return pathToFileURL(path.resolve(localPath)).href;
+      }
+      unresolved++;
+      return null;
+    });
+
+    const localManifestPath = path.join(path.dirname(manifestFile.localPath), LOCAL_MANIFEST_FILENAME);
+    fs.writeFileSync(localManifestPath, JSON.stringify(rewritten, null, 2), 'utf8');
+    console.log(`📦 Wrote local Bulk Data manifest: ${localManifestPath} (${outputs} files, ${unresolved} unresolved)`);
+
+    return {
+      manifestFile: manifestFile.name,
+      localManifestPath: localManifestPath,
+      outputs: outputs,
+      unresolved: unresolved
+    };
+  }
+};
@@ -0,0 +1,254 @@
+import { Meteor } from 'meteor/meteor';
+import { get } from 'lodash';
+import Client from 'fhir-kit-client';
+import { BulkExportUtils } from '/imports/api/fhir/bulk-export';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+
+// Pause between $export status polls when the server sends no Retry-After
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Turn a fhir-kit-client failure into a Meteor.Error carrying an
+ * OperationOutcome, reusing the server's own OperationOutcome when it sent one
+ * @param {Object} err - Error thrown by fhir-kit-client ({ response: { status, data } }) or Error
+ * @param {String} action - What was being requested, for the message
+ * @return {Meteor.Error} Error to throw
+ */
+function importError(err, action) {
+  const status = get(err, 'response.status');
+  const data = get(err, 'response.data');
+  const reason = status ?
+    `FHIR server returned HTTP ${status} for ${action}` :
+    `Could not reach FHIR server for ${action}: ${err.message || err}`;
+
+  const outcome = OperationOutcomeUtils.isOperationOutcome(data) ?
+    data :
+    OperationOutcomeUtils.create([
+      OperationOutcomeUtils.createIssue('error', status ? 'processing' : 'transient', reason)
+    ]);
+
+  return OperationOutcomeUtils.toError('import-failed', reason, outcome);
+}
+
+/**
+ * Convert "name=smith&_count=50" or an object into fhir-kit-client search params
+ * @param {String|Object} searchParams - Query string or object
+ * @return {Object} Search parameters, repeated keys as arrays
+ */
+function toSearchParams(searchParams) {
+  if (!searchParams) return {};
+  if (typeof searchParams === 'object') return searchParams;
+
+  const params = {};
+  new URLSearchParams(searchParams.replace(/^\?/, '')).forEach(function(value, key) {
+    if (params[key] === undefined) {
+      params[key] = value;
+    } else {
+      params[key] = [].concat(params[key], value);
+    }
+  });
+  return params;
+}
+
+/**
+ * Pull FHIR resources from a REST endpoint using fhir-kit-client
+ */
+export const FhirImport = {
+  /**
+   * Create a client for a FHIR base URL
+   * @param {String} baseUrl - FHIR server base URL
+   * @param {String} bearerToken - Optional access token
+   * @return {Client} fhir-kit-client instance
+   */
+  createClient: function(baseUrl, bearerToken) {
+    if (!/^https?:\/\//i.test(baseUrl || '')) {
+      throw OperationOutcomeUtils.error('invalid-url', 'value', 'FHIR base URL must start with http:// or https://');
+    }
+
+    return new Client({
+      baseUrl: baseUrl.replace(/\/+$/, ''),
+      bearerToken: bearerToken || undefined
+    });
+  },
+
+  /**
+   * Collect resources from a search result Bundle, following link.next
+   * @param {Client} client - fhir-kit-client instance
+   * @param {Object} firstPage - First Bundle returned by the server
+   * @param {Number} maxResources - Stop after this many resources
+   * @return {Promise<Object>} { resources, pages, truncated }
+   */
+  collectPages: async function(client, firstPage, maxResources) {
+    const resources = [];
+    let bundle = firstPage;
+    let pages = 0;
+
+    while (bundle) {
+      pages++;
+
+      get(bundle, 'entry', []).forEach(function(entry) {
+        if (!entry.resource || resources.length >= maxResources) return;
+
+        // OperationOutcomes in search results describe the search, not the data
+        if (get(entry, 'search.mode') === 'outcome') {
+          console.warn('⚠️ FHIR server search outcome:', JSON.stringify(entry.resource.issue || []));
+          return;
+        }
+        resources.push(entry.resource);
+      });
+
+      if (resources.length >= maxResources) {
+        const hasMore = get(bundle, 'link', []).some(link => link.relation === 'next');
+        return { resources, pages, truncated: hasMore };
+      }
+
+      try {
+        bundle = get(bundle, 'link') ? await client.nextPage({ bundle }) : undefined;
+      } catch (err) {
+        throw importError(err, `page ${pages + 1}`);
+      }
+    }
+
+    return { resources, pages, truncated: false };
+  },
+
+  /**
+   * Search a resource type and collect every page
+   * @param {Client} client - fhir-kit-client instance
+   * @param {String} resourceType - Resource type to search
+   * @param {String|Object} searchParams - Search parameters
+   * @param {Number} maxResources - Stop after this many resources
+   * @return {Promise<Object>} { resources, pages, truncated }
+   */
+  search: async function(client, resourceType, searchParams, maxResources) {
+    let firstPage;
+    try {
+      firstPage = await client.search({ resourceType, searchParams: toSearchParams(searchParams) });
+    } catch (err) {
+      throw importError(err, `${resourceType} search`);
+    }
+    return this.collectPages(client, firstPage, maxResources);
+  },
+
+  /**
+   * Run Patient/[id]/$everything and collect every page
+   * @param {Client} client - fhir-kit-client instance
+   * @param {String} patientId - Patient id
+   * @param {Number} maxResources - Stop after this many resources
+   * @return {Promise<Object>} { resources, pages, truncated }
+   */
+  patientEverything: async function(client, patientId, maxResources) {
+    let firstPage;
+    try {
+      firstPage = await client.operation({ resourceType: 'Patient', id: patientId, name: '$everything', method: 'GET' });
+    } catch (err) {
+      throw importError(err, `Patient/${patientId}/$everything`);
+    }
+    return this.collectPages(client, firstPage, maxResources);
+  },
+
+  /**
+   * Kick off Group/[id]/$export, poll until complete and download the output files
+   * @param {Client} client - fhir-kit-client instance
+   * @param {String} groupId - Group id
+   * @param {Object} options - { bearerToken, timeoutMs, types }
+   * @return {Promise<Object>} { manifest, files: [{ name, data }] }
+   */
+  groupExport: async function(client, groupId, options = {}) {
+    const timeoutMs = options.timeoutMs || 10 * 60 * 1000;
+    const headers = { Prefer: 'respond-async', Accept: 'application/fhir+json' };
+    const input = options.types ? { _type: options.types } : undefined;
+
+    let statusUrl;
+    try {
+      const kickoff = await client.operation({
+        resourceType: 'Group',
+        id: groupId,
+        name: '$export',
+        method: 'GET',
+        input: input,
+        options: { headers }
+      });
+      statusUrl = Client.httpFor(kickoff).response.headers.get('content-location');
+    } catch (err) {
+      throw importError(err, `Group/${groupId}/$export`);
+    }
+
+    if (!statusUrl) {
+      throw OperationOutcomeUtils.error('import-failed', 'processing', 'FHIR server did not return a Content-Location for the $export status');
+    }
+
+    // The client sends its bearer token with every request, so it only polls the export server itself
+    const origin = new URL(client.baseUrl).origin;
+    statusUrl = new URL(statusUrl, `${client.baseUrl}/`).href;
+    if (new URL(statusUrl).origin !== origin) {
+      throw OperationOutcomeUtils.error('import-failed', 'security', `$export status ${statusUrl} is not on the FHIR server ${origin}`);
+    }
+
+    console.log(`📤 Group ${groupId} $export started, polling ${statusUrl}`);
+
+    const startTime = Date.now();
+    let manifest = null;
+
+    while (!manifest) {
+      if (Date.now() - startTime > timeoutMs) {
+        throw OperationOutcomeUtils.error('import-timeout', 'timeout', `$export did not complete within ${Math.round(timeoutMs / 1000)}s`);
+      }
+
+      let status;
+      try {
+        status = await client.request(statusUrl, { options: { headers: { Accept: 'application/json' } } });
+      } catch (err) {
+        throw importError(err, '$export status');
+      }
+
+      const response = Client.httpFor(status).response;
+      if (response.status === 200 && BulkExportUtils.isManifest(status)) {
+        manifest = status;
+      } else {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        const progress = response.headers.get('x-progress');
+        console.log(`⏳ $export in progress${progress ? ` (${progress})` : ''}`);
+        await new Promise(resolve => Meteor.setTimeout(resolve, retryAfter > 0 ? retryAfter * 1000 : DEFAULT_POLL_INTERVAL_MS));
+      }
+    }
+
+    const files = [];
+    for (const entry of BulkExportUtils.getEntries(manifest)) {
+      // Files may sit on other hosts, such as cloud storage, which never get the token
+      const fileUrl = new URL(entry.url, `${client.baseUrl}/`);
+      const fileHeaders = { Accept: 'application/fhir+ndjson' };
+      if (manifest.requiresAccessToken && options.bearerToken && fileUrl.origin === origin) {
+        fileHeaders.Authorization = `Bearer ${options.bearerToken}`;
+      }
+
+      const response = await fetch(fileUrl.href, { headers: fileHeaders });
+      if (!response.ok) {
+        throw importError({ response: { status: response.status } }, `$export file ${entry.fileName}`);
+      }
+
+      files.push({ name: entry.fileName, data: await response.text() });
+      console.log(`📥 Downloaded ${entry.fileName} (${entry.type})`);
+    }
+
+    return { manifest, files };
+  },
+
+  /**
+   * Group resources into one NDJSON file per resource type
+   * @param {Array} resources - FHIR resources
+   * @return {Array} Array of { name, data } ready for torrents.create
+   */
+  toNdjsonFiles: function(resources) {
+    const byType = {};
+
+    resources.forEach(function(resource) {
+      const type = resource.resourceType || 'Unknown';
+      (byType[type] = byType[type] || []).push(JSON.stringify(resource));
+    });
+
+    return Object.keys(byType).sort().map(function(type) {
+      return { name: `${type}.ndjson`, data: byType[type].join('\n') + '\n' };
+    });
+  }
+};
@@ -0,0 +1,341 @@
+import { Meteor } from 'meteor/meteor';
+import { get } from 'lodash';
+import crypto from 'crypto';
+import path from 'path';
+import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { NdjsonReader } from './ndjson-reader';
+import { ShareFiles } from './share-files';
+
+// HTTP statuses worth retrying: throttling and server-side failures
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Reference used to identify a resource in outcomes
+ * @param {Object} resource - FHIR resource
+ * @return {String} 'Type/id' or just the type
+ */
+function describeResource(resource) {
+  const type = get(resource, 'resourceType', 'Unknown');
+  return resource && resource.id ? `${type}/${resource.id}` : type;
+}
+
+/**
+ * Diagnostics text from an OperationOutcome, if any
+ * @param {Object} outcome - OperationOutcome
+ * @return {String} Joined diagnostics
+ */
+function outcomeText(outcome) {
+  return get(outcome, 'issue', [])
+    .map(issue => issue.diagnostics || get(issue, 'details.text') || issue.code)
+    .filter(text => text)
+    .join('; ');
+}
+
+/**
+ * Collects a file's outcomes, tagged with the file name, and reports each new lot
+ * @param {String} fileName - File name
+ * @param {Object} options - { onProgress(outcomes) }
+ * @return {Function} record(newOutcomes), with the collected outcomes on record.outcomes
+ */
+function createRecorder(fileName, options) {
+  const outcomes = [];
+
+  async function record(newOutcomes) {
+    const tagged = newOutcomes.map(outcome => ({ file: fileName, ...outcome }));
+    outcomes.push(...tagged);
+    if (options.onProgress && tagged.length > 0) {
+      await options.onProgress(tagged);
+    }
+  }
+  record.outcomes = outcomes;
+  return record;
+}
+
+/**
+ * Record NDJSON lines that don't parse: they can't be sent, but they still count as failures
+ * @param {Function} record - From createRecorder
+ * @param {Object} parsed - { errors, errorCount } from the NDJSON parser
+ * @return {Promise}
+ */
+async function recordInvalidLines(record, parsed) {
+  await record(parsed.errors.map(lineError => ({
+    resource: `Line ${lineError.line}`,
+    ok: false,
+    status: 'invalid',
+    diagnostics: lineError.message
+  })));
+
+  if (parsed.errorCount > parsed.errors.length) {
+    await record([{
+      resource: `${parsed.errorCount - parsed.errors.length} more invalid lines`,
+      ok: false,
+      status: 'invalid',
+      diagnostics: 'Not listed individually',
+      count: parsed.errorCount - parsed.errors.length
+    }]);
+  }
+}
+
+/**
+ * Push FHIR resources to a FHIR REST endpoint as transaction or batch Bundles
+ */
+export const FhirPublish = {
+  /**
+   * Whether two FHIR base URLs name the same server, ignoring trailing slashes
+   * @param {String} a - Base URL
+   * @param {String} b - Base URL
+   * @return {Boolean} True when both are set and match
+   */
+  sameBaseUrl: function(a, b) {
+    const strip = url => String(url || '').trim().replace(/\/+$/, '');
+    return !!strip(a) && strip(a) === strip(b);
+  },
+
+  /**
+   * Build a Bundle entry that creates or updates a resource. Resources with an
+   * id are PUT so their references keep working; others are POSTed.
+   * @param {Object} resource - FHIR resource
+   * @param {String} fullUrl - Optional fullUrl from the source Bundle
+   * @return {Object} Bundle entry with request
+   */
+  toRequestEntry: function(resource, fullUrl) {
+    if (resource.id) {
+      return {
+        fullUrl: fullUrl || `${resource.resourceType}/${resource.id}`,
+        resource: resource,
+        request: { method: 'PUT', url: `${resource.resourceType}/${resource.id}` }
+      };
+    }
+
+    return {
+      fullUrl: fullUrl || `urn:uuid:${crypto.randomUUID()}`,
+      resource: resource,
+      request: { method: 'POST', url: resource.resourceType }
+    };
+  },
+
+  /**
+   * Turn a Bundle or single resource into something a FHIR server will accept
+   * at its base URL: transaction and batch Bundles are sent unchanged,
+   * documents and messages are stored as Bundle resources, anything else
+   * becomes a transaction so references between entries resolve together.
+   * @param {Object} data - Parsed JSON file content
+   * @return {Object} Transaction or batch Bundle
+   */
+  toTransaction: function(data) {
+    const self = this;
+
+    if (data.resourceType !== 'Bundle') {
+      return { resourceType: 'Bundle', type: 'batch', entry: [this.toRequestEntry(data)] };
+    }
+
+    if (data.type === 'transaction' || data.type === 'batch') {
+      return data;
+    }
+
+    if (data.type === 'document' || data.type === 'message') {
+      return { resourceType: 'Bundle', type: 'batch', entry: [this.toRequestEntry(data)] };
+    }
+
+    return {
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: get(data, 'entry', [])
+        .filter(entry => entry.resource)
+        .map(entry => self.toRequestEntry(entry.resource, entry.fullUrl))
+    };
+  },
+
+  /**
+   * Split resources into batch Bundles
+   * @param {Array} resources - FHIR resources
+   * @param {Number} batchSize - Entries per Bundle
+   * @return {Array} Batch Bundles
+   */
+  toBatches: function(resources, batchSize = 100) {
+    const batches = [];
+
+    for (let i = 0; i < resources.length; i += batchSize) {
+      batches.push({
+        resourceType: 'Bundle',
+        type: 'batch',
+        entry: resources.slice(i, i + batchSize).map(resource => this.toRequestEntry(resource))
+      });
+    }
+
+    return batches;
+  },
+
+  /**
+   * POST a transaction or batch Bundle, retrying throttling, server errors
+   * and network failures with exponential backoff
+   * @param {Client} client - fhir-kit-client instance
+   * @param {Object} bundle - Transaction or batch Bundle
+   * @param {Object} options - { maxRetries, retryDelayMs }
+   * @return {Promise<Object>} { response, error, attempts } - response is the server's Bundle
+   */
+  send: async function(client, bundle, options = {}) {
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    const retryDelayMs = options.retryDelayMs !== undefined ? options.retryDelayMs : 1000;
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      try {
+        const response = bundle.type === 'transaction' ?
+          await client.transaction({ body: bundle }) :
+          await client.batch({ body: bundle });
+        return { response, error: null, attempts };
+      } catch (err) {
+        const status = get(err, 'response.status');
+        const retryable = !status || RETRYABLE_STATUS.includes(status);
+
+        if (!retryable || attempts > maxRetries) {
+          return { response: null, error: err, attempts };
+        }
+
+        const delay = retryDelayMs * Math.pow(2, attempts - 1);
+        console.warn(`⚠️ FHIR server ${status ? `returned HTTP ${status}` : 'unreachable'}, retrying in ${delay}ms (attempt ${attempts}/${maxRetries})`);
+        await new Promise(resolve => Meteor.setTimeout(resolve, delay));
+      }
+    }
+  },
+
+  /**
+   * Pair each request entry with its response entry
+   * @param {Object} bundle - Request Bundle
+   * @param {Object} result - Result of send()
+   * @return {Array} Outcomes as { resource, ok, status, location, diagnostics }
+   */
+  getOutcomes: function(bundle, result) {
+    const entries = get(bundle, 'entry', []);
+
+    if (result.error) {
+      // The whole request failed, so every entry in it failed with it
+      const status = get(result.error, 'response.status');
+      const data = get(result.error, 'response.data');
+      const diagnostics = OperationOutcomeUtils.isOperationOutcome(data) ?
+        outcomeText(data) :
+        (status ? `HTTP ${status}` : (result.error.message || 'FHIR server unreachable'));
+
+      return entries.map(entry => ({
+        resource: describeResource(entry.resource),
+        ok: false,
+        status: status ? String(status) : 'error',
+        diagnostics: diagnostics
+      }));
+    }
+
+    const responseEntries = get(result.response, 'entry', []);
+
+    return entries.map(function(entry, index) {
+      const response = get(responseEntries[index], 'response', {});
+      const status = String(response.status || '').split(' ')[0];
+      const ok = /^2\d\d$/.test(status);
+      const outcome = {
+        resource: describeResource(entry.resource),
+        ok: ok,
+        status: status || 'unknown'
+      };
+
+      if (response.location) {
+        outcome.location = response.location;
+      }
+      if (!ok) {
+        outcome.diagnostics = outcomeText(response.outcome) || `HTTP ${response.status || 'status missing'}`;
+      }
+      return outcome;
+    });
+  },
+
+  /**
+   * Tally outcomes; one outcome may stand for several resources (its count)
+   * @param {Array} outcomes - Outcomes from publishFile
+   * @return {Object} { total, succeeded, failed }
+   */
+  countOutcomes: function(outcomes) {
+    const tally = { total: 0, succeeded: 0, failed: 0 };
+    outcomes.forEach(function(outcome) {
+      const count = outcome.count || 1;
+      tally.total += count;
+      tally[outcome.ok ? 'succeeded' : 'failed'] += count;
+    });
+    return tally;
+  },
+
+  /**
+   * Publish one file from a share
+   * @param {Client} client - fhir-kit-client instance
+   * @param {String} fileName - File name, used in outcomes
+   * @param {String} content - File content
+   * @param {Object} options - { batchSize, maxRetries, retryDelayMs, onProgress(outcomes) }
+   * @return {Promise<Array>} Outcomes for every resource in the file
+   */
+  publishFile: async function(client, fileName, content, options = {}) {
+    const format = FhirUtils.detectFormat(content);
+    const record = createRecorder(fileName, options);
+    let bundles = [];
+
+    if (format === 'bundle') {
+      bundles = [this.toTransaction(FhirUtils.parseJson(content))];
+    } else if (format === 'ndjson') {
+      const parsed = FhirUtils.parseNdjsonWithErrors(content);
+      await recordInvalidLines(record, parsed);
+      bundles = this.toBatches(parsed.resources, options.batchSize);
+    } else {
+      console.log(`Skipping ${fileName}: not FHIR resources (${format})`);
+      return record.outcomes;
+    }
+
+    for (const bundle of bundles) {
+      const result = await this.send(client, bundle, options);
+      await record(this.getOutcomes(bundle, result));
+    }
+
+    return record.outcomes;
+  },
+
+  /**
+   * Publish one file from a share as it is read. NDJSON goes out a batch at a
+   * time, so only one batch is held in memory; other files are single JSON
+   * documents and are read whole.
+   * @param {Client} client - fhir-kit-client instance
+   * @param {String} fileName - File name, used in outcomes
+   * @param {Stream} stream - Readable stream of the file, e.g. from ShareFiles.each
+   * @param {Object} options - As for publishFile
+   * @return {Promise<Array>} Outcomes for every resource in the file
+   */
+  publishStream: async function(client, fileName, stream, options = {}) {
+    if (path.extname(fileName).toLowerCase() !== '.ndjson') {
+      return this.publishFile(client, fileName, await ShareFiles.readAll(stream), options);
+    }
+
+    const self = this;
+    const batchSize = options.batchSize || 100;
+    const record = createRecorder(fileName, options);
+    let resources = [];
+
+    async function flush() {
+      if (resources.length === 0) {
+        return;
+      }
+      const bundle = self.toBatches(resources, resources.length)[0];
+      resources = [];
+      await record(self.getOutcomes(bundle, await self.send(client, bundle, options)));
+    }
+
+    const parsed = await NdjsonReader.count(stream, {
+      onResource: async function(resource) {
+        resources.push(resource);
+        if (resources.length >= batchSize) {
+          await flush();
+        }
+      }
+    });
+    await flush();
+    await recordInvalidLines(record, parsed);
+
+    return record.outcomes;
+  }
+};
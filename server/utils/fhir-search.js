@@ -0,0 +1,257 @@
+import { get } from 'lodash';
+import { Settings } from '/imports/api/settings/settings';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { PatientCompartment } from '/imports/api/fhir/patient-compartment';
+import { referenceKey } from '/imports/api/fhir/reference-resolver';
+
+// Elements holding the clinical date searched by `date`, first one present wins
+const DATE_ELEMENTS = [
+  'effectiveDateTime', 'effectiveInstant', 'effectivePeriod',
+  'onsetDateTime', 'onsetPeriod',
+  'performedDateTime', 'performedPeriod',
+  'occurrenceDateTime', 'occurrencePeriod',
+  'period', 'authoredOn', 'recordedDate', 'issued', 'date', 'created', 'recorded'
+];
+
+// Element searched by `code` where it isn't called code
+const CODE_ELEMENTS = {
+  MedicationRequest: 'medicationCodeableConcept',
+  MedicationStatement: 'medicationCodeableConcept',
+  MedicationAdministration: 'medicationCodeableConcept',
+  MedicationDispense: 'medicationCodeableConcept',
+  Immunization: 'vaccineCode',
+  DocumentReference: 'type'
+};
+
+// Parameters that shape the response rather than filter it
+const RESULT_PARAMETERS = ['_count', '_offset', '_format', '_pretty', '_summary', '_elements', '_total'];
+
+const DATE_PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb', 'ap'];
+
+/**
+ * Range covered by a FHIR date, dateTime or instant. Partial dates cover the
+ * whole year/month/day; dates without a zone are taken as UTC.
+ * @param {String} text - FHIR date/dateTime/instant
+ * @return {Object} { start, end } as Dates (end inclusive) or null if unparseable
+ */
+function dateRange(text) {
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(T.+)?)?)?$/.exec(text || '');
+  if (!match) return null;
+
+  if (match[4]) {
+    const instant = new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(match[4]) ? text : `${text}Z`);
+    return isNaN(instant) ? null : { start: instant, end: instant };
+  }
+
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+
+  const start = new Date(Date.UTC(year, month === null ? 0 : month, day === null ? 1 : day));
+  const next = day !== null ? Date.UTC(year, month, day + 1) :
+    (month !== null ? Date.UTC(year, month + 1, 1) : Date.UTC(year + 1, 0, 1));
+
+  return { start: start, end: new Date(next - 1) };
+}
+
+/**
+ * Split a date search value into prefix and range
+ * @param {String} value - e.g. 'ge2020-01-01'
+ * @param {String} name - Parameter name, for errors
+ * @return {Object} { prefix, start, end }
+ */
+function parseDateParameter(value, name) {
+  const prefix = DATE_PREFIXES.includes(value.substring(0, 2)) ? value.substring(0, 2) : 'eq';
+  const range = dateRange(prefix === 'eq' && !value.startsWith('eq') ? value : value.substring(2));
+
+  if (!range) {
+    throw OperationOutcomeUtils.error('invalid-search', 'value', `Invalid date for ${name}: ${value}`, name);
+  }
+  return { prefix, ...range };
+}
+
+/**
+ * Mongo condition for a date parameter against a stored range
+ * @param {Object} param - Result of parseDateParameter
+ * @param {String} startField - Field holding the start of the resource's range
+ * @param {String} endField - Field holding the (inclusive) end
+ * @return {Object} Mongo selector
+ */
+function dateCondition(param, startField, endField) {
+  switch (param.prefix) {
+    case 'ne':
+      return { $or: [{ [startField]: { $lt: param.start } }, { [endField]: { $gt: param.end } }] };
+    case 'gt':
+      return { [endField]: { $gt: param.end } };
+    case 'lt':
+      return { [startField]: { $lt: param.start } };
+    case 'ge':
+      return { [endField]: { $gte: param.start } };
+    case 'le':
+      return { [startField]: { $lte: param.end } };
+    case 'sa':
+      return { [startField]: { $gt: param.end } };
+    case 'eb':
+      return { [endField]: { $lt: param.start } };
+    default:
+      // eq and ap: the resource's range falls within the parameter's
+      return { [startField]: { $gte: param.start }, [endField]: { $lte: param.end } };
+  }
+}
+
+/**
+ * Mongo condition for a token parameter (system|code, code, |code, system|)
+ * @param {String} value - Token search value, may be comma-separated
+ * @return {Object} Mongo selector on codes
+ */
+function tokenCondition(value) {
+  const alternatives = value.split(',').map(function(token) {
+    if (!token.includes('|')) return { codes: token };
+    if (token.endsWith('|')) return { codes: { $regex: `^${escapeRegex(token)}` } };
+    return { codes: token };
+  });
+  return alternatives.length === 1 ? alternatives[0] : { $or: alternatives };
+}
+
+/**
+ * Mongo condition for a reference parameter
+ * @param {String} field - 'patient' or 'subject'
+ * @param {String} value - 'Patient/1', '1' or an absolute URL, may be comma-separated
+ * @param {String} defaultType - Type assumed for bare ids
+ * @return {Object} Mongo selector
+ */
+function referenceCondition(field, value, defaultType) {
+  const alternatives = value.split(',').map(function(reference) {
+    const key = referenceKey(reference);
+    if (key) return { [field]: key };
+    if (defaultType) return { [field]: `${defaultType}/${reference}` };
+    return { [field]: { $regex: `/${escapeRegex(reference)}$` } };
+  });
+  return alternatives.length === 1 ? alternatives[0] : { $or: alternatives };
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {String} text - Literal text
+ * @return {String} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Search parameter support for the local FHIR REST facade
+ */
+export const FhirSearch = {
+  /**
+   * Fields stored alongside a resource so it can be searched
+   * @param {Object} resource - FHIR resource
+   * @param {Function} resolve - Maps a reference string to 'Type/id' (handles urn:uuid within a share)
+   * @return {Object} { subject, patient, codes, dateStart, dateEnd, lastUpdated }
+   */
+  getSearchFields: function(resource, resolve = referenceKey) {
+    const subject = [].concat(resource.subject || [])
+      .map(ref => ref.reference && resolve(ref.reference))
+      .filter(key => key);
+
+    const patient = PatientCompartment.getCompartmentReferences(resource)
+      .map(ref => ref.reference && resolve(ref.reference))
+      .filter(key => key && key.startsWith('Patient/'));
+
+    const codes = [];
+    const concepts = [].concat(get(resource, CODE_ELEMENTS[resource.resourceType] || 'code') || []);
+    concepts.forEach(function(concept) {
+      get(concept, 'coding', []).forEach(function(coding) {
+        if (!coding.code) return;
+        codes.push(`${coding.system || ''}|${coding.code}`, coding.code);
+      });
+    });
+
+    let dateStart = null;
+    let dateEnd = null;
+    const element = DATE_ELEMENTS.find(name => resource[name] !== undefined);
+    if (element) {
+      const value = resource[element];
+      const start = dateRange(typeof value === 'string' ? value : value.start);
+      const end = dateRange(typeof value === 'string' ? value : value.end);
+      dateStart = start ? start.start : null;
+      // Open-ended periods run until now
+      dateEnd = end ? end.end : (start ? new Date(8640000000000000) : null);
+    }
+
+    const lastUpdated = dateRange(get(resource, 'meta.lastUpdated'));
+
+    return {
+      subject: Array.from(new Set(subject)),
+      patient: Array.from(new Set(patient)),
+      codes: Array.from(new Set(codes)),
+      dateStart: dateStart,
+      dateEnd: dateEnd,
+      lastUpdated: lastUpdated ? lastUpdated.start : null
+    };
+  },
+
+  /**
+   * Translate search parameters into a Mongo selector over indexed resources
+   * @param {String} resourceType - Resource type searched
+   * @param {Object} query - Parsed query string; repeated parameters as arrays
+   * @return {Object} { selector, count, offset, unsupported: [String] }
+   */
+  toSelector: function(resourceType, query) {
+    const maxCount = Settings.get('private.fhirFacade.maxCount', 1000);
+    const conditions = [{ resourceType: resourceType }];
+    const unsupported = [];
+    let count = Settings.get('private.fhirFacade.defaultCount', 50);
+    let offset = 0;
+
+    Object.keys(query || {}).forEach(function(name) {
+      // Modifiers aren't supported; repeated parameters are ANDed
+      const values = [].concat(query[name]).filter(value => value !== '');
+      if (values.length === 0) return;
+
+      values.forEach(function(value) {
+        switch (name) {
+          case '_id':
+            conditions.push({ id: { $in: value.split(',') } });
+            break;
+          case 'patient':
+            conditions.push(referenceCondition('patient', value, 'Patient'));
+            break;
+          case 'subject':
+            conditions.push(referenceCondition('subject', value));
+            break;
+          case 'code':
+            conditions.push(tokenCondition(value));
+            break;
+          case 'date':
+            conditions.push(dateCondition(parseDateParameter(value, name), 'dateStart', 'dateEnd'));
+            break;
+          case '_lastUpdated':
+            conditions.push(dateCondition(parseDateParameter(value, name), 'lastUpdated', 'lastUpdated'));
+            break;
+          case '_count':
+            count = parseInt(value, 10);
+            if (isNaN(count) || count < 0) {
+              throw OperationOutcomeUtils.error('invalid-search', 'value', `Invalid _count: ${value}`, '_count');
+            }
+            count = Math.min(count, maxCount);
+            break;
+          case '_offset':
+            offset = Math.max(parseInt(value, 10) || 0, 0);
+            break;
+          default:
+            if (!RESULT_PARAMETERS.includes(name) && !unsupported.includes(name)) {
+              unsupported.push(name);
+            }
+        }
+      });
+    });
+
+    return {
+      selector: conditions.length === 1 ? conditions[0] : { $and: conditions },
+      count: count,
+      offset: offset,
+      unsupported: unsupported
+    };
+  }
+};
@@ -0,0 +1,547 @@
+import { get } from 'lodash';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+
+// FHIR R4 (4.0.1) definitions bundled with the server, kept out of the client
+// bundle. These are trimmed copies of the official profiles-types.json,
+// profiles-resources.json and valuesets.json downloads, limited to the
+// resources and datatypes we exchange.
+import profilesTypes from './definitions/profiles-types.json';
+import profilesResources from './definitions/profiles-resources.json';
+import valueSets from './definitions/valuesets.json';
+
+// Regular expressions for primitive datatypes, taken from the R4 specification
+const DATE_PATTERN = '([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)';
+const TIMEZONE_PATTERN = '(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))';
+const TIME_PATTERN = '([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?';
+
+const PRIMITIVE_PATTERNS = {
+  id: /^[A-Za-z0-9\-\.]{1,64}$/,
+  code: /^[^\s]+(\s[^\s]+)*$/,
+  uri: /^\S*$/,
+  url: /^\S*$/,
+  canonical: /^\S*$/,
+  oid: /^urn:oid:[0-2](\.(0|[1-9][0-9]*))+$/,
+  uuid: /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+  base64Binary: /^(\s*([0-9a-zA-Z\+\/=]){4}\s*)+$/,
+  date: new RegExp(`^${DATE_PATTERN}(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$`),
+  dateTime: new RegExp(`^${DATE_PATTERN}(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T${TIME_PATTERN}${TIMEZONE_PATTERN})?)?)?$`),
+  instant: new RegExp(`^${DATE_PATTERN}-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T${TIME_PATTERN}${TIMEZONE_PATTERN}$`),
+  time: new RegExp(`^${TIME_PATTERN}$`)
+};
+
+const STRING_TYPES = ['string', 'markdown', 'xhtml', 'id', 'code', 'uri', 'url', 'canonical', 'oid', 'uuid',
+  'base64Binary', 'date', 'dateTime', 'instant', 'time'];
+const INTEGER_TYPES = ['integer', 'unsignedInt', 'positiveInt'];
+const PRIMITIVE_TYPES = [...STRING_TYPES, ...INTEGER_TYPES, 'boolean', 'decimal'];
+
+// Elements every BackboneElement and datatype may carry, whether or not the
+// trimmed snapshot lists them
+const IMPLICIT_ELEMENTS = ['id', 'extension', 'modifierExtension'];
+
+/**
+ * Create an issue in the shape used throughout the validator
+ * @param {String} severity - 'fatal', 'error', 'warning' or 'information'
+ * @param {String} code - OperationOutcome issue type code
+ * @param {String} location - FHIRPath-style location of the problem
+ * @param {String} message - Human readable description
+ * @return {Object} Issue
+ */
+function createIssue(severity, code, location, message) {
+  return { severity, code, location, message };
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function isEmptyValue(value) {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  return false;
+}
+
+/**
+ * FHIR R4 structural validator driven by the bundled StructureDefinitions.
+ * Checks cardinality, required elements, primitive formats and value set
+ * bindings. FHIRPath invariants are not evaluated.
+ */
+export const FhirValidator = {
+  _structureDefinitions: null,
+  _valueSets: null,
+
+  /**
+   * Index the bundled definitions on first use
+   * @private
+   */
+  _load: function() {
+    if (this._structureDefinitions) return;
+
+    const structureDefinitions = new Map();
+    [profilesTypes, profilesResources].forEach(function(bundle) {
+      get(bundle, 'entry', []).forEach(function(entry) {
+        const definition = entry.resource;
+        if (!definition || definition.resourceType !== 'StructureDefinition') return;
+
+        const elements = new Map();
+        get(definition, 'snapshot.element', []).forEach(function(element) {
+          elements.set(element.path, element);
+        });
+
+        structureDefinitions.set(definition.name, {
+          definition: definition,
+          elements: elements
+        });
+      });
+    });
+
+    const indexedValueSets = new Map();
+    get(valueSets, 'entry', []).forEach(function(entry) {
+      const valueSet = entry.resource;
+      if (!valueSet || valueSet.resourceType !== 'ValueSet') return;
+
+      const contains = get(valueSet, 'expansion.contains', []);
+      indexedValueSets.set(valueSet.url, {
+        url: valueSet.url,
+        systems: Array.from(new Set(contains.map(c => c.system))),
+        codes: new Set(contains.map(c => `${c.system}|${c.code}`)),
+        bareCodes: new Set(contains.map(c => c.code))
+      });
+    });
+
+    this._structureDefinitions = structureDefinitions;
+    this._valueSets = indexedValueSets;
+  },
+
+  /**
+   * Look up an indexed StructureDefinition, following constrained profiles
+   * (e.g. SimpleQuantity, Age) back to the type they constrain
+   * @param {String} name - Type or resource name
+   * @return {Object} Indexed definition or null
+   */
+  getStructureDefinition: function(name) {
+    this._load();
+
+    let indexed = this._structureDefinitions.get(name);
+    if (indexed && indexed.definition.derivation === 'constraint') {
+      indexed = this._structureDefinitions.get(indexed.definition.type);
+    }
+    return indexed || null;
+  },
+
+  /**
+   * Whether a resource type has a bundled StructureDefinition
+   * @param {String} resourceType - FHIR resource type
+   * @return {Boolean}
+   */
+  isSupportedResourceType: function(resourceType) {
+    const indexed = this.getStructureDefinition(resourceType);
+    return !!indexed && indexed.definition.kind === 'resource' && !indexed.definition.abstract;
+  },
+
+  /**
+   * Validate a single FHIR resource
+   * @param {Object} resource - FHIR resource
+   * @param {String} location - Optional FHIRPath prefix (defaults to the resource type)
+   * @return {Array} Issues found, empty when the resource is valid
+   */
+  validate: function(resource, location) {
+    this._load();
+
+    const issues = [];
+    this._validateResource(resource, location, issues);
+    return issues;
+  },
+
+  /**
+   * Validate FHIR resources against the bundled R4 StructureDefinitions
+   * @param {Object|Array} resources - FHIR resource or array of resources
+   * @return {Object} Validation results with per-resource issues and OperationOutcomes
+   */
+  validateResources: function(resources) {
+    const resourcesArray = Array.isArray(resources) ? resources : [resources];
+
+    const results = resourcesArray.map(resource => {
+      const resourceType = get(resource, 'resourceType');
+      const id = get(resource, 'id', '');
+      const issues = FhirValidator.validate(resource);
+      const errors = issues.filter(issue => issue.severity === 'error' || issue.severity === 'fatal');
+
+      return {
+        resource: id || resourceType || '',
+        resourceType: resourceType,
+        valid: errors.length === 0,
+        errors: errors.map(issue => `${issue.location}: ${issue.message}`),
+        issues: issues,
+        outcome: OperationOutcomeUtils.fromValidationIssues(issues)
+      };
+    });
+
+    const allIssues = results.reduce((all, r) => {
+      return all.concat(r.issues.map(issue => ({ ...issue, resource: r.resource })));
+    }, []);
+
+    return {
+      valid: results.every(r => r.valid),
+      results: results,
+      issues: allIssues,
+      outcome: OperationOutcomeUtils.fromValidationIssues(allIssues)
+    };
+  },
+
+  /**
+   * @private
+   */
+  _validateResource: function(resource, location, issues) {
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      issues.push(createIssue('error', 'structure', location || 'Resource', 'Resource must be a JSON object'));
+      return;
+    }
+
+    const resourceType = resource.resourceType;
+    if (!resourceType) {
+      issues.push(createIssue('error', 'required', location || 'Resource', 'Missing resourceType'));
+      return;
+    }
+
+    const basePath = location || resourceType;
+
+    if (!this.isSupportedResourceType(resourceType)) {
+      // A warning, so it isn't taken for a clean result: most of the resource went unchecked
+      issues.push(createIssue('warning', 'not-supported', basePath,
+        `No StructureDefinition is bundled for ${resourceType}; only base Resource elements were checked`));
+      this._validateElements(resource, this.getStructureDefinition('DomainResource'), 'DomainResource', basePath, issues, true);
+      return;
+    }
+
+    this._validateElements(resource, this.getStructureDefinition(resourceType), resourceType, basePath, issues, false);
+  },
+
+  /**
+   * Validate the children of a complex value against a definition context
+   * @private
+   * @param {Object} value - JSON object being validated
+   * @param {Object} indexed - Indexed StructureDefinition holding the element definitions
+   * @param {String} elementPath - Element path within the definition (e.g. 'Patient.contact')
+   * @param {String} location - FHIRPath-style location of the value
+   * @param {Array} issues - Issues collector
+   * @param {Boolean} allowUnknown - Skip unrecognized element checks
+   */
+  _validateElements: function(value, indexed, elementPath, location, issues, allowUnknown) {
+    const self = this;
+    const children = this._getChildElements(indexed, elementPath);
+
+    // Map JSON property names to their element definitions, expanding choice types
+    const properties = new Map();
+    children.forEach(function(element) {
+      const name = element.path.substring(elementPath.length + 1);
+      if (name.endsWith('[x]')) {
+        const stem = name.slice(0, -3);
+        get(element, 'type', []).forEach(function(type) {
+          properties.set(stem + capitalize(type.code), { element, name: stem, type: type.code });
+        });
+      } else {
+        properties.set(name, { element, name, type: null });
+      }
+    });
+
+    Object.keys(value).forEach(function(key) {
+      if (key === 'resourceType' && indexed.definition.kind === 'resource' && elementPath === indexed.definition.type) return;
+
+      let propertyKey = key;
+      let isPrimitiveExtension = false;
+      if (key.startsWith('_')) {
+        propertyKey = key.substring(1);
+        isPrimitiveExtension = true;
+      }
+
+      const property = properties.get(propertyKey);
+      if (!property) {
+        if (IMPLICIT_ELEMENTS.includes(propertyKey)) {
+          self._validateImplicitElement(propertyKey, value[key], `${location}.${propertyKey}`, issues);
+          return;
+        }
+        if (!allowUnknown) {
+          issues.push(createIssue('error', 'structure', `${location}.${key}`, `Unrecognized element '${key}'`));
+        }
+        return;
+      }
+
+      const propertyLocation = property.type ?
+        `${location}.${property.name}.ofType(${capitalize(property.type)})` :
+        `${location}.${property.name}`;
+
+      if (isPrimitiveExtension) {
+        self._validatePrimitiveExtension(value[key], property, propertyLocation, issues);
+        return;
+      }
+
+      self._validateProperty(value[key], property, indexed, propertyLocation, issues);
+    });
+
+    // Required elements and choice cardinality
+    children.forEach(function(element) {
+      const name = element.path.substring(elementPath.length + 1);
+      const keys = name.endsWith('[x]') ?
+        get(element, 'type', []).map(t => name.slice(0, -3) + capitalize(t.code)) :
+        [name];
+      const present = keys.filter(k => value[k] !== undefined || value[`_${k}`] !== undefined);
+
+      if (present.length > 1) {
+        issues.push(createIssue('error', 'structure', `${location}.${name.replace('[x]', '')}`,
+          `Only one of ${present.join(', ')} may be present`));
+      }
+
+      if (element.min > 0 && present.length === 0) {
+        issues.push(createIssue('error', 'required', `${location}.${name.replace('[x]', '')}`,
+          `Minimum required = ${element.min}, but only found 0`));
+      }
+    });
+  },
+
+  /**
+   * Direct children of an element path within a definition
+   * @private
+   */
+  _getChildElements: function(indexed, elementPath) {
+    const prefix = elementPath + '.';
+    const children = [];
+    indexed.elements.forEach(function(element, path) {
+      if (path.startsWith(prefix) && path.indexOf('.', prefix.length) === -1) {
+        children.push(element);
+      }
+    });
+    return children;
+  },
+
+  /**
+   * Validate a property value against its element definition
+   * @private
+   */
+  _validateProperty: function(value, property, indexed, location, issues) {
+    const self = this;
+    const element = property.element;
+
+    if (isEmptyValue(value)) {
+      issues.push(createIssue('error', 'structure', location, 'Elements must have a value or children; empty values are not allowed'));
+      return;
+    }
+
+    const isRepeating = element.max === '*' || Number(element.max) > 1;
+
+    if (!isRepeating && Array.isArray(value)) {
+      issues.push(createIssue('error', 'structure', location,
+        `Maximum cardinality is ${element.max}, but found an array of ${value.length}`));
+      return;
+    }
+
+    if (isRepeating && !Array.isArray(value)) {
+      issues.push(createIssue('error', 'structure', location, 'This element repeats and must be an array'));
+      return;
+    }
+
+    const items = isRepeating ? value : [value];
+
+    if (isRepeating && element.max !== '*' && items.length > Number(element.max)) {
+      issues.push(createIssue('error', 'structure', location,
+        `Maximum cardinality is ${element.max}, but found ${items.length}`));
+    }
+
+    if (element.min > 1 && items.length < element.min) {
+      issues.push(createIssue('error', 'required', location,
+        `Minimum required = ${element.min}, but only found ${items.length}`));
+    }
+
+    items.forEach(function(item, index) {
+      const itemLocation = isRepeating ? `${location}[${index}]` : location;
+      self._validateValue(item, property, indexed, itemLocation, issues);
+    });
+  },
+
+  /**
+   * Validate a single (non-array) value
+   * @private
+   */
+  _validateValue: function(value, property, indexed, location, issues) {
+    const element = property.element;
+
+    // contentReference points at another element in the same definition
+    if (element.contentReference) {
+      const referencedPath = element.contentReference.replace(/^#/, '');
+      if (!this._isObject(value, location, issues)) return;
+      this._validateElements(value, indexed, referencedPath, location, issues, false);
+      return;
+    }
+
+    const typeCode = property.type || get(element, 'type[0].code');
+    if (!typeCode) return;
+
+    if (PRIMITIVE_TYPES.includes(typeCode)) {
+      this._validatePrimitive(value, typeCode, location, issues);
+    } else if (typeCode === 'Resource') {
+      this._validateResource(value, location, issues);
+    } else if (typeCode === 'BackboneElement' || (typeCode === 'Element' && this._getChildElements(indexed, element.path).length > 0)) {
+      if (!this._isObject(value, location, issues)) return;
+      this._validateElements(value, indexed, element.path, location, issues, false);
+    } else {
+      const datatype = this.getStructureDefinition(typeCode);
+      if (!this._isObject(value, location, issues)) return;
+      if (datatype) {
+        this._validateElements(value, datatype, datatype.definition.type, location, issues, false);
+      }
+    }
+
+    if (element.binding) {
+      this._validateBinding(value, typeCode, element.binding, location, issues);
+    }
+  },
+
+  /**
+   * @private
+   */
+  _isObject: function(value, location, issues) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return true;
+    }
+    issues.push(createIssue('error', 'structure', location, 'Expected a JSON object'));
+    return false;
+  },
+
+  /**
+   * Validate a primitive value's JSON type and lexical format
+   * @private
+   */
+  _validatePrimitive: function(value, typeCode, location, issues) {
+    if (typeCode === 'boolean') {
+      if (typeof value !== 'boolean') {
+        issues.push(createIssue('error', 'value', location, `Expected a JSON boolean, found ${JSON.stringify(value)}`));
+      }
+      return;
+    }
+
+    if (typeCode === 'decimal') {
+      if (typeof value !== 'number' || !isFinite(value)) {
+        issues.push(createIssue('error', 'value', location, `Expected a JSON number for decimal, found ${JSON.stringify(value)}`));
+      }
+      return;
+    }
+
+    if (INTEGER_TYPES.includes(typeCode)) {
+      if (typeof value !== 'number' || !Number.isInteger(value)) {
+        issues.push(createIssue('error', 'value', location, `Expected a JSON integer for ${typeCode}, found ${JSON.stringify(value)}`));
+      } else if (value > 2147483647 || value < -2147483648) {
+        issues.push(createIssue('error', 'value', location, `Integer ${value} is outside the 32-bit range`));
+      } else if (typeCode === 'unsignedInt' && value < 0) {
+        issues.push(createIssue('error', 'value', location, `unsignedInt must not be negative, found ${value}`));
+      } else if (typeCode === 'positiveInt' && value < 1) {
+        issues.push(createIssue('error', 'value', location, `positiveInt must be 1 or greater, found ${value}`));
+      }
+      return;
+    }
+
+    if (typeof value !== 'string') {
+      issues.push(createIssue('error', 'value', location, `Expected a JSON string for ${typeCode}, found ${JSON.stringify(value)}`));
+      return;
+    }
+
+    if (value.length === 0) {
+      issues.push(createIssue('error', 'value', location, `${typeCode} values must not be empty`));
+      return;
+    }
+
+    if (typeCode === 'xhtml') {
+      if (!/^\s*<div[\s>]/.test(value)) {
+        issues.push(createIssue('error', 'value', location, 'Narrative must be an XHTML <div> element'));
+      }
+      return;
+    }
+
+    const pattern = PRIMITIVE_PATTERNS[typeCode];
+    if (pattern && !pattern.test(value)) {
+      issues.push(createIssue('error', 'value', location, `'${value}' is not a valid ${typeCode}`));
+    }
+  },
+
+  /**
+   * Validate the "_element" companion of a primitive (id and extensions only)
+   * @private
+   */
+  _validatePrimitiveExtension: function(value, property, location, issues) {
+    const self = this;
+    const items = Array.isArray(value) ? value : [value];
+    items.forEach(function(item, index) {
+      if (item === null) return; // Nulls keep repeating primitives aligned
+      const itemLocation = Array.isArray(value) ? `${location}[${index}]` : location;
+      if (!self._isObject(item, itemLocation, issues)) return;
+      self._validateElements(item, self.getStructureDefinition('Element'), 'Element', itemLocation, issues, false);
+    });
+  },
+
+  /**
+   * Validate id/extension/modifierExtension on inline backbone elements
+   * @private
+   */
+  _validateImplicitElement: function(name, value, location, issues) {
+    if (name === 'id') {
+      this._validatePrimitive(value, 'string', location, issues);
+      return;
+    }
+
+    const extension = this.getStructureDefinition('Extension');
+    if (!Array.isArray(value)) {
+      issues.push(createIssue('error', 'structure', location, 'This element repeats and must be an array'));
+      return;
+    }
+
+    const self = this;
+    value.forEach(function(item, index) {
+      const itemLocation = `${location}[${index}]`;
+      if (!self._isObject(item, itemLocation, issues)) return;
+      self._validateElements(item, extension, 'Extension', itemLocation, issues, false);
+    });
+  },
+
+  /**
+   * Check a coded value against its value set binding
+   * @private
+   */
+  _validateBinding: function(value, typeCode, binding, location, issues) {
+    if (binding.strength !== 'required' && binding.strength !== 'extensible') return;
+
+    const valueSetUrl = (binding.valueSet || '').split('|')[0];
+    const valueSet = this._valueSets.get(valueSetUrl);
+    if (!valueSet) return; // No expansion bundled, nothing to check against
+
+    const severity = binding.strength === 'required' ? 'error' : 'warning';
+
+    if (typeCode === 'code') {
+      if (typeof value === 'string' && !valueSet.bareCodes.has(value)) {
+        issues.push(createIssue(severity, 'code-invalid', location,
+          `The value '${value}' is not in the ${binding.strength} value set ${valueSetUrl}`));
+      }
+      return;
+    }
+
+    let codings = [];
+    if (typeCode === 'Coding') {
+      codings = [value];
+    } else if (typeCode === 'CodeableConcept') {
+      codings = get(value, 'coding', []);
+    } else {
+      return;
+    }
+
+    const hasValidCoding = codings.some(c => valueSet.codes.has(`${c.system}|${c.code}`));
+    if (hasValidCoding) return;
+
+    const sameSystemCodings = codings.filter(c => valueSet.systems.includes(c.system));
+    if (sameSystemCodings.length > 0) {
+      const codes = sameSystemCodings.map(c => `${c.system}#${c.code}`).join(', ');
+      issues.push(createIssue(severity, 'code-invalid', location,
+        `The code ${codes} is not in the ${binding.strength} value set ${valueSetUrl}`));
+    } else if (binding.strength === 'required') {
+      issues.push(createIssue('error', 'code-invalid', location,
+        `No code provided from the required value set ${valueSetUrl}`));
+    }
+  }
+};
@@ -0,0 +1,289 @@
+import { Meteor } from 'meteor/meteor';
+import dgram from 'dgram';
+import crypto from 'crypto';
+import { Settings } from '/imports/api/settings/settings';
+
+// BEP 14 multicast group for IPv4
+export const LSD_ADDRESS = '239.192.152.143';
+export const LSD_PORT = 6771;
+
+// BEP 14 asks for at most one announce per torrent per minute
+const MIN_INTERVAL_MS = 60 * 1000;
+
+// Peers not heard from for this long are dropped from the status
+const PEER_EXPIRY_MS = 30 * 60 * 1000;
+
+/**
+ * Local Service Discovery (BEP 14): announce the shares held here to the
+ * subnet by multicast and connect to nodes announcing the same ones, so
+ * peers find each other without internet trackers. Private shares take no
+ * part, as BEP 27 requires.
+ */
+export const LanDiscovery = {
+  _socket: null,
+  _interval: null,
+  _source: null,
+  _cookie: crypto.randomBytes(8).toString('hex'),
+  _peers: new Map(), // "address:port" -> { address, port, infoHashes, firstSeen, lastSeen }
+  _stats: {
+    status: 'inactive',
+    lastAnnounce: null,
+    lastReceived: null,
+    announcesSent: 0,
+    announcesReceived: 0,
+    error: null
+  },
+
+  /**
+   * Whether LAN discovery is enabled
+   * @return {Boolean} public.webtorrent.lsd.enabled, on by default
+   */
+  isEnabled: function() {
+    return Settings.get('public.webtorrent.lsd.enabled', true) !== false;
+  },
+
+  /**
+   * Build a BT-SEARCH announce
+   * @param {Number} port - TCP port peers connect to
+   * @param {Array} infoHashes - Info hashes to announce
+   * @param {String} cookie - Identifies this node's own announces
+   * @return {String} Announce message
+   */
+  buildAnnounce: function(port, infoHashes, cookie) {
+    return [
+      'BT-SEARCH * HTTP/1.1',
+      `Host: ${LSD_ADDRESS}:${LSD_PORT}`,
+      `Port: ${port}`
+    ].concat(infoHashes.map(infoHash => `Infohash: ${infoHash}`), [
+      `cookie: ${cookie}`,
+      '',
+      ''
+    ]).join('\r\n');
+  },
+
+  /**
+   * Parse a BT-SEARCH announce
+   * @param {String} message - Datagram text
+   * @return {Object} { port, infoHashes, cookie }, or null when not an announce
+   */
+  parseAnnounce: function(message) {
+    const lines = String(message).split(/\r?\n/);
+    if (!/^BT-SEARCH \* HTTP\/1\.1$/.test(lines[0])) {
+      return null;
+    }
+
+    const announce = { port: null, infoHashes: [], cookie: null };
+    lines.slice(1).forEach(function(line) {
+      const match = line.match(/^([A-Za-z-]+):\s*(.*)$/);
+      if (!match) return;
+
+      const header = match[1].toLowerCase();
+      const value = match[2].trim();
+      if (header === 'port') {
+        announce.port = parseInt(value, 10);
+      } else if (header === 'infohash' && /^[a-fA-F0-9]{40}$/.test(value)) {
+        announce.infoHashes.push(value.toLowerCase());
+      } else if (header === 'cookie') {
+        announce.cookie = value;
+      }
+    });
+
+    if (!announce.port || announce.port < 1 || announce.port > 65535 || announce.infoHashes.length === 0) {
+      return null;
+    }
+    return announce;
+  },
+
+  /**
+   * Start listening and announcing
+   * @param {Object} source - { getClient, getTorrent, getAllTorrents }, i.e. WebTorrentServer
+   */
+  start: function(source) {
+    if (!LanDiscovery.isEnabled() || LanDiscovery._socket) {
+      return;
+    }
+
+    const iface = Settings.get('public.webtorrent.lsd.interface', '') || undefined;
+    const intervalMs = Math.max(Number(Settings.get('public.webtorrent.lsd.intervalMs', 5 * 60 * 1000)), MIN_INTERVAL_MS);
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    LanDiscovery._source = source;
+    LanDiscovery._socket = socket;
+
+    socket.on('message', function(message, rinfo) {
+      LanDiscovery.handleMessage(message, rinfo);
+    });
+
+    socket.on('error', function(err) {
+      console.error('❌ LAN discovery error:', err.message);
+      LanDiscovery._stats.status = 'error';
+      LanDiscovery._stats.error = err.message;
+    });
+
+    socket.bind(LSD_PORT, function() {
+      try {
+        socket.addMembership(LSD_ADDRESS, iface);
+        if (iface) {
+          socket.setMulticastInterface(iface);
+        }
+        // Keep announces on the local network, but let nodes on one host see each other
+        socket.setMulticastTTL(Number(Settings.get('public.webtorrent.lsd.ttl', 1)));
+        socket.setMulticastLoopback(true);
+      } catch (err) {
+        console.error('❌ LAN discovery could not join the multicast group:', err.message);
+        LanDiscovery._stats.status = 'error';
+        LanDiscovery._stats.error = err.message;
+        return;
+      }
+
+      LanDiscovery._stats.status = 'listening';
+      console.log(`📡 LAN discovery listening on ${LSD_ADDRESS}:${LSD_PORT}${iface ? ` via ${iface}` : ''}`);
+      LanDiscovery.announce();
+    });
+
+    LanDiscovery._interval = Meteor.setInterval(function() {
+      LanDiscovery.announce();
+    }, intervalMs);
+  },
+
+  /**
+   * Stop listening and announcing
+   */
+  stop: function() {
+    if (LanDiscovery._interval) {
+      Meteor.clearInterval(LanDiscovery._interval);
+      LanDiscovery._interval = null;
+    }
+    if (LanDiscovery._socket) {
+      LanDiscovery._socket.close();
+      LanDiscovery._socket = null;
+    }
+    LanDiscovery._stats.status = 'inactive';
+  },
+
+  /**
+   * TCP port this node's peers listen on
+   * @return {Number} Port, or null before the client listens
+   */
+  _peerPort: function() {
+    const client = LanDiscovery._source && LanDiscovery._source.getClient();
+    if (!client) {
+      return null;
+    }
+    if (typeof client.address === 'function') {
+      try {
+        const address = client.address();
+        if (address && address.port) return address.port;
+      } catch (err) {
+        // Not listening yet; fall back to the configured port
+      }
+    }
+    return client.torrentPort || client.tcpPort || null;
+  },
+
+  /**
+   * Announce shares to the subnet
+   * @param {Array} torrents - Torrents to announce, every public one by default
+   */
+  announce: function(torrents) {
+    const socket = LanDiscovery._socket;
+    const port = LanDiscovery._peerPort();
+    if (!socket || LanDiscovery._stats.status !== 'listening' || !port) {
+      return;
+    }
+
+    const infoHashes = (torrents || LanDiscovery._source.getAllTorrents())
+      .filter(torrent => torrent && torrent.infoHash && !torrent.private)
+      .map(torrent => torrent.infoHash);
+
+    // Keep each datagram well under a typical MTU
+    for (let i = 0; i < infoHashes.length; i += 20) {
+      const message = Buffer.from(LanDiscovery.buildAnnounce(port, infoHashes.slice(i, i + 20), LanDiscovery._cookie));
+      socket.send(message, 0, message.length, LSD_PORT, LSD_ADDRESS, function(err) {
+        if (err) {
+          console.warn('⚠️ LAN announce failed:', err.message);
+        }
+      });
+      LanDiscovery._stats.announcesSent++;
+    }
+    if (infoHashes.length > 0) {
+      LanDiscovery._stats.lastAnnounce = new Date();
+    }
+  },
+
+  /**
+   * Connect to a node that announced shares held here
+   * @param {Buffer} message - Datagram
+   * @param {Object} rinfo - { address, port } of the sender
+   * @return {Number} Torrents the peer was added to
+   */
+  handleMessage: function(message, rinfo) {
+    const announce = LanDiscovery.parseAnnounce(message);
+    if (!announce || announce.cookie === LanDiscovery._cookie) {
+      return 0;
+    }
+
+    LanDiscovery._stats.announcesReceived++;
+    LanDiscovery._stats.lastReceived = new Date();
+
+    const peerAddress = `${rinfo.address}:${announce.port}`;
+    let added = 0;
+    announce.infoHashes.forEach(function(infoHash) {
+      const torrent = LanDiscovery._source.getTorrent(infoHash);
+      if (!torrent || torrent.private || typeof torrent.addPeer !== 'function') {
+        return;
+      }
+      if (torrent.addPeer(peerAddress)) {
+        added++;
+      }
+    });
+
+    const known = LanDiscovery._peers.get(peerAddress);
+    LanDiscovery._peers.set(peerAddress, {
+      address: rinfo.address,
+      port: announce.port,
+      infoHashes: announce.infoHashes,
+      firstSeen: known ? known.firstSeen : new Date(),
+      lastSeen: new Date()
+    });
+
+    if (added > 0) {
+      console.log(`📡 LAN peer ${peerAddress} added to ${added} share(s)`);
+    }
+    return added;
+  },
+
+  /**
+   * Discovery state and the peers found on the LAN
+   * @return {Object} { enabled, status, group, lastAnnounce, lastReceived, announcesSent, announcesReceived, error, peers }
+   */
+  getStatus: function() {
+    const cutoff = Date.now() - PEER_EXPIRY_MS;
+    const peers = [];
+    LanDiscovery._peers.forEach(function(peer, key) {
+      if (peer.lastSeen.getTime() < cutoff) {
+        LanDiscovery._peers.delete(key);
+        return;
+      }
+      const torrents = peer.infoHashes
+        .map(infoHash => LanDiscovery._source && LanDiscovery._source.getTorrent(infoHash))
+        .filter(torrent => torrent && !torrent.private);
+      peers.push({
+        address: peer.address,
+        port: peer.port,
+        shares: torrents.map(torrent => ({ infoHash: torrent.infoHash, name: torrent.name })),
+        announced: peer.infoHashes.length,
+        connected: torrents.some(torrent => (torrent.wires || []).some(wire => wire.remoteAddress === peer.address)),
+        firstSeen: peer.firstSeen,
+        lastSeen: peer.lastSeen
+      });
+    });
+
+    return {
+      enabled: LanDiscovery.isEnabled(),
+      group: `${LSD_ADDRESS}:${LSD_PORT}`,
+      ...LanDiscovery._stats,
+      peers: peers
+    };
+  }
+};
@@ -0,0 +1,171 @@
+import { Meteor } from 'meteor/meteor';
+import { Settings } from '/imports/api/settings/settings';
+import { MetricSamplesCollection } from '/imports/api/metrics/metrics';
+import { TrackerHealth } from './tracker-health';
+
+// History ranges and how many points each is reduced to
+const RANGES = {
+  hour: { ms: 60 * 60 * 1000, points: 60 },
+  day: { ms: 24 * 60 * 60 * 1000, points: 144 },
+  week: { ms: 7 * 24 * 60 * 60 * 1000, points: 168 }
+};
+
+/**
+ * Tracker status counts, overall or for one torrent
+ * @param {Array} health - TrackerHealth.getHealth()
+ * @param {String} infoHash - Torrent, or omitted for every tracker
+ * @return {Object} { total, active, error }
+ */
+function trackerCounts(health, infoHash) {
+  const statuses = infoHash ?
+    health.map(tracker => tracker.torrents.find(torrent => torrent.infoHash === infoHash)).filter(Boolean).map(torrent => torrent.status) :
+    health.map(tracker => tracker.status);
+
+  return {
+    total: statuses.length,
+    active: statuses.filter(status => status === 'active').length,
+    error: statuses.filter(status => status === 'error').length
+  };
+}
+
+/**
+ * Periodic samples of transfer speeds, peers, bytes moved and tracker status,
+ * kept in a capped collection so they survive restarts
+ */
+export const MetricsRecorder = {
+  _interval: null,
+  _source: null,
+
+  /**
+   * Samples for one moment
+   * @param {Array} torrents - WebTorrent torrents
+   * @param {Array} health - TrackerHealth.getHealth()
+   * @param {Date} at - Sample time
+   * @return {Array} One global sample followed by one per torrent
+   */
+  sample: function(torrents, health, at = new Date()) {
+    const perTorrent = torrents.filter(torrent => torrent && torrent.infoHash).map(torrent => ({
+      at: at,
+      scope: 'torrent',
+      infoHash: torrent.infoHash,
+      name: torrent.name,
+      downloadSpeed: torrent.downloadSpeed || 0,
+      uploadSpeed: torrent.uploadSpeed || 0,
+      peers: torrent.numPeers || 0,
+      downloaded: torrent.downloaded || 0,
+      uploaded: torrent.uploaded || 0,
+      progress: torrent.progress || 0,
+      trackers: trackerCounts(health, torrent.infoHash)
+    }));
+
+    const total = field => perTorrent.reduce((sum, sample) => sum + sample[field], 0);
+    const global = {
+      at: at,
+      scope: 'global',
+      downloadSpeed: total('downloadSpeed'),
+      uploadSpeed: total('uploadSpeed'),
+      peers: total('peers'),
+      downloaded: total('downloaded'),
+      uploaded: total('uploaded'),
+      trackers: trackerCounts(health)
+    };
+
+    return [global].concat(perTorrent);
+  },
+
+  /**
+   * Take and store one set of samples
+   * @return {Promise<Number>} Samples stored
+   */
+  record: async function() {
+    const samples = MetricsRecorder.sample(MetricsRecorder._source.getAllTorrents(), TrackerHealth.getHealth());
+    for (const sample of samples) {
+      await MetricSamplesCollection.insertAsync(sample);
+    }
+    return samples.length;
+  },
+
+  /**
+   * Start sampling every private.metrics.intervalMs
+   * @param {Object} source - { getAllTorrents }, i.e. WebTorrentServer
+   */
+  start: function(source) {
+    if (MetricsRecorder._interval || !Settings.get('private.metrics.enabled', true)) {
+      return;
+    }
+
+    const intervalMs = Math.max(Number(Settings.get('private.metrics.intervalMs', 60000)), 5000);
+    MetricsRecorder._source = source;
+    MetricsRecorder._interval = Meteor.setInterval(function() {
+      MetricsRecorder.record().catch(function(err) {
+        console.error('Error recording metrics:', err);
+      });
+    }, intervalMs);
+
+    console.log(`📈 Recording network metrics every ${intervalMs / 1000}s`);
+  },
+
+  /**
+   * Put samples into evenly sized time buckets: speeds and peers averaged,
+   * byte counters and tracker counts from the bucket's last sample
+   * @param {Array} samples - Samples sorted by time
+   * @param {Number} from - Range start (ms)
+   * @param {Number} to - Range end (ms)
+   * @param {Number} points - Buckets
+   * @return {Array} [{ at, downloadSpeed, uploadSpeed, peers, downloaded, uploaded, trackersActive, trackersTotal }]
+   */
+  downsample: function(samples, from, to, points) {
+    const width = (to - from) / points;
+    const buckets = new Map();
+
+    samples.forEach(function(sample) {
+      const index = Math.min(Math.floor((sample.at.getTime() - from) / width), points - 1);
+      if (index < 0) return;
+      if (!buckets.has(index)) buckets.set(index, []);
+      buckets.get(index).push(sample);
+    });
+
+    return Array.from(buckets.keys()).sort((a, b) => a - b).map(function(index) {
+      const bucket = buckets.get(index);
+      const last = bucket[bucket.length - 1];
+      const mean = field => bucket.reduce((sum, sample) => sum + (sample[field] || 0), 0) / bucket.length;
+      return {
+        at: new Date(from + (index + 0.5) * width),
+        downloadSpeed: Math.round(mean('downloadSpeed')),
+        uploadSpeed: Math.round(mean('uploadSpeed')),
+        peers: Math.round(mean('peers') * 10) / 10,
+        downloaded: last.downloaded,
+        uploaded: last.uploaded,
+        trackersActive: last.trackers ? last.trackers.active : 0,
+        trackersTotal: last.trackers ? last.trackers.total : 0
+      };
+    });
+  },
+
+  /**
+   * Stored history for a range
+   * @param {String} range - 'hour', 'day' or 'week'
+   * @param {String} infoHash - One torrent, or omitted for the global series
+   * @return {Promise<Object>} { range, from, to, intervalMs, points }
+   */
+  history: async function(range, infoHash) {
+    const spec = RANGES[range];
+    if (!spec) {
+      throw new Meteor.Error('invalid-range', `Unknown range: ${range}`);
+    }
+
+    const to = Date.now();
+    const from = to - spec.ms;
+    const selector = infoHash ? { scope: 'torrent', infoHash: infoHash } : { scope: 'global' };
+    selector.at = { $gte: new Date(from) };
+
+    const samples = await MetricSamplesCollection.find(selector, { sort: { at: 1 } }).fetchAsync();
+    return {
+      range: range,
+      from: new Date(from),
+      to: new Date(to),
+      intervalMs: Number(Settings.get('private.metrics.intervalMs', 60000)),
+      points: MetricsRecorder.downsample(samples, from, to, spec.points)
+    };
+  }
+};
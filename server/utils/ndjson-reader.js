@@ -0,0 +1,132 @@
+import fs from 'fs';
+import { StringDecoder } from 'string_decoder';
+import { createNdjsonParser } from '/imports/api/fhir/ndjson-parser';
+
+/**
+ * Streaming NDJSON reader for large FHIR Bulk Data files. Reads line by line
+ * from disk or from a WebTorrent file stream, so multi-gigabyte exports never
+ * have to be held in memory.
+ */
+export const NdjsonReader = {
+  /**
+   * Read NDJSON resources from a readable stream
+   * @param {Stream} stream - Readable stream of NDJSON bytes or text
+   * @param {Object} options
+   * @param {Function} options.onResource - Called with (resource, lineNumber); may return a Promise
+   * @param {Number} options.offset - Number of resources to skip before calling onResource
+   * @param {Number} options.limit - Stop after this many resources have been passed to onResource
+   * @param {Number} options.maxErrors - Maximum errors kept in detail
+   * @return {Promise<Object>} { lines, total, types, errors, errorCount, done }
+   */
+  readStream: async function(stream, options = {}) {
+    const parser = createNdjsonParser({ maxErrors: options.maxErrors });
+    const decoder = new StringDecoder('utf8');
+    const offset = options.offset || 0;
+    const limit = options.limit;
+    let seen = 0;
+    let delivered = 0;
+    let done = true;
+
+    // Returns false once the limit has been reached
+    async function deliver(entries) {
+      for (const entry of entries) {
+        seen++;
+        if (seen <= offset) continue;
+
+        if (limit !== undefined && delivered >= limit) {
+          return false;
+        }
+
+        if (options.onResource) {
+          await options.onResource(entry.resource, entry.line);
+        }
+        delivered++;
+      }
+      return true;
+    }
+
+    try {
+      for await (const chunk of stream) {
+        const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        if (!(await deliver(parser.push(text)))) {
+          done = false;
+          break;
+        }
+      }
+
+      if (done) {
+        await deliver(parser.push(decoder.end()).concat(parser.end()));
+      }
+    } finally {
+      if (typeof stream.destroy === 'function') {
+        stream.destroy();
+      }
+    }
+
+    return { ...parser.getResult(), done: done };
+  },
+
+  /**
+   * Read NDJSON resources from a file on disk
+   * @param {String} filePath - Path to the .ndjson file
+   * @param {Object} options - See readStream
+   * @return {Promise<Object>} Read summary
+   */
+  readFile: function(filePath, options = {}) {
+    return this.readStream(fs.createReadStream(filePath), options);
+  },
+
+  /**
+   * Read NDJSON resources from a WebTorrent file, downloading pieces on demand
+   * @param {Object} file - WebTorrent file object
+   * @param {Object} options - See readStream
+   * @return {Promise<Object>} Read summary
+   */
+  readTorrentFile: function(file, options = {}) {
+    return this.readStream(file.createReadStream(), options);
+  },
+
+  /**
+   * Read one page of resources from a stream
+   * @param {Stream} stream - Readable stream of NDJSON
+   * @param {Number} offset - Resources to skip
+   * @param {Number} limit - Maximum resources to return
+   * @return {Promise<Object>} { resources: [{ line, resource }], errors, errorCount, done }
+   */
+  readPage: async function(stream, offset = 0, limit = 100) {
+    const resources = [];
+    const result = await this.readStream(stream, {
+      offset: offset,
+      limit: limit,
+      onResource: function(resource, line) {
+        resources.push({ line: line, resource: resource });
+      }
+    });
+
+    return {
+      resources: resources,
+      errors: result.errors,
+      errorCount: result.errorCount,
+      lines: result.lines,
+      done: result.done
+    };
+  },
+
+  /**
+   * Count resources by type without keeping them in memory
+   * @param {Stream} stream - Readable stream of NDJSON
+   * @param {Object} options - { onResource }, see readStream
+   * @return {Promise<Object>} { total, types, errors, errorCount, lines }
+   */
+  count: async function(stream, options = {}) {
+    const result = await this.readStream(stream, { onResource: options.onResource });
+
+    return {
+      total: result.total,
+      types: result.types,
+      errors: result.errors,
+      errorCount: result.errorCount,
+      lines: result.lines
+    };
+  }
+};
@@ -0,0 +1,98 @@
+import { Meteor } from 'meteor/meteor';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { NodeKeysCollection } from '/imports/api/keys/keys';
+import { ShareEnvelopes } from './share-crypto';
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+let identityPromise = null;
+let pseudonymSecretPromise = null;
+
+/**
+ * Load this node's keypair, generating it on first use
+ * @return {Promise<Object>} Node key document
+ */
+async function loadOrCreateIdentity() {
+  const existing = await NodeKeysCollection.findOneAsync({ _id: 'self' });
+  if (existing) {
+    return existing;
+  }
+
+  const keyPair = await generateKeyPair('rsa', {
+    modulusLength: 3072,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const identity = {
+    _id: 'self',
+    publicKey: keyPair.publicKey,
+    privateKey: keyPair.privateKey,
+    fingerprint: ShareEnvelopes.fingerprint(keyPair.publicKey),
+    created: new Date()
+  };
+
+  await NodeKeysCollection.insertAsync(identity);
+  console.log(`🔑 Generated node keypair ${identity.fingerprint.substring(0, 16)}…`);
+  return identity;
+}
+
+/**
+ * Load this node's pseudonymization secret, generating it on first use
+ * @return {Promise<String>} Hex secret
+ */
+async function loadOrCreatePseudonymSecret() {
+  const existing = await NodeKeysCollection.findOneAsync({ _id: 'pseudonymization' });
+  if (existing) {
+    return existing.secret;
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  await NodeKeysCollection.insertAsync({ _id: 'pseudonymization', secret: secret, created: new Date() });
+  console.log('🔑 Generated pseudonymization secret');
+  return secret;
+}
+
+/**
+ * This node's identity for recipient-targeted shares, and the secret its
+ * pseudonyms are derived from
+ */
+export const NodeKeys = {
+  /**
+   * Get the node keypair
+   * @return {Promise<Object>} { publicKey, privateKey, fingerprint, created }
+   */
+  getIdentity: function() {
+    if (!identityPromise) {
+      identityPromise = loadOrCreateIdentity().catch(function(err) {
+        identityPromise = null;
+        throw err;
+      });
+    }
+    return identityPromise;
+  },
+
+  /**
+   * Get the HMAC secret for pseudonymized shares. Losing it doesn't break
+   * re-identification of existing shares, whose map is stored separately,
+   * but new shares would no longer reuse their pseudonyms.
+   * @return {Promise<String>} Hex secret
+   */
+  getPseudonymSecret: function() {
+    if (!pseudonymSecretPromise) {
+      pseudonymSecretPromise = loadOrCreatePseudonymSecret().catch(function(err) {
+        pseudonymSecretPromise = null;
+        throw err;
+      });
+    }
+    return pseudonymSecretPromise;
+  }
+};
+
+// Generate the keypair up front so the first share doesn't wait for it
+Meteor.startup(function() {
+  NodeKeys.getIdentity().catch(function(err) {
+    console.error('❌ Could not load or generate the node keypair:', err);
+  });
+});
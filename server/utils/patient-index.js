@@ -0,0 +1,94 @@
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { PatientIndexCollection, CompartmentResourcesCollection } from '/imports/api/patients/patients';
+import { PatientCompartment } from '/imports/api/fhir/patient-compartment';
+
+/**
+ * Server-side index of the Patient compartment across every share
+ */
+export const PatientIndex = {
+  /**
+   * (Re)build the index entries for one share, reading its resources twice:
+   * once for its Patients, then again to file everything that points at them
+   * @param {String} infoHash - Info hash of the torrent
+   * @param {Function} eachResource - Calls its argument with (resource, { file, fullUrl }) for every resource of the share
+   * @return {Promise<Object>} { patients, resources }
+   */
+  indexTorrent: async function(infoHash, eachResource) {
+    const torrent = await TorrentsCollection.findOneAsync({ infoHash }, { fields: { name: 1 } });
+    if (!torrent) {
+      return { patients: 0, resources: 0 };
+    }
+
+    const collector = PatientCompartment.createCollector(infoHash);
+    await eachResource((resource, context) => collector.addPatient(resource, context.fullUrl));
+
+    await this.removeTorrent(infoHash);
+
+    const counts = {};
+    let filed = 0;
+    await eachResource(async function(resource, context) {
+      const entry = collector.resolve(resource, context.file);
+      if (!entry) return;
+
+      await CompartmentResourcesCollection.insertAsync({ ...entry, infoHash });
+      entry.patientKeys.forEach(key => counts[key] = (counts[key] || 0) + 1);
+      filed++;
+    });
+
+    const patients = collector.getPatients();
+    for (const patient of patients) {
+      const resourceCount = counts[patient.key] || 0;
+      const update = {
+        $setOnInsert: { system: patient.system, value: patient.value },
+        $addToSet: { names: { $each: patient.names } },
+        $push: {
+          shares: {
+            infoHash: infoHash,
+            name: torrent.name,
+            patientIds: patient.patientIds,
+            resourceCount: resourceCount
+          }
+        },
+        $inc: { resourceCount: resourceCount },
+        $set: { updatedAt: new Date() }
+      };
+
+      if (patient.gender) update.$set.gender = patient.gender;
+      if (patient.birthDate) update.$set.birthDate = patient.birthDate;
+
+      await PatientIndexCollection.upsertAsync({ key: patient.key }, update);
+    }
+
+    console.log(`🧑‍⚕️ Indexed ${patients.length} patient(s) and ${filed} compartment resource(s) from ${torrent.name}`);
+
+    return { patients: patients.length, resources: filed };
+  },
+
+  /**
+   * Drop a share from the index, removing patients found only in that share
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Promise<Number>} Compartment resources removed
+   */
+  removeTorrent: async function(infoHash) {
+    const removed = await CompartmentResourcesCollection.removeAsync({ infoHash });
+
+    const patients = await PatientIndexCollection.find({ 'shares.infoHash': infoHash }).fetchAsync();
+    for (const patient of patients) {
+      const shares = patient.shares.filter(share => share.infoHash !== infoHash);
+
+      if (shares.length === 0) {
+        await PatientIndexCollection.removeAsync({ _id: patient._id });
+      } else {
+        await PatientIndexCollection.updateAsync({ _id: patient._id }, {
+          $set: {
+            shares: shares,
+            resourceCount: shares.reduce((total, share) => total + share.resourceCount, 0),
+            updatedAt: new Date()
+          }
+        });
+      }
+    }
+
+    return removed;
+  }
+};
@@ -0,0 +1,232 @@
+import { Meteor } from 'meteor/meteor';
+import { DDP } from 'meteor/ddp-client';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { Roles } from '/imports/api/users/users';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { AuditLog } from './audit-log';
+
+/**
+ * Who may call each method in server/methods. `role` is the role the caller
+ * needs (null: anyone, even logged out). Methods whose first argument is an
+ * info hash also name the access they need to that torrent: 'read' (its owner
+ * or any viewer) or 'own' (its owner only). Owners read their own shares
+ * without the viewer role.
+ */
+const METHOD_POLICIES = {
+  'ping': { role: null },
+
+  // Reading shares and the network
+  'torrents.getFiles': { role: 'viewer', torrent: 'read' },
+  'torrents.getFileText': { role: 'viewer', torrent: 'read' },
+  'torrents.getNdjsonPage': { role: 'viewer', torrent: 'read' },
+  'torrents.checkReferences': { role: 'viewer', torrent: 'read' },
+  'torrents.countResources': { role: 'viewer', torrent: 'read' },
+  'torrents.getShareLink': { role: 'viewer', torrent: 'read' },
+  'torrents.getLineage': { role: 'viewer', torrent: 'read' },
+  'torrents.getStatus': { role: 'viewer', torrent: 'read' },
+  'keys.getNodePublicKey': { role: 'viewer' },
+  'network.getBasicStatus': { role: 'viewer' },
+  'network.getDetailedStatus': { role: 'viewer' },
+  'network.getTrackerHealth': { role: 'viewer' },
+  'metrics.history': { role: 'viewer' },
+  'peers.getAll': { role: 'viewer' },
+  'peers.getNetworkStats': { role: 'viewer' },
+
+  // Creating and managing one's own shares
+  'torrents.add': { role: 'publisher' },
+  'torrents.create': { role: 'publisher' },
+  'fhir.importFromServer': { role: 'publisher' },
+  'torrents.remove': { role: 'publisher', torrent: 'own' },
+  'torrents.pause': { role: 'publisher', torrent: 'own' },
+  'torrents.resume': { role: 'publisher', torrent: 'own' },
+  'torrents.announce': { role: 'publisher', torrent: 'own' },
+  'torrents.updateFhirMeta': { role: 'publisher', torrent: 'own' },
+  'torrents.setLimits': { role: 'publisher', torrent: 'own' },
+  'torrents.moveInQueue': { role: 'publisher', torrent: 'own' },
+  'torrents.forceStart': { role: 'publisher', torrent: 'own' },
+  'torrents.publishToFhirServer': { role: 'publisher', torrent: 'read' },
+  'patients.reindex': { role: 'publisher', torrent: 'read' },
+  'pseudonyms.reidentify': { role: 'publisher', torrent: 'own' },
+  'addressBook.add': { role: 'publisher' },
+
+  // Diagnostics and administration
+  'torrents.enhancedReload': { role: 'operator' },
+  'torrents.diagnoseMetadataIssues': { role: 'operator' },
+  'torrents.diagnoseSeedingMetadata': { role: 'operator' },
+  'torrents.quickMetadataDiagnosis': { role: 'operator' },
+  'torrents.checkMetadataStatus': { role: 'operator' },
+  'torrents.forceMetadataExchangeV2': { role: 'operator' },
+  'network.forceAnnounce': { role: 'operator' },
+  'bandwidth.configure': { role: 'operator' },
+  'users.setRoles': { role: 'operator' },
+  // Which publishers are trusted decides the verified badge for every user
+  'addressBook.setTrusted': { role: 'operator' },
+  'addressBook.remove': { role: 'operator' },
+  'audit.search': { role: 'operator' },
+  'audit.exportNdjson': { role: 'operator' }
+};
+
+// Debugging and repair tools (debug.*, torrents.*Fix*), for operators only
+const OPERATOR_PATTERNS = [/^debug\./, /^torrents\.\w*fix/i];
+
+/**
+ * Access control for methods and torrents. Calls made by the server itself
+ * (no connection, e.g. completion hooks) are always allowed.
+ */
+export const Permissions = {
+  /**
+   * The policy for a method
+   * @param {String} name - Method name
+   * @return {Object} { role, torrent }, or undefined when the method has none
+   */
+  policyFor: function(name) {
+    if (METHOD_POLICIES[name]) {
+      return METHOD_POLICIES[name];
+    }
+    if (OPERATOR_PATTERNS.some(pattern => pattern.test(name))) {
+      return { role: 'operator' };
+    }
+    return undefined;
+  },
+
+  /**
+   * Check whether a method or publication runs on behalf of the server itself
+   * @param {Object} invocation - Method invocation or publication (`this`)
+   * @return {Boolean} True for server-internal calls
+   */
+  isInternal: function(invocation) {
+    return !invocation.connection;
+  },
+
+  /**
+   * Run a function as the server, so the methods it calls skip the caller's
+   * roles (e.g. the automatic seeding fix that torrents.create applies)
+   * @param {Function} fn - Async function
+   * @return {Promise} Its result
+   */
+  asServer: function(fn) {
+    return DDP._CurrentMethodInvocation.withValue(null, fn);
+  },
+
+  /**
+   * Require a logged-in user for a client call
+   * @param {Object} invocation - Method invocation (`this`)
+   * @return {String} The caller's user id, null for server-internal calls
+   */
+  requireUser: function(invocation) {
+    if (Permissions.isInternal(invocation)) {
+      return invocation.userId || null;
+    }
+    if (!invocation.userId) {
+      throw OperationOutcomeUtils.error('not-authorized', 'login', 'You must be logged in');
+    }
+    return invocation.userId;
+  },
+
+  /**
+   * Require a role for a client call
+   * @param {Object} invocation - Method invocation (`this`)
+   * @param {String} role - Role needed
+   * @return {Promise<Object>} The caller's { _id, roles }, null for server-internal calls
+   */
+  requireRole: async function(invocation, role) {
+    const userId = Permissions.requireUser(invocation);
+    if (Permissions.isInternal(invocation)) {
+      return null;
+    }
+
+    const user = await Roles.findUser(userId);
+    if (!Roles.hasRole(user, role)) {
+      throw OperationOutcomeUtils.error('not-authorized', 'forbidden', `This needs the ${role} role`);
+    }
+    return user;
+  },
+
+  /**
+   * Check whether a user may act on a torrent
+   * @param {Object} user - { _id, roles }, null for the server itself
+   * @param {Object} torrent - Torrent document
+   * @param {String} access - 'read' or 'own'
+   * @return {Boolean} True when allowed
+   */
+  canAccessTorrent: function(user, torrent, access) {
+    if (!user) {
+      return true;
+    }
+    const owner = torrent.ownerId === user._id;
+    return access === 'read' ? owner || Roles.hasRole(user, 'viewer') : owner;
+  },
+
+  /**
+   * Require access to a torrent. Torrents this node doesn't know pass through,
+   * so methods can report them as not found the way they always have.
+   * @param {Object} invocation - Method invocation (`this`)
+   * @param {String} infoHash - Info hash of the torrent
+   * @param {String} access - 'read' or 'own'
+   * @return {Promise<Object>} Torrent document, or undefined when there is none
+   */
+  requireTorrent: async function(invocation, infoHash, access) {
+    const userId = Permissions.requireUser(invocation);
+    const torrent = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrent || Permissions.isInternal(invocation)) {
+      return torrent;
+    }
+
+    const user = await Roles.findUser(userId);
+    if (!Permissions.canAccessTorrent(user || { _id: userId }, torrent, access)) {
+      throw OperationOutcomeUtils.error('not-authorized', 'forbidden', 'This share belongs to another user');
+    }
+    return torrent;
+  },
+
+  /**
+   * Check a call against a method's policy
+   * @param {Object} invocation - Method invocation (`this`)
+   * @param {Object} policy - { role, torrent }
+   * @param {Array} args - Method arguments
+   * @return {Promise}
+   */
+  enforce: async function(invocation, policy, args) {
+    if (!policy.role) {
+      return;
+    }
+
+    const infoHash = policy.torrent && typeof args[0] === 'string' ? args[0] : null;
+    if (infoHash && policy.role === 'viewer') {
+      // Owners read their own shares without the viewer role
+      await Permissions.requireTorrent(invocation, infoHash, policy.torrent);
+      return;
+    }
+
+    await Permissions.requireRole(invocation, policy.role);
+    if (infoHash) {
+      await Permissions.requireTorrent(invocation, infoHash, policy.torrent);
+    }
+  },
+
+  /**
+   * Register methods with their policies enforced and audited calls recorded.
+   * Every method needs a policy; one without fails at startup rather than
+   * being left open.
+   * @param {Object} methods - Method name to function map, as for Meteor.methods
+   */
+  methods: function(methods) {
+    const guarded = {};
+    Object.keys(methods).forEach(function(name) {
+      const policy = Permissions.policyFor(name);
+      if (!policy) {
+        throw new Error(`No access policy for method ${name}`);
+      }
+
+      const method = methods[name];
+      guarded[name] = async function(...args) {
+        const invocation = this;
+        return await AuditLog.auditCall(invocation, name, args, async function() {
+          await Permissions.enforce(invocation, policy, args);
+          return await method.apply(invocation, args);
+        });
+      };
+    });
+    Meteor.methods(guarded);
+  }
+};
@@ -0,0 +1,143 @@
+import { Meteor } from 'meteor/meteor';
+import crypto from 'crypto';
+import { Settings } from '/imports/api/settings/settings';
+import { ROLES } from '/imports/api/users/users';
+
+// 128-bit hex passkeys
+const PASSKEY_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * The node's own tracker for private shares. Each account has a passkey that
+ * is embedded in the announce URLs it hands out; the tracker only answers
+ * announces carrying the passkey of an account that holds a role.
+ */
+export const PrivateTracker = {
+  /**
+   * Whether this node hosts the tracker
+   * @return {Boolean} True when private.tracker.enabled
+   */
+  isEnabled: function() {
+    return !!Settings.get('private.tracker.enabled', false);
+  },
+
+  /**
+   * Port the tracker listens on
+   * @return {Number} Port
+   */
+  port: function() {
+    return Number(Settings.get('private.tracker.port', 8000));
+  },
+
+  /**
+   * Base URL peers reach the tracker at: private.tracker.publicUrl, or this
+   * node's host name on the tracker port
+   * @return {String} http(s) URL without a trailing slash
+   */
+  publicUrl: function() {
+    const configured = Settings.get('private.tracker.publicUrl', '');
+    if (configured) {
+      return configured.replace(/\/+$/, '');
+    }
+    return `http://${new URL(Meteor.absoluteUrl()).hostname}:${PrivateTracker.port()}`;
+  },
+
+  /**
+   * HTTP and WebSocket announce URLs carrying a passkey
+   * @param {String} passkey - Account passkey
+   * @return {Array} [httpUrl, wsUrl]
+   */
+  announceUrls: function(passkey) {
+    const base = PrivateTracker.publicUrl();
+    return [
+      `${base}/announce?passkey=${passkey}`,
+      `${base.replace(/^http/, 'ws')}/announce?passkey=${passkey}`
+    ];
+  },
+
+  /**
+   * A user's passkey, generated on first use
+   * @param {String} userId - User id
+   * @return {Promise<String>} Passkey
+   */
+  passkeyFor: async function(userId) {
+    const user = await Meteor.users.findOneAsync(userId, { fields: { trackerPasskey: 1 } });
+    if (!user) {
+      throw new Meteor.Error('not-found', 'User not found');
+    }
+    if (user.trackerPasskey) {
+      return user.trackerPasskey;
+    }
+
+    // Only set it if no concurrent call got there first
+    const passkey = crypto.randomBytes(16).toString('hex');
+    await Meteor.users.updateAsync({ _id: userId, trackerPasskey: { $exists: false } }, { $set: { trackerPasskey: passkey } });
+    return (await Meteor.users.findOneAsync(userId, { fields: { trackerPasskey: 1 } })).trackerPasskey;
+  },
+
+  /**
+   * Replace a user's passkey, so links carrying the old one stop working
+   * @param {String} userId - User id
+   * @return {Promise<String>} New passkey
+   */
+  resetPasskey: async function(userId) {
+    const passkey = crypto.randomBytes(16).toString('hex');
+    await Meteor.users.updateAsync(userId, { $set: { trackerPasskey: passkey } });
+    return passkey;
+  },
+
+  /**
+   * The passkey of an announce: a query parameter for HTTP announces, and in
+   * the URL the socket was opened on for WebSocket announces
+   * @param {Object} params - Announce parameters from bittorrent-tracker
+   * @return {String} Passkey, or null
+   */
+  passkeyFromParams: function(params) {
+    let passkey = params.passkey;
+    if (!passkey && params.socket && params.socket.upgradeReq) {
+      passkey = new URL(params.socket.upgradeReq.url, 'http://localhost').searchParams.get('passkey');
+    }
+    return typeof passkey === 'string' && PASSKEY_PATTERN.test(passkey) ? passkey : null;
+  },
+
+  /**
+   * The account a passkey belongs to, if it may use the tracker
+   * @param {String} passkey - Passkey from an announce
+   * @return {Promise<Object>} { _id, username }, or null
+   */
+  authorize: async function(passkey) {
+    if (!passkey) {
+      return null;
+    }
+    const user = await Meteor.users.findOneAsync(
+      { trackerPasskey: passkey, roles: { $in: ROLES } },
+      { fields: { username: 1 } }
+    );
+    return user || null;
+  },
+
+  /**
+   * Swap the passkey in a magnet URI's tracker URLs for another account's
+   * @param {String} magnetURI - Magnet URI of a private share
+   * @param {String} passkey - Passkey to embed
+   * @return {String} Magnet URI
+   */
+  withPasskey: function(magnetURI, passkey) {
+    const queryIndex = magnetURI.indexOf('?');
+    if (queryIndex === -1) {
+      return magnetURI;
+    }
+
+    const params = magnetURI.substring(queryIndex + 1).split('&').map(function(param) {
+      if (!param.startsWith('tr=')) {
+        return param;
+      }
+      const tracker = new URL(decodeURIComponent(param.substring(3)));
+      if (!tracker.searchParams.has('passkey')) {
+        return param;
+      }
+      tracker.searchParams.set('passkey', passkey);
+      return `tr=${encodeURIComponent(tracker.toString())}`;
+    });
+    return `${magnetURI.substring(0, queryIndex)}?${params.join('&')}`;
+  }
+};
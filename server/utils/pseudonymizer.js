@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+
+// Hex characters kept from the HMAC: 128 bits, well inside FHIR's 64-character id limit
+const PSEUDONYM_LENGTH = 32;
+
+// Trailing Type/id of a RESTful reference, with an optional version
+const REFERENCE_PATTERN = /^(.*?)([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(\/_history\/[A-Za-z0-9\-.]{1,64})?$/;
+
+/**
+ * Rewrite the Type/id part of a reference, leaving contained (#) and urn: references alone
+ * @param {String} reference - Reference, fullUrl or request url
+ * @param {Function} mapId - (resourceType, id) => new id
+ * @return {String} Rewritten reference
+ */
+function rewriteReference(reference, mapId) {
+  if (typeof reference !== 'string' || reference.startsWith('#') || reference.startsWith('urn:')) {
+    return reference;
+  }
+
+  const match = REFERENCE_PATTERN.exec(reference);
+  if (!match) {
+    return reference;
+  }
+  return `${match[1]}${match[2]}/${mapId(match[2], match[3])}${match[4] || ''}`;
+}
+
+/**
+ * Rewrite resource ids, references and Identifier values throughout an element
+ * @param {*} node - Element to walk
+ * @param {Object} mappers - { id: (resourceType, id) => id, identifier: (system, value) => value }
+ * @param {Boolean} isResource - Node is a top-level resource whose id should be mapped
+ * @return {*} Rewritten copy
+ */
+function rewriteElement(node, mappers, isResource) {
+  if (Array.isArray(node)) {
+    return node.map(item => rewriteElement(item, mappers, false));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  const result = {};
+  Object.keys(node).forEach(function(key) {
+    const value = node[key];
+
+    if (key === 'id' && isResource && typeof value === 'string') {
+      result[key] = mappers.id(node.resourceType, value);
+    } else if (key === 'reference' && typeof value === 'string') {
+      result[key] = rewriteReference(value, mappers.id);
+    } else if (key === 'identifier') {
+      result[key] = [].concat(value).map(function(identifier) {
+        const rewritten = rewriteElement(identifier, mappers, false);
+        if (identifier && typeof identifier.value === 'string') {
+          rewritten.value = mappers.identifier(identifier.system || '', identifier.value);
+        }
+        return rewritten;
+      });
+      if (!Array.isArray(value)) {
+        result[key] = result[key][0];
+      }
+    } else if (key === 'contained') {
+      // Contained ids are local to their container and only referenced as #id
+      result[key] = value;
+    } else {
+      result[key] = rewriteElement(value, mappers, false);
+    }
+  });
+  return result;
+}
+
+/**
+ * Rewrite every resource of a share. Bundle fullUrls and request urls follow
+ * the ids they name; Bulk Data manifests and unparseable lines pass through.
+ * @param {Array} fileData - Array of { name, data } objects
+ * @param {Object} mappers - { id, identifier } as for rewriteElement
+ * @return {Array} Rewritten { name, data } objects
+ */
+function rewriteFiles(fileData, mappers) {
+  return fileData.map(function(file) {
+    const format = FhirUtils.detectFormat(file.data);
+
+    if (format === 'ndjson') {
+      const lines = file.data.split(/\r?\n/).filter(line => line.trim()).map(function(line) {
+        try {
+          return JSON.stringify(rewriteElement(JSON.parse(line), mappers, true));
+        } catch (err) {
+          return line;
+        }
+      });
+      return { ...file, data: lines.join('\n') + '\n' };
+    }
+
+    const parsed = format === 'bundle' ? FhirUtils.parseJson(file.data) : null;
+    if (!parsed || !parsed.resourceType) {
+      return file;
+    }
+
+    if (parsed.resourceType !== 'Bundle') {
+      return { ...file, data: JSON.stringify(rewriteElement(parsed, mappers, true), null, 2) };
+    }
+
+    const { entry, ...bundle } = parsed;
+    const result = rewriteElement(bundle, mappers, true);
+    if (entry) {
+      result.entry = entry.map(function(item) {
+        const rewritten = { ...item, resource: rewriteElement(item.resource, mappers, true) };
+        if (item.fullUrl) {
+          rewritten.fullUrl = rewriteReference(item.fullUrl, mappers.id);
+        }
+        if (item.request && item.request.url) {
+          rewritten.request = { ...item.request, url: rewriteReference(item.request.url, mappers.id) };
+        }
+        return rewritten;
+      });
+    }
+    return { ...file, data: JSON.stringify(result, null, 2) };
+  });
+}
+
+/**
+ * Keyed pseudonymization of share files. Pseudonyms are HMAC-SHA256 of the
+ * original value under this node's secret, so the same patient gets the same
+ * pseudonym in every share and references stay consistent, while only the
+ * local re-identification map can reverse them.
+ */
+export const Pseudonymizer = {
+  /**
+   * Derive the pseudonym for a value
+   * @param {String} secret - This node's pseudonymization secret
+   * @param {String} scope - Resource type, or identifier system
+   * @param {String} value - Original id or identifier value
+   * @return {String} Hex pseudonym
+   */
+  derive: function(secret, scope, value) {
+    return crypto.createHmac('sha256', secret).update(`${scope}|${value}`).digest('hex').substring(0, PSEUDONYM_LENGTH);
+  },
+
+  /**
+   * Replace resource ids and selected identifiers with pseudonyms
+   * @param {Array} fileData - Array of { name, data } objects
+   * @param {String} secret - This node's pseudonymization secret
+   * @param {Object} policy - { identifierSystems: [String] }, '*' selecting every system
+   * @return {Object} { fileData, mappings: [{ kind, scope, original, pseudonym }], counts: { ids, identifiers } }
+   */
+  pseudonymizeFiles: function(fileData, secret, policy = {}) {
+    const systems = policy.identifierSystems || [];
+    const mappings = {};
+    const counts = { ids: 0, identifiers: 0 };
+
+    function map(kind, scope, original) {
+      const pseudonym = Pseudonymizer.derive(secret, scope, original);
+      mappings[`${kind}|${scope}|${original}`] = { kind, scope, original, pseudonym };
+      return pseudonym;
+    }
+
+    const rewritten = rewriteFiles(fileData, {
+      id: function(resourceType, id) {
+        counts.ids++;
+        return map('id', resourceType, id);
+      },
+      identifier: function(system, value) {
+        if (!systems.includes('*') && !systems.includes(system)) {
+          return value;
+        }
+        counts.identifiers++;
+        return map('identifier', system, value);
+      }
+    });
+
+    return { fileData: rewritten, mappings: Object.values(mappings), counts: counts };
+  },
+
+  /**
+   * Every value in a share that could be a pseudonym
+   * @param {Array} fileData - Array of { name, data } objects
+   * @return {Array} Candidate values
+   */
+  collectCandidates: function(fileData) {
+    const candidates = new Set();
+
+    rewriteFiles(fileData, {
+      id: function(resourceType, id) {
+        candidates.add(id);
+        return id;
+      },
+      identifier: function(system, value) {
+        candidates.add(value);
+        return value;
+      }
+    });
+    return Array.from(candidates).filter(value => value.length === PSEUDONYM_LENGTH && /^[0-9a-f]+$/.test(value));
+  },
+
+  /**
+   * Put original values back in place of known pseudonyms
+   * @param {Array} fileData - Array of { name, data } objects
+   * @param {Array} mappings - Re-identification map entries { kind, scope, pseudonym, original }
+   * @return {Object} { fileData, counts: { ids, identifiers } }
+   */
+  reidentifyFiles: function(fileData, mappings) {
+    const originals = {};
+    mappings.forEach(function(mapping) {
+      originals[`${mapping.kind}|${mapping.scope}|${mapping.pseudonym}`] = mapping.original;
+    });
+    const counts = { ids: 0, identifiers: 0 };
+
+    function lookup(kind, scope, value, countKey) {
+      const original = originals[`${kind}|${scope}|${value}`];
+      if (original === undefined) {
+        return value;
+      }
+      counts[countKey]++;
+      return original;
+    }
+
+    const rewritten = rewriteFiles(fileData, {
+      id: (resourceType, id) => lookup('id', resourceType, id, 'ids'),
+      identifier: (system, value) => lookup('identifier', system, value, 'identifiers')
+    });
+
+    return { fileData: rewritten, counts: counts };
+  }
+};
@@ -0,0 +1,100 @@
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { IndexedResourcesCollection } from '/imports/api/resources/resources';
+import { referenceKey } from '/imports/api/fhir/reference-resolver';
+import { FhirSearch } from './fhir-search';
+
+/**
+ * Searchable copy of every resource in the local shares, backing the /fhir facade
+ */
+export const ResourceIndex = {
+  /**
+   * (Re)index the resources of one share, reading them twice: once for the
+   * Bundle fullUrls references may use, then again to index each resource
+   * @param {String} infoHash - Info hash of the torrent
+   * @param {Function} eachResource - Calls its argument with (resource, { file, fullUrl }) for every resource of the share
+   * @return {Promise<Number>} Resources indexed
+   */
+  indexTorrent: async function(infoHash, eachResource) {
+    const torrent = await TorrentsCollection.findOneAsync({ infoHash }, { fields: { _id: 1 } });
+    if (!torrent) {
+      return 0;
+    }
+
+    const byFullUrl = {};
+    await eachResource(function(resource, context) {
+      if (context.fullUrl && resource.id) {
+        byFullUrl[context.fullUrl] = `${resource.resourceType}/${resource.id}`;
+      }
+    });
+
+    // urn:uuid references inside Bundles point at entries by fullUrl
+    const resolve = reference => byFullUrl[reference] || referenceKey(reference);
+    const indexedAt = new Date();
+    let count = 0;
+
+    await this.removeTorrent(infoHash);
+
+    await eachResource(async function(resource, context) {
+      const fields = FhirSearch.getSearchFields(resource, resolve);
+
+      await IndexedResourcesCollection.insertAsync({
+        infoHash: infoHash,
+        file: context.file,
+        resourceType: resource.resourceType,
+        id: resource.id || '',
+        ...fields,
+        lastUpdated: fields.lastUpdated || indexedAt,
+        resource: resource
+      });
+      count++;
+    });
+
+    console.log(`🔎 Indexed ${count} resource(s) from ${infoHash} for FHIR search`);
+    return count;
+  },
+
+  /**
+   * Drop a share's resources from the index
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Promise<Number>} Resources removed
+   */
+  removeTorrent: function(infoHash) {
+    return IndexedResourcesCollection.removeAsync({ infoHash });
+  },
+
+  /**
+   * Run a search
+   * @param {String} resourceType - Resource type searched
+   * @param {Object} query - Parsed query string
+   * @return {Promise<Object>} { total, count, offset, unsupported, results: [indexed documents] }
+   */
+  search: async function(resourceType, query) {
+    const search = FhirSearch.toSelector(resourceType, query);
+    const cursor = IndexedResourcesCollection.find(search.selector, {
+      sort: { lastUpdated: -1, _id: 1 },
+      skip: search.offset,
+      limit: search.count
+    });
+
+    return {
+      total: await IndexedResourcesCollection.find(search.selector).countAsync(),
+      count: search.count,
+      offset: search.offset,
+      unsupported: search.unsupported,
+      results: search.count > 0 ? await cursor.fetchAsync() : []
+    };
+  },
+
+  /**
+   * Read a resource by type and id; when several shares hold it, the most recently updated wins
+   * @param {String} resourceType - Resource type
+   * @param {String} id - Resource id
+   * @return {Promise<Object>} Indexed document or undefined
+   */
+  read: function(resourceType, id) {
+    return IndexedResourcesCollection.findOneAsync(
+      { resourceType, id },
+      { sort: { lastUpdated: -1 } }
+    );
+  }
+};
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { ShareLink } from '/imports/api/torrents/share-link';
+
+export const ENCRYPTED_FILE_SUFFIX = '.enc';
+
+// Plaintext file in recipient shares holding the content key wrapped per recipient
+export const ENVELOPE_FILENAME = 'recipients.json';
+const ENVELOPE_FORMAT = 'fhir-p2p-recipients';
+const MIN_RSA_BITS = 2048;
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted files are text so they survive every utf8 read path unchanged
+const CIPHERTEXT_PREFIX = 'fhir-p2p-aes-256-gcm:v1:';
+
+/**
+ * Decode a base64url share key, rejecting anything that isn't 256 bits
+ * @param {String} key - Base64url key
+ * @return {Buffer} Raw key
+ */
+function toKeyBuffer(key) {
+  if (!ShareLink.isValidKey(key)) {
+    throw OperationOutcomeUtils.error('invalid-key', 'security', 'Share key must be a 256-bit base64url value');
+  }
+  return Buffer.from(key, 'base64url');
+}
+
+/**
+ * AES-256-GCM encryption of share payload files
+ */
+export const ShareCrypto = {
+  /**
+   * Generate a new share key
+   * @return {String} Base64url 256-bit key
+   */
+  generateKey: function() {
+    return crypto.randomBytes(32).toString('base64url');
+  },
+
+  /**
+   * Encrypt one file's content
+   * @param {String} plaintext - File content
+   * @param {String} key - Base64url key
+   * @return {String} Prefix, then base64 of iv + tag + ciphertext
+   */
+  encrypt: function(plaintext, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, toKeyBuffer(key), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return CIPHERTEXT_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  },
+
+  /**
+   * Check whether file content is ciphertext written by encrypt
+   * @param {String|Buffer} content - File content
+   * @return {Boolean} True if encrypted
+   */
+  isEncrypted: function(content) {
+    return typeof content === 'string' ? content.startsWith(CIPHERTEXT_PREFIX) :
+      Buffer.isBuffer(content) && content.subarray(0, CIPHERTEXT_PREFIX.length).toString() === CIPHERTEXT_PREFIX;
+  },
+
+  /**
+   * Decrypt one file's content; the GCM tag rejects wrong keys and tampering
+   * @param {String|Buffer} content - Ciphertext written by encrypt
+   * @param {String} key - Base64url key
+   * @return {String} Plaintext
+   */
+  decrypt: function(content, key) {
+    const data = Buffer.from(String(content).substring(CIPHERTEXT_PREFIX.length).trim(), 'base64');
+    if (data.length < IV_LENGTH + TAG_LENGTH) {
+      throw OperationOutcomeUtils.error('decrypt-failed', 'security', 'Encrypted file is truncated');
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, toKeyBuffer(key), data.subarray(0, IV_LENGTH));
+      decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch (err) {
+      throw OperationOutcomeUtils.error('decrypt-failed', 'security', 'Could not decrypt the share: wrong key or corrupted file');
+    }
+  },
+
+  /**
+   * Decrypt every encrypted file of a share, dropping the .enc suffix
+   * @param {Object} contents - Object with filename keys and content values
+   * @param {String} key - Base64url key, or null when none was supplied
+   * @return {Object} Contents with plaintext values
+   */
+  decryptContents: function(contents, key) {
+    const decrypted = {};
+
+    Object.keys(contents).forEach(function(fileName) {
+      const content = contents[fileName];
+      if (!ShareCrypto.isEncrypted(content)) {
+        decrypted[fileName] = content;
+        return;
+      }
+
+      if (!key) {
+        throw OperationOutcomeUtils.error('key-required', 'security', 'This share is encrypted; join it with the share link that includes its key');
+      }
+
+      const plainName = fileName.endsWith(ENCRYPTED_FILE_SUFFIX) ?
+        fileName.substring(0, fileName.length - ENCRYPTED_FILE_SUFFIX.length) :
+        fileName;
+      decrypted[plainName] = ShareCrypto.decrypt(content, key);
+    });
+
+    return decrypted;
+  }
+};
+
+/**
+ * Public-key envelopes for recipient-targeted shares: the share's AES key is
+ * wrapped with RSA-OAEP (SHA-256) for every recipient, who are identified by
+ * key fingerprint only
+ */
+export const ShareEnvelopes = {
+  /**
+   * Check that a public key can be used as a recipient
+   * @param {String} publicKey - SPKI PEM
+   * @return {KeyObject} Parsed key
+   */
+  checkPublicKey: function(publicKey) {
+    let keyObject;
+    try {
+      keyObject = crypto.createPublicKey(publicKey);
+    } catch (err) {
+      throw OperationOutcomeUtils.error('invalid-key', 'invalid', 'Not a PEM public key');
+    }
+
+    if (keyObject.asymmetricKeyType !== 'rsa' || keyObject.asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) {
+      throw OperationOutcomeUtils.error('invalid-key', 'invalid', `Recipient keys must be RSA, at least ${MIN_RSA_BITS} bits`);
+    }
+    return keyObject;
+  },
+
+  /**
+   * Fingerprint of a public key
+   * @param {String} publicKey - SPKI PEM
+   * @return {String} Hex SHA-256 of the DER-encoded key
+   */
+  fingerprint: function(publicKey) {
+    const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex');
+  },
+
+  /**
+   * Build the envelope file for a share
+   * @param {String} shareKey - Base64url AES key of the share
+   * @param {Array} publicKeys - Recipients' SPKI PEM public keys
+   * @return {String} JSON for ENVELOPE_FILENAME
+   */
+  create: function(shareKey, publicKeys) {
+    const keyBuffer = toKeyBuffer(shareKey);
+
+    return JSON.stringify({
+      format: ENVELOPE_FORMAT,
+      version: 1,
+      algorithm: 'RSA-OAEP-256',
+      contentAlgorithm: 'AES-256-GCM',
+      envelopes: publicKeys.map(function(publicKey) {
+        const wrappedKey = crypto.publicEncrypt({
+          key: ShareEnvelopes.checkPublicKey(publicKey),
+          padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: 'sha256'
+        }, keyBuffer);
+
+        return { recipient: ShareEnvelopes.fingerprint(publicKey), wrappedKey: wrappedKey.toString('base64') };
+      })
+    }, null, 2);
+  },
+
+  /**
+   * Parse an envelope file
+   * @param {String} content - File content
+   * @return {Object} Envelope document, or null if the content isn't one
+   */
+  parse: function(content) {
+    try {
+      const envelope = JSON.parse(content);
+      return envelope && envelope.format === ENVELOPE_FORMAT && Array.isArray(envelope.envelopes) ? envelope : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * Unwrap the share key from the envelope addressed to this node
+   * @param {Object} envelope - Result of parse
+   * @param {Object} identity - { privateKey, fingerprint } of this node
+   * @return {String} Base64url share key, or null when no envelope is for this node
+   */
+  open: function(envelope, identity) {
+    const mine = envelope.envelopes.find(e => e.recipient === identity.fingerprint);
+    if (!mine) {
+      return null;
+    }
+
+    try {
+      return crypto.privateDecrypt({
+        key: identity.privateKey,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      }, Buffer.from(mine.wrappedKey, 'base64')).toString('base64url');
+    } catch (err) {
+      throw OperationOutcomeUtils.error('decrypt-failed', 'security', 'Could not unwrap the share key addressed to this node');
+    }
+  }
+};
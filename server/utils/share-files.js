@@ -0,0 +1,294 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import { Settings } from '/imports/api/settings/settings';
+import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { NdjsonReader } from './ndjson-reader';
+import { ShareKeys } from './share-keys';
+
+/**
+ * Whether a file is read line by line as NDJSON rather than parsed whole
+ * @param {String} name - File name
+ * @return {Boolean} True for .ndjson files
+ */
+function isNdjson(name) {
+  return path.extname(name).toLowerCase() === '.ndjson';
+}
+
+/**
+ * Read a stream into a string
+ * @param {Stream} stream - Readable stream
+ * @param {Number} maxBytes - Give up beyond this many bytes
+ * @return {Promise<String>} UTF-8 text
+ */
+async function readStream(stream, maxBytes = Infinity) {
+  const chunks = [];
+  let size = 0;
+
+  try {
+    for await (const chunk of stream) {
+      const buffer = Buffer.from(chunk);
+      size += buffer.length;
+      if (size > maxBytes) {
+        throw OperationOutcomeUtils.error('too-large', 'too-costly', `File is larger than ${maxBytes} bytes`);
+      }
+      chunks.push(buffer);
+    }
+  } finally {
+    if (typeof stream.destroy === 'function') {
+      stream.destroy();
+    }
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * A share's files as streams, from disk or from WebTorrent, so the viewers and
+ * indexers never hold a whole share in memory. AES-GCM files only authenticate
+ * as a whole, so encrypted shares are still decrypted in memory first.
+ */
+export const ShareFiles = {
+  _source: null,
+
+  /**
+   * Directory shares are downloaded to and created in
+   * @return {String} Path with ${PORT} filled in
+   */
+  storagePath: function() {
+    const storagePath = Settings.get('private.storage.tempPath', '/tmp/fhir-torrents');
+    const port = process.env.PORT || 3000;
+    return storagePath.replace(/\$\{PORT\}/g, port);
+  },
+
+  /**
+   * Resolve a path within a directory
+   * @param {String} directory - Directory the path must stay in
+   * @param {String} relativePath - Path relative to it
+   * @return {String} Absolute path, or null when it leads outside the directory
+   */
+  resolveWithin: function(directory, relativePath) {
+    const base = path.resolve(directory);
+    const resolved = path.resolve(base, relativePath);
+    return resolved.startsWith(base + path.sep) ? resolved : null;
+  },
+
+  /**
+   * The files of a share as stored, from the client when it has them, else from the record
+   * @param {Object} torrentRecord - Torrent document
+   * @return {Array} [{ name, path, size }]
+   */
+  _stored: function(torrentRecord) {
+    const torrent = ShareFiles._source && ShareFiles._source.getTorrent(torrentRecord.infoHash);
+    const files = torrent && torrent.files && torrent.files.length > 0 ? torrent.files : (torrentRecord.files || []);
+    return files.map(file => ({
+      name: file.name,
+      path: file.path || file.name,
+      size: file.length !== undefined ? file.length : file.size
+    }));
+  },
+
+  /**
+   * The files of a share, and for encrypted shares their decrypted contents
+   * @param {Object} torrentRecord - Torrent document
+   * @return {Promise<Object>} { files: [{ name, path, size }], contents }
+   */
+  _files: async function(torrentRecord) {
+    if (!torrentRecord.encryption) {
+      return { files: ShareFiles._stored(torrentRecord), contents: null };
+    }
+
+    const encrypted = {};
+    for (const file of ShareFiles._stored(torrentRecord)) {
+      encrypted[file.name] = await readStream(ShareFiles.openTorrentFile(torrentRecord, file.path));
+    }
+
+    const contents = await ShareKeys.decrypt(encrypted, torrentRecord.infoHash);
+    return {
+      files: Object.keys(contents).map(name => ({ name: name, path: name, size: Buffer.byteLength(contents[name], 'utf8') })),
+      contents: contents
+    };
+  },
+
+  /**
+   * The (plaintext) files of a share
+   * @param {Object} torrentRecord - Torrent document
+   * @return {Promise<Array>} [{ name, path, size }]
+   */
+  list: async function(torrentRecord) {
+    return (await ShareFiles._files(torrentRecord)).files;
+  },
+
+  /**
+   * Open one file of an unencrypted share, preferring a complete copy on disk
+   * and falling back to the WebTorrent file stream, which fetches pieces on demand.
+   * Only files the share lists are opened, and never from outside its directory.
+   * @param {Object} torrentRecord - Torrent document
+   * @param {String} fileName - Name or path of the file within the torrent
+   * @return {Stream} Readable stream
+   */
+  openTorrentFile: function(torrentRecord, fileName) {
+    const infoHash = torrentRecord.infoHash;
+    const isFile = f => f.name === fileName || f.path === fileName;
+    const torrent = ShareFiles._source && ShareFiles._source.getTorrent(infoHash);
+    const torrentFile = torrent && torrent.files ? torrent.files.find(isFile) : null;
+    const listedFile = torrentFile || (torrentRecord.files || []).find(isFile);
+
+    if (!listedFile) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', `File ${fileName} not found for torrent ${infoHash}`);
+    }
+    const filePath = listedFile.path || listedFile.name;
+
+    // Bulk-export manifests are read from the local copy, whose urls point at the downloaded files
+    const bulkExport = torrentRecord.bulkExport;
+    if (bulkExport && listedFile.name === bulkExport.manifestFile && fs.existsSync(bulkExport.localManifestPath)) {
+      return fs.createReadStream(bulkExport.localManifestPath);
+    }
+
+    if (!torrentFile || torrentFile.progress === 1) {
+      const storagePath = ShareFiles.storagePath();
+      const candidates = [];
+
+      if (torrentRecord.torrentDirectory) {
+        candidates.push(ShareFiles.resolveWithin(torrentRecord.torrentDirectory, path.basename(filePath)));
+      }
+      if (torrentFile) {
+        candidates.push(ShareFiles.resolveWithin(torrent.path || storagePath, filePath));
+      }
+      candidates.push(ShareFiles.resolveWithin(storagePath, filePath));
+
+      const diskPath = candidates.find(candidate => candidate && fs.existsSync(candidate));
+      if (diskPath) {
+        console.log(`💾 Streaming ${fileName} from disk: ${diskPath}`);
+        return fs.createReadStream(diskPath);
+      }
+    }
+
+    if (torrentFile) {
+      console.log(`📡 Streaming ${fileName} from WebTorrent (${Math.round(torrentFile.progress * 100)}% downloaded)`);
+      return torrentFile.createReadStream();
+    }
+
+    throw OperationOutcomeUtils.error('not-found', 'not-found', `File ${fileName} of torrent ${infoHash} is not on disk`);
+  },
+
+  /**
+   * Open one file of a share
+   * @param {Object} torrentRecord - Torrent document
+   * @param {String} fileName - Name or path of the (plaintext) file within the share
+   * @return {Promise<Stream>} Readable stream
+   */
+  open: async function(torrentRecord, fileName) {
+    if (!torrentRecord.encryption) {
+      return ShareFiles.openTorrentFile(torrentRecord, fileName);
+    }
+
+    const { contents } = await ShareFiles._files(torrentRecord);
+    if (contents[fileName] === undefined) {
+      throw OperationOutcomeUtils.error('not-found', 'not-found', `File ${fileName} not found in share`);
+    }
+    return Readable.from([contents[fileName]]);
+  },
+
+  /**
+   * Read one file of a share whole, for the small ones that are single JSON documents
+   * @param {Object} torrentRecord - Torrent document
+   * @param {String} fileName - Name or path of the file within the share
+   * @param {Number} maxBytes - Refuse files larger than this
+   * @return {Promise<String>} File content
+   */
+  readText: async function(torrentRecord, fileName, maxBytes) {
+    return ShareFiles.readAll(await ShareFiles.open(torrentRecord, fileName), maxBytes);
+  },
+
+  /**
+   * Read a stream from open() or each() whole
+   * @param {Stream} stream - Readable stream
+   * @param {Number} maxBytes - Refuse files larger than this
+   * @return {Promise<String>} UTF-8 text
+   */
+  readAll: function(stream, maxBytes) {
+    return readStream(stream, maxBytes);
+  },
+
+  /**
+   * Open every file of a share in turn
+   * @param {Object} torrentRecord - Torrent document
+   * @param {Function} fn - Called with ({ name, path, size }, stream); may return a Promise
+   * @return {Promise}
+   */
+  each: async function(torrentRecord, fn) {
+    const { files, contents } = await ShareFiles._files(torrentRecord);
+
+    for (const file of files) {
+      const stream = contents ? Readable.from([contents[file.name]]) : ShareFiles.openTorrentFile(torrentRecord, file.path);
+      await fn(file, stream);
+    }
+  },
+
+  /**
+   * Hash every file of a share
+   * @param {Object} torrentRecord - Torrent document
+   * @return {Promise<Object>} Object with filename keys and hex SHA-256 values
+   */
+  hashFiles: async function(torrentRecord) {
+    const hashes = {};
+
+    await ShareFiles.each(torrentRecord, async function(file, stream) {
+      const hash = crypto.createHash('sha256');
+      for await (const chunk of stream) {
+        hash.update(typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk);
+      }
+      hashes[file.name] = hash.digest('hex');
+    });
+
+    return hashes;
+  },
+
+  /**
+   * Visit every resource in a share, NDJSON line by line. Bundles are single
+   * JSON documents and have to be parsed whole, one file at a time.
+   * @param {Object} torrentRecord - Torrent document
+   * @param {Function} onResource - Called with (resource, { file, fullUrl, line }); may return a Promise
+   * @return {Promise<Object>} { total, types, files: { [name]: { total, types, errors, errorCount } } }
+   */
+  eachResource: async function(torrentRecord, onResource = function() {}) {
+    const summary = { total: 0, types: {}, files: {} };
+
+    await ShareFiles.each(torrentRecord, async function(file, stream) {
+      let counts;
+
+      if (isNdjson(file.name)) {
+        counts = await NdjsonReader.count(stream, {
+          onResource: (resource, line) => onResource(resource, { file: file.name, line: line })
+        });
+      } else {
+        const found = [];
+        counts = FhirUtils.countResources(await readStream(stream), {
+          onResource: (resource, context) => found.push({ resource: resource, fullUrl: context.fullUrl })
+        });
+        for (const entry of found) {
+          await onResource(entry.resource, { file: file.name, fullUrl: entry.fullUrl });
+        }
+      }
+
+      summary.files[file.name] = counts;
+      summary.total += counts.total;
+      Object.keys(counts.types).forEach(function(type) {
+        summary.types[type] = (summary.types[type] || 0) + counts.types[type];
+      });
+    });
+
+    return summary;
+  },
+
+  /**
+   * Read the files of a torrent server's shares
+   * @param {Object} source - { getTorrent }, i.e. WebTorrentServer
+   */
+  start: function(source) {
+    ShareFiles._source = source;
+  }
+};
@@ -0,0 +1,69 @@
+import { Settings } from '/imports/api/settings/settings';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+import { PatientIndex } from './patient-index';
+import { ResourceIndex } from './resource-index';
+import { ShareFiles } from './share-files';
+
+/**
+ * Visit the resources of files already in memory
+ * @param {Object} contents - Object with filename keys and content values
+ * @return {Function} Calls its argument with (resource, { file, fullUrl }) for every resource
+ */
+function eachResourceIn(contents) {
+  return async function(onResource) {
+    for (const file of Object.keys(contents)) {
+      const found = [];
+      FhirUtils.countResources(contents[file], {
+        onResource: (resource, context) => found.push({ resource: resource, fullUrl: context.fullUrl })
+      });
+      for (const entry of found) {
+        await onResource(entry.resource, { file: file, fullUrl: entry.fullUrl });
+      }
+    }
+  };
+}
+
+/**
+ * Keep the per-share indexes (patients, FHIR search) in step with the shares themselves
+ */
+export const ShareIndex = {
+  /**
+   * Index a share's files, streaming them from the torrent unless given
+   * @param {String} infoHash - Info hash of the torrent
+   * @param {Object} contents - Optional object with filename keys and content values
+   * @return {Promise<Object>} { patients, compartmentResources, resources }
+   */
+  indexTorrent: async function(infoHash, contents) {
+    const summary = { patients: 0, compartmentResources: 0, resources: 0 };
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      return summary;
+    }
+
+    const eachResource = contents ?
+      eachResourceIn(contents) :
+      onResource => ShareFiles.eachResource(torrentRecord, onResource);
+
+    if (Settings.get('public.fhir.patientIndex', true)) {
+      const patients = await PatientIndex.indexTorrent(infoHash, eachResource);
+      summary.patients = patients.patients;
+      summary.compartmentResources = patients.resources;
+    }
+
+    if (Settings.get('private.fhirFacade.enabled', false)) {
+      summary.resources = await ResourceIndex.indexTorrent(infoHash, eachResource);
+    }
+
+    return summary;
+  },
+
+  /**
+   * Remove a share from every index
+   * @param {String} infoHash - Info hash of the torrent
+   */
+  removeTorrent: async function(infoHash) {
+    await PatientIndex.removeTorrent(infoHash);
+    await ResourceIndex.removeTorrent(infoHash);
+  }
+};
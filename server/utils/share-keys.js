@@ -0,0 +1,57 @@
+import { TorrentsCollection, ShareKeysCollection } from '/imports/api/torrents/torrents';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { ShareCrypto, ShareEnvelopes, ENVELOPE_FILENAME } from './share-crypto';
+import { NodeKeys } from './node-keys';
+
+/**
+ * Keys of encrypted shares this node can open, from share links or from
+ * recipient envelopes addressed to it
+ */
+export const ShareKeys = {
+  /**
+   * Remember the key of an encrypted share
+   * @param {String} infoHash - Info hash of the torrent
+   * @param {String} key - Base64url AES-256 key
+   * @param {Number} recipients - Recipient envelopes in the share, 0 when the key travels in the link
+   */
+  store: async function(infoHash, key, recipients = 0) {
+    await ShareKeysCollection.upsertAsync(
+      { infoHash },
+      { $set: { key: key, updatedAt: new Date() } }
+    );
+    await TorrentsCollection.updateAsync(
+      { infoHash },
+      { $set: { encryption: { algorithm: 'AES-256-GCM', hasKey: true, recipients: recipients } } }
+    );
+  },
+
+  /**
+   * Decrypt an encrypted share's files with the key this node holds, or with the
+   * key unwrapped from the recipient envelope addressed to this node; other
+   * shares pass through unchanged
+   * @param {Object} contents - Object with filename keys and content values
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Promise<Object>} Contents with plaintext values and .enc suffixes dropped
+   */
+  decrypt: async function(contents, infoHash) {
+    const shareKey = await ShareKeysCollection.findOneAsync({ infoHash });
+    let key = shareKey ? shareKey.key : null;
+
+    const envelope = contents[ENVELOPE_FILENAME] !== undefined ? ShareEnvelopes.parse(contents[ENVELOPE_FILENAME]) : null;
+    if (envelope) {
+      contents = { ...contents };
+      delete contents[ENVELOPE_FILENAME];
+
+      if (!key) {
+        key = ShareEnvelopes.open(envelope, await NodeKeys.getIdentity());
+        if (!key) {
+          throw OperationOutcomeUtils.error('not-a-recipient', 'security', 'This share is addressed to other recipients, not to this node');
+        }
+        await ShareKeys.store(infoHash, key, envelope.envelopes.length);
+        console.log(`🔓 Opened recipient envelope for ${infoHash}`);
+      }
+    }
+
+    return ShareCrypto.decryptContents(contents, key);
+  }
+};
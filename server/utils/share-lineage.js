@@ -0,0 +1,141 @@
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { IndexedResourcesCollection } from '/imports/api/resources/resources';
+import { ShareProvenance, PROVENANCE_FILENAME } from '/imports/api/fhir/share-provenance';
+import { ShareFiles } from './share-files';
+
+// Resources of a new share looked up in the search index when detecting its sources
+const MAX_SAMPLE = 1000;
+
+// Share of the sampled resources another share must hold to count as a source
+const DERIVATION_THRESHOLD = 0.5;
+
+// Ancestors followed when describing a share's lineage
+const MAX_DEPTH = 10;
+
+/**
+ * Describe one share and, recursively, the shares it was derived from
+ * @param {String} infoHash - Info hash of the share
+ * @param {String} name - Name the child's provenance gave it, used when it isn't held locally
+ * @param {Set} visited - Info hashes already on this path
+ * @param {Number} depth - Distance from the share the chain was asked for
+ * @return {Promise<Object>} { infoHash, name, available, recorded, publisherName, signature, sources }
+ */
+async function describeShare(infoHash, name, visited, depth) {
+  const torrent = await TorrentsCollection.findOneAsync(
+    { infoHash },
+    { fields: { name: 1, lineage: 1, signature: 1 } }
+  );
+
+  const node = {
+    infoHash: infoHash,
+    name: torrent ? torrent.name : (name || infoHash),
+    available: !!torrent,
+    recorded: torrent && torrent.lineage ? torrent.lineage.recorded : null,
+    publisherName: torrent && torrent.lineage ? torrent.lineage.publisherName : null,
+    signature: torrent && torrent.signature ? torrent.signature.state : null,
+    sources: []
+  };
+
+  if (!torrent || !torrent.lineage || visited.has(infoHash) || depth >= MAX_DEPTH) {
+    return node;
+  }
+
+  visited.add(infoHash);
+  for (const source of torrent.lineage.sources || []) {
+    node.sources.push(source.kind === 'share' ?
+      { kind: 'share', ...await describeShare(source.infoHash, source.name, visited, depth + 1) } :
+      source);
+  }
+  visited.delete(infoHash);
+
+  return node;
+}
+
+/**
+ * Where shares came from: sources detected when a share is created, the
+ * lineage read from provenance.json on download, and chains across shares
+ */
+export const ShareLineage = {
+  /**
+   * Find local shares a new share was derived from: those already holding
+   * most of its resources, by type and id, in the FHIR search index
+   * @param {Array} fileData - The new share's files, before de-identification
+   * @return {Promise<Array>} Sources { kind: 'share', infoHash, name }
+   */
+  detectDerivations: async function(fileData) {
+    const sample = ShareProvenance.resourceKeys(fileData).slice(0, MAX_SAMPLE);
+    if (sample.length === 0) {
+      return [];
+    }
+
+    const matches = await IndexedResourcesCollection.find(
+      { $or: sample.map(key => ({ resourceType: key.split('/')[0], id: key.split('/')[1] })) },
+      { fields: { infoHash: 1, resourceType: 1, id: 1 } }
+    ).fetchAsync();
+
+    const perShare = {};
+    matches.forEach(function(match) {
+      perShare[match.infoHash] = perShare[match.infoHash] || new Set();
+      perShare[match.infoHash].add(`${match.resourceType}/${match.id}`);
+    });
+
+    const infoHashes = Object.keys(perShare).filter(infoHash => perShare[infoHash].size >= sample.length * DERIVATION_THRESHOLD);
+    return await ShareLineage.describeSources(infoHashes);
+  },
+
+  /**
+   * Turn info hashes of local shares into sources
+   * @param {Array} infoHashes - Info hashes
+   * @return {Promise<Array>} Sources { kind: 'share', infoHash, name }
+   */
+  describeSources: async function(infoHashes) {
+    if (infoHashes.length === 0) {
+      return [];
+    }
+
+    const torrents = await TorrentsCollection.find(
+      { infoHash: { $in: infoHashes } },
+      { fields: { infoHash: 1, name: 1 } }
+    ).fetchAsync();
+    const names = {};
+    torrents.forEach(function(torrent) {
+      names[torrent.infoHash] = torrent.name;
+    });
+
+    return infoHashes.map(infoHash => ({ kind: 'share', infoHash: infoHash, name: names[infoHash] || infoHash }));
+  },
+
+  /**
+   * Read a downloaded share's provenance.json into its torrent document
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Promise<Object>} Lineage as stored, or null for shares without provenance
+   */
+  recordTorrent: async function(infoHash) {
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    const files = torrentRecord ? await ShareFiles.list(torrentRecord) : [];
+    const parsed = files.some(file => file.name === PROVENANCE_FILENAME) ?
+      ShareProvenance.parse(await ShareFiles.readText(torrentRecord, PROVENANCE_FILENAME)) :
+      null;
+    if (!parsed) {
+      return null;
+    }
+
+    // The node that created the share already holds its lineage, with any sources the file leaves out
+    if (torrentRecord.lineage && torrentRecord.lineage.shareId === parsed.lineage.shareId) {
+      return torrentRecord.lineage;
+    }
+
+    await TorrentsCollection.updateAsync({ infoHash }, { $set: { lineage: parsed.lineage } });
+    console.log(`🧬 Recorded lineage of ${infoHash}: ${parsed.lineage.sources.length} source(s)`);
+    return parsed.lineage;
+  },
+
+  /**
+   * A share and its ancestors, as far as they are known locally
+   * @param {String} infoHash - Info hash of the share
+   * @return {Promise<Object>} Lineage tree, see describeShare
+   */
+  getChain: function(infoHash) {
+    return describeShare(infoHash, null, new Set(), 0);
+  }
+};
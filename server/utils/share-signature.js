@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+import { AddressBookCollection } from '/imports/api/keys/keys';
+import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+import { PUBLISHER_SYSTEM } from '/imports/api/fhir/share-provenance';
+import { ShareEnvelopes } from './share-crypto';
+import { NodeKeys } from './node-keys';
+import { ShareFiles } from './share-files';
+
+// Provenance resource shipped in every signed share
+export const SIGNATURE_FILENAME = 'signature.json';
+
+const MANIFEST_FORMAT = 'fhir-p2p-share-manifest';
+
+/**
+ * Base64url-encode a JSON value
+ * @param {Object} value - Value to encode
+ * @return {String} Base64url JSON
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a base64url JSON segment of a JWS
+ * @param {String} segment - Base64url JSON
+ * @return {Object} Decoded value
+ */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * SHA-256 of a file's content as it is read back from the share
+ * @param {String} data - File content
+ * @return {String} Hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(String(data), 'utf8').digest('hex');
+}
+
+/**
+ * Signed shares: a manifest of file hashes and resource counts, signed as a
+ * compact JWS (RS256) with the node's keypair and carried in a FHIR Provenance.
+ * The torrent's infoHash covers the signature file itself, so it can't be
+ * signed from inside the torrent; the file hashes bind the same content and
+ * the infoHash is recorded alongside the verification result instead.
+ */
+export const ShareSignature = {
+  /**
+   * Describe the files a signature covers
+   * @param {Array} fileData - Array of { name, data } objects
+   * @return {Array} [{ name, sha256, size, resources }]
+   */
+  describeFiles: function(fileData) {
+    return fileData.map(function(file) {
+      const format = FhirUtils.detectFormat(file.data);
+      return {
+        name: file.name,
+        sha256: sha256(file.data),
+        size: Buffer.byteLength(String(file.data), 'utf8'),
+        resources: format === 'bundle' || format === 'ndjson' ? FhirUtils.countResources(file.data).total : 0
+      };
+    });
+  },
+
+  /**
+   * Sign a share's files
+   * @param {Array} fileData - Array of { name, data } objects
+   * @param {Object} identity - { publicKey, privateKey, fingerprint } of the publisher
+   * @param {Object} options - { name: share name, publisherName }
+   * @return {String} Provenance JSON for SIGNATURE_FILENAME
+   */
+  sign: function(fileData, identity, options = {}) {
+    const created = new Date().toISOString();
+    const files = ShareSignature.describeFiles(fileData);
+    const publisher = { identifier: { system: PUBLISHER_SYSTEM, value: identity.fingerprint }, display: options.publisherName };
+
+    const header = {
+      alg: 'RS256',
+      kid: identity.fingerprint,
+      jwk: crypto.createPublicKey(identity.publicKey).export({ format: 'jwk' })
+    };
+    const payload = {
+      format: MANIFEST_FORMAT,
+      version: 1,
+      name: options.name,
+      publisher: identity.fingerprint,
+      created: created,
+      resources: files.reduce((sum, file) => sum + file.resources, 0),
+      files: files
+    };
+    const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), identity.privateKey).toString('base64url');
+
+    return JSON.stringify({
+      resourceType: 'Provenance',
+      id: 'share-signature',
+      target: files.map(file => ({ display: file.name })),
+      recorded: created,
+      activity: {
+        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-DataOperation', code: 'CREATE', display: 'create' }]
+      },
+      agent: [{
+        type: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type', code: 'author', display: 'Author' }]
+        },
+        who: publisher
+      }],
+      signature: [{
+        type: [{ system: 'urn:iso-astm:E1762-95:2013', code: '1.2.840.10065.1.12.1.1', display: 'Author\'s Signature' }],
+        when: created,
+        who: publisher,
+        targetFormat: 'application/json',
+        sigFormat: 'application/jose',
+        data: Buffer.from(`${signingInput}.${signature}`).toString('base64')
+      }]
+    }, null, 2);
+  },
+
+  /**
+   * Check a share's signature and file hashes. Trust is decided separately.
+   * @param {Object} contents - Object with filename keys and (plaintext) content values
+   * @return {Object} { state: 'valid', 'invalid' or 'unsigned', publisher, publisherName, signedAt, issues }
+   */
+  verify: function(contents) {
+    const hashes = {};
+    Object.keys(contents).forEach(function(name) {
+      hashes[name] = sha256(contents[name]);
+    });
+    return ShareSignature.verifyHashes(contents[SIGNATURE_FILENAME], hashes);
+  },
+
+  /**
+   * Check a share's signature against the hashes of its files, so they can be
+   * hashed as they stream rather than read whole
+   * @param {String} signatureData - Content of SIGNATURE_FILENAME, undefined for unsigned shares
+   * @param {Object} hashes - Object with filename keys and hex SHA-256 values of the (plaintext) files
+   * @return {Object} See verify
+   */
+  verifyHashes: function(signatureData, hashes) {
+    if (signatureData === undefined) {
+      return { state: 'unsigned', issues: [] };
+    }
+
+    const invalid = issue => ({ state: 'invalid', issues: [issue] });
+    const provenance = FhirUtils.parseJson(signatureData);
+    const signature = provenance && provenance.resourceType === 'Provenance' && (provenance.signature || [])
+      .find(sig => sig.sigFormat === 'application/jose' && sig.data);
+    if (!signature) {
+      return invalid(`${SIGNATURE_FILENAME} holds no JWS signature`);
+    }
+
+    let header;
+    let payload;
+    let publicKey;
+    const parts = Buffer.from(signature.data, 'base64').toString('utf8').split('.');
+    try {
+      header = decodeSegment(parts[0]);
+      payload = decodeSegment(parts[1]);
+      publicKey = crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+    } catch (err) {
+      return invalid('The signature is not a well-formed JWS');
+    }
+
+    const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+    const fingerprint = ShareEnvelopes.fingerprint(publicKeyPem);
+    const signedBy = {
+      publisher: fingerprint,
+      publisherName: signature.who && signature.who.display,
+      signedAt: payload.created ? new Date(payload.created) : null
+    };
+
+    if (parts.length !== 3 || header.alg !== 'RS256' || payload.format !== MANIFEST_FORMAT ||
+        !crypto.verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`), publicKey, Buffer.from(parts[2], 'base64url'))) {
+      return { ...signedBy, state: 'invalid', issues: ['The signature does not match its manifest'] };
+    }
+    if (payload.publisher !== fingerprint) {
+      return { ...signedBy, state: 'invalid', issues: ['The manifest names a different publisher than the signing key'] };
+    }
+
+    const issues = [];
+    const signedNames = (payload.files || []).map(file => file.name);
+    (payload.files || []).forEach(function(file) {
+      if (hashes[file.name] === undefined) {
+        issues.push(`Signed file ${file.name} is missing`);
+      } else if (hashes[file.name] !== file.sha256) {
+        issues.push(`File ${file.name} was modified after signing`);
+      }
+    });
+    Object.keys(hashes).forEach(function(name) {
+      if (name !== SIGNATURE_FILENAME && !signedNames.includes(name)) {
+        issues.push(`File ${name} is not covered by the signature`);
+      }
+    });
+
+    return { ...signedBy, state: issues.length === 0 ? 'valid' : 'invalid', issues: issues };
+  },
+
+  /**
+   * Decide trust for a valid signature: this node and trusted address book entries
+   * @param {String} fingerprint - Publisher key fingerprint
+   * @return {Promise<Object>} Address book entry or { name } for this node; null when untrusted
+   */
+  findTrustedPublisher: async function(fingerprint) {
+    const identity = await NodeKeys.getIdentity();
+    if (identity.fingerprint === fingerprint) {
+      return { name: 'This node' };
+    }
+    return await AddressBookCollection.findOneAsync({ fingerprint: fingerprint, trusted: true });
+  },
+
+  /**
+   * Verify a downloaded share and record the result on its torrent document
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Promise<Object>} Signature field as stored, or null for unknown torrents
+   */
+  verifyTorrent: async function(infoHash) {
+    const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
+    if (!torrentRecord) {
+      return null;
+    }
+
+    const hashes = await ShareFiles.hashFiles(torrentRecord);
+    const signatureData = hashes[SIGNATURE_FILENAME] !== undefined ?
+      await ShareFiles.readText(torrentRecord, SIGNATURE_FILENAME) :
+      undefined;
+    const result = ShareSignature.verifyHashes(signatureData, hashes);
+
+    let state = result.state;
+    let publisherName = result.publisherName;
+    if (state === 'valid') {
+      const trusted = await ShareSignature.findTrustedPublisher(result.publisher);
+      state = trusted ? 'verified' : 'untrusted';
+      publisherName = trusted ? trusted.name : publisherName;
+    }
+
+    const signature = {
+      state: state,
+      publisher: result.publisher || null,
+      publisherName: publisherName || null,
+      signedAt: result.signedAt || null,
+      infoHash: infoHash,
+      issues: result.issues,
+      verifiedAt: new Date()
+    };
+
+    await TorrentsCollection.updateAsync({ infoHash }, { $set: { signature: signature } });
+
+    const icon = state === 'verified' ? '✅' : (state === 'invalid' ? '❌' : '⚠️');
+    console.log(`${icon} Signature of ${infoHash}: ${state}${result.publisher ? ` (publisher ${result.publisher.substring(0, 16)}…)` : ''}`);
+    result.issues.forEach(issue => console.warn(`⚠️ ${issue}`));
+
+    return signature;
+  }
+};
@@ -0,0 +1,247 @@
+// Announces with no response or error after this long count as failed
+const RESPONSE_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * New health record for a tracker URL
+ * @param {String} url - Announce URL
+ * @return {Object} Tracker health
+ */
+function createEntry(url) {
+  return {
+    url: url,
+    status: 'unknown',
+    totalAnnounces: 0,
+    successfulAnnounces: 0,
+    failedAnnounces: 0,
+    consecutiveFailures: 0,
+    responses: 0,
+    totalResponseTime: 0,
+    lastAnnounce: null,
+    lastResponse: null,
+    lastError: null,
+    lastErrorAt: null,
+    torrents: new Map() // infoHash -> { status, seeders, leechers, lastResponse, lastError }
+  };
+}
+
+/**
+ * Tracker health from what each tracker actually answered: announces are
+ * timed from when the tracker client sends them to its `update`, `warning`
+ * or `error` event, per announce URL and per torrent.
+ */
+export const TrackerHealth = {
+  _trackers: new Map(), // url -> health record
+  _pending: new Map(), // "infoHash url" -> announce start time
+
+  /**
+   * Health record for a tracker, created on first use
+   * @param {String} url - Announce URL
+   * @return {Object} Health record
+   */
+  _entry: function(url) {
+    if (!TrackerHealth._trackers.has(url)) {
+      TrackerHealth._trackers.set(url, createEntry(url));
+    }
+    return TrackerHealth._trackers.get(url);
+  },
+
+  /**
+   * Per-torrent record within a tracker's
+   * @param {Object} entry - Tracker health record
+   * @param {String} infoHash - Info hash
+   * @return {Object} { status, seeders, leechers, lastResponse, lastError }
+   */
+  _torrentEntry: function(entry, infoHash) {
+    if (!entry.torrents.has(infoHash)) {
+      entry.torrents.set(infoHash, { status: 'unknown', seeders: null, leechers: null, lastResponse: null, lastError: null });
+    }
+    return entry.torrents.get(infoHash);
+  },
+
+  /**
+   * An announce was sent
+   * @param {String} url - Announce URL
+   * @param {String} infoHash - Info hash announced
+   * @param {Number} now - Time sent (ms)
+   */
+  recordAnnounce: function(url, infoHash, now = Date.now()) {
+    const key = `${infoHash} ${url}`;
+    // A new announce before the last was answered: the last one never was
+    if (TrackerHealth._pending.has(key)) {
+      TrackerHealth.recordFailure(url, infoHash, 'Announce superseded without a response', now);
+    }
+
+    const entry = TrackerHealth._entry(url);
+    entry.totalAnnounces++;
+    entry.lastAnnounce = new Date(now);
+    TrackerHealth._pending.set(key, now);
+  },
+
+  /**
+   * A tracker answered an announce
+   * @param {String} url - Announce URL
+   * @param {String} infoHash - Info hash announced
+   * @param {Object} data - Tracker `update` data: { complete, incomplete }
+   * @param {Number} now - Time received (ms)
+   */
+  recordResponse: function(url, infoHash, data = {}, now = Date.now()) {
+    const key = `${infoHash} ${url}`;
+    const entry = TrackerHealth._entry(url);
+
+    if (TrackerHealth._pending.has(key)) {
+      entry.responses++;
+      entry.totalResponseTime += now - TrackerHealth._pending.get(key);
+      TrackerHealth._pending.delete(key);
+    } else {
+      // Sent before we were watching (e.g. the torrent's first announce)
+      entry.totalAnnounces++;
+    }
+
+    entry.successfulAnnounces++;
+    entry.consecutiveFailures = 0;
+    entry.status = 'active';
+    entry.lastResponse = new Date(now);
+
+    const torrent = TrackerHealth._torrentEntry(entry, infoHash);
+    torrent.status = 'active';
+    torrent.seeders = typeof data.complete === 'number' ? data.complete : torrent.seeders;
+    torrent.leechers = typeof data.incomplete === 'number' ? data.incomplete : torrent.leechers;
+    torrent.lastResponse = new Date(now);
+  },
+
+  /**
+   * An announce failed or went unanswered
+   * @param {String} url - Announce URL
+   * @param {String} infoHash - Info hash announced
+   * @param {String} message - Why
+   * @param {Number} now - Time of failure (ms)
+   */
+  recordFailure: function(url, infoHash, message, now = Date.now()) {
+    const key = `${infoHash} ${url}`;
+    const entry = TrackerHealth._entry(url);
+
+    if (TrackerHealth._pending.has(key)) {
+      TrackerHealth._pending.delete(key);
+    } else {
+      entry.totalAnnounces++;
+    }
+
+    entry.failedAnnounces++;
+    entry.consecutiveFailures++;
+    entry.status = 'error';
+    entry.lastError = message;
+    entry.lastErrorAt = new Date(now);
+
+    const torrent = TrackerHealth._torrentEntry(entry, infoHash);
+    torrent.status = 'error';
+    torrent.lastError = message;
+  },
+
+  /**
+   * Fail announces that have waited longer than the response timeout
+   * @param {Number} now - Current time (ms)
+   */
+  expirePending: function(now = Date.now()) {
+    Array.from(TrackerHealth._pending.entries()).forEach(function([key, sent]) {
+      if (now - sent > RESPONSE_TIMEOUT_MS) {
+        const [infoHash, url] = key.split(' ');
+        TrackerHealth.recordFailure(url, infoHash, `No response within ${RESPONSE_TIMEOUT_MS / 1000}s`, now);
+      }
+    });
+  },
+
+  /**
+   * Which tracker a warning is about. bittorrent-tracker only sometimes names
+   * the URL, so otherwise it is pinned on the torrent's one waiting announce;
+   * with several waiting, the timeout settles it instead of guessing.
+   * @param {String} infoHash - Info hash of the torrent warned about
+   * @param {Array} urls - The torrent's announce URLs
+   * @param {String} message - Warning message
+   * @return {String} Announce URL, or null
+   */
+  attribute: function(infoHash, urls, message) {
+    const named = urls.find(url => message && message.includes(url));
+    if (named) {
+      return named;
+    }
+    const waiting = urls.filter(url => TrackerHealth._pending.has(`${infoHash} ${url}`));
+    return waiting.length === 1 ? waiting[0] : null;
+  },
+
+  /**
+   * Announce URL (or message naming one) as shown and keyed here, without
+   * any private tracker passkey
+   * @param {String} url - Announce URL
+   * @return {String} URL with the passkey masked
+   */
+  redact: function(url) {
+    return String(url).replace(/([?&]passkey=)[^&\s]+/g, '$1…');
+  },
+
+  /**
+   * Follow a torrent's tracker client
+   * @param {Object} torrent - WebTorrent torrent
+   */
+  watch: function(torrent) {
+    const client = torrent && torrent.discovery && torrent.discovery.tracker;
+    if (!client || client._healthWatched) {
+      return;
+    }
+    client._healthWatched = true;
+
+    const infoHash = torrent.infoHash;
+    const trackers = client._trackers || [];
+    const urls = trackers.map(tracker => TrackerHealth.redact(tracker.announceUrl));
+
+    // Time each announce from when the tracker sends it
+    trackers.forEach(function(tracker) {
+      const announce = tracker.announce;
+      tracker.announce = function() {
+        TrackerHealth.recordAnnounce(TrackerHealth.redact(tracker.announceUrl), infoHash);
+        return announce.apply(this, arguments);
+      };
+    });
+
+    client.on('update', function(data) {
+      TrackerHealth.recordResponse(TrackerHealth.redact(data.announce), infoHash, data);
+    });
+
+    function onFailure(err) {
+      const message = TrackerHealth.redact(err && err.message ? err.message : String(err));
+      const url = TrackerHealth.attribute(infoHash, urls, message);
+      if (url) {
+        TrackerHealth.recordFailure(url, infoHash, message);
+      }
+    }
+    client.on('warning', onFailure);
+    client.on('error', onFailure);
+  },
+
+  /**
+   * Health of every tracker seen
+   * @param {Number} now - Current time (ms)
+   * @return {Array} Plain tracker records, with per-torrent detail
+   */
+  getHealth: function(now = Date.now()) {
+    TrackerHealth.expirePending(now);
+
+    return Array.from(TrackerHealth._trackers.values()).map(function(entry) {
+      return {
+        url: entry.url,
+        status: entry.status,
+        totalAnnounces: entry.totalAnnounces,
+        successfulAnnounces: entry.successfulAnnounces,
+        failedAnnounces: entry.failedAnnounces,
+        consecutiveFailures: entry.consecutiveFailures,
+        successRate: entry.totalAnnounces > 0 ?
+          Math.round(entry.successfulAnnounces / entry.totalAnnounces * 1000) / 10 : null,
+        averageResponseTime: entry.responses > 0 ? Math.round(entry.totalResponseTime / entry.responses) : null,
+        lastAnnounce: entry.lastAnnounce,
+        lastResponse: entry.lastResponse,
+        lastError: entry.lastError,
+        lastErrorAt: entry.lastErrorAt,
+        torrents: Array.from(entry.torrents.entries()).map(([infoHash, torrent]) => ({ infoHash, ...torrent }))
+      };
+    });
+  }
+};
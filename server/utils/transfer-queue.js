@@ -0,0 +1,286 @@
+import { get } from 'lodash';
+import { Settings } from '/imports/api/settings/settings';
+import { TorrentsCollection } from '/imports/api/torrents/torrents';
+
+// A share being added counts as active this long before it shows in the client
+const START_GRACE_MS = 60 * 1000;
+
+// States the queue leaves alone
+const HELD_STATES = ['paused', 'error'];
+
+/**
+ * Order shares by queue position, then by when they were added
+ * @param {Object} a - Queue row
+ * @param {Object} b - Queue row
+ * @return {Number} Sort order
+ */
+function byPriority(a, b) {
+  const position = row => get(row, 'queue.position', null) === null ? Infinity : row.queue.position;
+  if (position(a) !== position(b)) {
+    return position(a) - position(b);
+  }
+  return new Date(a.created || 0).getTime() - new Date(b.created || 0).getTime();
+}
+
+/**
+ * Download and seed queue: at most maxActiveDownloads shares download and
+ * maxActiveSeeds seed at once, highest priority first. Waiting shares are kept
+ * out of the client with status.state 'queued'; force-started ones skip the
+ * queue and do not take a slot.
+ */
+export const TransferQueue = {
+  _source: null,
+  _chain: Promise.resolve(),
+  _starting: new Map(), // infoHash -> when its add began (ms)
+
+  /**
+   * Slots from settings
+   * @return {Object} { maxActiveDownloads, maxActiveSeeds }, -1 for no limit
+   */
+  limits: function() {
+    return {
+      maxActiveDownloads: Number(Settings.get('public.webtorrent.queue.maxActiveDownloads', 3)),
+      maxActiveSeeds: Number(Settings.get('public.webtorrent.queue.maxActiveSeeds', -1))
+    };
+  },
+
+  /**
+   * Shares of one kind in priority order
+   * @param {Array} rows - Queue rows
+   * @param {Boolean} seed - Seeds rather than downloads
+   * @return {Array} Rows, highest priority first
+   */
+  rank: function(rows, seed) {
+    return rows.filter(row => row.state !== 'error' && row.seed === seed).sort(byPriority);
+  },
+
+  /**
+   * What to start and what to send back to the queue
+   * @param {Array} rows - [{ infoHash, state, seed, live, created, queue: { position, forced } }]
+   * @param {Object} limits - { maxActiveDownloads, maxActiveSeeds }
+   * @return {Object} { start: [infoHash], park: [infoHash], positions: { infoHash: Number } }
+   */
+  plan: function(rows, limits) {
+    const result = { start: [], park: [], positions: {} };
+
+    [false, true].forEach(function(seed) {
+      const ranked = TransferQueue.rank(rows, seed);
+      ranked.forEach((row, index) => { result.positions[row.infoHash] = index + 1; });
+
+      const waiting = ranked.filter(row => !HELD_STATES.includes(row.state));
+      const forced = waiting.filter(row => get(row, 'queue.forced'));
+      const queued = waiting.filter(row => !get(row, 'queue.forced'));
+      const max = seed ? limits.maxActiveSeeds : limits.maxActiveDownloads;
+      const slots = max < 0 ? queued.length : max;
+
+      forced.concat(queued.slice(0, slots)).forEach(function(row) {
+        if (!row.live) result.start.push(row.infoHash);
+      });
+      queued.slice(slots).forEach(function(row) {
+        if (row.live || row.state !== 'queued') result.park.push(row.infoHash);
+      });
+    });
+
+    return result;
+  },
+
+  /**
+   * What to add a share to the client from: the .torrent file kept when it was
+   * parked, or else its magnet link
+   * @param {Object} record - { magnetURI, torrentFile }
+   * @return {Buffer|String} Torrent file or magnet URI
+   */
+  torrentId: function(record) {
+    return record.torrentFile ? Buffer.from(record.torrentFile) : record.magnetURI;
+  },
+
+  /**
+   * Queue rows for every share on record
+   * @param {Number} now - Current time (ms)
+   * @return {Promise<Array>} [{ infoHash, magnetURI, name, state, seed, live, created, queue }]
+   */
+  _rows: async function(now = Date.now()) {
+    const source = TransferQueue._source;
+    const records = await TorrentsCollection.find({ magnetURI: { $exists: true } }, {
+      fields: { infoHash: 1, magnetURI: 1, name: 1, created: 1, status: 1, queue: 1 }
+    }).fetchAsync();
+
+    return records.map(function(record) {
+      const torrent = source.getTorrent(record.infoHash);
+      if (torrent) {
+        TransferQueue._starting.delete(record.infoHash);
+      }
+      return {
+        infoHash: record.infoHash,
+        magnetURI: record.magnetURI,
+        name: record.name,
+        state: get(record, 'status.state'),
+        seed: torrent ? !!torrent.done : get(record, 'status.progress', 0) >= 1,
+        live: !!torrent || now - (TransferQueue._starting.get(record.infoHash) || 0) < START_GRACE_MS,
+        created: record.created,
+        queue: record.queue
+      };
+    });
+  },
+
+  /**
+   * Start, park and renumber shares to match the limits. Runs one at a time.
+   * @param {String} claim - Share the caller will add to the client itself if it gets a slot
+   * @return {Promise<Boolean>} True when `claim` got a slot
+   */
+  process: function(claim) {
+    const run = TransferQueue._chain.then(() => TransferQueue._process(claim));
+    TransferQueue._chain = run.catch(function(err) {
+      console.error('Error processing transfer queue:', err);
+    });
+    return run;
+  },
+
+  /**
+   * One pass of process()
+   * @param {String} claim - As for process()
+   * @return {Promise<Boolean>} True when `claim` got a slot
+   */
+  _process: async function(claim) {
+    if (!TransferQueue._source) {
+      return false;
+    }
+
+    const rows = await TransferQueue._rows();
+    const plan = TransferQueue.plan(rows, TransferQueue.limits());
+
+    for (const row of rows) {
+      if (plan.positions[row.infoHash] && plan.positions[row.infoHash] !== get(row, 'queue.position')) {
+        await TorrentsCollection.updateAsync({ infoHash: row.infoHash }, { $set: { 'queue.position': plan.positions[row.infoHash] } });
+      }
+    }
+
+    for (const infoHash of plan.park) {
+      await TransferQueue._park(rows.find(row => row.infoHash === infoHash));
+    }
+
+    let claimed = false;
+    for (const infoHash of plan.start) {
+      const row = rows.find(r => r.infoHash === infoHash);
+      TransferQueue._starting.set(infoHash, Date.now());
+      await TorrentsCollection.updateAsync({ infoHash }, { $set: { 'status.state': row.seed ? 'seeding' : 'downloading' } });
+
+      if (infoHash === claim) {
+        claimed = true;
+      } else {
+        TransferQueue._start(row);
+      }
+    }
+
+    return claimed;
+  },
+
+  /**
+   * Add a share that got a slot to the client
+   * @param {Object} row - Queue row
+   */
+  _start: function(row) {
+    console.log(`▶️ Starting queued share ${row.name} (${row.infoHash})`);
+
+    TorrentsCollection.findOneAsync({ infoHash: row.infoHash }, { fields: { magnetURI: 1, torrentFile: 1 } }).then(function(record) {
+      return TransferQueue._source.addTorrent(TransferQueue.torrentId(record || row), {});
+    }).catch(function(err) {
+      console.error(`Error starting queued share ${row.infoHash}:`, err);
+      TransferQueue._starting.delete(row.infoHash);
+      TorrentsCollection.updateAsync(
+        { infoHash: row.infoHash },
+        { $set: { 'status.state': 'error', 'status.error': err.message } }
+      ).catch(function(updateErr) {
+        console.error('Error updating torrent status to error:', updateErr);
+      });
+    });
+  },
+
+  /**
+   * Bring a share that is out of the client back into it, if the queue has a
+   * slot for it, from its .torrent file when one was kept
+   * @param {Object} record - Torrent document
+   * @param {Object} opts - Options for addTorrent
+   * @return {Promise<Object>} The torrent, or null while it is held or waits for a slot
+   */
+  reload: async function(record, opts = {}) {
+    if (!(await TransferQueue.process(record.infoHash))) {
+      return null;
+    }
+    return TransferQueue._source.addTorrent(TransferQueue.torrentId(record), opts);
+  },
+
+  /**
+   * Take a share out of the client until a slot frees up
+   * @param {Object} row - Queue row
+   */
+  _park: async function(row) {
+    TransferQueue._starting.delete(row.infoHash);
+    if (TransferQueue._source.getTorrent(row.infoHash)) {
+      await TransferQueue._source.parkTorrent(row.infoHash);
+      console.log(`⏸️ Queued share ${row.name} (${row.infoHash}) to free a slot`);
+    }
+
+    await TorrentsCollection.updateAsync({ infoHash: row.infoHash }, {
+      $set: { 'status.state': 'queued', 'status.downloadSpeed': 0, 'status.uploadSpeed': 0, 'status.peers': 0 }
+    });
+  },
+
+  /**
+   * Swap a share with its neighbour in the queue
+   * @param {String} infoHash - Info hash
+   * @param {String} direction - 'up' (sooner) or 'down'
+   * @return {Promise<Number>} Its new position
+   */
+  move: async function(infoHash, direction) {
+    await TransferQueue.process();
+
+    const rows = await TransferQueue._rows();
+    const row = rows.find(r => r.infoHash === infoHash);
+    const ranked = row ? TransferQueue.rank(rows, row.seed) : [];
+    const index = ranked.indexOf(row);
+    const other = ranked[direction === 'up' ? index - 1 : index + 1];
+
+    if (index < 0 || !other) {
+      return index + 1;
+    }
+
+    await TorrentsCollection.updateAsync({ infoHash: row.infoHash }, { $set: { 'queue.position': other.queue.position } });
+    await TorrentsCollection.updateAsync({ infoHash: other.infoHash }, { $set: { 'queue.position': row.queue.position } });
+    await TransferQueue.process();
+
+    return other.queue.position;
+  },
+
+  /**
+   * Start a share now regardless of the limits, or return it to the queue
+   * @param {String} infoHash - Info hash
+   * @param {Boolean} forced - Skip the queue
+   */
+  forceStart: async function(infoHash, forced) {
+    const torrent = TransferQueue._source && TransferQueue._source.getTorrent(infoHash);
+    const update = { 'queue.forced': forced };
+
+    if (forced && torrent && torrent.paused && typeof torrent.resume === 'function') {
+      torrent.resume();
+    } else if (forced && !torrent) {
+      update['status.state'] = 'queued';
+    }
+
+    await TorrentsCollection.updateAsync({ infoHash }, { $set: update });
+    await TransferQueue.process();
+  },
+
+  /**
+   * Manage the queue of a torrent server
+   * @param {Object} source - { getTorrent, addTorrent, parkTorrent }, i.e. WebTorrentServer
+   */
+  start: function(source) {
+    TransferQueue._source = source;
+
+    const limits = TransferQueue.limits();
+    console.log(`🚥 Transfer queue: ${limits.maxActiveDownloads < 0 ? 'unlimited' : limits.maxActiveDownloads} downloads, ` +
+      `${limits.maxActiveSeeds < 0 ? 'unlimited' : limits.maxActiveSeeds} seeds at once`);
+    return TransferQueue.process();
+  }
+};
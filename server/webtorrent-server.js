@@ -8,6 +8,17 @@ import net from 'net';
 import { Settings } from '/imports/api/settings/settings';
 import { TorrentsCollection } from '/imports/api/torrents/torrents';
 import { TorrentParser } from './utils/torrent-parser';
+import { BulkManifest } from './utils/bulk-manifest';
+import { ShareIndex } from './utils/share-index';
+import { ShareFiles } from './utils/share-files';
+import { ShareSignature } from './utils/share-signature';
+import { ShareLineage } from './utils/share-lineage';
+import { AuditLog } from './utils/audit-log';
+import { LanDiscovery } from './utils/lan-discovery';
+import { TrackerHealth } from './utils/tracker-health';
+import { MetricsRecorder } from './utils/metrics-recorder';
+import { BandwidthLimiter } from './utils/bandwidth-limiter';
+import { TransferQueue } from './utils/transfer-queue';
 
 // Server-side WebTorrent client
 let client = null;
@@ -241,8 +252,8 @@ function safeAnnounce(torrent) {
 export const WebTorrentServer = {
   _torrents: new Map(),
 
+  // Tracker health itself is kept by TrackerHealth, from the trackers' real responses
   _networkStats: {
-    trackers: new Map(), // tracker URL -> { lastAnnounce, lastResponse, status, errors }
     dht: {
       enabled: false,
       nodes: 0,
@@ -254,64 +265,29 @@ export const WebTorrentServer = {
     peerConnections: new Map() // infoHash -> peer connection details
   },
   
-  _updateTrackerStats: function(trackerUrl, status, responseTime, error = null) {
-    if (!this._networkStats.trackers.has(trackerUrl)) {
-      this._networkStats.trackers.set(trackerUrl, {
-        url: trackerUrl,
-        totalAnnounces: 0,
-        successfulAnnounces: 0,
-        lastAnnounce: null,
-        lastResponse: null,
-        lastError: null,
-        status: 'unknown',
-        averageResponseTime: 0,
-        consecutiveFailures: 0
-      });
-    }
-    
-    const tracker = this._networkStats.trackers.get(trackerUrl);
-    tracker.totalAnnounces++;
-    tracker.lastAnnounce = new Date();
-    
-    if (status === 'success') {
-      tracker.successfulAnnounces++;
-      tracker.lastResponse = new Date();
-      tracker.status = 'active';
-      tracker.consecutiveFailures = 0;
-      tracker.averageResponseTime = (tracker.averageResponseTime + responseTime) / 2;
-    } else {
-      tracker.lastError = error;
-      tracker.status = 'error';
-      tracker.consecutiveFailures++;
-    }
-  },
-
-  // Enhanced announce with tracking
+  /**
+   * Announce a torrent to its trackers and the LAN. Whether each tracker
+   * answered is recorded by TrackerHealth when it does.
+   * @param {Object} torrent - The torrent object
+   */
   _enhancedAnnounce: function(torrent) {
-    const startTime = Date.now();
-    const trackers = this._getTrackersForTorrent(torrent);
+    const tracker = torrent.discovery && torrent.discovery.tracker;
+    const trackers = tracker && tracker._trackers ? tracker._trackers.map(t => TrackerHealth.redact(t.announceUrl)) : [];
     
-    trackers.forEach(trackerUrl => {
-      try {
-        // Attempt announce and track the result
-        if (typeof torrent.announce === 'function') {
-          torrent.announce();
-          const responseTime = Date.now() - startTime;
-          this._updateTrackerStats(trackerUrl, 'success', responseTime);
-        }
-      } catch (err) {
-        this._updateTrackerStats(trackerUrl, 'error', 0, err.message);
-      }
-    });
+    TrackerHealth.watch(torrent);
+    safeAnnounce(torrent);
     
     this._networkStats.lastGlobalAnnounce = new Date();
     
+    LanDiscovery.announce([torrent]);
+    
     // Keep history of last 20 announces
     this._networkStats.announceHistory.unshift({
       timestamp: new Date(),
       torrentName: torrent.name,
       infoHash: torrent.infoHash,
-      trackerCount: trackers.length
+      trackerCount: trackers.length,
+      trackers: trackers
     });
     
     if (this._networkStats.announceHistory.length > 20) {
@@ -386,15 +362,16 @@ export const WebTorrentServer = {
           // Network compatibility settings
           dht: config.dht !== false, // Default to true
           webSeeds: config.webSeeds !== false,
+          lsd: false, // LanDiscovery announces instead, so LAN peers can be told apart
           
           // ARM64 specific settings
           tcpIncoming: true,
           tcpOutgoing: true,
           utp: true,
           
-          // Node.js 22 compatibility
-          downloadLimit: -1,
-          uploadLimit: -1,
+          // Starting limits; BandwidthLimiter applies stored ones and the schedule
+          downloadLimit: BandwidthLimiter.defaults().downloadLimit,
+          uploadLimit: BandwidthLimiter.defaults().uploadLimit,
           
           // Force IPv4 for better compatibility
           family: 4
@@ -457,9 +434,26 @@ export const WebTorrentServer = {
           });
         });
         
+        // Viewers and indexers stream share files from this client
+        ShareFiles.start(this);
+        
         // Load existing torrents
         await this._loadTorrentsFromDatabase();
         
+        // Find nodes on the same subnet without internet trackers
+        LanDiscovery.start(this);
+        
+        // Keep transfer and tracker history across restarts
+        MetricsRecorder.start(this);
+        
+        // Node-wide and per-share limits, switched by the schedule
+        BandwidthLimiter.start(this).catch(function(err) {
+          console.error('Error starting bandwidth limits:', err);
+        });
+        
+        // Start queued shares, and queue any beyond the active limits
+        TransferQueue.start(this);
+        
         isInitializing = false;
         tcpPoolFixed = finalTcpCheck;
         
@@ -561,10 +555,14 @@ export const WebTorrentServer = {
       const resolvedStoragePath = getResolvedStoragePath();
       
       for (const torrent of torrents) {
+        if (get(torrent, 'status.state') === 'queued') {
+          // TransferQueue starts it when a slot is free
+          continue;
+        }
         if (torrent.magnetURI) {
           try {
             console.log(`Adding torrent ${torrent.name} (${torrent.infoHash}) to client`);
-            await this.addTorrent(torrent.magnetURI, {
+            await this.addTorrent(TransferQueue.torrentId(torrent), {
               path: resolvedStoragePath
             });
           } catch (err) {
@@ -905,8 +903,10 @@ export const WebTorrentServer = {
   /**
    * Create a torrent from files
    * @param {String|Array} filesOrPath - Path to file/folder or array of file objects
-   * @param {Object} opts - Options for the torrent
-   * @return {Promise<Object>} The created torrent
+   * @param {Object} opts - Options for the torrent; `private` sets the BEP 27
+   *   flag, `announceList` replaces the configured trackers and `ownerId` is
+   *   written with the torrent's first record
+   * @return {Promise<Object>} The created torrent, once its record is written
    */
   createTorrent: function(filesOrPath, opts = {}) {
     const self = this;
@@ -924,19 +924,20 @@ export const WebTorrentServer = {
         console.log('🌱 Creating torrent with guaranteed metadata support');
         
         // Enhanced options for metadata creation
+        const { ownerId, ...seedOpts } = opts;
         const enhancedOpts = {
-          ...opts,
+          ...seedOpts,
           path: opts.path || function() {
             const storagePath = Settings.get('private.storage.tempPath', '/tmp/fhir-torrents');
             const port = process.env.PORT || 3000;
             return storagePath.replace(/\${PORT}/g, port);
           }(),
-          announceList: Settings.get('public.webtorrent.announceList', [
+          announceList: opts.announceList || Settings.get('public.webtorrent.announceList', [
             ['wss://tracker.openwebtorrent.com']
           ]),
           
-          // CRITICAL: Force metadata creation
-          private: false, // Ensure public torrent with metadata
+          // Private torrents are only found through their trackers, never DHT or PEX
+          private: !!opts.private,
           comment: opts.comment || 'FHIR P2P Data Share'
         };
         
@@ -955,11 +956,11 @@ export const WebTorrentServer = {
             self._torrents.set(torrent.infoHash, torrent);
             self._setupEnhancedTorrentEvents(torrent);
             
-            // Update database record
-            self._updateTorrentRecord(torrent);
-            
-            console.log(`🎉 Seeding torrent fully configured with metadata: ${torrent.name}`);
-            resolve(torrent);
+            // Update database record, owned from the start so no one else can claim it
+            return self._updateTorrentRecord(torrent, { ownerId: ownerId }).then(function() {
+              console.log(`🎉 Seeding torrent fully configured with metadata: ${torrent.name}`);
+              resolve(torrent);
+            });
             
           }).catch(function(metadataErr) {
             console.error('Error ensuring metadata creation:', metadataErr);
@@ -1545,6 +1546,9 @@ export const WebTorrentServer = {
     
     // Enhanced event handlers
     if (torrent && typeof torrent.on === 'function') {
+      LanDiscovery.announce([torrent]);
+      TrackerHealth.watch(torrent);
+      
       torrent.on('close', function() {
         Meteor.clearInterval(updateInterval);
       });
@@ -1570,6 +1574,8 @@ export const WebTorrentServer = {
         }
         
         self._updateTorrentRecord(torrent);
+        AuditLog.trackPeerUploads(torrent, wire);
+        BandwidthLimiter.throttleWire(torrent, wire);
         
         if (wire && typeof wire.on === 'function') {
           wire.on('close', function() {
@@ -1581,172 +1587,6 @@ export const WebTorrentServer = {
   },
 
 
-  /**
-   * Get file contents from a torrent
-   * @param {String} infoHash - Info hash of the torrent
-   * @param {String} filename - Name of the file to get
-   * @return {Promise<String>} File contents
-   */
-  getFileContents: function(infoHash, filename) {
-    const self = this;
-    
-    return new Promise(async function(resolve, reject) {
-      const torrent = self._torrents.get(infoHash);
-      
-      if (!torrent) {
-        try {
-          const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
-          
-          if (!torrentRecord || !torrentRecord.magnetURI) {
-            return reject(new Meteor.Error('not-found', 'Torrent not found or has no magnet URI'));
-          }
-          
-          console.log(`Reloading torrent ${infoHash} for file contents request`);
-          const reloadedTorrent = await self.addTorrent(torrentRecord.magnetURI);
-          
-          await new Promise(r => Meteor.setTimeout(r, 1000));
-          
-          return self.getFileContents(infoHash, filename)
-            .then(resolve)
-            .catch(reject);
-        } catch (err) {
-          console.error('Error reloading torrent:', err);
-          return reject(new Meteor.Error('not-found', 'Torrent not found and could not be reloaded'));
-        }
-      }
-      
-      const file = torrent.files.find(f => f.name === filename);
-      
-      if (!file) {
-        return reject(new Meteor.Error('not-found', 'File not found in torrent'));
-      }
-      
-      file.getBuffer(function(err, buffer) {
-        if (err) {
-          return reject(err);
-        }
-        
-        try {
-          const content = buffer.toString('utf8');
-          resolve(content);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    });
-  },
-  
-  /**
-   * Get all file contents from a torrent - ENHANCED with better error handling
-   * @param {String} infoHash - Info hash of the torrent
-   * @return {Promise<Object>} Object with filename keys and content values
-   */
-  getAllFileContents: function(infoHash) {
-    const self = this;
-    
-    return new Promise(async function(resolve, reject) {
-      console.log(`WebTorrentServer.getAllFileContents for ${infoHash}`);
-      let torrent = self._torrents.get(infoHash);
-      
-      if (!torrent) {
-        console.log(`Torrent ${infoHash} not found in _torrents map, checking WebTorrent client directly`);
-        
-        // Check if it exists in the WebTorrent client directly
-        const torrentClient = self.getClient();
-        if (torrentClient) {
-          const clientTorrent = torrentClient.get(infoHash);
-          if (clientTorrent) {
-            console.log(`Found torrent ${infoHash} in WebTorrent client, adding to our map`);
-            self._torrents.set(infoHash, clientTorrent);
-            self._setupTorrentEvents(clientTorrent);
-            torrent = clientTorrent;
-          }
-        }
-        
-        // If still not found, try to reload from database
-        if (!torrent) {
-          try {
-            const torrentRecord = await TorrentsCollection.findOneAsync({ infoHash });
-            
-            if (!torrentRecord || !torrentRecord.magnetURI) {
-              console.log(`No valid torrent record found in database for ${infoHash}`);
-              return reject(new Meteor.Error('not-found', 'Torrent not found or has no magnet URI'));
-            }
-            
-            console.log(`Reloading torrent ${infoHash} from magnet URI`);
-            const reloadedTorrent = await self.addTorrent(torrentRecord.magnetURI);
-            console.log(`Reloaded torrent with info hash ${reloadedTorrent.infoHash}`);
-            
-            await new Promise(r => Meteor.setTimeout(r, 2000));
-            
-            return self.getAllFileContents(infoHash)
-              .then(resolve)
-              .catch(reject);
-          } catch (err) {
-            console.error('Error reloading torrent:', err);
-            return reject(new Meteor.Error('not-found', 'Torrent not found and could not be reloaded'));
-          }
-        }
-      }
-      
-      console.log(`Found torrent ${infoHash} with ${torrent.files.length} files`);
-      
-      if (torrent.files.length === 0) {
-        console.log(`Torrent ${infoHash} has no files yet, waiting for metadata...`);
-        // Wait a bit longer for metadata to be loaded
-        await new Promise(r => Meteor.setTimeout(r, 3000));
-        
-        if (torrent.files.length === 0) {
-          return reject(new Meteor.Error('no-files', 'Torrent has no files available'));
-        }
-      }
-      
-      const filePromises = torrent.files.map(function(file) {
-        return new Promise(function(resolveFile, rejectFile) {
-          console.log(`Getting buffer for file: ${file.name}`);
-          
-          // Set a timeout for file retrieval
-          const timeout = Meteor.setTimeout(() => {
-            console.log(`Timeout getting buffer for ${file.name}`);
-            rejectFile(new Error(`Timeout getting buffer for ${file.name}`));
-          }, 10000);
-          
-          file.getBuffer(function(err, buffer) {
-            clearTimeout(timeout);
-            
-            if (err) {
-              console.error(`Error getting buffer for ${file.name}:`, err);
-              return rejectFile(err);
-            }
-            
-            try {
-              const content = buffer.toString('utf8');
-              console.log(`Successfully got content for ${file.name}, length: ${content.length}`);
-              resolveFile({ name: file.name, content });
-            } catch (e) {
-              console.error(`Error converting buffer for ${file.name}:`, e);
-              rejectFile(e);
-            }
-          });
-        });
-      });
-      
-      Promise.all(filePromises)
-        .then(function(filesWithContent) {
-          const contents = {};
-          filesWithContent.forEach(function(file) {
-            contents[file.name] = file.content;
-          });
-          console.log(`Returning content for ${Object.keys(contents).length} files`);
-          resolve(contents);
-        })
-        .catch(function(err) {
-          console.error('Error processing file promises:', err);
-          reject(err);
-        });
-    });
-  },
-  
   /**
    * Remove a torrent
    * @param {String} infoHash - Info hash of the torrent
@@ -1789,6 +1629,37 @@ export const WebTorrentServer = {
     });
   },
   
+  /**
+   * Take a torrent out of the client, keeping its record and files, e.g.
+   * while it waits in the transfer queue. Its .torrent file is kept on the
+   * record, so it comes back without fetching metadata from peers.
+   * @param {String} infoHash - Info hash of the torrent
+   * @return {Promise<Boolean>} True when it was in the client
+   */
+  parkTorrent: async function(infoHash) {
+    const self = this;
+    const torrent = self._torrents.get(infoHash);
+    
+    if (!torrent) {
+      return false;
+    }
+    
+    if (torrent.torrentFile) {
+      await TorrentsCollection.updateAsync({ infoHash }, { $set: { torrentFile: new Uint8Array(torrent.torrentFile) } });
+    }
+    
+    return new Promise(function(resolve, reject) {
+      torrent.destroy({ destroyStore: false }, function(err) {
+        if (err) {
+          console.error(`Error parking torrent ${infoHash}:`, err);
+          return reject(err);
+        }
+        self._torrents.delete(infoHash);
+        resolve(true);
+      });
+    });
+  },
+  
   /**
    * Get a torrent by info hash
    * @param {String} infoHash - Info hash of the torrent
@@ -1824,6 +1695,14 @@ export const WebTorrentServer = {
     }, 1000);
     
     if (torrent && typeof torrent.on === 'function') {
+      LanDiscovery.announce([torrent]);
+      TrackerHealth.watch(torrent);
+      
+      // Magnet links only get their tracker client once the info hash is parsed
+      torrent.on('ready', function() {
+        TrackerHealth.watch(torrent);
+      });
+      
       torrent.on('close', function() {
         Meteor.clearInterval(updateInterval);
       });
@@ -1831,6 +1710,14 @@ export const WebTorrentServer = {
       torrent.on('done', function() {
         console.log(`Torrent ${torrent.name} (${torrent.infoHash}) download complete, now seeding`);
         self._updateTorrentRecord(torrent);
+        // Verify before the bulk manifest is rewritten, while every file is as signed
+        self._verifyShare(torrent)
+          .then(() => self._recordLineage(torrent))
+          .then(() => self._writeBulkManifest(torrent))
+          .then(() => self._indexShare(torrent));
+        
+        // A download slot is free
+        TransferQueue.process();
       });
       
       torrent.on('error', function(err) {
@@ -1843,6 +1730,8 @@ export const WebTorrentServer = {
             console.log(`New peer connected to ${torrent.name} (${torrent.infoHash}): ${wire.remoteAddress}`);
           }
           self._updateTorrentRecord(torrent);
+          AuditLog.trackPeerUploads(torrent, wire);
+          BandwidthLimiter.throttleWire(torrent, wire);
           
           if (wire && typeof wire.on === 'function') {
             wire.on('close', function() {
@@ -1856,12 +1745,90 @@ export const WebTorrentServer = {
     }
   },
   
+  /**
+   * Point a downloaded bulk-export share's manifest at the local NDJSON files
+   * @private
+   * @param {Object} torrent - The torrent object
+   */
+  _writeBulkManifest: async function(torrent) {
+    if (!torrent || !BulkManifest.findManifestFile(torrent.files)) {
+      return;
+    }
+    
+    try {
+      const result = BulkManifest.writeLocalManifest(torrent.files.map(function(file) {
+        return { name: file.name, localPath: path.join(torrent.path, file.path) };
+      }));
+      
+      if (result) {
+        await TorrentsCollection.updateAsync(
+          { infoHash: torrent.infoHash },
+          { $set: { fhirType: 'bulk-export', bulkExport: { ...result, rewrittenAt: new Date() } } }
+        );
+      }
+    } catch (err) {
+      console.error(`Error rewriting bulk export manifest for ${torrent.infoHash}:`, err);
+    }
+  },
+  
+  /**
+   * Check a downloaded share's publisher signature against the trusted publishers
+   * @private
+   * @param {Object} torrent - The torrent object
+   */
+  _verifyShare: async function(torrent) {
+    if (!torrent) {
+      return;
+    }
+    
+    try {
+      await ShareSignature.verifyTorrent(torrent.infoHash);
+    } catch (err) {
+      console.error(`Error verifying share ${torrent.infoHash}:`, err);
+    }
+  },
+  
+  /**
+   * Keep where a downloaded share came from, as stated in its provenance.json
+   * @private
+   * @param {Object} torrent - The torrent object
+   */
+  _recordLineage: async function(torrent) {
+    if (!torrent) {
+      return;
+    }
+    
+    try {
+      await ShareLineage.recordTorrent(torrent.infoHash);
+    } catch (err) {
+      console.error(`Error recording lineage of ${torrent.infoHash}:`, err);
+    }
+  },
+  
+  /**
+   * Add a share to the patient index and the FHIR search index
+   * @private
+   * @param {Object} torrent - The torrent object
+   */
+  _indexShare: async function(torrent) {
+    if (!torrent) {
+      return;
+    }
+    
+    try {
+      await ShareIndex.indexTorrent(torrent.infoHash);
+    } catch (err) {
+      console.error(`Error indexing share ${torrent.infoHash}:`, err);
+    }
+  },
+  
   /**
    * Update or create a torrent record in the database
    * @private
    * @param {Object} torrent - The torrent object
+   * @param {Object} created - { ownerId } for a record this call creates
    */
-  _updateTorrentRecord: async function(torrent) {
+  _updateTorrentRecord: async function(torrent, created = {}) {
     if (!torrent) {
       console.error('Cannot update record for null torrent');
       return;
@@ -1922,6 +1889,9 @@ export const WebTorrentServer = {
             resourceCount: 0,
             profile: ''
           };
+          if (created.ownerId) {
+            torrentData.ownerId = created.ownerId;
+          }
           
           await TorrentsCollection.insertAsync(torrentData);
           console.log(`Inserted new torrent ${torrent.name} (${torrent.infoHash}) into database`);
@@ -5,6 +5,14 @@ import { get } from 'lodash';
 import { TorrentsCollection } from '/imports/api/torrents/torrents';
 import { Settings } from '/imports/api/settings/settings';
 import { FhirUtils } from '/imports/api/fhir/fhir-utils';
+import { OperationOutcomeUtils } from '/imports/api/fhir/operation-outcome';
+import { BulkExportUtils } from '/imports/api/fhir/bulk-export';
+import { ResourceSummary } from '/imports/api/fhir/resource-summary';
+import { createReferenceResolver, ReferenceGraph } from '/imports/api/fhir/reference-resolver';
+import { PatientCompartment, SHARE_LOCAL_SYSTEM } from '/imports/api/fhir/patient-compartment';
+import { ShareLink } from '/imports/api/torrents/share-link';
+import { Deidentify, createDeidentifier } from '/imports/api/fhir/deidentify';
+import { ShareProvenance } from '/imports/api/fhir/share-provenance';
 
 describe('FHIR P2P', function() {
   describe('Settings', function() {
@@ -62,10 +70,1329 @@ describe('FHIR P2P', function() {
       assert.strictEqual(bundle.type, 'collection');
       assert.strictEqual(bundle.entry.length, 2);
     });
+    
+    it('should keep valid NDJSON lines and report bad ones by line number', function() {
+      const ndjson = '{"resourceType":"Patient","id":"1"}\n{not json}\n\n{"id":"2"}\n{"resourceType":"Patient","id":"3"}';
+      
+      const result = FhirUtils.parseNdjsonWithErrors(ndjson);
+      assert.strictEqual(result.resources.length, 2);
+      assert.deepStrictEqual(result.errors.map(e => e.line), [2, 4]);
+      assert.strictEqual(FhirUtils.parseNdjson(ndjson).length, 2);
+    });
+    
+    it('should count NDJSON resources by type with per-line errors', function() {
+      const ndjson = '{"resourceType":"Patient"}\n{"resourceType":"Observation"}\n{"resourceType":"Patient"}\nnot json';
+      
+      const counts = FhirUtils.countResources(ndjson);
+      assert.strictEqual(counts.total, 3);
+      assert.strictEqual(counts.types.Patient, 2);
+      assert.strictEqual(counts.errorCount, 1);
+      assert.strictEqual(counts.errors[0].line, 4);
+    });
+  });
+  
+  describe('BulkExportUtils', function() {
+    const manifest = {
+      transactionTime: '2024-01-01T00:00:00Z',
+      request: 'https://fhir.example.org/$export',
+      requiresAccessToken: true,
+      output: [
+        { type: 'Patient', url: 'https://fhir.example.org/files/Patient.ndjson' },
+        { type: 'Observation', url: 'https://fhir.example.org/files/Observation.ndjson?token=1' }
+      ],
+      error: []
+    };
+    
+    it('should detect a $export manifest', function() {
+      assert.strictEqual(FhirUtils.detectFormat(JSON.stringify(manifest)), 'bulk-manifest');
+      assert.strictEqual(BulkExportUtils.getFileName(manifest.output[1]), 'Observation.ndjson');
+    });
+    
+    it('should keep file names from leaving the share directory', function() {
+      assert.strictEqual(BulkExportUtils.getFileName({ type: 'Patient', url: 'https://x.org/files/..%2F..%2Fetc%2Fpasswd' }), 'passwd');
+      assert.strictEqual(BulkExportUtils.getFileName({ type: 'Patient', url: 'https://x.org/files/a%5C..%5Cb c.ndjson' }), 'b_c.ndjson');
+      assert.strictEqual(BulkExportUtils.getFileName({ type: 'Patient', url: 'https://x.org/files/%2E%2E' }), 'Patient.ndjson');
+      assert.strictEqual(BulkExportUtils.getFileName({ type: '../Group', url: 'https://x.org/files/' }), 'Group.ndjson');
+    });
+    
+    it('should report manifest entries without a matching file', function() {
+      const issues = BulkExportUtils.checkFiles(manifest, ['Patient.ndjson', 'Extra.ndjson']);
+      
+      assert.ok(issues.some(i => i.severity === 'error' && i.message.includes('Observation.ndjson')));
+      assert.ok(issues.some(i => i.severity === 'warning' && i.location === 'Extra.ndjson'));
+    });
+    
+    it('should rewrite output urls and keep the originals', function() {
+      const rewritten = BulkExportUtils.rewriteManifest(manifest, function(fileName) {
+        return fileName === 'Patient.ndjson' ? 'file:///data/Patient.ndjson' : null;
+      });
+      
+      assert.strictEqual(rewritten.output[0].url, 'file:///data/Patient.ndjson');
+      assert.strictEqual(rewritten.output[0].extension.originalUrl, manifest.output[0].url);
+      assert.strictEqual(rewritten.output[1].url, manifest.output[1].url);
+      assert.strictEqual(manifest.output[0].url, 'https://fhir.example.org/files/Patient.ndjson');
+    });
+  });
+  
+  describe('ResourceSummary', function() {
+    it('should summarize Patients and Observations', function() {
+      assert.strictEqual(ResourceSummary.summarize({
+        resourceType: 'Patient',
+        name: [{ given: ['Jane'], family: 'Doe' }],
+        gender: 'female',
+        birthDate: '1970-01-01'
+      }), 'Jane Doe · female · 1970-01-01');
+      
+      assert.strictEqual(ResourceSummary.summarize({
+        resourceType: 'Observation',
+        code: { coding: [{ system: 'http://loinc.org', code: '8867-4', display: 'Heart rate' }] },
+        valueQuantity: { value: 72, unit: 'beats/minute' }
+      }), 'Heart rate · 72 beats/minute');
+    });
+    
+    it('should build rows from NDJSON, keeping line numbers and skipping bad lines', function() {
+      const ndjson = [
+        JSON.stringify({ resourceType: 'Patient', id: 'p1', meta: { lastUpdated: '2024-01-01T00:00:00Z' } }),
+        '{broken',
+        JSON.stringify({ resourceType: 'Condition', id: 'c1' }),
+        JSON.stringify({ resourceType: 'Patient', id: 'p2' })
+      ].join('\n');
+      const parsed = ResourceSummary.toRows(ndjson);
+      
+      assert.strictEqual(parsed.format, 'ndjson');
+      assert.strictEqual(parsed.rows.length, 3);
+      assert.strictEqual(parsed.errors[0].line, 2);
+      assert.strictEqual(parsed.rows[0].lastUpdated, '2024-01-01T00:00:00Z');
+      assert.strictEqual(parsed.rows[2].line, 4);
+      
+      const groups = ResourceSummary.groupByType(parsed.rows);
+      assert.deepStrictEqual(groups.map(g => g.resourceType), ['Condition', 'Patient']);
+      assert.deepStrictEqual(groups[1].rows.map(r => r.id), ['p1', 'p2']);
+    });
+    
+    it('should build rows from a Bundle or a single resource', function() {
+      const bundle = JSON.stringify({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [{ resource: { resourceType: 'Patient', id: 'p1' } }, { request: { method: 'DELETE' } }]
+      });
+      assert.strictEqual(ResourceSummary.toRows(bundle).rows.length, 1);
+      
+      const single = ResourceSummary.toRows(JSON.stringify({ resourceType: 'Patient', id: 'solo' }));
+      assert.strictEqual(single.rows[0].id, 'solo');
+    });
+  });
+  
+  describe('ReferenceResolver', function() {
+    const bundle = JSON.stringify({
+      resourceType: 'Bundle',
+      type: 'transaction',
+      entry: [
+        { fullUrl: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a', resource: { resourceType: 'Patient', name: [{ family: 'Doe' }] } },
+        { fullUrl: 'https://fhir.example.org/Encounter/e1', resource: { resourceType: 'Encounter', id: 'e1', subject: { reference: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a' } } }
+      ]
+    });
+    const ndjson = [
+      JSON.stringify({ resourceType: 'Observation', id: 'o1', subject: { reference: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a' }, encounter: { reference: 'https://fhir.example.org/Encounter/e1/_history/2' } }),
+      JSON.stringify({ resourceType: 'Observation', id: 'o2', subject: { reference: 'Patient/missing' }, encounter: { reference: 'Encounter/e1' } }),
+      JSON.stringify({ resourceType: 'Condition', id: 'c1', contained: [{ resourceType: 'Practitioner', id: 'pr' }], asserter: { reference: '#pr' }, subject: { reference: 'urn:uuid:unknown' } })
+    ].join('\n');
+    
+    it('should resolve urn:uuid, absolute, relative and contained references across files', function() {
+      const result = ReferenceGraph.fromFiles({ 'bundle.json': bundle, 'Observation.ndjson': ndjson });
+      
+      assert.strictEqual(result.total, 5);
+      assert.strictEqual(result.referenceCount, 7);
+      assert.strictEqual(result.resolvedCount, 5);
+      assert.deepStrictEqual(result.unresolved.map(r => r.reference), ['Patient/missing', 'urn:uuid:unknown']);
+      assert.strictEqual(result.unresolved[0].path, 'Observation.subject');
+      assert.strictEqual(result.unresolved[0].file, 'Observation.ndjson');
+    });
+    
+    it('should report unresolved references as an OperationOutcome', function() {
+      const resolver = createReferenceResolver({ maxUnresolved: 1 });
+      resolver.add({ resourceType: 'Observation', id: 'o1', subject: { reference: 'Patient/a' }, performer: [{ reference: 'Practitioner/b' }] });
+      const outcome = ReferenceGraph.toOutcome(resolver.resolve());
+      
+      assert.strictEqual(outcome.issue.length, 2);
+      assert.strictEqual(outcome.issue[0].code, 'not-found');
+      assert.deepStrictEqual(outcome.issue[0].expression, ['Observation.subject']);
+      assert.strictEqual(outcome.issue[1].severity, 'information');
+    });
+    
+    it('should lay out Patient, Encounter and referencing resources', function() {
+      const result = ReferenceGraph.fromFiles({ 'bundle.json': bundle, 'Observation.ndjson': ndjson });
+      const patient = ReferenceGraph.getPatients(result)[0];
+      const graph = ReferenceGraph.patientGraph(result, patient.key);
+      
+      assert.strictEqual(patient.key, 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a');
+      assert.deepStrictEqual(graph.columns.map(c => c.map(n => n.key)), [[patient.key], ['Encounter/e1'], ['Observation/o1', 'Observation/o2']]);
+      assert.strictEqual(graph.edges.length, 4);
+    });
+  });
+  
+  describe('PatientCompartment', function() {
+    const mrn = 'http://hospital.example.org/mrn';
+    
+    it('should key patients by identifier and collect their compartment', function() {
+      const ndjson = [
+        JSON.stringify({ resourceType: 'Observation', id: 'o1', subject: { reference: 'Patient/p1' }, performer: [{ reference: 'Practitioner/dr' }] }),
+        JSON.stringify({ resourceType: 'Patient', id: 'p1', identifier: [{ system: mrn, value: '123' }], name: [{ given: ['Jane'], family: 'Doe' }] }),
+        JSON.stringify({ resourceType: 'Practitioner', id: 'dr' }),
+        JSON.stringify({ resourceType: 'Condition', id: 'c1', subject: { type: 'Patient', identifier: { system: mrn, value: '456' } } })
+      ].join('\n');
+      const extracted = PatientCompartment.extract({ 'data.ndjson': ndjson }, 'abc');
+      
+      assert.deepStrictEqual(extracted.patients.map(p => p.key).sort(), [`${mrn}|123`, `${mrn}|456`]);
+      assert.deepStrictEqual(extracted.patients.find(p => p.value === '123').names, ['Jane Doe']);
+      assert.deepStrictEqual(extracted.resources.map(r => `${r.resourceType}/${r.id}`), ['Observation/o1', 'Patient/p1', 'Condition/c1']);
+      assert.deepStrictEqual(extracted.resources[0].patientKeys, [`${mrn}|123`]);
+    });
+    
+    it('should resolve urn:uuid references and scope patients without identifiers to the share', function() {
+      const bundle = JSON.stringify({
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          { fullUrl: 'urn:uuid:8c9a7a2e-2d6c-4b48-9d2f-1e7f0e3c1a11', resource: { resourceType: 'Patient' } },
+          { resource: { resourceType: 'Encounter', subject: { reference: 'urn:uuid:8c9a7a2e-2d6c-4b48-9d2f-1e7f0e3c1a11' } } }
+        ]
+      });
+      const extracted = PatientCompartment.extract({ 'bundle.json': bundle }, 'abc');
+      
+      assert.strictEqual(extracted.patients.length, 1);
+      assert.strictEqual(extracted.patients[0].system, SHARE_LOCAL_SYSTEM);
+      assert.strictEqual(extracted.resources.length, 2);
+      assert.deepStrictEqual(extracted.resources[1].patientKeys, [extracted.patients[0].key]);
+    });
+  });
+  
+  describe('ShareLink', function() {
+    const key = 'A'.repeat(43);
+    
+    it('should carry the key in the fragment only', function() {
+      const link = ShareLink.build('magnet:?xt=urn:btih:abc&dn=Test', key);
+      
+      assert.strictEqual(link, `magnet:?xt=urn:btih:abc&dn=Test#key=${key}`);
+      assert.deepStrictEqual(ShareLink.parse(link), { magnetURI: 'magnet:?xt=urn:btih:abc&dn=Test', key: key });
+    });
+    
+    it('should leave plain magnet URIs alone', function() {
+      assert.deepStrictEqual(ShareLink.parse(' magnet:?xt=urn:btih:abc '), { magnetURI: 'magnet:?xt=urn:btih:abc', key: null });
+      assert.strictEqual(ShareLink.build('magnet:?xt=urn:btih:abc', null), 'magnet:?xt=urn:btih:abc');
+      assert.strictEqual(ShareLink.isValidKey('too-short'), false);
+    });
+  });
+  
+  describe('Deidentify', function() {
+    const patient = {
+      resourceType: 'Patient',
+      id: 'p1',
+      identifier: [{ system: 'http://hospital.example.org/mrn', value: '123' }],
+      name: [{ given: ['Jane'], family: 'Doe' }],
+      telecom: [{ system: 'phone', value: '555-0100' }],
+      gender: 'female',
+      birthDate: '1980-03-15',
+      address: [{ line: ['1 Main St'], city: 'Springfield', state: 'MA', postalCode: '01103' }]
+    };
+    
+    it('should remove names, telecom, identifiers and street addresses', function() {
+      const deidentifier = createDeidentifier({ dateShiftDays: 0 });
+      const result = deidentifier.apply(patient);
+      
+      assert.strictEqual(result.name, undefined);
+      assert.strictEqual(result.telecom, undefined);
+      assert.strictEqual(result.identifier, undefined);
+      assert.deepStrictEqual(result.address, [{ state: 'MA', postalCode: '011' }]);
+      assert.strictEqual(result.birthDate, '1980-03-15');
+      assert.strictEqual(result.gender, 'female');
+      assert.strictEqual(deidentifier.getReport().counts.names, 1);
+    });
+    
+    it('should shift one patient\'s dates by the same offset', function() {
+      const ndjson = [
+        JSON.stringify(patient),
+        JSON.stringify({ resourceType: 'Observation', id: 'o1', subject: { reference: 'Patient/p1', display: 'Jane Doe' }, effectiveDateTime: '1990-03-15T10:30:00Z' })
+      ].join('\n');
+      const processed = Deidentify.processFiles([{ name: 'data.ndjson', data: ndjson }], { dateShiftDays: 30 }, { salt: 'test' });
+      const [shiftedPatient, observation] = processed.fileData[0].data.trim().split('\n').map(line => JSON.parse(line));
+      const offset = (Date.parse(shiftedPatient.birthDate) - Date.parse('1980-03-15')) / 86400000;
+      
+      assert.ok(Math.abs(offset) <= 30);
+      assert.strictEqual((Date.parse(observation.effectiveDateTime) - Date.parse('1990-03-15T10:30:00Z')) / 86400000, offset);
+      assert.ok(observation.effectiveDateTime.endsWith('T10:30:00Z'));
+      assert.strictEqual(observation.subject.display, undefined);
+      assert.strictEqual(processed.report.patients, 1);
+    });
+    
+    it('should shift month-precision dates and keep year-only ones', function() {
+      const ndjson = [
+        JSON.stringify(patient),
+        JSON.stringify({ resourceType: 'Condition', id: 'c1', subject: { reference: 'Patient/p1' }, onsetDateTime: '1950-07', recordedDate: '1951' })
+      ].join('\n');
+      const processed = Deidentify.processFiles([{ name: 'data.ndjson', data: ndjson }], { dateShiftDays: 365 }, { salt: 'test' });
+      const [shiftedPatient, condition] = processed.fileData[0].data.trim().split('\n').map(line => JSON.parse(line));
+      const offset = (Date.parse(shiftedPatient.birthDate) - Date.parse('1980-03-15')) / 86400000;
+      
+      assert.strictEqual(condition.onsetDateTime, new Date(Date.UTC(1950, 6, 15 + offset)).toISOString().substring(0, 7));
+      assert.strictEqual(condition.recordedDate, '1951');
+      assert.strictEqual(processed.report.counts.dates, 2);
+    });
+    
+    it('should drop display-only references and shift only date elements', function() {
+      const result = createDeidentifier({ dateShiftDays: 30 }, { salt: 'test' }).apply({
+        resourceType: 'Observation',
+        id: 'o1',
+        performer: [{ display: 'John Smith' }],
+        code: { coding: [{ system: 'http://loinc.org', code: '8302-2', display: 'Body height' }] },
+        valueString: '2020-01-15',
+        effectiveDateTime: '2020-01-15'
+      });
+
+      assert.deepStrictEqual(result.performer, [{}]);
+      assert.strictEqual(result.code.coding[0].display, 'Body height');
+      assert.strictEqual(result.valueString, '2020-01-15');
+      assert.notStrictEqual(result.effectiveDateTime, '2020-01-15');
+    });
+
+    it('should replace sparsely populated ZIP prefixes with 000', function() {
+      const result = createDeidentifier({ dateShiftDays: 0 }).apply({ ...patient, address: [{ postalCode: '03601' }] });
+      
+      assert.deepStrictEqual(result.address, [{ postalCode: '000' }]);
+    });
+  });
+  
+  describe('ShareProvenance', function() {
+    const options = {
+      shareId: '0f8fad5b-d9cb-469f-a165-70867728950e',
+      provenanceId: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+      name: 'Derived Share',
+      fileData: [{ name: 'data.ndjson', data: '{"resourceType":"Patient","id":"p1"}\n{"resourceType":"Observation","id":"o1"}\n' }],
+      publisher: { fingerprint: 'ab'.repeat(32), name: 'Test Node' },
+      sources: [
+        { kind: 'share', infoHash: 'c'.repeat(40), name: 'Original' },
+        { kind: 'server', url: 'https://fhir.example.org/R4', query: 'Patient?name=smith' },
+        { kind: 'upload', name: 'data.ndjson' }
+      ]
+    };
+    
+    it('should target the shared resources and its DocumentReference', function() {
+      const bundle = JSON.parse(ShareProvenance.build(options));
+      const [provenance, documentReference] = bundle.entry.map(entry => entry.resource);
+      
+      assert.strictEqual(bundle.type, 'collection');
+      assert.deepStrictEqual(provenance.target.map(target => target.reference), [`urn:uuid:${options.shareId}`, 'Patient/p1', 'Observation/o1']);
+      assert.strictEqual(provenance.agent[0].who.display, 'Test Node');
+      assert.strictEqual(provenance.entity[0].role, 'derivation');
+      assert.strictEqual(documentReference.relatesTo[0].target.identifier.value, 'c'.repeat(40));
+      assert.strictEqual(documentReference.content[0].attachment.contentType, 'application/fhir+ndjson');
+    });
+    
+    it('should read the lineage back', function() {
+      const parsed = ShareProvenance.parse(ShareProvenance.build(options));
+      
+      assert.strictEqual(parsed.lineage.shareId, options.shareId);
+      assert.strictEqual(parsed.lineage.publisher, options.publisher.fingerprint);
+      assert.deepStrictEqual(parsed.lineage.sources, options.sources);
+      assert.strictEqual(ShareProvenance.parse('{"resourceType":"Bundle","entry":[]}'), null);
+    });
+    
+    it('should leave source shares and queries out of de-identified provenance', function() {
+      const bundle = JSON.parse(ShareProvenance.build({ ...options, sources: ShareProvenance.redactSources(options.sources) }));
+      const [provenance, documentReference] = bundle.entry.map(entry => entry.resource);
+      
+      assert.deepStrictEqual(provenance.entity.map(entity => entity.what.display), ['https://fhir.example.org/R4', 'data.ndjson']);
+      assert.strictEqual(documentReference.relatesTo, undefined);
+      assert.ok(!JSON.stringify(bundle).includes('c'.repeat(40)));
+      assert.ok(!JSON.stringify(bundle).includes('smith'));
+    });
+  });
+  
+  describe('OperationOutcomeUtils', function() {
+    it('should convert validator issues into an OperationOutcome', function() {
+      const outcome = OperationOutcomeUtils.fromValidationIssues([
+        { severity: 'error', code: 'code-invalid', location: 'Patient.gender', message: 'Bad code', file: 'patients.ndjson' }
+      ]);
+      
+      assert.strictEqual(outcome.resourceType, 'OperationOutcome');
+      assert.deepStrictEqual(outcome.issue[0].expression, ['Patient.gender']);
+      assert.strictEqual(outcome.issue[0].diagnostics, 'patients.ndjson: Bad code');
+    });
+    
+    it('should carry an OperationOutcome in Meteor.Error details', function() {
+      const err = OperationOutcomeUtils.error('not-found', 'not-found', 'Torrent not found');
+      
+      assert.strictEqual(err.error, 'not-found');
+      assert.strictEqual(OperationOutcomeUtils.fromError(err), err.details);
+      assert.strictEqual(OperationOutcomeUtils.hasErrors(err.details), true);
+    });
+    
+    it('should synthesise an OperationOutcome from a plain error', function() {
+      const outcome = OperationOutcomeUtils.fromError(new Error('Something broke'));
+      
+      assert.strictEqual(outcome.issue[0].code, 'exception');
+      assert.strictEqual(outcome.issue[0].diagnostics, 'Something broke');
+    });
+    
+    it('should group issues by severity, most serious first', function() {
+      const outcome = OperationOutcomeUtils.create([
+        OperationOutcomeUtils.createIssue('warning', 'value', 'Check this'),
+        OperationOutcomeUtils.createIssue('error', 'required', 'Missing status'),
+        OperationOutcomeUtils.createIssue('warning', 'value', 'And this')
+      ]);
+      const groups = OperationOutcomeUtils.groupBySeverity(outcome);
+      
+      assert.deepStrictEqual(groups.map(g => g.severity), ['error', 'warning']);
+      assert.strictEqual(groups[1].issues.length, 2);
+    });
   });
   
   // Add test for torrents collection if running with a database
   if (Meteor.isServer) {
+    describe('FhirValidator', function() {
+      const { FhirValidator } = require('/server/utils/fhir-validator');
+      
+      it('should accept a valid Patient', function() {
+        const issues = FhirValidator.validate({
+          resourceType: 'Patient',
+          id: '123',
+          name: [{ family: 'Smith', given: ['John'] }],
+          gender: 'male',
+          birthDate: '1970-01-01'
+        });
+        
+        assert.strictEqual(issues.filter(issue => issue.severity === 'error').length, 0);
+      });
+      
+      it('should report invalid codes and primitives with their location', function() {
+        const issues = FhirValidator.validate({
+          resourceType: 'Patient',
+          gender: 'unknown-gender',
+          birthDate: '01/01/1970'
+        });
+        const locations = issues.map(issue => issue.location);
+        
+        assert.ok(locations.includes('Patient.gender'));
+        assert.ok(locations.includes('Patient.birthDate'));
+      });
+      
+      it('should report missing required elements', function() {
+        const issues = FhirValidator.validate({
+          resourceType: 'Observation',
+          code: { text: 'Heart rate' }
+        });
+        const required = issues.find(issue => issue.code === 'required');
+        
+        assert.ok(required);
+        assert.strictEqual(required.location, 'Observation.status');
+      });
+      
+      it('should flag unknown elements and wrong cardinality', function() {
+        const issues = FhirValidator.validate({
+          resourceType: 'Patient',
+          name: { family: 'Smith' },
+          nickname: 'Smitty'
+        });
+        
+        assert.ok(issues.some(issue => issue.location === 'Patient.name' && issue.severity === 'error'));
+        assert.ok(issues.some(issue => issue.location === 'Patient.nickname' && issue.severity === 'error'));
+      });
+      
+      it('should warn that resource types without a definition were barely checked', function() {
+        const issues = FhirValidator.validate({ resourceType: 'Provenance', id: 'p1', target: [{ reference: 'Patient/1' }] });
+        
+        assert.strictEqual(issues.length, 1);
+        assert.strictEqual(issues[0].severity, 'warning');
+        assert.strictEqual(issues[0].code, 'not-supported');
+      });
+      
+      it('should summarize results in validateResources', function() {
+        const result = FhirValidator.validateResources([
+          { resourceType: 'Patient', id: 'ok' },
+          { resourceType: 'Patient', id: 'bad', gender: 'invalid' }
+        ]);
+        
+        assert.strictEqual(result.valid, false);
+        assert.strictEqual(result.results[0].valid, true);
+        assert.strictEqual(result.results[1].valid, false);
+      });
+      
+      it('should accept the OperationOutcomes the app builds', function() {
+        const resolver = createReferenceResolver({ maxUnresolved: 1 });
+        resolver.add({ resourceType: 'Observation', id: 'o1', subject: { reference: 'Patient/a' }, performer: [{ reference: 'Practitioner/b' }] });
+        const unresolved = ReferenceGraph.toOutcome(resolver.resolve());
+        const invalid = OperationOutcomeUtils.fromValidationIssues([
+          { severity: 'error', code: 'code-invalid', location: 'Patient.gender', message: 'Bad code', file: 'patients.ndjson' }
+        ]);
+        
+        assert.strictEqual(FhirValidator.validate(unresolved).filter(i => i.severity === 'error').length, 0);
+        assert.strictEqual(FhirValidator.validate(invalid).length, 0);
+      });
+    });
+    
+    describe('FhirImport', function() {
+      const http = require('http');
+      const { FhirImport } = require('/server/utils/fhir-import');
+      let server;
+      let baseUrl;
+      
+      // Minimal HAPI-style server: three pages of Patients linked by link.next
+      before(function(done) {
+        server = http.createServer(function(req, res) {
+          const url = new URL(req.url, baseUrl);
+          const page = parseInt(url.searchParams.get('page') || '0', 10);
+          
+          res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+          res.end(JSON.stringify({
+            resourceType: 'Bundle',
+            type: 'searchset',
+            link: page < 2 ? [{ relation: 'next', url: `${baseUrl}/Patient?page=${page + 1}` }] : [],
+            entry: [{ resource: { resourceType: 'Patient', id: `p${page}` } }]
+          }));
+        });
+        server.listen(0, function() {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          done();
+        });
+      });
+      
+      after(function() {
+        server.close();
+      });
+      
+      it('should follow link.next and group results into NDJSON files', async function() {
+        const client = FhirImport.createClient(baseUrl);
+        const collected = await FhirImport.search(client, 'Patient', '_count=1', 100);
+        
+        assert.strictEqual(collected.pages, 3);
+        assert.deepStrictEqual(collected.resources.map(r => r.id), ['p0', 'p1', 'p2']);
+        
+        const files = FhirImport.toNdjsonFiles(collected.resources);
+        assert.strictEqual(files[0].name, 'Patient.ndjson');
+        assert.strictEqual(FhirUtils.detectFormat(files[0].data), 'ndjson');
+      });
+      
+      it('should stop at the resource limit', async function() {
+        const client = FhirImport.createClient(baseUrl);
+        const collected = await FhirImport.search(client, 'Patient', {}, 2);
+        
+        assert.strictEqual(collected.resources.length, 2);
+        assert.strictEqual(collected.truncated, true);
+      });
+    });
+    
+    describe('FhirImport $export', function() {
+      const http = require('http');
+      const { FhirImport } = require('/server/utils/fhir-import');
+      const servers = [];
+      let baseUrl;
+      let storageUrl;
+      let authorization;
+      
+      // Export server and a separate storage host the manifest points to
+      function listen(handler) {
+        return new Promise(function(resolve) {
+          const server = http.createServer(handler);
+          servers.push(server);
+          server.listen(0, () => resolve(`http://127.0.0.1:${server.address().port}`));
+        });
+      }
+      
+      before(async function() {
+        authorization = {};
+        storageUrl = await listen(function(req, res) {
+          authorization.storage = req.headers.authorization;
+          res.writeHead(200, { 'Content-Type': 'application/fhir+ndjson' });
+          res.end(JSON.stringify({ resourceType: 'Observation', id: 'o1' }) + '\n');
+        });
+        baseUrl = await listen(function(req, res) {
+          const url = new URL(req.url, baseUrl);
+          if (url.pathname === '/Group/g1/$export') {
+            res.writeHead(202, { 'Content-Location': `${baseUrl}/status/1` });
+            res.end();
+          } else if (url.pathname === '/status/1') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+              transactionTime: '2026-01-01T00:00:00Z',
+              request: `${baseUrl}/Group/g1/$export`,
+              requiresAccessToken: true,
+              output: [
+                { type: 'Patient', url: `${baseUrl}/files/..%2F..%2Fpatients.ndjson` },
+                { type: 'Observation', url: `${storageUrl}/bucket/Observation.ndjson` }
+              ]
+            }));
+          } else {
+            authorization.server = req.headers.authorization;
+            res.writeHead(200, { 'Content-Type': 'application/fhir+ndjson' });
+            res.end(JSON.stringify({ resourceType: 'Patient', id: 'p1' }) + '\n');
+          }
+        });
+      });
+      
+      after(function() {
+        servers.forEach(server => server.close());
+      });
+      
+      it('should download the output with safe names, sending the token only to the export server', async function() {
+        const client = FhirImport.createClient(baseUrl, 'secret');
+        const exported = await FhirImport.groupExport(client, 'g1', { bearerToken: 'secret' });
+        
+        assert.deepStrictEqual(exported.files.map(f => f.name), ['patients.ndjson', 'Observation.ndjson']);
+        assert.strictEqual(authorization.server, 'Bearer secret');
+        assert.strictEqual(authorization.storage, undefined);
+      });
+    });
+    
+    describe('FhirPublish', function() {
+      const http = require('http');
+      const { FhirImport } = require('/server/utils/fhir-import');
+      const { FhirPublish } = require('/server/utils/fhir-publish');
+      let server;
+      let baseUrl;
+      let requests;
+      
+      // Accepts every entry except Observations, and throttles the first request
+      before(function(done) {
+        server = http.createServer(function(req, res) {
+          let body = '';
+          req.on('data', chunk => body += chunk);
+          req.on('end', function() {
+            requests++;
+            if (requests === 1) {
+              res.writeHead(429);
+              res.end();
+              return;
+            }
+            
+            const bundle = JSON.parse(body);
+            res.writeHead(200, { 'Content-Type': 'application/fhir+json' });
+            res.end(JSON.stringify({
+              resourceType: 'Bundle',
+              type: `${bundle.type}-response`,
+              entry: bundle.entry.map(entry => entry.resource.resourceType === 'Observation' ?
+                { response: { status: '400 Bad Request', outcome: { resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'invalid', diagnostics: 'Observation.code missing' }] } } } :
+                { response: { status: '201 Created', location: `${entry.resource.resourceType}/new/_history/1` } })
+            }));
+          });
+        });
+        server.listen(0, function() {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          done();
+        });
+      });
+      
+      beforeEach(function() {
+        requests = 0;
+      });
+      
+      after(function() {
+        server.close();
+      });
+      
+      it('should only match the same FHIR server', function() {
+        assert.ok(FhirPublish.sameBaseUrl('https://fhir.example.org/r4/', 'https://fhir.example.org/r4'));
+        assert.ok(!FhirPublish.sameBaseUrl('https://fhir.example.org/r4', 'https://fhir.example.org/r4.evil.net'));
+        assert.ok(!FhirPublish.sameBaseUrl('https://fhir.example.org/r4', ''));
+        assert.ok(!FhirPublish.sameBaseUrl('', ''));
+      });
+      
+      it('should turn a collection Bundle into a transaction', function() {
+        const transaction = FhirPublish.toTransaction({
+          resourceType: 'Bundle',
+          type: 'collection',
+          entry: [
+            { fullUrl: 'urn:uuid:a', resource: { resourceType: 'Patient' } },
+            { resource: { resourceType: 'Patient', id: 'p1' } }
+          ]
+        });
+        
+        assert.strictEqual(transaction.type, 'transaction');
+        assert.deepStrictEqual(transaction.entry[0].request, { method: 'POST', url: 'Patient' });
+        assert.strictEqual(transaction.entry[0].fullUrl, 'urn:uuid:a');
+        assert.deepStrictEqual(transaction.entry[1].request, { method: 'PUT', url: 'Patient/p1' });
+      });
+      
+      it('should split resources into batches', function() {
+        const resources = [1, 2, 3, 4, 5].map(i => ({ resourceType: 'Patient', id: `p${i}` }));
+        const batches = FhirPublish.toBatches(resources, 2);
+        
+        assert.deepStrictEqual(batches.map(b => b.entry.length), [2, 2, 1]);
+        assert.strictEqual(batches[0].type, 'batch');
+      });
+      
+      it('should retry throttled requests and record per-resource outcomes', async function() {
+        const client = FhirImport.createClient(baseUrl);
+        const content = [
+          JSON.stringify({ resourceType: 'Patient', id: 'p1' }),
+          '{not json',
+          JSON.stringify({ resourceType: 'Observation', id: 'o1' })
+        ].join('\n');
+        const progress = [];
+        
+        const outcomes = await FhirPublish.publishFile(client, 'data.ndjson', content, {
+          retryDelayMs: 1,
+          onProgress: async outcomes => progress.push(...outcomes)
+        });
+        
+        assert.strictEqual(requests, 2);
+        assert.strictEqual(outcomes.length, 3);
+        assert.strictEqual(progress.length, 3);
+        assert.deepStrictEqual(outcomes.map(o => o.resource), ['Line 2', 'Patient/p1', 'Observation/o1']);
+        assert.deepStrictEqual(outcomes.map(o => o.ok), [false, true, false]);
+        assert.strictEqual(outcomes[1].location, 'Patient/new/_history/1');
+        assert.strictEqual(outcomes[2].diagnostics, 'Observation.code missing');
+      });
+      
+      it('should count invalid lines beyond those listed', async function() {
+        const client = FhirImport.createClient(baseUrl);
+        const content = [JSON.stringify({ resourceType: 'Patient', id: 'p1' })]
+          .concat(Array.from({ length: 102 }, () => '{not json'))
+          .join('\n');
+        
+        const outcomes = await FhirPublish.publishFile(client, 'bad.ndjson', content, { retryDelayMs: 1 });
+        
+        assert.strictEqual(outcomes.length, 102);
+        assert.deepStrictEqual(FhirPublish.countOutcomes(outcomes), { total: 103, succeeded: 1, failed: 102 });
+      });
+      
+      it('should publish NDJSON a batch at a time as it streams', async function() {
+        const { Readable } = require('stream');
+        const client = FhirImport.createClient(baseUrl);
+        const lines = ['p1', 'p2', 'p3'].map(id => JSON.stringify({ resourceType: 'Patient', id }) + '\n');
+        
+        const outcomes = await FhirPublish.publishStream(client, 'data.ndjson', Readable.from(lines.concat('{not json\n')), {
+          batchSize: 2,
+          retryDelayMs: 1
+        });
+        
+        // One throttled request, then a batch of two and a batch of one
+        assert.strictEqual(requests, 3);
+        assert.deepStrictEqual(outcomes.map(o => o.resource), ['Patient/p1', 'Patient/p2', 'Patient/p3', 'Line 4']);
+        assert.deepStrictEqual(FhirPublish.countOutcomes(outcomes), { total: 4, succeeded: 3, failed: 1 });
+      });
+    });
+
+    describe('ShareCrypto', function() {
+      const { ShareCrypto } = require('/server/utils/share-crypto');
+      const bundle = JSON.stringify({ resourceType: 'Bundle', type: 'collection', entry: [] });
+
+      it('should round-trip a file and drop the .enc suffix', function() {
+        const key = ShareCrypto.generateKey();
+        const encrypted = ShareCrypto.encrypt(bundle, key);
+
+        assert.strictEqual(ShareCrypto.isEncrypted(encrypted), true);
+        assert.strictEqual(encrypted.includes('Bundle'), false);
+        assert.deepStrictEqual(ShareCrypto.decryptContents({ 'data.json.enc': encrypted, 'plain.json': bundle }, key), {
+          'data.json': bundle,
+          'plain.json': bundle
+        });
+      });
+
+      it('should refuse a wrong or missing key', function() {
+        const encrypted = ShareCrypto.encrypt(bundle, ShareCrypto.generateKey());
+
+        assert.throws(() => ShareCrypto.decrypt(encrypted, ShareCrypto.generateKey()), error => error.error === 'decrypt-failed');
+        assert.throws(() => ShareCrypto.decryptContents({ 'data.json.enc': encrypted }, null), error => error.error === 'key-required');
+      });
+    });
+
+    describe('ShareEnvelopes', function() {
+      const crypto = require('crypto');
+      const { ShareCrypto, ShareEnvelopes } = require('/server/utils/share-crypto');
+      const pem = { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } };
+      let alice;
+      let bob;
+
+      before(function() {
+        this.timeout(20000);
+        alice = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pem });
+        bob = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pem });
+      });
+
+      it('should let only the named recipients unwrap the share key', function() {
+        const shareKey = ShareCrypto.generateKey();
+        const envelope = ShareEnvelopes.parse(ShareEnvelopes.create(shareKey, [alice.publicKey]));
+        const identity = keys => ({ privateKey: keys.privateKey, fingerprint: ShareEnvelopes.fingerprint(keys.publicKey) });
+
+        assert.strictEqual(envelope.envelopes.length, 1);
+        assert.strictEqual(ShareEnvelopes.open(envelope, identity(alice)), shareKey);
+        assert.strictEqual(ShareEnvelopes.open(envelope, identity(bob)), null);
+      });
+
+      it('should reject keys that are not RSA public keys', function() {
+        const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...pem });
+
+        assert.throws(() => ShareEnvelopes.checkPublicKey('not a key'), error => error.error === 'invalid-key');
+        assert.throws(() => ShareEnvelopes.checkPublicKey(ec.publicKey), error => error.error === 'invalid-key');
+        assert.strictEqual(ShareEnvelopes.parse('{"resourceType":"Bundle"}'), null);
+      });
+    });
+
+    describe('Pseudonymizer', function() {
+      const { Pseudonymizer } = require('/server/utils/pseudonymizer');
+      const mrn = 'http://hospital.example.org/mrn';
+      const ndjson = [
+        JSON.stringify({ resourceType: 'Patient', id: 'p1', identifier: [{ system: mrn, value: '123' }, { system: 'urn:other', value: 'x' }] }),
+        JSON.stringify({ resourceType: 'Observation', id: 'o1', subject: { reference: 'http://example.org/fhir/Patient/p1/_history/2' } })
+      ].join('\n');
+      
+      it('should replace ids and selected identifiers and keep references consistent', function() {
+        const processed = Pseudonymizer.pseudonymizeFiles([{ name: 'data.ndjson', data: ndjson }], 'secret', { identifierSystems: [mrn] });
+        const [patient, observation] = processed.fileData[0].data.trim().split('\n').map(line => JSON.parse(line));
+        
+        assert.strictEqual(patient.id, Pseudonymizer.derive('secret', 'Patient', 'p1'));
+        assert.strictEqual(observation.subject.reference, `http://example.org/fhir/Patient/${patient.id}/_history/2`);
+        assert.strictEqual(patient.identifier[0].value, Pseudonymizer.derive('secret', mrn, '123'));
+        assert.strictEqual(patient.identifier[1].value, 'x');
+        assert.deepStrictEqual(processed.counts, { ids: 3, identifiers: 1 });
+        assert.notStrictEqual(Pseudonymizer.derive('other-secret', 'Patient', 'p1'), patient.id);
+      });
+      
+      it('should restore the originals from the re-identification map', function() {
+        const processed = Pseudonymizer.pseudonymizeFiles([{ name: 'data.ndjson', data: ndjson }], 'secret', { identifierSystems: ['*'] });
+        const candidates = Pseudonymizer.collectCandidates(processed.fileData);
+        const mappings = processed.mappings.filter(mapping => candidates.includes(mapping.pseudonym));
+        const restored = Pseudonymizer.reidentifyFiles(processed.fileData, mappings);
+        
+        assert.strictEqual(restored.fileData[0].data.trim(), ndjson);
+        assert.deepStrictEqual(restored.counts, { ids: 3, identifiers: 2 });
+      });
+    });
+    
+    describe('ShareSignature', function() {
+      const crypto = require('crypto');
+      const { ShareSignature, SIGNATURE_FILENAME } = require('/server/utils/share-signature');
+      const { ShareEnvelopes } = require('/server/utils/share-crypto');
+      const files = [{ name: 'data.ndjson', data: '{"resourceType":"Patient","id":"p1"}\n{"resourceType":"Patient","id":"p2"}\n' }];
+      let identity;
+      
+      before(function() {
+        this.timeout(20000);
+        const keys = crypto.generateKeyPairSync('rsa', {
+          modulusLength: 2048,
+          publicKeyEncoding: { type: 'spki', format: 'pem' },
+          privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+        identity = { ...keys, fingerprint: ShareEnvelopes.fingerprint(keys.publicKey) };
+      });
+      
+      it('should sign file hashes in a Provenance and verify them', function() {
+        const provenance = ShareSignature.sign(files, identity, { name: 'Test', publisherName: 'Test Node' });
+        const result = ShareSignature.verify({ 'data.ndjson': files[0].data, [SIGNATURE_FILENAME]: provenance });
+        
+        assert.strictEqual(JSON.parse(provenance).resourceType, 'Provenance');
+        assert.strictEqual(JSON.parse(provenance).signature[0].sigFormat, 'application/jose');
+        assert.strictEqual(result.state, 'valid');
+        assert.strictEqual(result.publisher, identity.fingerprint);
+        assert.strictEqual(result.publisherName, 'Test Node');
+      });
+      
+      it('should reject modified or added files and unsigned shares', function() {
+        const provenance = ShareSignature.sign(files, identity, { name: 'Test' });
+        const modified = ShareSignature.verify({ 'data.ndjson': files[0].data.replace('p2', 'p3'), [SIGNATURE_FILENAME]: provenance });
+        const added = ShareSignature.verify({ 'data.ndjson': files[0].data, 'extra.ndjson': '', [SIGNATURE_FILENAME]: provenance });
+        
+        assert.strictEqual(modified.state, 'invalid');
+        assert.deepStrictEqual(modified.issues, ['File data.ndjson was modified after signing']);
+        assert.strictEqual(added.state, 'invalid');
+        assert.strictEqual(ShareSignature.verify({ 'data.ndjson': files[0].data }).state, 'unsigned');
+      });
+    });
+    
+    describe('ShareFiles', function() {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const { ShareFiles } = require('/server/utils/share-files');
+      let directory;
+      let record;
+      
+      before(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'share-files-'));
+        fs.writeFileSync(path.join(directory, 'data.ndjson'), '{"resourceType":"Patient","id":"p1"}\nnot json\n{"resourceType":"Observation","id":"o1"}\n');
+        fs.writeFileSync(path.join(directory, 'bundle.json'), JSON.stringify({
+          resourceType: 'Bundle',
+          type: 'collection',
+          entry: [{ fullUrl: 'urn:uuid:1', resource: { resourceType: 'Condition', id: 'c1' } }]
+        }));
+        record = {
+          infoHash: 'f'.repeat(40),
+          torrentDirectory: directory,
+          files: [{ name: 'data.ndjson', path: 'Share/data.ndjson' }, { name: 'bundle.json', path: 'Share/bundle.json' }]
+        };
+      });
+      
+      after(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+      });
+      
+      it('should keep resolved paths inside their directory', function() {
+        assert.strictEqual(ShareFiles.resolveWithin('/data/share', 'a/b.ndjson'), path.resolve('/data/share/a/b.ndjson'));
+        assert.strictEqual(ShareFiles.resolveWithin('/data/share', '../other/b.ndjson'), null);
+        assert.strictEqual(ShareFiles.resolveWithin('/data/share', '/etc/passwd'), null);
+        assert.strictEqual(ShareFiles.resolveWithin('/data/share', '.'), null);
+      });
+      
+      it('should only open files the share lists', function() {
+        assert.throws(() => ShareFiles.openTorrentFile(record, '../../etc/passwd'), /not found/);
+        assert.throws(() => ShareFiles.openTorrentFile(record, 'other.ndjson'), /not found/);
+      });
+      
+      it('should stream every resource of a share file by file', async function() {
+        const seen = [];
+        const summary = await ShareFiles.eachResource(record, function(resource, context) {
+          seen.push(`${context.file}:${resource.resourceType}/${resource.id}${context.fullUrl ? ` ${context.fullUrl}` : ''}`);
+        });
+        
+        assert.deepStrictEqual(seen, [
+          'data.ndjson:Patient/p1',
+          'data.ndjson:Observation/o1',
+          'bundle.json:Condition/c1 urn:uuid:1'
+        ]);
+        assert.strictEqual(summary.total, 3);
+        assert.strictEqual(summary.files['data.ndjson'].errorCount, 1);
+        assert.deepStrictEqual(summary.types, { Patient: 1, Observation: 1, Condition: 1 });
+      });
+    });
+    
+    describe('Permissions', function() {
+      const { Permissions } = require('/server/utils/permissions');
+      const torrent = { infoHash: 'a'.repeat(40), ownerId: 'alice' };
+      
+      it('should give operators the debugging and repair methods', function() {
+        assert.deepStrictEqual(Permissions.policyFor('debug.getServerStatus'), { role: 'operator' });
+        assert.deepStrictEqual(Permissions.policyFor('torrents.emergencyMetadataFix'), { role: 'operator' });
+        assert.deepStrictEqual(Permissions.policyFor('torrents.fixSeedingMetadataCreation'), { role: 'operator' });
+        assert.deepStrictEqual(Permissions.policyFor('torrents.remove'), { role: 'publisher', torrent: 'own' });
+        assert.deepStrictEqual(Permissions.policyFor('addressBook.setTrusted'), { role: 'operator' });
+        assert.strictEqual(Permissions.policyFor('torrents.unknown'), undefined);
+        assert.throws(() => Permissions.methods({ 'torrents.unknown': function() {} }), /No access policy/);
+      });
+      
+      it('should have a policy for every method the server registers', function() {
+        // Permissions.methods throws on import for any method without one
+        require('/server/methods/audit-methods');
+        require('/server/methods/bandwidth-methods');
+        require('/server/methods/debug-methods');
+        require('/server/methods/fhir-import-methods');
+        require('/server/methods/fhir-publish-methods');
+        require('/server/methods/key-methods');
+        require('/server/methods/metadata-methods');
+        require('/server/methods/methods');
+        require('/server/methods/metrics-methods');
+        require('/server/methods/network-methods');
+        require('/server/methods/patient-methods');
+        require('/server/methods/peer-methods');
+        require('/server/methods/pseudonym-methods');
+        require('/server/methods/queue-methods');
+        require('/server/methods/torrent-methods');
+        require('/server/methods/user-methods');
+      });
+      
+      it('should let viewers read any share but only owners change it', function() {
+        const viewer = { _id: 'bob', roles: ['viewer'] };
+        const owner = { _id: 'alice', roles: ['publisher'] };
+        
+        assert.strictEqual(Permissions.canAccessTorrent(viewer, torrent, 'read'), true);
+        assert.strictEqual(Permissions.canAccessTorrent(viewer, torrent, 'own'), false);
+        assert.strictEqual(Permissions.canAccessTorrent(owner, torrent, 'read'), true);
+        assert.strictEqual(Permissions.canAccessTorrent(owner, torrent, 'own'), true);
+        assert.strictEqual(Permissions.canAccessTorrent({ _id: 'carol', roles: [] }, torrent, 'read'), false);
+      });
+      
+      it('should reject client calls without a user but not server calls', async function() {
+        const client = { connection: { clientAddress: '10.0.0.2' }, userId: null };
+        
+        await assert.rejects(Permissions.enforce(client, { role: 'operator' }, []), /logged in/);
+        await Permissions.enforce(client, { role: null }, []);
+        await Permissions.enforce({ connection: null, userId: null }, { role: 'operator' }, []);
+      });
+    });
+    
+    describe('PrivateTracker', function() {
+      const { PrivateTracker } = require('/server/utils/private-tracker');
+      const passkey = '0123456789abcdef0123456789abcdef';
+      
+      it('should read passkeys from HTTP announces and WebSocket URLs', function() {
+        assert.strictEqual(PrivateTracker.passkeyFromParams({ passkey: passkey }), passkey);
+        assert.strictEqual(PrivateTracker.passkeyFromParams({ socket: { upgradeReq: { url: `/announce?passkey=${passkey}` } } }), passkey);
+        assert.strictEqual(PrivateTracker.passkeyFromParams({ passkey: 'not-a-passkey' }), null);
+        assert.strictEqual(PrivateTracker.passkeyFromParams({}), null);
+      });
+      
+      it('should swap the passkey in a private magnet URI only', function() {
+        const tracker = encodeURIComponent(`http://node.example:8000/announce?passkey=${passkey}`);
+        const publicTracker = encodeURIComponent('wss://tracker.openwebtorrent.com');
+        const magnet = `magnet:?xt=urn:btih:${'a'.repeat(40)}&dn=Share&tr=${tracker}&tr=${publicTracker}`;
+        const other = 'fedcba9876543210fedcba9876543210';
+        
+        const rewritten = PrivateTracker.withPasskey(magnet, other);
+        assert.ok(rewritten.includes(encodeURIComponent(`passkey=${other}`)));
+        assert.ok(!rewritten.includes(passkey));
+        assert.ok(rewritten.includes(`&tr=${publicTracker}`));
+        assert.ok(rewritten.startsWith(`magnet:?xt=urn:btih:${'a'.repeat(40)}&dn=Share&`));
+      });
+    });
+    
+    describe('LanDiscovery', function() {
+      const { LanDiscovery } = require('/server/utils/lan-discovery');
+      const infoHash = 'c'.repeat(40);
+      
+      it('should build and parse BEP 14 announces', function() {
+        const message = LanDiscovery.buildAnnounce(6881, [infoHash, 'D'.repeat(40)], 'abc123');
+        
+        assert.ok(message.startsWith('BT-SEARCH * HTTP/1.1\r\nHost: 239.192.152.143:6771\r\n'));
+        assert.ok(message.endsWith('\r\n\r\n'));
+        assert.deepStrictEqual(LanDiscovery.parseAnnounce(message), {
+          port: 6881,
+          infoHashes: [infoHash, 'd'.repeat(40)],
+          cookie: 'abc123'
+        });
+        assert.strictEqual(LanDiscovery.parseAnnounce('M-SEARCH * HTTP/1.1\r\n\r\n'), null);
+        assert.strictEqual(LanDiscovery.parseAnnounce(LanDiscovery.buildAnnounce(0, [infoHash], 'x')), null);
+      });
+      
+      it('should connect to LAN peers for public shares only, ignoring its own announces', function() {
+        const added = [];
+        const torrents = {
+          [infoHash]: { infoHash: infoHash, name: 'Public', addPeer: peer => added.push(peer) > 0 },
+          ['e'.repeat(40)]: { infoHash: 'e'.repeat(40), private: true, addPeer: peer => added.push(peer) > 0 }
+        };
+        const source = LanDiscovery._source;
+        LanDiscovery._source = { getTorrent: hash => torrents[hash], getClient: () => null };
+        
+        try {
+          const rinfo = { address: '127.0.0.1', port: 6771 };
+          const own = LanDiscovery.buildAnnounce(7000, [infoHash], LanDiscovery._cookie);
+          assert.strictEqual(LanDiscovery.handleMessage(Buffer.from(own), rinfo), 0);
+          
+          const other = LanDiscovery.buildAnnounce(7001, [infoHash, 'e'.repeat(40), 'f'.repeat(40)], 'other-node');
+          assert.strictEqual(LanDiscovery.handleMessage(Buffer.from(other), rinfo), 1);
+          assert.deepStrictEqual(added, ['127.0.0.1:7001']);
+          
+          const peer = LanDiscovery.getStatus().peers.find(p => p.port === 7001);
+          assert.deepStrictEqual(peer.shares.map(share => share.name), ['Public']);
+        } finally {
+          LanDiscovery._source = source;
+          LanDiscovery._peers.clear();
+        }
+      });
+    });
+    
+    describe('TrackerHealth', function() {
+      const { TrackerHealth } = require('/server/utils/tracker-health');
+      const url = 'wss://tracker.example.org';
+      const infoHash = 'a'.repeat(40);
+      
+      afterEach(function() {
+        TrackerHealth._trackers.clear();
+        TrackerHealth._pending.clear();
+      });
+      
+      it('should report success rate and mean response time from real answers', function() {
+        TrackerHealth.recordAnnounce(url, infoHash, 1000);
+        TrackerHealth.recordResponse(url, infoHash, { complete: 2, incomplete: 1 }, 1100);
+        TrackerHealth.recordAnnounce(url, infoHash, 2000);
+        TrackerHealth.recordResponse(url, infoHash, {}, 2300);
+        TrackerHealth.recordAnnounce(url, infoHash, 3000);
+        TrackerHealth.recordFailure(url, infoHash, 'connection error', 3050);
+        TrackerHealth.recordAnnounce(url, infoHash, 4000);
+        
+        const [health] = TrackerHealth.getHealth(4000);
+        assert.strictEqual(health.status, 'error');
+        assert.strictEqual(health.totalAnnounces, 4);
+        assert.strictEqual(health.successRate, 50);
+        assert.strictEqual(health.averageResponseTime, 200);
+        assert.strictEqual(health.consecutiveFailures, 1);
+        assert.deepStrictEqual(health.torrents.map(t => [t.infoHash, t.seeders, t.leechers]), [[infoHash, 2, 1]]);
+        
+        // The last announce never gets an answer
+        const [expired] = TrackerHealth.getHealth(40000);
+        assert.strictEqual(expired.failedAnnounces, 2);
+        assert.strictEqual(expired.successRate, 50);
+      });
+      
+      it('should pin warnings on the tracker they name or the only one waiting', function() {
+        const other = 'https://tracker.example.net/announce';
+        
+        TrackerHealth.recordAnnounce(url, infoHash, 1000);
+        TrackerHealth.recordAnnounce(other, infoHash, 1000);
+        assert.strictEqual(TrackerHealth.attribute(infoHash, [url, other], `connection error to ${url}`), url);
+        assert.strictEqual(TrackerHealth.attribute(infoHash, [url, other], 'socket hang up'), null);
+        
+        TrackerHealth.recordResponse(url, infoHash, {}, 1100);
+        assert.strictEqual(TrackerHealth.attribute(infoHash, [url, other], 'socket hang up'), other);
+      });
+      
+      it('should hide private tracker passkeys', function() {
+        assert.strictEqual(
+          TrackerHealth.redact('http://node:8000/announce?passkey=0123456789abcdef0123456789abcdef'),
+          'http://node:8000/announce?passkey=…'
+        );
+        assert.strictEqual(TrackerHealth.redact(url), url);
+      });
+    });
+    
+    describe('MetricsRecorder', function() {
+      const { MetricsRecorder } = require('/server/utils/metrics-recorder');
+      const health = [
+        { url: 'wss://a', status: 'active', torrents: [{ infoHash: 'a'.repeat(40), status: 'active' }] },
+        { url: 'wss://b', status: 'error', torrents: [{ infoHash: 'a'.repeat(40), status: 'error' }] }
+      ];
+      
+      it('should sample each torrent and the node totals', function() {
+        const at = new Date('2026-01-02T03:04:05Z');
+        const [global, first, second] = MetricsRecorder.sample([
+          { infoHash: 'a'.repeat(40), name: 'One', downloadSpeed: 100, uploadSpeed: 10, numPeers: 2, downloaded: 1000, uploaded: 50 },
+          { infoHash: 'b'.repeat(40), name: 'Two', downloadSpeed: 300, uploadSpeed: 0, numPeers: 1, downloaded: 500, uploaded: 0 }
+        ], health, at);
+        
+        assert.strictEqual(global.scope, 'global');
+        assert.strictEqual(global.downloadSpeed, 400);
+        assert.strictEqual(global.peers, 3);
+        assert.strictEqual(global.downloaded, 1500);
+        assert.deepStrictEqual(global.trackers, { total: 2, active: 1, error: 1 });
+        assert.strictEqual(first.infoHash, 'a'.repeat(40));
+        assert.deepStrictEqual(first.trackers, { total: 2, active: 1, error: 1 });
+        assert.deepStrictEqual(second.trackers, { total: 0, active: 0, error: 0 });
+      });
+      
+      it('should average speeds and keep the latest counters per bucket', function() {
+        const sample = (ms, downloadSpeed, downloaded) => ({
+          at: new Date(ms), downloadSpeed, uploadSpeed: 0, peers: 1, downloaded, uploaded: 0,
+          trackers: { total: 1, active: 1, error: 0 }
+        });
+        const points = MetricsRecorder.downsample([
+          sample(0, 100, 10), sample(5000, 300, 20), sample(15000, 50, 30)
+        ], 0, 20000, 2);
+        
+        assert.strictEqual(points.length, 2);
+        assert.strictEqual(points[0].at.getTime(), 5000);
+        assert.strictEqual(points[0].downloadSpeed, 200);
+        assert.strictEqual(points[0].downloaded, 20);
+        assert.strictEqual(points[1].downloadSpeed, 50);
+        assert.strictEqual(points[1].trackersActive, 1);
+      });
+    });
+    
+    describe('BandwidthLimiter', function() {
+      const { BandwidthLimiter, UNLIMITED } = require('/server/utils/bandwidth-limiter');
+      const config = {
+        downloadLimit: UNLIMITED,
+        uploadLimit: 1024 * 1024,
+        schedule: [
+          { label: 'Clinic hours', days: [1, 2, 3, 4, 5], start: '08:00', end: '18:00', downloadLimit: 256 * 1024, uploadLimit: 64 * 1024 },
+          { label: 'Backups', days: [5], start: '22:00', end: '02:00', downloadLimit: UNLIMITED, uploadLimit: UNLIMITED }
+        ]
+      };
+      
+      it('should switch limits with the time-of-day schedule', function() {
+        // 2026-01-05 is a Monday
+        assert.deepStrictEqual(BandwidthLimiter.resolve(config, new Date(2026, 0, 5, 9, 30)),
+          { downloadLimit: 256 * 1024, uploadLimit: 64 * 1024, rule: 'Clinic hours' });
+        assert.strictEqual(BandwidthLimiter.resolve(config, new Date(2026, 0, 5, 18, 0)).rule, null);
+        assert.strictEqual(BandwidthLimiter.resolve(config, new Date(2026, 0, 4, 9, 30)).uploadLimit, 1024 * 1024);
+        
+        // Friday's window runs into Saturday morning, but not Thursday's night
+        assert.strictEqual(BandwidthLimiter.resolve(config, new Date(2026, 0, 9, 23, 0)).rule, 'Backups');
+        assert.strictEqual(BandwidthLimiter.resolve(config, new Date(2026, 0, 10, 1, 30)).rule, 'Backups');
+        assert.strictEqual(BandwidthLimiter.resolve(config, new Date(2026, 0, 9, 1, 30)).rule, null);
+      });
+      
+      it('should hold back bytes beyond the rate', function() {
+        const bucket = { rate: UNLIMITED, tokens: 0, updated: 0 };
+        assert.strictEqual(BandwidthLimiter.take(bucket, 1e9, 0), 0);
+        
+        BandwidthLimiter.setRate(bucket, 16384, 1000);
+        assert.strictEqual(BandwidthLimiter.take(bucket, 16384, 1000), 0);
+        assert.strictEqual(BandwidthLimiter.take(bucket, 16384, 1000), 1000);
+        // Half a second later half the debt is paid
+        assert.strictEqual(BandwidthLimiter.take(bucket, 0, 1500), 500);
+      });
+    });
+    
+    describe('TransferQueue', function() {
+      const { TransferQueue } = require('/server/utils/transfer-queue');
+      const row = (infoHash, position, fields = {}) => ({
+        infoHash, state: 'queued', seed: false, live: false, created: new Date(2026, 0, 1), queue: { position, forced: false }, ...fields
+      });
+      
+      it('should start the highest priority downloads up to the limit', function() {
+        const plan = TransferQueue.plan([
+          row('c', 3),
+          row('a', 1, { state: 'downloading', live: true }),
+          row('b', 2),
+          row('d', null),
+          row('p', 4, { state: 'paused' })
+        ], { maxActiveDownloads: 2, maxActiveSeeds: -1 });
+        
+        assert.deepStrictEqual(plan.start, ['b']);
+        assert.deepStrictEqual(plan.park, []);
+        assert.deepStrictEqual(plan.positions, { a: 1, b: 2, c: 3, p: 4, d: 5 });
+      });
+      
+      it('should queue lower priority transfers and let forced ones skip the queue', function() {
+        const plan = TransferQueue.plan([
+          row('a', 1, { state: 'downloading', live: true }),
+          row('b', 2, { state: 'downloading', live: true }),
+          row('f', 3, { queue: { position: 3, forced: true } }),
+          row('s1', 1, { seed: true, state: 'seeding', live: true }),
+          row('s2', 2, { seed: true, state: 'seeding', live: true })
+        ], { maxActiveDownloads: 1, maxActiveSeeds: 1 });
+        
+        assert.deepStrictEqual(plan.start, ['f']);
+        assert.deepStrictEqual(plan.park, ['b', 's2']);
+      });
+      
+      it('should restart a parked share from its .torrent file', function() {
+        const magnetURI = 'magnet:?xt=urn:btih:abc';
+        const torrentFile = new Uint8Array([100, 101]);
+        
+        assert.strictEqual(TransferQueue.torrentId({ magnetURI }), magnetURI);
+        const id = TransferQueue.torrentId({ magnetURI, torrentFile });
+        assert.ok(Buffer.isBuffer(id));
+        assert.strictEqual(id.toString(), 'de');
+      });
+    });
+    
+    describe('AuditLog', function() {
+      const { AuditLog, USER_SYSTEM } = require('/server/utils/audit-log');
+      const observer = { fingerprint: 'f'.repeat(64) };
+      
+      it('should build an AuditEvent naming the peer a share was sent to', function() {
+        const event = AuditLog.build({
+          _id: 'evt-1',
+          action: 'upload',
+          recorded: new Date('2026-01-02T03:04:05Z'),
+          outcome: 'success',
+          infoHash: 'a'.repeat(40),
+          name: 'Clinic export',
+          peer: { address: '192.168.1.20', port: 6881, peerId: 'peer-1' },
+          bytes: 16384,
+          period: { start: new Date('2026-01-02T03:04:05Z') }
+        }, observer);
+        
+        assert.strictEqual(event.resourceType, 'AuditEvent');
+        assert.strictEqual(event.subtype[0].code, 'upload');
+        assert.strictEqual(event.agent.length, 2);
+        assert.strictEqual(event.agent[0].network.address, '192.168.1.20');
+        assert.strictEqual(event.agent[0].type.coding[0].code, '110152');
+        assert.strictEqual(event.agent[1].who.identifier.value, observer.fingerprint);
+        assert.strictEqual(event.entity[0].what.identifier.value, 'a'.repeat(40));
+        assert.strictEqual(event.entity[0].detail[0].valueString, '16384');
+        assert.strictEqual(event.period.start, '2026-01-02T03:04:05.000Z');
+      });
+      
+      it('should record the requesting user and failed outcomes', function() {
+        const event = AuditLog.build({
+          _id: 'evt-2',
+          action: 'read',
+          recorded: new Date(),
+          outcome: 'failure',
+          outcomeDesc: 'Access denied',
+          infoHash: 'b'.repeat(40),
+          userId: 'alice',
+          username: 'alice',
+          clientAddress: '10.0.0.2'
+        }, observer);
+        
+        assert.strictEqual(event.action, 'R');
+        assert.strictEqual(event.outcome, '8');
+        assert.strictEqual(event.agent[0].who.identifier.system, USER_SYSTEM);
+        assert.strictEqual(event.agent[0].requestor, true);
+      });
+      
+      it('should tell re-identification apart from reads', function() {
+        const event = AuditLog.build({
+          _id: 'evt-3',
+          action: 'reidentify',
+          recorded: new Date(),
+          outcome: 'success',
+          infoHash: 'c'.repeat(40),
+          userId: 'alice',
+          username: 'alice'
+        }, observer);
+        
+        assert.strictEqual(event.action, 'R');
+        assert.strictEqual(event.subtype[0].code, 'reidentify');
+        assert.strictEqual(event.subtype[0].display, 'Share re-identified');
+      });
+      
+      it('should record handing out a share link as a disclosure', function() {
+        const event = AuditLog.build({
+          _id: 'evt-4',
+          action: 'link',
+          recorded: new Date(),
+          outcome: 'success',
+          infoHash: 'c'.repeat(40),
+          userId: 'alice',
+          username: 'alice'
+        }, observer);
+        
+        assert.strictEqual(event.action, 'R');
+        assert.strictEqual(event.type.code, '110106');
+        assert.strictEqual(event.subtype[0].display, 'Share link disclosed');
+      });
+      
+      it('should turn filters into a query', function() {
+        const selector = AuditLog.selector({ action: 'upload', infoHash: 'ABC', user: '10.0.0.', from: '2026-01-01' });
+        
+        assert.strictEqual(selector.action, 'upload');
+        assert.strictEqual(selector.infoHash, 'abc');
+        assert.ok(selector.$or[1]['peer.address'].test('10.0.0.7'));
+        assert.ok(!selector.$or[1]['peer.address'].test('10x0y0z7'));
+        assert.ok(selector.recorded.$gte instanceof Date);
+        assert.deepStrictEqual(AuditLog.selector({}), {});
+      });
+    });
+    
+    describe('FhirSearch', function() {
+      const { FhirSearch } = require('/server/utils/fhir-search');
+
+      it('should extract codes, dates and resolved references', function() {
+        const fields = FhirSearch.getSearchFields({
+          resourceType: 'Observation',
+          subject: { reference: 'urn:uuid:abc' },
+          code: { coding: [{ system: 'http://loinc.org', code: '8867-4' }] },
+          effectiveDateTime: '2024-03',
+          meta: { lastUpdated: '2024-03-05T10:00:00Z' }
+        }, reference => reference === 'urn:uuid:abc' ? 'Patient/p1' : null);
+
+        assert.deepStrictEqual(fields.subject, ['Patient/p1']);
+        assert.deepStrictEqual(fields.patient, ['Patient/p1']);
+        assert.deepStrictEqual(fields.codes, ['http://loinc.org|8867-4', '8867-4']);
+        assert.strictEqual(fields.dateStart.toISOString(), '2024-03-01T00:00:00.000Z');
+        assert.strictEqual(fields.dateEnd.toISOString(), '2024-03-31T23:59:59.999Z');
+        assert.strictEqual(fields.lastUpdated.toISOString(), '2024-03-05T10:00:00.000Z');
+      });
+
+      it('should translate search parameters into a selector', function() {
+        const search = FhirSearch.toSelector('Observation', {
+          patient: '123',
+          code: 'http://loinc.org|8867-4',
+          date: ['ge2024-01-01', 'lt2025'],
+          _count: '5000',
+          'value-quantity': '5'
+        });
+
+        assert.deepStrictEqual(search.selector.$and, [
+          { resourceType: 'Observation' },
+          { patient: 'Patient/123' },
+          { codes: 'http://loinc.org|8867-4' },
+          { dateEnd: { $gte: new Date('2024-01-01T00:00:00Z') } },
+          { dateStart: { $lt: new Date('2025-01-01T00:00:00Z') } }
+        ]);
+        assert.strictEqual(search.count, 1000);
+        assert.deepStrictEqual(search.unsupported, ['value-quantity']);
+      });
+
+      it('should reject invalid dates with an OperationOutcome', function() {
+        assert.throws(() => FhirSearch.toSelector('Observation', { date: 'yesterday' }), function(error) {
+          return error.error === 'invalid-search' && OperationOutcomeUtils.isOperationOutcome(error.details);
+        });
+      });
+    });
+
     describe('TorrentsCollection', function() {
       before(function() {
         // Clean the collection before tests